@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+import { createSocket } from 'node:dgram';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocket } from 'ws';
+
+/**
+ * OSC Bridge
+ * Listens for OSC over UDP (lighting desks, TouchOSC, QLab) and forwards each
+ * message as JSON to the sync relay, which hands it to the editor; the editor's
+ * OSC mapping table decides what it does.
+ *
+ *   npm run relay
+ *   npm run osc      # udp://0.0.0.0:9000 -> ws://localhost:8787/osc
+ */
+
+export const DEFAULT_OSC_PORT = 9000;
+export const DEFAULT_RELAY_URL = 'ws://localhost:8787';
+
+const RECONNECT_DELAY_MS = 2000;
+
+const BUNDLE_TAG = '#bundle';
+
+const pad4 = (length) => (length + 3) & ~3;
+
+// Position after `size` bytes at `offset`, which must all be in the packet
+function skipBytes(buffer, offset, size) {
+  if (size < 0 || offset + size > buffer.length) {
+    throw new Error('Truncated OSC packet');
+  }
+  return offset + size;
+}
+
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) {
+    throw new Error('Unterminated OSC string');
+  }
+  return { value: buffer.toString('utf8', offset, end), next: offset + pad4(end - offset + 1) };
+}
+
+// Arguments become JSON values: numbers, booleans, strings ("#rrggbb" for
+// colours) or null for types with no useful value here (blobs, MIDI, timetags)
+function readArguments(buffer, offset, typeTags) {
+  const args = [];
+  let position = offset;
+  for (const tag of typeTags) {
+    switch (tag) {
+      case 'i':
+        args.push(buffer.readInt32BE(position));
+        position += 4;
+        break;
+      case 'f':
+        args.push(buffer.readFloatBE(position));
+        position += 4;
+        break;
+      case 'd':
+        args.push(buffer.readDoubleBE(position));
+        position += 8;
+        break;
+      case 'h':
+        args.push(Number(buffer.readBigInt64BE(position)));
+        position += 8;
+        break;
+      case 's':
+      case 'S': {
+        const { value, next } = readString(buffer, position);
+        args.push(value);
+        position = next;
+        break;
+      }
+      case 'c':
+        args.push(String.fromCharCode(buffer.readInt32BE(position)));
+        position += 4;
+        break;
+      case 'r':
+        args.push(`#${buffer.toString('hex', position, skipBytes(buffer, position, 3))}`);
+        position = skipBytes(buffer, position, 4);
+        break;
+      case 'b': {
+        const size = buffer.readInt32BE(position);
+        args.push(null);
+        position = skipBytes(buffer, position + 4, size < 0 ? size : pad4(size));
+        break;
+      }
+      case 'm':
+        args.push(null);
+        position = skipBytes(buffer, position, 4);
+        break;
+      case 't':
+        args.push(null);
+        position = skipBytes(buffer, position, 8);
+        break;
+      case 'T':
+        args.push(true);
+        break;
+      case 'F':
+        args.push(false);
+        break;
+      case 'N':
+      case 'I':
+        args.push(null);
+        break;
+      case '[':
+      case ']':
+        // Arrays are flattened
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag "${tag}"`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Decode an OSC packet (a message or a bundle, nested bundles included)
+ * @param {Buffer} buffer
+ * @returns {Array<{ address: string, args: Array<number | boolean | string | null> }>}
+ */
+export function parseOscPacket(buffer) {
+  const { value: address, next } = readString(buffer, 0);
+
+  if (address === BUNDLE_TAG) {
+    const messages = [];
+    // Skip the timetag: messages are applied as they arrive
+    let position = skipBytes(buffer, next, 8);
+    while (position < buffer.length) {
+      const size = buffer.readInt32BE(position);
+      const end = skipBytes(buffer, position + 4, size);
+      messages.push(...parseOscPacket(buffer.subarray(position + 4, end)));
+      position = end;
+    }
+    return messages;
+  }
+
+  if (!address.startsWith('/')) {
+    throw new Error(`Not an OSC address: "${address}"`);
+  }
+  // Type tags are optional in old senders; without them there are no arguments
+  if (next >= buffer.length || buffer[next] !== 0x2c) {
+    return [{ address, args: [] }];
+  }
+  const { value: typeTags, next: argumentsOffset } = readString(buffer, next);
+  return [{ address, args: readArguments(buffer, argumentsOffset, typeTags.slice(1)) }];
+}
+
+/**
+ * Start a bridge
+ * @param {{ port?: number, host?: string, relayUrl?: string, token?: string | null, log?: (message: string) => void }} options
+ *   `token` is the relay's remote-control token, if it requires one
+ * @returns {{ udp: import('node:dgram').Socket, close: () => Promise<void> }}
+ */
+export function createOscBridge({
+  port = DEFAULT_OSC_PORT,
+  host = '0.0.0.0',
+  relayUrl = DEFAULT_RELAY_URL,
+  token = null,
+  log = () => {}
+} = {}) {
+  const target = new URL('/osc', /^wss?:\/\//.test(relayUrl) ? relayUrl : `ws://${relayUrl}`).href;
+  // The token goes in the query, kept out of the log lines
+  const connectUrl = token ? `${target}?token=${encodeURIComponent(token)}` : target;
+  let relay = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const connect = () => {
+    relay = new WebSocket(connectUrl);
+    relay.on('open', () => log(`Connected to ${target}`));
+    relay.on('error', () => {
+      // 'close' follows and schedules the retry
+    });
+    relay.on('close', () => {
+      if (closed) return;
+      log(`Relay at ${target} unavailable; retrying`);
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    });
+  };
+  connect();
+
+  const udp = createSocket('udp4');
+  udp.on('message', (packet) => {
+    let messages;
+    try {
+      messages = parseOscPacket(packet);
+    } catch (error) {
+      log(`Ignored a malformed OSC packet: ${error.message}`);
+      return;
+    }
+    // OSC is fire-and-forget: messages arriving while the relay is down are dropped
+    if (relay?.readyState !== WebSocket.OPEN) return;
+    messages.forEach(message => relay.send(JSON.stringify(message)));
+  });
+  udp.bind(port, host);
+
+  const close = () => new Promise(resolveClose => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    relay?.terminate();
+    udp.close(() => resolveClose());
+  });
+
+  return { udp, close };
+}
+
+// Run directly: `node server/osc-bridge.js [--port 9000] [--host 0.0.0.0] [--relay ws://localhost:8787] [--token <secret>]`
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const getArgument = (name) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+  const port = Number(getArgument('port') ?? process.env.OSC_PORT ?? DEFAULT_OSC_PORT);
+  const host = getArgument('host') ?? process.env.OSC_HOST ?? '0.0.0.0';
+  const relayUrl = getArgument('relay') ?? process.env.OSC_RELAY ?? DEFAULT_RELAY_URL;
+  const token = getArgument('token') ?? process.env.RELAY_TOKEN ?? null;
+
+  const { udp, close } = createOscBridge({ port, host, relayUrl, token, log: message => console.log(message) });
+  udp.on('listening', () => console.log(`OSC bridge listening on udp://${host}:${port}`));
+  udp.on('error', (error) => {
+    console.error('OSC bridge failed:', error.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createSocket } from 'node:dgram';
+import { once } from 'node:events';
+import { WebSocket } from 'ws';
+import { createOscBridge, parseOscPacket } from './osc-bridge.js';
+import { createRelayServer } from './relay.js';
+
+// Encoders for test packets: strings are NUL-terminated and padded to 4 bytes
+const oscString = (value) => {
+  const bytes = Buffer.from(`${value}\0`);
+  return Buffer.concat([bytes, Buffer.alloc((4 - (bytes.length % 4)) % 4)]);
+};
+
+const int32 = (value) => {
+  const bytes = Buffer.alloc(4);
+  bytes.writeInt32BE(value);
+  return bytes;
+};
+
+const float32 = (value) => {
+  const bytes = Buffer.alloc(4);
+  bytes.writeFloatBE(value);
+  return bytes;
+};
+
+const oscMessage = (address, typeTags, ...args) =>
+  Buffer.concat([oscString(address), ...(typeTags === null ? [] : [oscString(`,${typeTags}`)]), ...args]);
+
+const oscBundle = (...elements) => Buffer.concat([
+  oscString('#bundle'),
+  Buffer.alloc(8),
+  ...elements.flatMap(element => [int32(element.length), element])
+]);
+
+describe('parseOscPacket', () => {
+  it('should decode a message with typed arguments', () => {
+    const packet = oscMessage(
+      '/surface/1/opacity',
+      'ifsTFNr',
+      int32(-3),
+      float32(0.5),
+      oscString('hello'),
+      Buffer.from([0xff, 0x80, 0x00, 0xff])
+    );
+
+    expect(parseOscPacket(packet)).toEqual([
+      { address: '/surface/1/opacity', args: [-3, 0.5, 'hello', true, false, null, '#ff8000'] }
+    ]);
+  });
+
+  it('should follow the 4-byte padding of strings whose length is a multiple of 4', () => {
+    // "/abc" needs a whole word of NULs; "word" likewise
+    const packet = oscMessage('/abc', 'si', oscString('word'), int32(7));
+
+    expect(oscString('/abc')).toHaveLength(8);
+    expect(parseOscPacket(packet)).toEqual([{ address: '/abc', args: ['word', 7] }]);
+  });
+
+  it('should skip blobs, MIDI and timetags and flatten arrays', () => {
+    const blob = Buffer.concat([int32(5), Buffer.from('abcde'), Buffer.alloc(3)]);
+    const packet = oscMessage('/mixed', 'b[im]ti', blob, int32(1), int32(0), Buffer.alloc(8), int32(2));
+
+    expect(parseOscPacket(packet)).toEqual([{ address: '/mixed', args: [null, 1, null, null, 2] }]);
+  });
+
+  it('should read a message without type tags as having no arguments', () => {
+    expect(parseOscPacket(oscString('/cue/go'))).toEqual([{ address: '/cue/go', args: [] }]);
+    expect(parseOscPacket(oscMessage('/cue/go', null))).toEqual([{ address: '/cue/go', args: [] }]);
+  });
+
+  it('should flatten bundles, nested ones included, in order', () => {
+    const packet = oscBundle(
+      oscMessage('/a', 'i', int32(1)),
+      oscBundle(oscMessage('/b', 'f', float32(0.25)), oscBundle(oscMessage('/c', ''))),
+      oscMessage('/d', 'T')
+    );
+
+    expect(parseOscPacket(packet)).toEqual([
+      { address: '/a', args: [1] },
+      { address: '/b', args: [0.25] },
+      { address: '/c', args: [] },
+      { address: '/d', args: [true] }
+    ]);
+    expect(parseOscPacket(oscBundle())).toEqual([]);
+  });
+
+  it('should reject packets that are not OSC', () => {
+    expect(() => parseOscPacket(Buffer.alloc(0))).toThrow(/Unterminated/);
+    expect(() => parseOscPacket(oscString('cue/go'))).toThrow(/Not an OSC address/);
+    expect(() => parseOscPacket(oscMessage('/x', 'q', int32(1)))).toThrow(/Unsupported OSC type tag "q"/);
+  });
+
+  it('should reject truncated packets', () => {
+    const truncated = [
+      Buffer.from('/cue/go'),
+      oscMessage('/x', 'i', Buffer.alloc(2)),
+      oscMessage('/x', 'd', Buffer.alloc(4)),
+      oscMessage('/x', 's', Buffer.from('abc')),
+      oscMessage('/x', 'r', Buffer.alloc(2)),
+      oscMessage('/x', 'm'),
+      oscMessage('/x', 't', Buffer.alloc(4)),
+      oscMessage('/x', 'b', int32(16), Buffer.alloc(8)),
+      Buffer.concat([oscString('#bundle'), Buffer.alloc(4)]),
+      oscBundle(oscMessage('/a', 'i', int32(1))).subarray(0, -4)
+    ];
+
+    truncated.forEach(packet => expect(() => parseOscPacket(packet)).toThrow());
+  });
+
+  it('should reject negative and oversized sizes instead of reading backwards or past the end', () => {
+    const element = oscMessage('/a', '');
+    const withSize = (size) => Buffer.concat([oscString('#bundle'), Buffer.alloc(8), int32(size), element]);
+
+    expect(parseOscPacket(withSize(element.length))).toEqual([{ address: '/a', args: [] }]);
+    // -4 would otherwise leave the read position where it is, forever
+    expect(() => parseOscPacket(withSize(-4))).toThrow(/Truncated/);
+    expect(() => parseOscPacket(withSize(-100))).toThrow(/Truncated/);
+    expect(() => parseOscPacket(withSize(element.length + 4))).toThrow(/Truncated/);
+    expect(() => parseOscPacket(oscMessage('/x', 'bi', int32(-8), int32(1)))).toThrow(/Truncated/);
+  });
+});
+
+describe('OSC bridge', () => {
+  let relay;
+  let bridge;
+  let editor;
+  let sender;
+
+  afterEach(async () => {
+    sender?.close();
+    editor?.close();
+    await bridge?.close();
+    await relay?.close();
+  });
+
+  it('should forward decoded messages to the editor and skip malformed packets', async () => {
+    relay = createRelayServer({ port: 0, host: '127.0.0.1' });
+    await once(relay.server, 'listening');
+    const relayPort = relay.server.address().port;
+
+    editor = new WebSocket(`ws://127.0.0.1:${relayPort}`);
+    const received = [];
+    editor.on('message', data => received.push(JSON.parse(String(data))));
+    await once(editor, 'open');
+    editor.send(JSON.stringify({ type: 'REMOTE_HOST_READY', payload: null }));
+
+    const log = vi.fn();
+    bridge = createOscBridge({ port: 0, host: '127.0.0.1', relayUrl: `ws://127.0.0.1:${relayPort}`, log });
+    await once(bridge.udp, 'listening');
+    await vi.waitFor(() => expect(log).toHaveBeenCalledWith(expect.stringMatching(/^Connected/)));
+
+    sender = createSocket('udp4');
+    const send = (packet) => new Promise(resolveSend => sender.send(packet, bridge.udp.address().port, '127.0.0.1', resolveSend));
+    await send(Buffer.from('not osc'));
+    await send(oscBundle(oscMessage('/cue/go', ''), oscMessage('/surface/1/opacity', 'f', float32(0.5))));
+
+    await vi.waitFor(() => expect(received).toHaveLength(2));
+    expect(received.map(({ type, payload }) => ({ type, payload }))).toEqual([
+      { type: 'OSC_MESSAGE', payload: { address: '/cue/go', args: [] } },
+      { type: 'OSC_MESSAGE', payload: { address: '/surface/1/opacity', args: [0.5] } }
+    ]);
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/^Ignored a malformed OSC packet/));
+  });
+});
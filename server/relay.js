@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { createReadStream, existsSync, statSync } from 'node:fs';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer, WebSocket } from 'ws';
+import { createRemoteControl, getRequestPath } from './remote-control.js';
+
+/**
+ * Sync Relay Server
+ * Relays broadcastManager messages between windows on different machines:
+ * every message a client sends is forwarded, unchanged, to all other clients,
+ * except remote-control and OSC messages, which only the relay itself sends. Show
+ * controllers reach the editor through its remote-control API (see
+ * remote-control.js); its origin check and token apply to every socket. Windows measure their clock offset to the relay's
+ * clock with CLOCK_PING, so machines whose clocks disagree still play in step.
+ * It also serves the built app (`dist/`) when present, so a LAN without
+ * internet access needs nothing but this process.
+ *
+ *   npm run build && npm run relay
+ *   editor:    http://<relay-host>:8787/edit?sync
+ *   projector: http://<relay-host>:8787/live?sync
+ */
+
+export const DEFAULT_RELAY_PORT = 8787;
+
+// Interval at which silent clients are probed and, if still silent, dropped
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Clock sync with the app (ClockSyncMessages in src/shared/utils/clock-sync.ts)
+const CLOCK_PING = 'CLOCK_PING';
+const CLOCK_PONG = 'CLOCK_PONG';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.wasm': 'application/wasm'
+};
+
+/**
+ * Serve a file from the built app, falling back to index.html for client-side routes
+ */
+function serveStatic(staticDir, request, response) {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(request.url, 'http://relay').pathname);
+  } catch {
+    // A malformed path or percent-escape must not take the relay down
+    response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Bad request path\n');
+    return;
+  }
+  const candidate = normalize(join(staticDir, path));
+  const insideRoot = candidate === staticDir || candidate.startsWith(staticDir + sep);
+  const file = insideRoot && existsSync(candidate) && statSync(candidate).isFile()
+    ? candidate
+    : join(staticDir, 'index.html');
+
+  response.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] ?? 'application/octet-stream' });
+  createReadStream(file).pipe(response);
+}
+
+/**
+ * Start a relay
+ * @param {{ port?: number, host?: string, staticDir?: string | null, token?: string | null, origins?: string[] }} options
+ *   `token` is required from remote-control requests and every socket when set;
+ *   `origins` are other origins serving the app whose pages may connect
+ * @returns {{ server: import('node:http').Server, wss: WebSocketServer, close: () => Promise<void> }}
+ */
+export function createRelayServer({
+  port = DEFAULT_RELAY_PORT,
+  host = '0.0.0.0',
+  staticDir = null,
+  token = null,
+  origins = []
+} = {}) {
+  const root = staticDir && existsSync(join(staticDir, 'index.html')) ? resolve(staticDir) : null;
+
+  const remoteControl = createRemoteControl({ token, origins });
+
+  const server = createServer((request, response) => {
+    if (remoteControl.handleHttp(request, response)) {
+      return;
+    }
+    if (root && request.method === 'GET') {
+      serveStatic(root, request, response);
+      return;
+    }
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Sync relay: connect with a WebSocket, use /api/command and /api/state, or build the app to serve it from here\n');
+  });
+
+  const wss = new WebSocketServer({ server });
+
+  wss.on('connection', (socket, request) => {
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    // Show controllers and the OSC bridge talk to the editor and never see sync traffic
+    const pathname = getRequestPath(request);
+    if (pathname === null) {
+      socket.close(1008, 'Bad request path');
+      return;
+    }
+    // App windows can reach the editor too (remote-control results, host offers)
+    if (!remoteControl.isAuthorized(request)) {
+      socket.close(1008, 'Forbidden');
+      return;
+    }
+    if (pathname === '/control' || pathname === '/osc') {
+      socket.isController = true;
+      if (pathname === '/control') {
+        remoteControl.handleControlSocket(socket);
+      } else {
+        remoteControl.handleOscSocket(socket);
+      }
+      return;
+    }
+
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) return;
+      let message = null;
+      try {
+        message = JSON.parse(String(data));
+      } catch {
+        // Not ours to judge: forward it like any other message
+      }
+      if (message?.type === CLOCK_PING) {
+        socket.send(JSON.stringify({
+          type: CLOCK_PONG,
+          payload: { sentAt: message.payload?.sentAt, relayTime: Date.now() },
+          timestamp: Date.now()
+        }));
+        return;
+      }
+      if (remoteControl.handleAppMessage(socket, message)) return;
+
+      wss.clients.forEach(client => {
+        if (client !== socket && !client.isController && client.readyState === WebSocket.OPEN) {
+          client.send(data, { binary: false });
+        }
+      });
+    });
+    socket.on('close', () => remoteControl.removeSocket(socket));
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  server.listen(port, host);
+
+  const close = () => new Promise(resolveClose => {
+    clearInterval(heartbeat);
+    wss.clients.forEach(socket => socket.terminate());
+    wss.close(() => server.close(() => resolveClose()));
+  });
+
+  return { server, wss, close };
+}
+
+// Run directly: `node server/relay.js [--port 8787] [--host 0.0.0.0] [--token <secret>] [--origin <url,...>]`
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const getArgument = (name) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+  const port = Number(getArgument('port') ?? process.env.RELAY_PORT ?? DEFAULT_RELAY_PORT);
+  const host = getArgument('host') ?? process.env.RELAY_HOST ?? '0.0.0.0';
+  const token = getArgument('token') ?? process.env.RELAY_TOKEN ?? null;
+  const origins = (getArgument('origin') ?? process.env.RELAY_ORIGINS ?? '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  const staticDir = fileURLToPath(new URL('../dist', import.meta.url));
+
+  const { server, close } = createRelayServer({ port, host, staticDir, token, origins });
+  server.on('listening', () => {
+    console.log(`Sync relay listening on ws://${host}:${port}`);
+    console.log(token
+      ? 'Windows and remote control require the token'
+      : 'Windows and remote control are open to anyone on the network; set --token to require one');
+    console.log(existsSync(join(staticDir, 'index.html'))
+      ? `Serving the built app from ${staticDir}`
+      : 'No build found in dist/; run `npm run build` to serve the app from the relay');
+  });
+  server.on('error', (error) => {
+    console.error('Sync relay failed:', error.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
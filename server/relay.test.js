@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { request as httpRequest } from 'node:http';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { once } from 'node:events';
+import { WebSocket } from 'ws';
+import { createRelayServer } from './relay.js';
+
+// Raw request, so the path reaches the relay exactly as written
+const request = (port, path) => new Promise((resolve, reject) => {
+  const req = httpRequest({ host: '127.0.0.1', port, path }, response => {
+    let body = '';
+    response.on('data', chunk => { body += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body }));
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+const connect = async (port, path = '/', options = {}) => {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${path}`, options);
+  socket.received = [];
+  socket.on('message', data => socket.received.push(JSON.parse(String(data))));
+  await once(socket, 'open');
+  return socket;
+};
+
+// Wait for the relay to pass on what is in flight
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('relay sync', () => {
+  let relay;
+  let port;
+
+  beforeEach(async () => {
+    relay = createRelayServer({ port: 0, host: '127.0.0.1' });
+    await once(relay.server, 'listening');
+    port = relay.server.address().port;
+  });
+
+  afterEach(async () => {
+    await relay.close();
+  });
+
+  it('should forward app messages to every other window but not to controllers', async () => {
+    const editor = await connect(port);
+    const projector = await connect(port);
+    const controller = await connect(port, '/control');
+
+    editor.send(JSON.stringify({ type: 'SURFACE_UPDATED', payload: { id: 'surface-1' } }));
+    await settle();
+
+    expect(projector.received).toEqual([{ type: 'SURFACE_UPDATED', payload: { id: 'surface-1' } }]);
+    expect(editor.received).toEqual([]);
+    expect(controller.received).toEqual([]);
+    [editor, projector, controller].forEach(socket => socket.close());
+  });
+
+  it('should not let a window hand the editor a command', async () => {
+    const editor = await connect(port);
+    editor.send(JSON.stringify({ type: 'REMOTE_HOST_READY', payload: {} }));
+    const intruder = await connect(port);
+    await settle();
+
+    intruder.send(JSON.stringify({ type: 'REMOTE_COMMAND', payload: { id: 1, command: { command: 'blackout' } } }));
+    await settle();
+
+    expect(editor.received).toEqual([]);
+    [editor, intruder].forEach(socket => socket.close());
+  });
+
+  it('should pass OSC on from the bridge socket only, not from windows', async () => {
+    const editor = await connect(port);
+    editor.send(JSON.stringify({ type: 'REMOTE_HOST_READY', payload: {} }));
+    const intruder = await connect(port);
+    const bridge = await connect(port, '/osc');
+    await settle();
+
+    intruder.send(JSON.stringify({ type: 'OSC_MESSAGE', payload: { address: '/blackout', args: [1] } }));
+    bridge.send(JSON.stringify({ address: '/cue/go', args: [] }));
+    await settle();
+
+    expect(editor.received.map(({ type, payload }) => ({ type, payload }))).toEqual([
+      { type: 'OSC_MESSAGE', payload: { address: '/cue/go', args: [] } }
+    ]);
+    expect(intruder.received).toEqual([]);
+    [editor, intruder, bridge].forEach(socket => socket.close());
+  });
+
+  it('should refuse windows from other sites unless their origin is allowed', async () => {
+    const refused = new WebSocket(`ws://127.0.0.1:${port}/`, { origin: 'http://evil.example' });
+    expect((await once(refused, 'close'))[0]).toBe(1008);
+
+    const allowing = createRelayServer({ port: 0, host: '127.0.0.1', origins: ['http://laptop.local:5173'] });
+    await once(allowing.server, 'listening');
+    const projector = await connect(allowing.server.address().port, '/', { origin: 'http://laptop.local:5173' });
+    projector.close();
+    await allowing.close();
+  });
+
+  it('should refuse windows without the token when one is set', async () => {
+    const guarded = createRelayServer({ port: 0, host: '127.0.0.1', token: 's3cret' });
+    await once(guarded.server, 'listening');
+    const guardedPort = guarded.server.address().port;
+
+    const intruder = new WebSocket(`ws://127.0.0.1:${guardedPort}/`);
+    expect((await once(intruder, 'close'))[0]).toBe(1008);
+    const projector = await connect(guardedPort, '/?token=s3cret');
+    projector.close();
+    await guarded.close();
+  });
+
+  it('should refuse unparsable paths and keep running', async () => {
+    expect((await request(port, '//')).status).toBe(400);
+
+    const socket = new WebSocket(`ws://127.0.0.1:${port}//`);
+    const [code] = await once(socket, 'close');
+    expect(code).toBe(1008);
+
+    expect((await request(port, '/api/state')).status).toBe(503);
+  });
+
+  it('should answer clock pings with its own time and not forward them', async () => {
+    const editor = await connect(port);
+    const projector = await connect(port);
+
+    const before = Date.now();
+    editor.send(JSON.stringify({ type: 'CLOCK_PING', payload: { sentAt: 1234 } }));
+    await settle();
+
+    expect(editor.received).toHaveLength(1);
+    expect(editor.received[0].type).toBe('CLOCK_PONG');
+    expect(editor.received[0].payload.sentAt).toBe(1234);
+    expect(editor.received[0].payload.relayTime).toBeGreaterThanOrEqual(before);
+    expect(projector.received).toEqual([]);
+    [editor, projector].forEach(socket => socket.close());
+  });
+});
+
+describe('relay static files', () => {
+  let staticDir;
+  let relay;
+  let port;
+
+  beforeEach(async () => {
+    staticDir = mkdtempSync(join(tmpdir(), 'relay-static-'));
+    writeFileSync(join(staticDir, 'index.html'), '<!doctype html>app');
+    writeFileSync(join(staticDir, 'app.js'), 'console.log(1)');
+    relay = createRelayServer({ port: 0, host: '127.0.0.1', staticDir });
+    await once(relay.server, 'listening');
+    port = relay.server.address().port;
+  });
+
+  afterEach(async () => {
+    await relay.close();
+    rmSync(staticDir, { recursive: true, force: true });
+  });
+
+  it('should serve files and fall back to index.html for app routes', async () => {
+    expect(await request(port, '/app.js')).toEqual({ status: 200, body: 'console.log(1)' });
+    expect(await request(port, '/live')).toEqual({ status: 200, body: '<!doctype html>app' });
+  });
+
+  it('should not serve files outside the build', async () => {
+    expect((await request(port, '/%2e%2e/%2e%2e/etc/passwd')).body).toBe('<!doctype html>app');
+  });
+
+  it('should answer 400 to a malformed percent-escape and keep running', async () => {
+    expect((await request(port, '/%E0%A4%A')).status).toBe(400);
+    expect((await request(port, '/app.js')).status).toBe(200);
+  });
+});
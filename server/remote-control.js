@@ -0,0 +1,249 @@
+import { timingSafeEqual } from 'node:crypto';
+import { WebSocket } from 'ws';
+
+/**
+ * Remote Control
+ * Show controllers drive the app through the relay: commands arrive over HTTP
+ * (`POST /api/command`, `GET /api/state`) or a WebSocket on `/control`, go to
+ * the editor that most recently offered to take them, and its result is sent
+ * back. The editor validates and carries out every command (see
+ * src/shared/utils/remote-control.ts); this side only routes them. OSC
+ * messages from the OSC bridge (osc-bridge.js, on `/osc`) go to the same editor.
+ *
+ * The API has no CORS headers and refuses browser requests from other origins,
+ * so a web page open on an operator's machine cannot drive the show. With a
+ * token configured, every API request and socket, app windows included, must
+ * also carry it. Commands only ever come from the relay: a window sending one
+ * itself is ignored rather than forwarded to the editor, and so is OSC: it only
+ * reaches the editor from the bridge's authorized `/osc` socket.
+ */
+
+// Message types shared with the app (MessageTypes in src/shared/utils/broadcast-channel.ts)
+const REMOTE_HOST_READY = 'REMOTE_HOST_READY';
+const REMOTE_COMMAND = 'REMOTE_COMMAND';
+const REMOTE_COMMAND_RESULT = 'REMOTE_COMMAND_RESULT';
+const OSC_MESSAGE = 'OSC_MESSAGE';
+
+const COMMAND_TIMEOUT_MS = 5000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Path of a request, or null when it cannot be parsed (e.g. `//`)
+ */
+export function getRequestPath(request) {
+  try {
+    return new URL(request.url, 'http://relay').pathname;
+  } catch {
+    return null;
+  }
+}
+
+// Browsers name the page behind every cross-origin request; controllers send no Origin.
+// `origins` lists the other origins serving the app (e.g. a dev server)
+function isAllowedOrigin(request, origins) {
+  const { origin } = request.headers;
+  if (!origin || origins.includes(origin)) return true;
+  try {
+    return new URL(origin).host === request.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+// Token from `Authorization: Bearer <token>` or a `?token=` query parameter
+function getRequestToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization ?? '');
+  if (match) return match[1];
+  return new URL(request.url, 'http://relay').searchParams.get('token');
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * @param {{ token?: string | null, origins?: string[] }} options Shared secret
+ *   controllers and windows must send, if any, and origins besides the relay's own
+ *   whose pages may connect
+ */
+export function createRemoteControl({ token = null, origins = [] } = {}) {
+  // Editors that accept commands, most recent last
+  const hosts = [];
+  const pending = new Map();
+  let nextCommandId = 1;
+
+  const getHost = () => [...hosts].reverse().find(socket => socket.readyState === WebSocket.OPEN);
+
+  /**
+   * Send a command to the current editor
+   * @returns {Promise<{ status: number, result: object }>} HTTP-style status and the editor's result
+   */
+  function sendCommand(command) {
+    const host = getHost();
+    if (!host) {
+      return Promise.resolve({
+        status: 503,
+        result: { ok: false, error: 'No editor is connected to the relay (open /edit?sync)' }
+      });
+    }
+
+    const id = nextCommandId++;
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        resolve({ status: 504, result: { ok: false, error: 'The editor did not answer in time' } });
+      }, COMMAND_TIMEOUT_MS);
+      pending.set(id, result => {
+        clearTimeout(timer);
+        resolve({ status: result.ok ? 200 : 422, result });
+      });
+      host.send(JSON.stringify({ type: REMOTE_COMMAND, payload: { id, command }, timestamp: Date.now() }));
+    });
+  }
+
+  /**
+   * Handle a message from an app window
+   * @returns {boolean} True when the message was meant for the relay, or is one only
+   *   the relay may send, and must not be forwarded
+   */
+  function handleAppMessage(socket, message) {
+    if (message?.type === REMOTE_COMMAND || message?.type === OSC_MESSAGE) {
+      return true;
+    }
+    if (message?.type === REMOTE_HOST_READY) {
+      removeSocket(socket);
+      hosts.push(socket);
+      return true;
+    }
+    if (message?.type === REMOTE_COMMAND_RESULT) {
+      const { id, ...result } = message.payload ?? {};
+      pending.get(id)?.(result);
+      pending.delete(id);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether an API request or socket may drive the show
+   */
+  function isAuthorized(request) {
+    if (!isAllowedOrigin(request, origins)) return false;
+    if (!token) return true;
+    const given = Buffer.from(getRequestToken(request) ?? '');
+    const expected = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  function removeSocket(socket) {
+    const index = hosts.indexOf(socket);
+    if (index !== -1) {
+      hosts.splice(index, 1);
+    }
+  }
+
+  /**
+   * Serve the HTTP API
+   * @returns {boolean} True when the request was an API request
+   */
+  function handleHttp(request, response) {
+    const pathname = getRequestPath(request);
+    if (pathname === null) {
+      sendJson(response, 400, { ok: false, error: 'Bad request path' });
+      return true;
+    }
+    if (!pathname.startsWith('/api/')) {
+      return false;
+    }
+
+    if (!isAuthorized(request)) {
+      sendJson(response, 403, { ok: false, error: token ? 'Missing or wrong token' : 'Cross-origin requests are not allowed' });
+    } else if (pathname === '/api/state' && request.method === 'GET') {
+      sendCommand({ command: 'getState' }).then(({ status, result }) => sendJson(response, status, result));
+    } else if (pathname === '/api/command' && request.method === 'POST' && !/^application\/json\b/i.test(request.headers['content-type'] ?? '')) {
+      // Browsers send only form and text bodies cross-origin without asking first
+      sendJson(response, 415, { ok: false, error: 'Send the command as Content-Type: application/json' });
+    } else if (pathname === '/api/command' && request.method === 'POST') {
+      readBody(request)
+        .then(body => {
+          let command;
+          try {
+            command = JSON.parse(body);
+          } catch {
+            sendJson(response, 400, { ok: false, error: 'Body is not valid JSON' });
+            return;
+          }
+          return sendCommand(command).then(({ status, result }) => sendJson(response, status, result));
+        })
+        .catch(error => sendJson(response, 413, { ok: false, error: error.message }));
+    } else {
+      sendJson(response, 404, { ok: false, error: 'Unknown endpoint (use POST /api/command or GET /api/state)' });
+    }
+    return true;
+  }
+
+  /**
+   * Take commands from a controller's WebSocket; each answer echoes the command's `id`
+   */
+  function handleControlSocket(socket) {
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) return;
+      let message;
+      try {
+        message = JSON.parse(String(data));
+      } catch {
+        socket.send(JSON.stringify({ ok: false, error: 'Message is not valid JSON' }));
+        return;
+      }
+      const { id, ...command } = message ?? {};
+      sendCommand(command).then(({ result }) => {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ id, ...result }));
+        }
+      });
+    });
+  }
+
+  /**
+   * Pass the OSC bridge's messages (`{ address, args }`) on to the current editor;
+   * without one they are dropped, like OSC sent to a closed port
+   */
+  function handleOscSocket(socket) {
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) return;
+      let message;
+      try {
+        message = JSON.parse(String(data));
+      } catch {
+        return;
+      }
+      if (typeof message?.address !== 'string' || !Array.isArray(message.args)) return;
+      getHost()?.send(JSON.stringify({
+        type: OSC_MESSAGE,
+        payload: { address: message.address, args: message.args },
+        timestamp: Date.now()
+      }));
+    });
+  }
+
+  return { handleAppMessage, handleHttp, handleControlSocket, handleOscSocket, removeSocket, isAuthorized };
+}
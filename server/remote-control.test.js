@@ -0,0 +1,240 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { request as httpRequest } from 'node:http';
+import { EventEmitter, once } from 'node:events';
+import { PassThrough } from 'node:stream';
+import { WebSocket } from 'ws';
+import { createRelayServer } from './relay.js';
+import { createRemoteControl } from './remote-control.js';
+
+const startRelay = async (options = {}) => {
+  const relay = createRelayServer({ port: 0, host: '127.0.0.1', ...options });
+  await once(relay.server, 'listening');
+  return { ...relay, port: relay.server.address().port };
+};
+
+const request = (port, { method = 'GET', path, headers = {}, body }) => new Promise((resolve, reject) => {
+  const req = httpRequest({ host: '127.0.0.1', port, method, path, headers }, response => {
+    let text = '';
+    response.on('data', chunk => { text += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: JSON.parse(text) }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+const postCommand = (port, command, headers = {}) => request(port, {
+  method: 'POST',
+  path: '/api/command',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(command)
+});
+
+/**
+ * An editor window that takes commands and answers each with `answer(command)`
+ */
+const connectEditor = async (port, path = '/', answer = () => ({ ok: true })) => {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+  await once(socket, 'open');
+  socket.on('message', data => {
+    const { type, payload } = JSON.parse(String(data));
+    if (type !== 'REMOTE_COMMAND') return;
+    const result = answer(payload.command);
+    if (result) {
+      socket.send(JSON.stringify({ type: 'REMOTE_COMMAND_RESULT', payload: { id: payload.id, ...result } }));
+    }
+  });
+  socket.send(JSON.stringify({ type: 'REMOTE_HOST_READY', payload: null }));
+  // Let the relay register the host before commands arrive
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return socket;
+};
+
+describe('remote control access', () => {
+  let relay;
+  let editor;
+
+  afterEach(async () => {
+    editor?.close();
+    editor = null;
+    await relay.close();
+  });
+
+  it('should send no CORS headers and refuse cross-origin browser requests', async () => {
+    relay = await startRelay();
+    editor = await connectEditor(relay.port);
+
+    const crossOrigin = await postCommand(relay.port, { command: 'blackout' }, { Origin: 'http://evil.example' });
+    expect(crossOrigin.status).toBe(403);
+    expect(crossOrigin.headers['access-control-allow-origin']).toBeUndefined();
+
+    const sameOrigin = await request(relay.port, {
+      path: '/api/state',
+      headers: { Origin: `http://127.0.0.1:${relay.port}` }
+    });
+    expect(sameOrigin.status).toBe(200);
+  });
+
+  it('should only take commands sent as JSON', async () => {
+    relay = await startRelay();
+    editor = await connectEditor(relay.port);
+
+    // A plain form or text POST is what a page can send cross-origin without a preflight
+    const text = await postCommand(relay.port, { command: 'blackout' }, { 'Content-Type': 'text/plain' });
+    expect(text.status).toBe(415);
+    expect((await postCommand(relay.port, { command: 'blackout' })).status).toBe(200);
+  });
+
+  it('should require the token when one is set, on HTTP, controller and window sockets', async () => {
+    relay = await startRelay({ token: 's3cret' });
+    editor = await connectEditor(relay.port, '/?token=s3cret');
+
+    const window = new WebSocket(`ws://127.0.0.1:${relay.port}/`);
+    expect((await once(window, 'close'))[0]).toBe(1008);
+
+    expect((await postCommand(relay.port, { command: 'go' })).status).toBe(403);
+    expect((await postCommand(relay.port, { command: 'go' }, { Authorization: 'Bearer wrong' })).status).toBe(403);
+    expect((await postCommand(relay.port, { command: 'go' }, { Authorization: 'Bearer s3cret' })).status).toBe(200);
+    expect((await request(relay.port, { path: '/api/state?token=s3cret' })).status).toBe(200);
+
+    const refused = new WebSocket(`ws://127.0.0.1:${relay.port}/control`);
+    const [code] = await once(refused, 'close');
+    expect(code).toBe(1008);
+
+    const controller = new WebSocket(`ws://127.0.0.1:${relay.port}/control?token=s3cret`);
+    await once(controller, 'open');
+    controller.send(JSON.stringify({ id: 7, command: 'go' }));
+    const [answer] = await once(controller, 'message');
+    expect(JSON.parse(String(answer))).toEqual({ id: 7, ok: true });
+    controller.close();
+  });
+});
+
+// In-memory stand-ins for the relay's sockets and HTTP exchanges
+const createSocket = () => {
+  const socket = new EventEmitter();
+  socket.readyState = WebSocket.OPEN;
+  socket.sent = [];
+  socket.send = data => socket.sent.push(JSON.parse(data));
+  return socket;
+};
+
+const createRequest = (method, url, body = '', headers = {}) => {
+  const request = new PassThrough();
+  Object.assign(request, { method, url, headers: { 'content-type': 'application/json', ...headers } });
+  request.end(body);
+  return request;
+};
+
+const createResponse = () => {
+  const response = {};
+  response.done = new Promise(resolve => {
+    response.writeHead = status => { response.status = status; };
+    response.end = text => {
+      response.body = JSON.parse(text);
+      resolve(response);
+    };
+  });
+  return response;
+};
+
+const serve = (remoteControl, request) => {
+  const response = createResponse();
+  expect(remoteControl.handleHttp(request, response)).toBe(true);
+  return response.done;
+};
+
+describe('remote control routing', () => {
+  let remoteControl;
+  let editor;
+
+  // The editor answers the command it was last sent
+  const answer = (host, result) => {
+    const { id } = host.sent.at(-1).payload;
+    remoteControl.handleAppMessage(host, { type: 'REMOTE_COMMAND_RESULT', payload: { id, ...result } });
+  };
+
+  beforeEach(() => {
+    remoteControl = createRemoteControl();
+    editor = createSocket();
+    expect(remoteControl.handleAppMessage(editor, { type: 'REMOTE_HOST_READY' })).toBe(true);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should hand commands to the editor and return its result', async () => {
+    const done = serve(remoteControl, createRequest('POST', '/api/command', '{"command":"go"}'));
+    await vi.waitFor(() => expect(editor.sent).toHaveLength(1));
+
+    expect(editor.sent[0]).toMatchObject({ type: 'REMOTE_COMMAND', payload: { command: { command: 'go' } } });
+    answer(editor, { ok: true });
+    expect(await done).toMatchObject({ status: 200, body: { ok: true } });
+  });
+
+  it('should answer 422 when the editor rejects a command and 400 for a body that is not JSON', async () => {
+    const rejected = serve(remoteControl, createRequest('POST', '/api/command', '{"command":"fly"}'));
+    await vi.waitFor(() => expect(editor.sent).toHaveLength(1));
+    answer(editor, { ok: false, error: 'Unknown command' });
+
+    expect(await rejected).toMatchObject({ status: 422, body: { ok: false, error: 'Unknown command' } });
+    expect(await serve(remoteControl, createRequest('POST', '/api/command', '{go'))).toMatchObject({ status: 400 });
+  });
+
+  it('should route to the most recent editor still connected', async () => {
+    const laterEditor = createSocket();
+    remoteControl.handleAppMessage(laterEditor, { type: 'REMOTE_HOST_READY' });
+    laterEditor.readyState = WebSocket.CLOSED;
+
+    serve(remoteControl, createRequest('GET', '/api/state'));
+
+    expect(laterEditor.sent).toEqual([]);
+    expect(editor.sent[0].payload.command).toEqual({ command: 'getState' });
+    answer(editor, { ok: true });
+  });
+
+  it('should answer 503 without an editor', async () => {
+    remoteControl.removeSocket(editor);
+
+    expect(await serve(remoteControl, createRequest('GET', '/api/state'))).toMatchObject({ status: 503, body: { ok: false } });
+  });
+
+  it('should answer 504 when the editor does not answer in time', async () => {
+    vi.useFakeTimers();
+    const done = serve(remoteControl, createRequest('GET', '/api/state'));
+
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(await done).toMatchObject({ status: 504, body: { ok: false } });
+    // A late answer is ignored
+    answer(editor, { ok: true });
+  });
+
+  it('should answer 413 to a body over 1 MB', async () => {
+    const body = JSON.stringify({ command: 'setContent', contentData: 'x'.repeat(1024 * 1024) });
+
+    expect(await serve(remoteControl, createRequest('POST', '/api/command', body))).toMatchObject({ status: 413 });
+    expect(editor.sent).toEqual([]);
+  });
+
+  it('should answer 404 to unknown endpoints and leave other paths to the relay', async () => {
+    expect(await serve(remoteControl, createRequest('GET', '/api/cues'))).toMatchObject({ status: 404 });
+    expect(remoteControl.handleHttp(createRequest('GET', '/live'), createResponse())).toBe(false);
+  });
+
+  it('should answer controller sockets with the command id and pass OSC on to the editor', async () => {
+    const controller = createSocket();
+    remoteControl.handleControlSocket(controller);
+    controller.emit('message', Buffer.from('{"id":"a1","command":"back"}'), false);
+    answer(editor, { ok: true });
+    await vi.waitFor(() => expect(controller.sent).toEqual([{ id: 'a1', ok: true }]));
+
+    const bridge = createSocket();
+    remoteControl.handleOscSocket(bridge);
+    bridge.emit('message', Buffer.from('{"address":"/cue/go","args":[1]}'), false);
+    bridge.emit('message', Buffer.from('{"address":42}'), false);
+
+    expect(editor.sent.at(-1)).toMatchObject({ type: 'OSC_MESSAGE', payload: { address: '/cue/go', args: [1] } });
+    expect(editor.sent.filter(message => message.type === 'OSC_MESSAGE')).toHaveLength(1);
+  });
+});
@@ -3,6 +3,11 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AppProvider } from './shared/context/AppContext';
 import { AudioProvider } from './shared/context/AudioContext';
 import { SurfaceProvider } from './features/surface-manager';
+import { ClockProvider } from './features/clock';
+import { CueProvider } from './features/cues';
+import { TimelineProvider } from './features/timeline';
+import { OscProvider } from './features/osc';
+import { MidiProvider } from './features/midi';
 import { LiveView, EditView } from './views';
 import './index.css';
 
@@ -15,18 +20,28 @@ export default function App() {
     <BrowserRouter>
       <AppProvider>
         <AudioProvider>
-          <SurfaceProvider>
-            <Routes>
-              {/* Edit view - full editor interface */}
-              <Route path="/edit" element={<EditView />} />
+          <ClockProvider>
+            <SurfaceProvider>
+              <CueProvider>
+                <TimelineProvider>
+                  <OscProvider>
+                    <MidiProvider>
+                      <Routes>
+                        {/* Edit view - full editor interface */}
+                        <Route path="/edit" element={<EditView />} />
 
-              {/* Live view - full-screen output only */}
-              <Route path="/live" element={<LiveView />} />
+                        {/* Live view - full-screen output only */}
+                        <Route path="/live" element={<LiveView />} />
 
-              {/* Default route redirects to edit */}
-              <Route path="/" element={<Navigate to="/edit" replace />} />
-            </Routes>
-          </SurfaceProvider>
+                        {/* Default route redirects to edit */}
+                        <Route path="/" element={<Navigate to="/edit" replace />} />
+                      </Routes>
+                    </MidiProvider>
+                  </OscProvider>
+                </TimelineProvider>
+              </CueProvider>
+            </SurfaceProvider>
+          </ClockProvider>
         </AudioProvider>
       </AppProvider>
     </BrowserRouter>
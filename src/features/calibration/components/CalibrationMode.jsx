@@ -3,8 +3,15 @@ import { useDrag } from '@use-gesture/react';
 import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
 import { useApp } from '../../../shared/context/AppContext';
 import { APP_MODES, GEOMETRY_TYPES } from '../../../shared/utils/constants';
+import { useOutputViewport } from '../../../shared/hooks/useOutputViewport';
+import { fromViewportCorners, fromViewportPoint, toViewportCorners, toViewportPoint } from '../../../shared/utils/output-space';
+import { closestPointOnSegment, getCornerPoints, insertSurfaceCorner, removeSurfaceCorner } from '../../../shared/utils/polygon';
+import { hasMeshWarpOffsets } from '../../../shared/utils/mesh-warp';
+import { getSurfaceOutputId } from '../../../shared/utils/outputs';
 import { CornerPoint } from './CornerPoint';
 import { TransformModeSelector } from './TransformModeSelector';
+import { MeshWarpEditor } from './MeshWarpEditor';
+import { MaskEditor } from './MaskEditor';
 import { GeometryGenerator } from '../../scene/utils/GeometryGenerator';
 import {
   TRANSFORM_MODES,
@@ -16,30 +23,98 @@ import {
 } from '../utils/SurfaceTransformations';
 import GUI from 'lil-gui';
 
+// Undo labels for whole-surface drags
+const SURFACE_DRAG_LABELS = {
+  [TRANSFORM_MODES.MOVE]: 'Move surface',
+  [TRANSFORM_MODES.ROTATE]: 'Rotate surface',
+  [TRANSFORM_MODES.SCALE]: 'Scale surface',
+};
+
 /**
  * Calibration Mode Component
  * Overlay with corner points and controls for calibrating surfaces
+ * Surfaces store normalized output corners; this overlay works in window
+ * pixels and converts at the edges through the output viewport
  */
 export function CalibrationMode() {
-  const { mode } = useApp();
-  const { selectedSurfaceId, getSurface, updateSurfaceCorners } = useSurfaces();
+  const { mode, outputs, activeOutput, outputResolution } = useApp();
+  const {
+    selectedSurfaceId,
+    getSurface,
+    updateSurface,
+    updateSurfaceCorners,
+    beginGesture,
+    endGesture
+  } = useSurfaces();
   const guiRef = useRef(null);
   const guiContainerRef = useRef(null);
   const [transformMode, setTransformMode] = useState(TRANSFORM_MODES.CORNERS);
+  // Mask whose points are being dragged instead of the surface corners ({ scope, id })
+  const [editingMask, setEditingMask] = useState(null);
+
+  // Selecting another surface ends mask editing
+  useEffect(() => {
+    setEditingMask(null);
+  }, [selectedSurfaceId]);
   const transformStateRef = useRef({ initialCenter: null, initialAngle: 0, initialDistance: 0 });
 
-  const surface = selectedSurfaceId ? getSurface(selectedSurfaceId) : null;
+  const viewport = useOutputViewport(outputResolution);
+
+  // Only surfaces on the output being calibrated can be edited
+  const selectedSurface = selectedSurfaceId ? getSurface(selectedSurfaceId) : null;
+  const surface = selectedSurface && getSurfaceOutputId(selectedSurface, outputs) === activeOutput.id
+    ? selectedSurface
+    : null;
+  // Latest surface for lil-gui callbacks, which outlive a render
+  const surfaceRef = useRef(surface);
+  surfaceRef.current = surface;
 
-  // Handle corner point drag
+  // Handle corner point drag (position in normalized output coordinates)
   const handleCornerDrag = (corner, position) => {
-    if (!surface) return;
+    const current = surfaceRef.current;
+    if (!current) return;
 
     const newCorners = {
-      ...surface.corners,
+      ...current.corners,
       [corner]: position
     };
 
-    updateSurfaceCorners(surface.id, newCorners);
+    updateSurfaceCorners(current.id, newCorners);
+  };
+
+  // Add a point where an edge was clicked (edge `index` runs from corner index to the next);
+  // the mesh warp only bends quads, so a bent one is removed after asking
+  const handleEdgeClick = (index, e) => {
+    if (
+      hasMeshWarpOffsets(surface.meshWarp)
+      && !window.confirm('Mesh warp only works on four-corner surfaces. Add the point and remove the mesh warp?')
+    ) {
+      return;
+    }
+    const points = getCornerPoints(surface.corners).map(point => toViewportPoint(point, viewport));
+    const start = points[index];
+    const end = points[(index + 1) % points.length];
+    const position = fromViewportPoint(closestPointOnSegment({ x: e.clientX, y: e.clientY }, start, end), viewport);
+    updateSurface(surface.id, insertSurfaceCorner(surface, index, position), { label: 'Add point' });
+  };
+
+  // Delete a point (keys are point0..pointN in outline order); surfaces keep at least three
+  const handleCornerRemove = (cornerKey) => {
+    const updates = removeSurfaceCorner(surface, parseInt(cornerKey.replace('point', ''), 10));
+    if (!updates) return;
+    updateSurface(surface.id, updates, { label: 'Delete point' });
+  };
+
+  // Whole-surface transforms run in window pixels so rotation keeps its shape
+  const getScreenCorners = () => toViewportCorners(surfaceRef.current.corners, viewport);
+  const updateScreenCorners = (screenCorners) => {
+    updateSurfaceCorners(surfaceRef.current.id, fromViewportCorners(screenCorners, viewport));
+  };
+
+  // Handle mesh lattice edits
+  const handleMeshWarpChange = (meshWarp) => {
+    if (!surface) return;
+    updateSurface(surface.id, { meshWarp }, { label: 'Edit mesh warp' });
   };
 
   // Handle whole-surface drag for move/rotate/scale
@@ -47,19 +122,24 @@ export function CalibrationMode() {
     ({ offset: [x, y], first, last, movement: [mx, my], xy: [currentX, currentY] }) => {
       if (!surface) return;
 
+      // The whole drag is one undo step
+      if (first) {
+        beginGesture(SURFACE_DRAG_LABELS[transformMode]);
+      }
+
       if (transformMode === TRANSFORM_MODES.MOVE) {
         // Move mode: translate surface
         if (first) {
-          transformStateRef.current.initialCorners = { ...surface.corners };
+          transformStateRef.current.initialCorners = getScreenCorners();
         }
         const [dx, dy] = [x, y];
         const newCorners = moveSurface(transformStateRef.current.initialCorners, dx, dy);
-        updateSurfaceCorners(surface.id, newCorners);
+        updateScreenCorners(newCorners);
       } else if (transformMode === TRANSFORM_MODES.ROTATE) {
         // Rotate mode: rotate around center
         if (first) {
-          transformStateRef.current.initialCorners = { ...surface.corners };
-          const center = calculateSurfaceCenter(surface.corners);
+          transformStateRef.current.initialCorners = getScreenCorners();
+          const center = calculateSurfaceCenter(transformStateRef.current.initialCorners);
           transformStateRef.current.initialCenter = center;
           transformStateRef.current.initialAngle = Math.atan2(
             currentY - center.y,
@@ -76,12 +156,12 @@ export function CalibrationMode() {
           deltaAngle,
           center
         );
-        updateSurfaceCorners(surface.id, newCorners);
+        updateScreenCorners(newCorners);
       } else if (transformMode === TRANSFORM_MODES.SCALE) {
         // Scale mode: scale from center
         if (first) {
-          transformStateRef.current.initialCorners = { ...surface.corners };
-          const center = calculateSurfaceCenter(surface.corners);
+          transformStateRef.current.initialCorners = getScreenCorners();
+          const center = calculateSurfaceCenter(transformStateRef.current.initialCorners);
           transformStateRef.current.initialCenter = center;
           transformStateRef.current.initialDistance = Math.sqrt(
             Math.pow(currentX - center.x, 2) + Math.pow(currentY - center.y, 2)
@@ -104,7 +184,11 @@ export function CalibrationMode() {
           scaleFactor,
           center
         );
-        updateSurfaceCorners(surface.id, newCorners);
+        updateScreenCorners(newCorners);
+      }
+
+      if (last) {
+        endGesture();
       }
     },
     {
@@ -142,8 +226,8 @@ export function CalibrationMode() {
       moveX: 0,
       moveY: 0,
       applyMove: () => {
-        const newCorners = moveSurface(surface.corners, moveParams.moveX, moveParams.moveY);
-        updateSurfaceCorners(surface.id, newCorners);
+        const newCorners = moveSurface(getScreenCorners(), moveParams.moveX, moveParams.moveY);
+        updateScreenCorners(newCorners);
         moveParams.moveX = 0;
         moveParams.moveY = 0;
         gui.updateDisplay();
@@ -160,8 +244,8 @@ export function CalibrationMode() {
       angle: 0,
       applyRotate: () => {
         const angleRadians = (rotateParams.angle * Math.PI) / 180;
-        const newCorners = rotateSurface(surface.corners, angleRadians);
-        updateSurfaceCorners(surface.id, newCorners);
+        const newCorners = rotateSurface(getScreenCorners(), angleRadians);
+        updateScreenCorners(newCorners);
         rotateParams.angle = 0;
         gui.updateDisplay();
       },
@@ -178,11 +262,11 @@ export function CalibrationMode() {
       uniform: true,
       applyScale: () => {
         const newCorners = scaleSurface(
-          surface.corners,
+          getScreenCorners(),
           scaleParams.scaleX,
           scaleParams.uniform ? scaleParams.scaleX : scaleParams.scaleY
         );
-        updateSurfaceCorners(surface.id, newCorners);
+        updateScreenCorners(newCorners);
         scaleParams.scaleX = 1;
         scaleParams.scaleY = 1;
         gui.updateDisplay();
@@ -198,18 +282,23 @@ export function CalibrationMode() {
     // Get corner keys based on geometry type
     const cornerKeys = GeometryGenerator.getCornerKeys(surface.geometryType, surface.cornerCount);
 
-    // Create folders for each corner
-    const cornersFolder = gui.addFolder('Corners');
+    // Create folders for each corner, edited in output pixels
+    const { width: outputWidth, height: outputHeight } = outputResolution;
+    const cornersFolder = gui.addFolder(`Corners (${outputWidth}×${outputHeight})`);
     cornerKeys.forEach((cornerKey, index) => {
       const cornerLabel = getCornerLabel(cornerKey, index);
       const folder = cornersFolder.addFolder(cornerLabel);
+      const cornerParams = {
+        x: surface.corners[cornerKey].x * outputWidth,
+        y: surface.corners[cornerKey].y * outputHeight,
+      };
 
-      folder.add(surface.corners[cornerKey], 'x', 0, window.innerWidth).onChange((value) => {
-        handleCornerDrag(cornerKey, { ...surface.corners[cornerKey], x: value });
+      folder.add(cornerParams, 'x', 0, outputWidth).onChange((value) => {
+        handleCornerDrag(cornerKey, { ...surfaceRef.current.corners[cornerKey], x: value / outputWidth });
       });
 
-      folder.add(surface.corners[cornerKey], 'y', 0, window.innerHeight).onChange((value) => {
-        handleCornerDrag(cornerKey, { ...surface.corners[cornerKey], y: value });
+      folder.add(cornerParams, 'y', 0, outputHeight).onChange((value) => {
+        handleCornerDrag(cornerKey, { ...surfaceRef.current.corners[cornerKey], y: value / outputHeight });
       });
     });
 
@@ -219,7 +308,7 @@ export function CalibrationMode() {
         guiRef.current = null;
       }
     };
-  }, [mode, surface?.id, surface?.name, surface?.geometryType]); // Recreate GUI when surface changes
+  }, [mode, surface?.id, surface?.name, surface?.geometryType, surface?.cornerCount, viewport, outputResolution]); // Recreate GUI when surface, its points or output changes
 
   // Helper function to get corner label
   const getCornerLabel = (cornerKey, index) => {
@@ -235,14 +324,26 @@ export function CalibrationMode() {
     return null;
   }
 
-  // Show message if no surface is selected
+  const maskEditor = (
+    <MaskEditor
+      surface={surface}
+      viewport={viewport}
+      editing={editingMask}
+      onEditingChange={setEditingMask}
+    />
+  );
+
+  // Show message if no surface is selected (global masks stay editable)
   if (!surface) {
     return (
       <div className="fixed top-0 left-[300px] right-0 bottom-0 pointer-events-none z-[500]">
-        <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 bg-black/90 py-10 px-10 rounded-lg text-center text-white border border-white/20 pointer-events-auto">
-          <h2 className="m-0 mb-4 text-2xl">No Surface Selected</h2>
-          <p className="m-0 text-white/70 text-sm">Select a surface from the left panel to begin calibration</p>
-        </div>
+        {!editingMask && (
+          <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 bg-black/90 py-10 px-10 rounded-lg text-center text-white border border-white/20 pointer-events-auto">
+            <h2 className="m-0 mb-4 text-2xl">No Surface Selected</h2>
+            <p className="m-0 text-white/70 text-sm">Select a surface from the left panel to begin calibration</p>
+          </div>
+        )}
+        {maskEditor}
       </div>
     );
   }
@@ -251,15 +352,53 @@ export function CalibrationMode() {
   const cornerKeys = GeometryGenerator.getCornerKeys(surface.geometryType, surface.cornerCount);
 
   // Calculate surface center for visual feedback
-  const surfaceCenter = surface ? calculateSurfaceCenter(surface.corners) : null;
+  const surfaceCenter = calculateSurfaceCenter(toViewportCorners(surface.corners, viewport));
+
+  const outline = getCornerPoints(surface.corners).map(point => toViewportPoint(point, viewport));
 
   return (
     <div className="fixed top-0 left-[300px] right-0 bottom-0 pointer-events-none z-[500] [&>*]:pointer-events-auto">
+      {/* Output frame (the letterboxed area of the declared output resolution) */}
+      <div
+        className="fixed border border-dashed border-white/30"
+        style={{
+          left: viewport.x,
+          top: viewport.y,
+          width: viewport.width,
+          height: viewport.height,
+          pointerEvents: 'none',
+        }}
+      />
+
       {/* Transformation Mode Selector */}
       <TransformModeSelector mode={transformMode} onModeChange={setTransformMode} />
 
-      {/* Corner Points - only show in CORNERS mode */}
-      {transformMode === TRANSFORM_MODES.CORNERS &&
+      {/* Clickable edges for adding points - CORNERS mode only */}
+      {transformMode === TRANSFORM_MODES.CORNERS && !editingMask && (
+        <svg className="fixed inset-0 w-screen h-screen z-[950]" style={{ pointerEvents: 'none' }}>
+          {outline.map((start, index) => {
+            const end = outline[(index + 1) % outline.length];
+            return (
+              <line
+                key={index}
+                x1={start.x}
+                y1={start.y}
+                x2={end.x}
+                y2={end.y}
+                className="stroke-transparent hover:stroke-red-500/60 cursor-copy"
+                strokeWidth="12"
+                style={{ pointerEvents: 'stroke' }}
+                onClick={(e) => handleEdgeClick(index, e)}
+              >
+                <title>Click to add a point</title>
+              </line>
+            );
+          })}
+        </svg>
+      )}
+
+      {/* Corner Points - only show in CORNERS mode, while no mask is being edited */}
+      {transformMode === TRANSFORM_MODES.CORNERS && !editingMask &&
         cornerKeys.map((cornerKey, index) => {
           const label = getCornerShortLabel(cornerKey, index);
           return (
@@ -267,14 +406,29 @@ export function CalibrationMode() {
               key={cornerKey}
               corner={cornerKey}
               position={surface.corners[cornerKey]}
+              viewport={viewport}
               onDrag={handleCornerDrag}
+              onDragStart={() => beginGesture('Move corner')}
+              onDragEnd={endGesture}
+              onRemove={cornerKeys.length > 3 ? handleCornerRemove : undefined}
               label={label}
             />
           );
         })}
 
+      {/* Mesh lattice control points - only show in MESH mode */}
+      {transformMode === TRANSFORM_MODES.MESH && (
+        <MeshWarpEditor
+          surface={surface}
+          viewport={viewport}
+          onChange={handleMeshWarpChange}
+          onDragStart={() => beginGesture('Move mesh point')}
+          onDragEnd={endGesture}
+        />
+      )}
+
       {/* Whole-surface drag area for MOVE/ROTATE/SCALE modes */}
-      {transformMode !== TRANSFORM_MODES.CORNERS && (
+      {transformMode !== TRANSFORM_MODES.CORNERS && transformMode !== TRANSFORM_MODES.MESH && (
         <div
           {...bindSurfaceDrag()}
           className={`absolute inset-0 z-[900] ${transformMode === 'move' ? 'bg-[rgba(74,144,226,0.05)]' : transformMode === 'rotate' ? 'bg-[rgba(255,165,0,0.05)]' : 'bg-[rgba(138,43,226,0.05)]'}`}
@@ -311,6 +465,9 @@ export function CalibrationMode() {
         </div>
       )}
 
+      {/* Surface and global masks */}
+      {maskEditor}
+
       {/* lil-gui container */}
       <div ref={guiContainerRef} className="absolute top-5 right-5" />
 
@@ -318,7 +475,10 @@ export function CalibrationMode() {
       <div className="absolute top-5 left-1/2 -translate-x-1/2 bg-black/80 py-4 px-6 rounded-md border border-orange-500/50 text-white text-center max-w-[500px]">
         <h3 className="m-0 mb-2.5 text-base text-[#ffaa00]">Calibration Mode</h3>
         {transformMode === TRANSFORM_MODES.CORNERS && (
-          <p className="my-1.5 text-[13px] text-white/80">Drag the corner points to align the surface with your projection area</p>
+          <>
+            <p className="my-1.5 text-[13px] text-white/80">Drag the corner points to align the surface with your projection area</p>
+            <p className="my-1.5 text-xs text-white/60">Click an edge to add a point, <kbd>Alt</kbd>+click a point to delete it</p>
+          </>
         )}
         {transformMode === TRANSFORM_MODES.MOVE && (
           <p className="my-1.5 text-[13px] text-white/80">Click and drag anywhere to move the entire surface</p>
@@ -329,6 +489,9 @@ export function CalibrationMode() {
         {transformMode === TRANSFORM_MODES.SCALE && (
           <p className="my-1.5 text-[13px] text-white/80">Drag away from or toward the center to scale the surface</p>
         )}
+        {transformMode === TRANSFORM_MODES.MESH && (
+          <p className="my-1.5 text-[13px] text-white/80">Drag the lattice points to bend the surface around curved architecture</p>
+        )}
         <p className="mt-2.5 text-xs text-white/60">Press <kbd>Space</kbd> to switch to Playback mode</p>
       </div>
     </div>
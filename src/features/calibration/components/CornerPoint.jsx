@@ -1,17 +1,26 @@
 import React, { useCallback } from 'react';
 import { useDrag } from '@use-gesture/react';
+import { fromViewportPoint, toViewportPoint } from '../../../shared/utils/output-space';
 
 /**
  * Corner Point Component
  * Draggable corner point for calibration
+ * onDragStart/onDragEnd bracket a drag so it can be undone as one step
+ * With `onRemove`, Alt+click deletes the point instead of dragging it
+ * With a `viewport`, `position` and drag positions are normalized output
+ * coordinates; without one they are window pixels
  */
-export function CornerPoint({ corner, position, onDrag, label }) {
+export function CornerPoint({ corner, position, viewport, onDrag, onDragStart, onDragEnd, onRemove, label, variant = 'corner' }) {
+  const screenPosition = viewport ? toViewportPoint(position, viewport) : position;
+
   const bind = useDrag(
     ({ offset: [x, y], first, last }) => {
-      onDrag(corner, { x, y });
+      if (first) onDragStart?.(corner);
+      onDrag(corner, viewport ? fromViewportPoint({ x, y }, viewport) : { x, y });
+      if (last) onDragEnd?.(corner);
     },
     {
-      from: () => [position.x, position.y],
+      from: () => [screenPosition.x, screenPosition.y],
       bounds: {
         left: 0,
         right: window.innerWidth,
@@ -21,14 +30,63 @@ export function CornerPoint({ corner, position, onDrag, label }) {
     }
   );
 
+  const dragHandlers = bind();
+  const handlers = onRemove
+    ? {
+      ...dragHandlers,
+      onPointerDown: (e) => {
+        if (e.altKey) {
+          e.stopPropagation();
+          onRemove(corner);
+          return;
+        }
+        dragHandlers.onPointerDown?.(e);
+      }
+    }
+    : dragHandlers;
+
+  if (variant === 'mesh') {
+    return (
+      <div
+        {...handlers}
+        className="fixed w-5 h-5 -ml-2.5 -mt-2.5 cursor-move select-none touch-none z-[1000]"
+        style={{
+          left: `${screenPosition.x}px`,
+          top: `${screenPosition.y}px`
+        }}
+        title={label}
+      >
+        <div className="w-full h-full bg-cyan-400/50 border-2 border-cyan-400 rounded-sm transition-all hover:bg-cyan-400/70 hover:scale-[1.2] active:bg-cyan-400/90 active:scale-[1.3]"></div>
+      </div>
+    );
+  }
+
+  if (variant === 'mask') {
+    return (
+      <div
+        {...handlers}
+        className="fixed w-7 h-7 -ml-3.5 -mt-3.5 cursor-move select-none touch-none z-[1000]"
+        style={{
+          left: `${screenPosition.x}px`,
+          top: `${screenPosition.y}px`
+        }}
+        title={label}
+      >
+        <div className="w-full h-full bg-amber-400/40 border-2 border-amber-400 rounded-full transition-all hover:bg-amber-400/60 hover:scale-[1.2] active:bg-amber-400/80 active:scale-[1.3]"></div>
+        <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-white font-bold text-[10px] pointer-events-none [text-shadow:_0_0_4px_rgba(0,0,0,0.8)]">{label}</div>
+      </div>
+    );
+  }
+
   return (
     <div
-      {...bind()}
+      {...handlers}
       className="fixed w-10 h-10 -ml-5 -mt-5 cursor-move select-none touch-none z-[1000]"
       style={{
-        left: `${position.x}px`,
-        top: `${position.y}px`
+        left: `${screenPosition.x}px`,
+        top: `${screenPosition.y}px`
       }}
+      title={onRemove ? 'Alt+click to delete' : undefined}
     >
       <div className="w-full h-full bg-red-500/50 border-[3px] border-red-500 rounded-full transition-all hover:bg-red-500/70 hover:scale-[1.2] active:bg-red-500/90 active:scale-[1.3]"></div>
       <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-white font-bold text-xs pointer-events-none [text-shadow:_0_0_4px_rgba(0,0,0,0.8)]">{label}</div>
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { useOutputViewport } from '../../../shared/hooks/useOutputViewport';
+import { APP_MODES } from '../../../shared/utils/constants';
+import { DEFAULT_EDGE_BLEND, EDGE_BLEND_SIDES } from '../../../shared/utils/edge-blend';
+
+const SIDE_LABELS = {
+  left: 'Left',
+  right: 'Right',
+  top: 'Top',
+  bottom: 'Bottom'
+};
+
+/**
+ * Edge Blend Editor Component
+ * Calibration panel for the active output's soft-edge zones. Changes are
+ * saved to the output straight away, so the editor preview and every live
+ * window of that output update while a slider moves.
+ */
+export function EdgeBlendEditor() {
+  const { mode, activeOutput, updateOutput } = useApp();
+  const [isOpen, setIsOpen] = useState(false);
+  const viewport = useOutputViewport(activeOutput.resolution);
+
+  if (mode !== APP_MODES.CALIBRATION) {
+    return null;
+  }
+
+  const edgeBlend = activeOutput.edgeBlend ?? { ...DEFAULT_EDGE_BLEND, enabled: false };
+  const { width: outputWidth, height: outputHeight } = activeOutput.resolution;
+
+  const update = (updates) => {
+    updateOutput(activeOutput.id, { edgeBlend: { ...edgeBlend, ...updates } });
+  };
+
+  const getSidePixels = (side) =>
+    Math.round(edgeBlend[side] * (side === 'left' || side === 'right' ? outputWidth : outputHeight));
+
+  if (!isOpen) {
+    return (
+      <button
+        className="fixed right-5 bottom-[60px] z-[1000] px-3 py-2 bg-black/80 hover:bg-black/90 border border-white/20 rounded text-white text-xs font-medium cursor-pointer"
+        onClick={() => setIsOpen(true)}
+        title="Soft edges where projectors overlap"
+      >
+        Edge Blend{edgeBlend.enabled ? ' ●' : ''}
+      </button>
+    );
+  }
+
+  return (
+    <>
+      {/* Zone guides over the output frame */}
+      {edgeBlend.enabled && (
+        <div
+          className="fixed z-[600]"
+          style={{ left: viewport.x, top: viewport.y, width: viewport.width, height: viewport.height, pointerEvents: 'none' }}
+        >
+          {EDGE_BLEND_SIDES.filter(side => edgeBlend[side] > 0).map(side => (
+            <div
+              key={side}
+              className="absolute border-dashed border-[#ffaa00]/70"
+              style={{
+                [side]: `${edgeBlend[side] * 100}%`,
+                ...(side === 'left' || side === 'right'
+                  ? { top: 0, bottom: 0, borderLeftWidth: 1 }
+                  : { left: 0, right: 0, borderTopWidth: 1 })
+              }}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="fixed right-5 bottom-[60px] z-[1000] w-[260px] p-3 bg-black/85 border border-white/20 rounded text-white text-xs flex flex-col gap-2.5">
+        <div className="flex justify-between items-center">
+          <span className="font-semibold uppercase tracking-wide">Edge Blend · {activeOutput.name}</span>
+          <button
+            className="bg-transparent border-none text-white/70 hover:text-white cursor-pointer text-base leading-none"
+            onClick={() => setIsOpen(false)}
+            title="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={edgeBlend.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          Enabled
+        </label>
+
+        {EDGE_BLEND_SIDES.map(side => (
+          <BlendSlider
+            key={side}
+            label={`${SIDE_LABELS[side]} width`}
+            value={edgeBlend[side]}
+            min={0}
+            max={0.5}
+            step={0.005}
+            display={`${getSidePixels(side)} px`}
+            disabled={!edgeBlend.enabled}
+            onChange={(value) => update({ [side]: value })}
+          />
+        ))}
+
+        <BlendSlider
+          label="Curve"
+          value={edgeBlend.curve}
+          min={0.2}
+          max={5}
+          step={0.1}
+          display={edgeBlend.curve.toFixed(1)}
+          disabled={!edgeBlend.enabled}
+          onChange={(value) => update({ curve: value })}
+        />
+        <BlendSlider
+          label="Gamma"
+          value={edgeBlend.gamma}
+          min={1}
+          max={3}
+          step={0.05}
+          display={edgeBlend.gamma.toFixed(2)}
+          disabled={!edgeBlend.enabled}
+          onChange={(value) => update({ gamma: value })}
+        />
+        <BlendSlider
+          label="Black level"
+          value={edgeBlend.blackLevel}
+          min={0}
+          max={0.25}
+          step={0.005}
+          display={`${(edgeBlend.blackLevel * 100).toFixed(1)}%`}
+          disabled={!edgeBlend.enabled}
+          onChange={(value) => update({ blackLevel: value })}
+        />
+      </div>
+    </>
+  );
+}
+
+function BlendSlider({ label, value, min, max, step, display, disabled, onChange }) {
+  return (
+    <div className={disabled ? 'opacity-40' : ''}>
+      <div className="flex justify-between mb-1 text-white/70">
+        <span>{label}</span>
+        <span>{display}</span>
+      </div>
+      <input
+        className="w-full"
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+      />
+    </div>
+  );
+}
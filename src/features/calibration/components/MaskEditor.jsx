@@ -0,0 +1,195 @@
+import React, { useEffect } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+import { MASK_LIMITS } from '../../../shared/utils/constants';
+import { createMask } from '../../../shared/utils/masks';
+import { toViewportPoint } from '../../../shared/utils/output-space';
+import { CornerPoint } from './CornerPoint';
+
+const MASK_SCOPES = {
+  SURFACE: 'surface',
+  OUTPUT: 'output'
+};
+
+/**
+ * Mask Editor Component
+ * Lists the selected surface's masks and the active output's global masks,
+ * and shows draggable points for the mask being edited
+ * Surface masks are undoable surface edits; global masks are saved on the output
+ * `editing` is `{ scope, id }` or null
+ */
+export function MaskEditor({ surface, viewport, editing, onEditingChange }) {
+  const { activeOutput, updateOutput } = useApp();
+  const { updateSurface, beginGesture, endGesture } = useSurfaces();
+
+  const getMasks = (scope) =>
+    (scope === MASK_SCOPES.SURFACE ? surface?.masks : activeOutput.masks) ?? [];
+
+  const saveMasks = (scope, masks, label) => {
+    if (scope === MASK_SCOPES.SURFACE) {
+      if (surface) updateSurface(surface.id, { masks }, { label });
+    } else {
+      updateOutput(activeOutput.id, { masks });
+    }
+  };
+
+  const updateMask = (scope, id, updates, label = 'Edit mask') => {
+    saveMasks(scope, getMasks(scope).map(mask => (mask.id === id ? { ...mask, ...updates } : mask)), label);
+  };
+
+  const handleAdd = (scope) => {
+    const mask = createMask(getMasks(scope), activeOutput.resolution);
+    saveMasks(scope, [...getMasks(scope), mask], 'Add mask');
+    onEditingChange({ scope, id: mask.id });
+  };
+
+  const handleDelete = (scope, id) => {
+    saveMasks(scope, getMasks(scope).filter(mask => mask.id !== id), 'Delete mask');
+    if (editing?.scope === scope && editing.id === id) {
+      onEditingChange(null);
+    }
+  };
+
+  const editingMask = editing ? getMasks(editing.scope).find(mask => mask.id === editing.id) : null;
+
+  // Stop editing a mask that was deleted (e.g. by undo or in another window)
+  useEffect(() => {
+    if (editing && !editingMask) {
+      onEditingChange(null);
+    }
+  }, [editing, editingMask, onEditingChange]);
+
+  const handlePointDrag = (index, position) => {
+    const points = editingMask.points.map((point, i) => (i === index ? position : point));
+    updateMask(editing.scope, editingMask.id, { points }, 'Move mask point');
+  };
+
+  const renderMaskList = (scope, title) => (
+    <div className="flex flex-col gap-1">
+      <div className="flex justify-between items-center text-white/70">
+        <span>{title}</span>
+        <button
+          className="px-2 py-0.5 bg-gray-600 hover:bg-gray-500 text-white border-none rounded cursor-pointer text-[11px]"
+          onClick={() => handleAdd(scope)}
+        >
+          + Add
+        </button>
+      </div>
+      {getMasks(scope).map(mask => {
+        const isEditing = editing?.scope === scope && editing.id === mask.id;
+        return (
+          <div
+            key={mask.id}
+            className={`flex items-center gap-1.5 px-2 py-1 rounded border cursor-pointer ${isEditing ? 'border-amber-400 bg-amber-400/10' : 'border-white/10 hover:border-white/20'} ${!mask.visible ? 'opacity-50' : ''}`}
+            onClick={() => onEditingChange(isEditing ? null : { scope, id: mask.id })}
+          >
+            <span className="flex-1 truncate">{mask.name}</span>
+            <button
+              className="bg-transparent border-none text-white cursor-pointer px-1 rounded hover:bg-white/10"
+              onClick={(e) => {
+                e.stopPropagation();
+                updateMask(scope, mask.id, { visible: !mask.visible }, mask.visible ? 'Hide mask' : 'Show mask');
+              }}
+              title={mask.visible ? 'Hide' : 'Show'}
+            >
+              {mask.visible ? '👁' : '👁‍🗨'}
+            </button>
+            <button
+              className="bg-transparent border-none text-white cursor-pointer px-1 rounded hover:bg-red-500/20 hover:text-red-400"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleDelete(scope, mask.id);
+              }}
+              title="Delete"
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const outline = editingMask?.points.map(point => toViewportPoint(point, viewport));
+
+  return (
+    <>
+      {/* Outline and points of the mask being edited */}
+      {editingMask && (
+        <>
+          <svg className="fixed inset-0 w-screen h-screen z-[950]" style={{ pointerEvents: 'none' }}>
+            <polygon
+              points={outline.map(point => `${point.x},${point.y}`).join(' ')}
+              fill={editingMask.invert ? 'none' : 'rgba(251, 191, 36, 0.15)'}
+              stroke="rgb(251, 191, 36)"
+              strokeWidth="1.5"
+              strokeDasharray="6 4"
+            />
+          </svg>
+          {editingMask.points.map((point, index) => (
+            <CornerPoint
+              key={index}
+              corner={index}
+              position={point}
+              viewport={viewport}
+              variant="mask"
+              label={index + 1}
+              onDrag={handlePointDrag}
+              onDragStart={() => beginGesture('Move mask point')}
+              onDragEnd={endGesture}
+            />
+          ))}
+        </>
+      )}
+
+      <div className="absolute left-5 bottom-[60px] z-[1000] w-[240px] p-3 bg-black/85 border border-white/20 rounded text-white text-xs flex flex-col gap-2.5 pointer-events-auto">
+        <div className="font-semibold uppercase tracking-wide">Masks</div>
+
+        {surface && renderMaskList(MASK_SCOPES.SURFACE, `On ${surface.name}`)}
+        {renderMaskList(MASK_SCOPES.OUTPUT, `Global · ${activeOutput.name}`)}
+
+        {editingMask && (
+          <div className="flex flex-col gap-2 pt-2 border-t border-white/10">
+            <input
+              className="w-full px-2 py-1 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]"
+              type="text"
+              value={editingMask.name}
+              onChange={(e) => updateMask(editing.scope, editingMask.id, { name: e.target.value }, 'Rename mask')}
+            />
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={editingMask.invert}
+                onChange={(e) => updateMask(editing.scope, editingMask.id, { invert: e.target.checked })}
+              />
+              Invert (black out the outside)
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={editingMask.hideInCalibration}
+                onChange={(e) => updateMask(editing.scope, editingMask.id, { hideInCalibration: e.target.checked })}
+              />
+              Hide in calibration view
+            </label>
+            <div>
+              <div className="flex justify-between mb-1 text-white/70">
+                <span>Feather</span>
+                <span>{editingMask.feather} px</span>
+              </div>
+              <input
+                className="w-full"
+                type="range"
+                min={0}
+                max={MASK_LIMITS.MAX_FEATHER}
+                step={1}
+                value={editingMask.feather}
+                onChange={(e) => updateMask(editing.scope, editingMask.id, { feather: parseInt(e.target.value, 10) })}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useMemo } from 'react';
+import { CornerPoint } from './CornerPoint';
+import { TransformCalculator } from '../utils/TransformCalculator';
+import { MESH_WARP_DEFAULTS } from '../../../shared/utils/constants';
+import {
+  createMeshWarp,
+  getLatticeIndex,
+  getLatticeUv,
+  isLatticeCorner,
+  resizeMeshWarp,
+  setMeshWarpPoint,
+} from '../../../shared/utils/mesh-warp';
+import { toViewportCorners } from '../../../shared/utils/output-space';
+
+const LATTICE_SIZES = Array.from(
+  { length: MESH_WARP_DEFAULTS.MAX_SIZE - MESH_WARP_DEFAULTS.MIN_SIZE + 1 },
+  (_, i) => i + MESH_WARP_DEFAULTS.MIN_SIZE
+);
+
+/**
+ * Mesh Warp Editor Component
+ * Lattice of draggable control points that bends a four-corner surface
+ * to follow curved architecture. Offsets are stored in UV space so the
+ * lattice follows the surface when its corners move.
+ * `viewport` places the surface's normalized corners in the window.
+ */
+export function MeshWarpEditor({ surface, viewport, onChange, onDragStart, onDragEnd }) {
+  const meshWarp = surface.meshWarp || createMeshWarp();
+  const isQuad = Object.keys(surface.corners).length === 4;
+
+  const pixelTransform = useMemo(
+    () => (isQuad
+      ? TransformCalculator.calculateQuadPixelTransform(toViewportCorners(surface.corners, viewport))
+      : null),
+    [isQuad, surface.corners, viewport]
+  );
+
+  if (!isQuad) {
+    return (
+      <div className="absolute bottom-14 left-5 bg-black/80 py-3 px-4 rounded-md border border-white/20 text-white text-[13px] max-w-[320px]">
+        Mesh warp is available for four-corner surfaces only.
+      </div>
+    );
+  }
+
+  const screenPoints = meshWarp.points.map((offset, index) => {
+    const uv = getLatticeUv(meshWarp, index);
+    return pixelTransform.toPixels(uv.x + offset.x, uv.y + offset.y);
+  });
+
+  const handlePointDrag = (index, position) => {
+    const uv = getLatticeUv(meshWarp, index);
+    const warpedUv = pixelTransform.toUv(position.x, position.y);
+    onChange(setMeshWarpPoint(meshWarp, index, {
+      x: warpedUv.x - uv.x,
+      y: warpedUv.y - uv.y,
+    }));
+  };
+
+  const latticeLines = [];
+  for (let row = 0; row < meshWarp.rows; row++) {
+    for (let column = 0; column < meshWarp.columns; column++) {
+      const from = screenPoints[getLatticeIndex(meshWarp, column, row)];
+      if (column < meshWarp.columns - 1) {
+        latticeLines.push([from, screenPoints[getLatticeIndex(meshWarp, column + 1, row)]]);
+      }
+      if (row < meshWarp.rows - 1) {
+        latticeLines.push([from, screenPoints[getLatticeIndex(meshWarp, column, row + 1)]]);
+      }
+    }
+  }
+
+  return (
+    <>
+      <svg className="fixed inset-0 w-screen h-screen pointer-events-none z-[950]">
+        {latticeLines.map(([from, to], i) => (
+          <line
+            key={i}
+            x1={from.x}
+            y1={from.y}
+            x2={to.x}
+            y2={to.y}
+            stroke="rgba(34, 211, 238, 0.6)"
+            strokeWidth="1"
+          />
+        ))}
+      </svg>
+
+      {meshWarp.points.map((_, index) =>
+        isLatticeCorner(meshWarp, index) ? null : (
+          <CornerPoint
+            key={`${meshWarp.columns}x${meshWarp.rows}-${index}`}
+            corner={index}
+            position={screenPoints[index]}
+            onDrag={handlePointDrag}
+            onDragStart={onDragStart}
+            onDragEnd={onDragEnd}
+            label={`Mesh point ${index + 1}`}
+            variant="mesh"
+          />
+        )
+      )}
+
+      <div className="absolute bottom-14 left-5 flex flex-col gap-2 p-3 bg-black/80 rounded border border-white/20 text-white text-xs">
+        <div className="font-semibold uppercase tracking-wide">Mesh Lattice</div>
+        <div className="flex items-center gap-2">
+          <label className="text-white/70">Columns</label>
+          <select
+            className="bg-black/30 border border-white/20 rounded px-1 py-0.5"
+            value={meshWarp.columns}
+            onChange={(e) => onChange(resizeMeshWarp(meshWarp, parseInt(e.target.value), meshWarp.rows))}
+          >
+            {LATTICE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+          <label className="text-white/70">Rows</label>
+          <select
+            className="bg-black/30 border border-white/20 rounded px-1 py-0.5"
+            value={meshWarp.rows}
+            onChange={(e) => onChange(resizeMeshWarp(meshWarp, meshWarp.columns, parseInt(e.target.value)))}
+          >
+            {LATTICE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </div>
+        <label className="flex items-center gap-2 text-white/70">
+          <input
+            type="checkbox"
+            checked={meshWarp.smooth}
+            onChange={(e) => onChange({ ...meshWarp, smooth: e.target.checked })}
+          />
+          Smooth (curved) interpolation
+        </label>
+        <button
+          className="px-2 py-1 bg-white/10 hover:bg-white/20 border border-white/20 rounded cursor-pointer"
+          onClick={() => onChange(createMeshWarp(meshWarp.columns, meshWarp.rows, meshWarp.smooth))}
+        >
+          Reset Lattice
+        </button>
+      </div>
+    </>
+  );
+}
@@ -10,6 +10,7 @@ export function TransformModeSelector({ mode, onModeChange }) {
     { value: TRANSFORM_MODES.MOVE, label: 'Move', icon: '✥' },
     { value: TRANSFORM_MODES.ROTATE, label: 'Rotate', icon: '↻' },
     { value: TRANSFORM_MODES.SCALE, label: 'Scale', icon: '⇲' },
+    { value: TRANSFORM_MODES.MESH, label: 'Mesh', icon: '▦' },
   ];
 
   return (
@@ -5,4 +5,7 @@
 
 export { CalibrationMode } from './components/CalibrationMode';
 export { CornerPoint } from './components/CornerPoint';
+export { MeshWarpEditor } from './components/MeshWarpEditor';
 export { TransformCalculator } from './utils/TransformCalculator';
+export { EdgeBlendEditor } from './components/EdgeBlendEditor';
+export { MaskEditor } from './components/MaskEditor';
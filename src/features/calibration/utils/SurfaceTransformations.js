@@ -7,6 +7,7 @@ export const TRANSFORM_MODES = {
   MOVE: 'move',
   ROTATE: 'rotate',
   SCALE: 'scale',
+  MESH: 'mesh',
 };
 
 /**
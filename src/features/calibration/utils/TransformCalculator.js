@@ -1,5 +1,21 @@
 import * as THREE from 'three';
-import { GEOMETRY_TYPES } from '../../../shared/utils/constants';
+import PerspT from 'perspective-transform';
+import { DEFAULT_OUTPUT_RESOLUTION, GEOMETRY_TYPES } from '../../../shared/utils/constants';
+import { createQuadHomography } from '../../../shared/utils/homography';
+import { warpUv } from '../../../shared/utils/mesh-warp';
+import { getOutputViewport, toViewportPoint } from '../../../shared/utils/output-space';
+import { getCornerPoints, getCornerUvs, triangulatePolygon } from '../../../shared/utils/polygon';
+
+/**
+ * Corners of the quad geometry in its own space, in the same clockwise
+ * order as point0..point3 (top-left, top-right, bottom-right, bottom-left)
+ */
+const QUAD_SOURCE_POINTS = [-1, 1, 1, 1, 1, -1, -1, -1];
+
+/**
+ * The same quad corners expressed as UVs (v grows upwards)
+ */
+const QUAD_UV_POINTS = [0, 1, 1, 1, 1, 0, 0, 0];
 
 /**
  * TransformCalculator - Calculates and applies perspective transformations
@@ -24,38 +40,83 @@ export class TransformCalculator {
     };
   }
 
+  /**
+   * Get the canvas pixel rectangle the output is drawn in
+   * @param {Object} [outputResolution] - Declared output resolution
+   */
+  static getOutputViewport(outputResolution = DEFAULT_OUTPUT_RESOLUTION) {
+    const dims = this.getCanvasDimensions();
+    return getOutputViewport(dims.width, dims.height, outputResolution);
+  }
+
+  /**
+   * Get the output rectangle in camera frustum units, for full-output passes
+   * @param {Object} [outputResolution] - Declared output resolution
+   * @returns {{left: number, right: number, top: number, bottom: number}}
+   */
+  static getOutputFrustumBounds(outputResolution = DEFAULT_OUTPUT_RESOLUTION) {
+    return {
+      left: this.normalizeX(0, outputResolution),
+      right: this.normalizeX(1, outputResolution),
+      top: this.normalizeY(0, outputResolution),
+      bottom: this.normalizeY(1, outputResolution)
+    };
+  }
+
   /**
    * Normalize X coordinate to -1 to 1 range (accounting for aspect ratio)
-   * The orthographic camera uses aspect ratio, so the plane only fills the vertical dimension
-   * We need to scale X coordinates to match this
+   * Takes a normalized output X (0 to 1), places it in the output viewport,
+   * then maps the canvas pixel into the orthographic camera frustum
+   * @param {number} x - Normalized output X
+   * @param {Object} [outputResolution] - Declared output resolution
    */
-  static normalizeX(x) {
+  static normalizeX(x, outputResolution = DEFAULT_OUTPUT_RESOLUTION) {
     const dims = this.getCanvasDimensions();
     const aspect = dims.width / dims.height;
+    const pixelX = toViewportPoint({ x, y: 0 }, this.getOutputViewport(outputResolution)).x;
 
     // The camera frustum is from -aspect to +aspect in X
-    // But we want to map canvas pixels (0 to width) to this range
-    // First normalize to 0-1, then scale to match aspect ratio
-    const normalized = x / dims.width;  // 0 to 1
+    // First normalize the canvas pixel to 0-1, then scale to match aspect ratio
+    const normalized = pixelX / dims.width;  // 0 to 1
     return (normalized * 2 - 1) * aspect;  // -aspect to +aspect
   }
 
   /**
    * Normalize Y coordinate to -1 to 1 range (inverted for WebGL)
+   * @param {number} y - Normalized output Y (0 at the top)
+   * @param {Object} [outputResolution] - Declared output resolution
    */
-  static normalizeY(y) {
+  static normalizeY(y, outputResolution = DEFAULT_OUTPUT_RESOLUTION) {
     const dims = this.getCanvasDimensions();
+    const pixelY = toViewportPoint({ x: 0, y }, this.getOutputViewport(outputResolution)).y;
     // Y goes from -1 to 1 (fills full height)
-    return -((y / dims.height) * 2 - 1);
+    return -((pixelY / dims.height) * 2 - 1);
   }
 
   /**
    * Apply perspective transformation to projection geometry
+   * Quads get a true projective warp of the subdivided plane (plus the mesh
+   * warp); other polygons are triangulated from their corners directly
    * @param {THREE.BufferGeometry} geometry - The geometry to transform
    * @param {Object} corners - Corner positions
    * @param {string} geometryType - Type of geometry
+   * @param {Object} [meshWarp] - Optional lattice of UV offsets applied before the corner warp
+   * @param {Object} [outputResolution] - Declared output resolution the corners are relative to
+   * @param {Array<{x: number, y: number}>} [cornerUvs] - A polygon's texture coordinates per corner
    */
-  static applyTransformToGeometry(geometry, corners, geometryType = GEOMETRY_TYPES.POLYGON) {
+  static applyTransformToGeometry(
+    geometry,
+    corners,
+    geometryType = GEOMETRY_TYPES.POLYGON,
+    meshWarp = undefined,
+    outputResolution = DEFAULT_OUTPUT_RESOLUTION,
+    cornerUvs = undefined
+  ) {
+    if (Object.keys(corners).length !== 4) {
+      this.applyPolygonToGeometry(geometry, corners, outputResolution, cornerUvs);
+      return;
+    }
+
     const positions = geometry.attributes.position;
 
     // Get the original positions (before any transformation)
@@ -65,16 +126,16 @@ export class TransformCalculator {
 
     const originalPositions = geometry.userData.originalPositions;
 
-    // Use polygon transformation for all geometry types
-    const transform = this.calculatePolygonTransform(corners);
+    const transform = this.calculateQuadTransform(corners, outputResolution);
 
     // Transform each vertex
     for (let i = 0; i < positions.count; i++) {
       const idx = i * 3;
 
-      // Get original position
-      const x = originalPositions[idx];
-      const y = originalPositions[idx + 1];
+      // Get original position, displaced by the mesh warp lattice (geometry spans -1 to 1)
+      const warped = warpUv(meshWarp, (originalPositions[idx] + 1) / 2, (originalPositions[idx + 1] + 1) / 2);
+      const x = warped.x * 2 - 1;
+      const y = warped.y * 2 - 1;
 
       // Apply transformation
       const transformed = transform.transform(x, y);
@@ -89,89 +150,95 @@ export class TransformCalculator {
     geometry.computeBoundingSphere();
   }
 
+  /**
+   * Write a polygon's corners, UVs and triangulation into a geometry from
+   * GeometryGenerator.createPolygonGeometry. UVs are the surface's own (kept
+   * from the quad it grew from) or else span the bounding box
+   * @param {THREE.BufferGeometry} geometry - Polygon geometry with one vertex per corner
+   * @param {Object} corners - Corner positions (point0, point1, ...)
+   * @param {Object} [outputResolution] - Declared output resolution
+   * @param {Array<{x: number, y: number}>} [cornerUvs] - Texture coordinates per corner
+   */
+  static applyPolygonToGeometry(geometry, corners, outputResolution = DEFAULT_OUTPUT_RESOLUTION, cornerUvs = undefined) {
+    const points = getCornerPoints(corners);
+    const positions = geometry.attributes.position;
+    // The geometry is rebuilt when the corner count changes; skip a stale pairing
+    if (positions.count !== points.length) return;
+
+    points.forEach((point, i) => {
+      positions.array[i * 3] = this.normalizeX(point.x, outputResolution);
+      positions.array[i * 3 + 1] = this.normalizeY(point.y, outputResolution);
+    });
+    getCornerUvs(points, cornerUvs).forEach((uv, i) => {
+      geometry.attributes.uv.array[i * 2] = uv.x;
+      geometry.attributes.uv.array[i * 2 + 1] = uv.y;
+    });
+    geometry.index.array.set(triangulatePolygon(points));
+
+    positions.needsUpdate = true;
+    geometry.attributes.uv.needsUpdate = true;
+    geometry.index.needsUpdate = true;
+    geometry.computeBoundingSphere();
+  }
+
 
   /**
-   * Calculate transformation for polygon/circle geometry
-   * @param {Object} corners - Polygon corner positions (point0, point1, ...)
-   * @returns {Function} Transform function
+   * Sort corner keys in point index order (point0, point1, point2, ...)
+   * @param {Object} corners - Corner positions
+   * @returns {string[]} Sorted corner keys
    */
-  static calculatePolygonTransform(corners) {
-    // Sort corner keys to ensure proper order (point0, point1, point2, ...)
-    const sortedKeys = Object.keys(corners).sort((a, b) => {
+  static getSortedCornerKeys(corners) {
+    return Object.keys(corners).sort((a, b) => {
       const aNum = parseInt(a.replace('point', ''));
       const bNum = parseInt(b.replace('point', ''));
       return aNum - bNum;
     });
+  }
 
-    // Normalize all corner positions in sorted order
-    const normalizedCorners = sortedKeys.map(key => ({
-      x: this.normalizeX(corners[key].x),
-      y: this.normalizeY(corners[key].y)
+  /**
+   * Normalize corner positions in point index order (point0, point1, ...)
+   * @param {Object} corners - Corner positions in normalized output coordinates
+   * @param {Object} [outputResolution] - Declared output resolution
+   * @returns {Array<{x: number, y: number}>} Corners in scene coordinates
+   */
+  static getNormalizedCorners(corners, outputResolution = DEFAULT_OUTPUT_RESOLUTION) {
+    return this.getSortedCornerKeys(corners).map(key => ({
+      x: this.normalizeX(corners[key].x, outputResolution),
+      y: this.normalizeY(corners[key].y, outputResolution)
     }));
+  }
+
+  /**
+   * Calculate a homography that maps the unit quad onto four corners
+   * @param {Object} corners - Quad corner positions (point0..point3)
+   * @param {Object} [outputResolution] - Declared output resolution
+   * @returns {{transform: Function}} Transform function
+   */
+  static calculateQuadTransform(corners, outputResolution = DEFAULT_OUTPUT_RESOLUTION) {
+    const destinationPoints = this.getNormalizedCorners(corners, outputResolution)
+      .flatMap(point => [point.x, point.y]);
 
-    const numPoints = normalizedCorners.length;
+    return { transform: createQuadHomography(QUAD_SOURCE_POINTS, destinationPoints) };
+  }
 
-    // Calculate the geometric center (centroid) of the corners
-    const center = {
-      x: normalizedCorners.reduce((sum, p) => sum + p.x, 0) / numPoints,
-      y: normalizedCorners.reduce((sum, p) => sum + p.y, 0) / numPoints
-    };
+  /**
+   * Calculate a homography between quad UVs and canvas pixels
+   * Used by calibration overlays that place handles at UV positions
+   * @param {Object} corners - Quad corner positions in canvas pixels (point0..point3)
+   * @returns {{toPixels: Function, toUv: Function}} Conversion functions
+   */
+  static calculateQuadPixelTransform(corners) {
+    const pixelPoints = this.getSortedCornerKeys(corners).flatMap(key => [corners[key].x, corners[key].y]);
+    const perspective = PerspT(QUAD_UV_POINTS, pixelPoints);
 
     return {
-      transform: (x, y) => {
-        // For polygon/circle, use radial interpolation from the origin
-        const angle = Math.atan2(y, x);
-        const radius = Math.sqrt(x * x + y * y);
-
-        // Normalize angle to 0-1 range
-        const normalizedAngle = (angle + Math.PI) / (Math.PI * 2);
-
-        // Find the two closest control points
-        let segmentIndex = Math.floor(normalizedAngle * numPoints);
-
-        // Ensure segment index is within bounds
-        segmentIndex = Math.max(0, Math.min(numPoints - 1, segmentIndex));
-        const nextIndex = (segmentIndex + 1) % numPoints;
-
-        // Interpolation factor within segment
-        const t = (normalizedAngle * numPoints) - segmentIndex;
-
-        // Get the two control points with safety checks
-        const p1 = normalizedCorners[segmentIndex];
-        const p2 = normalizedCorners[nextIndex];
-
-        // Safety check
-        if (!p1 || !p2) {
-          return [x, y];
-        }
-
-        // Interpolate target positions on the edge
-        const edgeX = p1.x * (1 - t) + p2.x * t;
-        const edgeY = p1.y * (1 - t) + p2.y * t;
-
-        // Calculate the distance from center to the edge point
-        const edgeRadius = Math.sqrt(
-          (edgeX - center.x) * (edgeX - center.x) +
-          (edgeY - center.y) * (edgeY - center.y)
-        );
-
-        // Scale the radius to map from original to edge distance
-        // If radius is 0 (center point), return the center
-        if (radius === 0) {
-          return [center.x, center.y];
-        }
-
-        // Calculate the direction from center to edge
-        const dirX = (edgeX - center.x) / edgeRadius;
-        const dirY = (edgeY - center.y) / edgeRadius;
-
-        // Scale by the vertex's original radius to maintain relative position
-        const scaledRadius = radius * edgeRadius;
-
-        return [
-          center.x + dirX * scaledRadius,
-          center.y + dirY * scaledRadius
-        ];
+      toPixels: (u, v) => {
+        const [x, y] = perspective.transform(u, v);
+        return { x, y };
+      },
+      toUv: (x, y) => {
+        const [u, v] = perspective.transformInverse(x, y);
+        return { x: u, y: v };
       }
     };
   }
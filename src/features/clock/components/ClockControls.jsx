@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react';
+import { CLOCK_SPEED_LIMITS } from '../../../shared/utils/constants';
+import { useClock } from '../context/ClockContext';
+
+// Refresh rate of the time readout while the clock runs
+const READOUT_INTERVAL_MS = 100;
+
+const SPEED_PRESETS = [CLOCK_SPEED_LIMITS.MIN, 0.25, 0.5, 1, 2, CLOCK_SPEED_LIMITS.MAX];
+
+/**
+ * Clock Controls Component
+ * Pause, speed, reset and seek for the master clock behind shader `time`
+ */
+export function ClockControls() {
+  const { clock, getTime, pause, resume, setSpeed, seek, reset } = useClock();
+  const [time, setTime] = useState(getTime);
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    setTime(getTime());
+    if (!clock.playing || clock.speed === 0) return;
+
+    const interval = setInterval(() => setTime(getTime()), READOUT_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [clock, getTime]);
+
+  const commitDraft = () => {
+    const target = Number(draft);
+    if (draft !== null && draft.trim() !== '' && Number.isFinite(target)) {
+      seek(target);
+    }
+    setDraft(null);
+  };
+
+  const buttonClassName = 'bg-transparent border-none p-0 text-white/70 cursor-pointer hover:text-white';
+  const inputClassName = 'px-1.5 py-0.5 bg-black/30 border border-white/20 rounded text-white text-xs font-mono focus:outline-none focus:border-[#00aaff]';
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-white/60">Time:</span>
+      <button
+        className={buttonClassName}
+        onClick={clock.playing ? pause : resume}
+        title={clock.playing ? 'Pause shader time' : 'Resume shader time'}
+      >
+        {clock.playing ? '❚❚' : '▶'}
+      </button>
+      <input
+        className={`${inputClassName} w-20`}
+        type="text"
+        inputMode="decimal"
+        value={draft ?? time.toFixed(2)}
+        onFocus={() => setDraft(time.toFixed(2))}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commitDraft}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+          if (e.key === 'Escape') setDraft(null);
+        }}
+        title="Shader time in seconds (type to seek)"
+      />
+      <select
+        className={inputClassName}
+        value={clock.speed}
+        onChange={(e) => setSpeed(Number(e.target.value))}
+        title="Clock speed"
+      >
+        {SPEED_PRESETS.map(speed => (
+          <option key={speed} value={speed}>{speed}×</option>
+        ))}
+        {/* A speed set from another window or a remote controller */}
+        {!SPEED_PRESETS.includes(clock.speed) && (
+          <option value={clock.speed}>{clock.speed}×</option>
+        )}
+      </select>
+      <button className={buttonClassName} onClick={reset} title="Reset shader time to zero">⟲</button>
+    </div>
+  );
+}
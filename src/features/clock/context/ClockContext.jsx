@@ -0,0 +1,83 @@
+import React, { createContext, useContext, useCallback, useRef, useEffect, useState } from 'react';
+import { MasterClockSchema } from '../../../shared/schemas';
+import { STORAGE_KEYS } from '../../../shared/utils/constants';
+import { useStorage } from '../../../shared/hooks/useStorage';
+import { useSnapshotSource } from '../../../shared/hooks/useStateSync';
+import { broadcastManager, MessageTypes } from '../../../shared/utils/broadcast-channel';
+import {
+  createMasterClock,
+  getClockTime,
+  pauseClock,
+  resetClock,
+  resumeClock,
+  seekClock,
+  setClockSpeed
+} from '../../../shared/utils/master-clock';
+
+/**
+ * Clock Context
+ * The master clock every material reads its `time` uniform from. It is stored
+ * and broadcast like the timeline, so the editor preview and every live
+ * window animate in step, and switching content no longer restarts time.
+ */
+
+const ClockContext = createContext(null);
+
+export function ClockProvider({ children }) {
+  const [initialClock] = useState(() => createMasterClock());
+  const [clock, setStoredClock] = useStorage({
+    key: STORAGE_KEYS.CLOCK,
+    defaultValue: initialClock,
+    schema: MasterClockSchema
+  });
+
+  // Latest clock, read every frame without re-rendering the scene
+  const clockRef = useRef(clock);
+  clockRef.current = clock;
+
+  const replaceClock = useCallback((nextClock) => {
+    clockRef.current = nextClock;
+    setStoredClock(nextClock);
+    broadcastManager.broadcast(MessageTypes.CLOCK_CHANGED, nextClock);
+  }, [setStoredClock]);
+
+  const getTime = useCallback(() => getClockTime(clockRef.current), []);
+
+  const loadClock = useCallback((nextClock) => {
+    clockRef.current = nextClock;
+    setStoredClock(nextClock);
+  }, [setStoredClock]);
+
+  const pause = useCallback(() => replaceClock(pauseClock(clockRef.current)), [replaceClock]);
+  const resume = useCallback(() => replaceClock(resumeClock(clockRef.current)), [replaceClock]);
+  const setSpeed = useCallback((speed) => replaceClock(setClockSpeed(clockRef.current, speed)), [replaceClock]);
+  const seek = useCallback((time) => replaceClock(seekClock(clockRef.current, time)), [replaceClock]);
+  const reset = useCallback(() => replaceClock(resetClock(clockRef.current)), [replaceClock]);
+
+  useEffect(() => {
+    return broadcastManager.subscribe(MessageTypes.CLOCK_CHANGED, loadClock);
+  }, [loadClock]);
+
+  useSnapshotSource('clock', () => clockRef.current, loadClock);
+
+  const value = {
+    clock,
+    getTime,
+    replaceClock,
+    pause,
+    resume,
+    setSpeed,
+    seek,
+    reset
+  };
+
+  return <ClockContext.Provider value={value}>{children}</ClockContext.Provider>;
+}
+
+export function useClock() {
+  const context = useContext(ClockContext);
+  if (!context) {
+    throw new Error('useClock must be used within ClockProvider');
+  }
+  return context;
+}
@@ -0,0 +1,7 @@
+/**
+ * Clock Feature Module
+ * Public API for the master clock that drives every material's `time`
+ */
+
+export { ClockProvider, useClock } from './context/ClockContext';
+export { ClockControls } from './components/ClockControls';
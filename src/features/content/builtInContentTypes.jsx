@@ -0,0 +1,240 @@
+import React, { createElement, useMemo } from 'react';
+import { useLoader } from '@react-three/fiber';
+import { useLocation } from 'react-router-dom';
+import * as THREE from 'three';
+import { z } from 'zod';
+import { CONTENT_TYPES } from '../../shared/utils/constants';
+import { VideoPlaybackSchema } from '../../shared/schemas';
+import { createVideoPlayback } from '../../shared/utils/video-playback';
+import { useAudio } from '../../shared/context/AudioContext';
+import { useClock } from '../clock';
+import { useContentManager, getColorValue } from '../scene/hooks/useContentManager';
+import { useVideoTexture } from '../scene/hooks/useVideoTexture';
+import { useAssetUrl } from '../../shared/hooks/useAssetUrl';
+import { CustomShaderMaterial } from '../scene/materials/CustomShaderMaterial';
+import { getTemplate } from '../scene/materials/shaderTemplates';
+import { SHADER_DEFINITIONS } from '../scene/materials/shaderDefinitions';
+import '../scene/materials/AnimatedGradientMaterial';
+import '../scene/materials/RotatingColorsMaterial';
+import '../scene/materials/PlasmaMaterial';
+import '../scene/materials/WavesMaterial';
+import '../scene/materials/NoiseMaterial';
+import '../scene/materials/FireMaterial';
+import '../scene/materials/RainbowMaterial';
+import '../scene/materials/KaleidoscopeMaterial';
+import '../scene/materials/GlitchMaterial';
+import '../scene/materials/SpiralMaterial';
+import { AUDIO_WAVES_PARAMETERS } from '../scene/materials/AudioWavesMaterial';
+import { AUDIO_PULSE_PARAMETERS } from '../scene/materials/AudioPulseMaterial';
+import { AUDIO_SPECTRUM_PARAMETERS } from '../scene/materials/AudioSpectrumMaterial';
+import { AUDIO_BARS_PARAMETERS } from '../scene/materials/AudioBarsMaterial';
+import { ImageContentEditor } from './editors/ImageContentEditor';
+import { VideoContentEditor } from './editors/VideoContentEditor';
+import { CustomShaderContentEditor } from './editors/CustomShaderContentEditor';
+import { AudioContentEditor } from './editors/AudioContentEditor';
+
+/**
+ * Built-in content types
+ * Registered into the shared content registry at startup; effect packs
+ * register their own definitions the same way
+ */
+
+const CATEGORIES = {
+  CALIBRATION: 'Calibration Patterns',
+  SHADERS: 'Shader Effects',
+  AUDIO: 'Audio Reactive',
+  COLORS: 'Solid Colors',
+  CUSTOM: 'Custom'
+};
+
+const DEFAULT_VIDEO_PLAYBACK = createVideoPlayback(0);
+
+/**
+ * Create a material component for a shader material registered with R3F's extend()
+ */
+function createShaderMaterialComponent(elementName) {
+  function ShaderEffectMaterial({ baseProps, materialRef }) {
+    return createElement(elementName, { ref: materialRef, ...baseProps });
+  }
+  ShaderEffectMaterial.displayName = `${elementName}Component`;
+  return ShaderEffectMaterial;
+}
+
+function CheckerboardMaterial({ baseProps }) {
+  const { createCheckerboardTexture } = useContentManager();
+  const texture = useMemo(() => createCheckerboardTexture(), [createCheckerboardTexture]);
+  return <meshBasicMaterial {...baseProps} map={texture} />;
+}
+
+function GridMaterial({ baseProps }) {
+  const { createGridTexture } = useContentManager();
+  const texture = useMemo(() => createGridTexture(), [createGridTexture]);
+  return <meshBasicMaterial {...baseProps} map={texture} />;
+}
+
+function SolidColorMaterial({ surface, baseProps }) {
+  return <meshBasicMaterial {...baseProps} color={getColorValue(surface.contentType)} />;
+}
+
+function ImageTextureMaterial({ url, baseProps }) {
+  const texture = useLoader(THREE.TextureLoader, url);
+  return <meshBasicMaterial {...baseProps} map={texture} />;
+}
+
+function ImageMaterial({ surface, baseProps }) {
+  const assetUrl = useAssetUrl(surface.contentData?.assetId);
+  const imageUrl = assetUrl ?? surface.contentData?.imageUrl;
+  if (!imageUrl) {
+    return null;
+  }
+  return <ImageTextureMaterial url={imageUrl} baseProps={baseProps} />;
+}
+
+function VideoTextureMaterial({ url, playback, baseProps }) {
+  // Only the live view plays sound; the edit preview stays silent
+  const isLiveView = useLocation().pathname.startsWith('/live');
+  const texture = useVideoTexture(url, playback, !isLiveView);
+  return <meshBasicMaterial {...baseProps} map={texture} />;
+}
+
+function VideoMaterial({ surface, baseProps }) {
+  const assetUrl = useAssetUrl(surface.contentData?.assetId);
+  const videoUrl = assetUrl ?? surface.contentData?.videoUrl;
+  if (!videoUrl) {
+    return null;
+  }
+  return (
+    <VideoTextureMaterial
+      url={videoUrl}
+      playback={surface.contentData?.playback ?? DEFAULT_VIDEO_PLAYBACK}
+      baseProps={baseProps}
+    />
+  );
+}
+
+function CustomShaderContentMaterial({ surface, baseProps }) {
+  const { audioData } = useAudio();
+  const { getTime } = useClock();
+  const shaderData = surface.contentData?.shaderData;
+
+  return (
+    <CustomShaderMaterial
+      vertexShader={shaderData?.vertexShader}
+      fragmentShader={shaderData?.fragmentShader}
+      uniforms={shaderData?.uniforms}
+      side={baseProps.side}
+      depthTest={baseProps.depthTest}
+      depthWrite={baseProps.depthWrite}
+      audioData={audioData}
+      getTime={getTime}
+    />
+  );
+}
+
+const ImageContentDataSchema = z.looseObject({
+  assetId: z.string().optional(),
+  imageUrl: z.string().optional()
+});
+
+const VideoContentDataSchema = z.looseObject({
+  assetId: z.string().optional(),
+  videoUrl: z.string().optional(),
+  playback: VideoPlaybackSchema.optional()
+});
+
+const CustomShaderContentDataSchema = z.looseObject({
+  shaderData: z.looseObject({
+    vertexShader: z.string(),
+    fragmentShader: z.string(),
+    uniforms: z.record(z.string(), z.unknown()).optional()
+  })
+});
+
+const createBlankShaderData = () => {
+  const blankTemplate = getTemplate('BLANK');
+  return {
+    shaderData: {
+      vertexShader: blankTemplate.vertexShader,
+      fragmentShader: blankTemplate.fragmentShader,
+      uniforms: blankTemplate.uniforms
+    }
+  };
+};
+
+const shaderEffect = (id, label, elementName, parameters) => ({
+  id,
+  label,
+  category: CATEGORIES.SHADERS,
+  material: createShaderMaterialComponent(elementName),
+  parameters
+});
+
+const audioEffect = (id, label, elementName, parameters) => ({
+  id,
+  label,
+  category: CATEGORIES.AUDIO,
+  material: createShaderMaterialComponent(elementName),
+  parameters,
+  editor: AudioContentEditor
+});
+
+const solidColor = (id, label) => ({
+  id,
+  label,
+  category: CATEGORIES.COLORS,
+  material: SolidColorMaterial
+});
+
+export const BUILT_IN_CONTENT_TYPES = [
+  { id: CONTENT_TYPES.CHECKERBOARD, label: 'Checkerboard', category: CATEGORIES.CALIBRATION, material: CheckerboardMaterial },
+  { id: CONTENT_TYPES.GRID, label: 'Grid with Numbers', category: CATEGORIES.CALIBRATION, material: GridMaterial },
+
+  shaderEffect(CONTENT_TYPES.ANIMATED_GRADIENT, 'Animated Gradient', 'animatedGradientShaderMaterial', SHADER_DEFINITIONS.ANIMATED_GRADIENT.parameters),
+  shaderEffect(CONTENT_TYPES.ROTATING_COLORS, 'Rotating Colors', 'rotatingColorsShaderMaterial', SHADER_DEFINITIONS.ROTATING_COLORS.parameters),
+  shaderEffect(CONTENT_TYPES.PLASMA, 'Plasma', 'plasmaShaderMaterial', SHADER_DEFINITIONS.PLASMA.parameters),
+  shaderEffect(CONTENT_TYPES.WAVES, 'Waves', 'wavesShaderMaterial', SHADER_DEFINITIONS.WAVES.parameters),
+  shaderEffect(CONTENT_TYPES.NOISE, 'Noise Pattern', 'noiseShaderMaterial', SHADER_DEFINITIONS.NOISE.parameters),
+  shaderEffect(CONTENT_TYPES.FIRE, 'Fire', 'fireShaderMaterial', SHADER_DEFINITIONS.FIRE.parameters),
+  shaderEffect(CONTENT_TYPES.RAINBOW, 'Rainbow Spectrum', 'rainbowShaderMaterial', SHADER_DEFINITIONS.RAINBOW.parameters),
+  shaderEffect(CONTENT_TYPES.KALEIDOSCOPE, 'Kaleidoscope', 'kaleidoscopeShaderMaterial', SHADER_DEFINITIONS.KALEIDOSCOPE.parameters),
+  shaderEffect(CONTENT_TYPES.GLITCH, 'Glitch', 'glitchShaderMaterial', SHADER_DEFINITIONS.GLITCH.parameters),
+  shaderEffect(CONTENT_TYPES.SPIRAL, 'Spiral', 'spiralShaderMaterial', SHADER_DEFINITIONS.SPIRAL.parameters),
+
+  audioEffect(CONTENT_TYPES.AUDIO_WAVES, 'Audio Waves', 'audioWavesShaderMaterial', AUDIO_WAVES_PARAMETERS),
+  audioEffect(CONTENT_TYPES.AUDIO_PULSE, 'Audio Pulse', 'audioPulseShaderMaterial', AUDIO_PULSE_PARAMETERS),
+  audioEffect(CONTENT_TYPES.AUDIO_SPECTRUM, 'Audio Spectrum', 'audioSpectrumShaderMaterial', AUDIO_SPECTRUM_PARAMETERS),
+  audioEffect(CONTENT_TYPES.AUDIO_BARS, 'Audio Bars', 'audioBarsShaderMaterial', AUDIO_BARS_PARAMETERS),
+
+  solidColor(CONTENT_TYPES.WHITE, 'White'),
+  solidColor(CONTENT_TYPES.RED, 'Red'),
+  solidColor(CONTENT_TYPES.GREEN, 'Green'),
+  solidColor(CONTENT_TYPES.BLUE, 'Blue'),
+
+  {
+    id: CONTENT_TYPES.IMAGE,
+    label: 'Image',
+    category: CATEGORIES.CUSTOM,
+    material: ImageMaterial,
+    contentDataSchema: ImageContentDataSchema,
+    editor: ImageContentEditor
+  },
+  {
+    id: CONTENT_TYPES.VIDEO,
+    label: 'Video',
+    category: CATEGORIES.CUSTOM,
+    material: VideoMaterial,
+    contentDataSchema: VideoContentDataSchema,
+    editor: VideoContentEditor,
+    createContentData: () => ({ playback: createVideoPlayback() })
+  },
+  {
+    id: CONTENT_TYPES.CUSTOM_SHADER,
+    label: 'Custom Shader',
+    category: CATEGORIES.CUSTOM,
+    material: CustomShaderContentMaterial,
+    contentDataSchema: CustomShaderContentDataSchema,
+    editor: CustomShaderContentEditor,
+    createContentData: createBlankShaderData,
+    onSelectMessage: 'Custom shader initialized - click "Edit Shader" to customize'
+  }
+];
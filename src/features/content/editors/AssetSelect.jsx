@@ -0,0 +1,31 @@
+import React from 'react';
+import { useAssets } from '../../../shared/hooks/useAssets';
+
+/**
+ * Asset Select
+ * Lets a surface reuse media already in the asset library.
+ * Only assets whose MIME type starts with `mimePrefix` are listed.
+ */
+export function AssetSelect({ label, mimePrefix, value, onSelect }) {
+  const assets = useAssets().filter(asset => asset.mimeType.startsWith(mimePrefix));
+
+  if (assets.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-1.5">
+      <select
+        className="w-full px-2 py-1.5 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]"
+        value={value ?? ''}
+        onChange={(e) => e.target.value && onSelect(e.target.value)}
+        aria-label={label}
+      >
+        <option value="">{label}</option>
+        {assets.map(asset => (
+          <option key={asset.id} value={asset.id}>{asset.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import React from 'react';
+import { useAudio } from '../../../shared/context/AudioContext';
+
+/**
+ * Audio Content Editor
+ * Reminds the user to enable the microphone for audio-reactive effects
+ */
+export function AudioContentEditor() {
+  const { isAudioEnabled } = useAudio();
+
+  if (isAudioEnabled) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 py-2 px-2.5 bg-yellow-500/10 border border-yellow-500/30 rounded text-yellow-200 text-[11px]">
+      Enable audio to drive this effect from the microphone
+    </div>
+  );
+}
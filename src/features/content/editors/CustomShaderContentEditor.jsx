@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { CONTENT_TYPES } from '../../../shared/utils/constants';
+import { ShaderEditorPanel } from '../../ui/components/ShaderEditorPanel';
+
+/**
+ * Custom Shader Content Editor
+ * Opens the GLSL editor for the surface's shader
+ */
+export function CustomShaderContentEditor({ surface, updateSurfaceContent, showNotification }) {
+  const [showShaderEditor, setShowShaderEditor] = useState(false);
+
+  const handleShaderApply = (shaderData) => {
+    updateSurfaceContent(surface.id, CONTENT_TYPES.CUSTOM_SHADER, { shaderData });
+    showNotification('Shader applied');
+  };
+
+  return (
+    <div className="mb-4">
+      <button
+        className="w-full px-2.5 py-2.5 bg-purple-700 hover:bg-purple-800 text-white border-none rounded cursor-pointer text-sm font-medium transition-colors"
+        onClick={() => setShowShaderEditor(true)}
+      >
+        ✏️ Edit Shader
+      </button>
+
+      {showShaderEditor && createPortal(
+        <ShaderEditorPanel
+          surfaceId={surface.id}
+          initialShaderData={surface.contentData?.shaderData}
+          onApply={handleShaderApply}
+          onClose={() => setShowShaderEditor(false)}
+        />,
+        document.body
+      )}
+    </div>
+  );
+}
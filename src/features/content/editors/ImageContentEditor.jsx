@@ -0,0 +1,46 @@
+import React from 'react';
+import { CONTENT_TYPES } from '../../../shared/utils/constants';
+import { assetStore } from '../../../shared/utils/asset-store';
+import { AssetSelect } from './AssetSelect';
+
+/**
+ * Image Content Editor
+ * File picker that stores an image in the asset library and shows it on the surface
+ */
+export function ImageContentEditor({ surface, updateSurfaceContent, showNotification }) {
+  const selectAsset = (assetId) => {
+    updateSurfaceContent(surface.id, CONTENT_TYPES.IMAGE, { assetId });
+  };
+
+  const handleImageUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const asset = await assetStore.addFile(file);
+      selectAsset(asset.id);
+      showNotification('Image loaded');
+    } catch (error) {
+      console.error('Error storing image:', error);
+      showNotification('Could not store image');
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-xs text-white/70 mb-1.5 font-medium">Upload Image</label>
+      <input
+        className="w-full px-1.5 py-1.5 bg-black/30 border border-white/20 rounded text-white text-xs"
+        type="file"
+        accept="image/*"
+        onChange={handleImageUpload}
+      />
+      <AssetSelect
+        label="...or choose from library"
+        mimePrefix="image/"
+        value={surface.contentData?.assetId}
+        onSelect={selectAsset}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from 'react';
+import { CONTENT_TYPES, VIDEO_PLAYBACK_LIMITS } from '../../../shared/utils/constants';
+import { assetStore } from '../../../shared/utils/asset-store';
+import { useAssetUrl } from '../../../shared/hooks/useAssetUrl';
+import {
+  createVideoPlayback,
+  getPlaybackPosition,
+  pauseVideo,
+  playVideo,
+  seekVideo,
+  setVideoLoop,
+  setVideoRange,
+  setVideoRate
+} from '../../../shared/utils/video-playback';
+import { AssetSelect } from './AssetSelect';
+
+const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds)) return '--:--';
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+};
+
+/**
+ * Read a video's duration from its metadata
+ */
+function useVideoDuration(url) {
+  const [duration, setDuration] = useState(NaN);
+
+  useEffect(() => {
+    setDuration(NaN);
+    if (!url) return undefined;
+
+    const probe = document.createElement('video');
+    probe.preload = 'metadata';
+    probe.onloadedmetadata = () => setDuration(probe.duration);
+    probe.src = url;
+
+    return () => {
+      probe.onloadedmetadata = null;
+      probe.removeAttribute('src');
+      probe.load();
+    };
+  }, [url]);
+
+  return duration;
+}
+
+/**
+ * Re-render periodically while the video is playing so the position readout moves
+ */
+function usePlaybackNow(isPlaying) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [isPlaying]);
+
+  return isPlaying ? now : Date.now();
+}
+
+/**
+ * Video Content Editor
+ * Loads a video from the asset library or a URL and controls its shared playback clock.
+ * Every change is written to contentData, so the live view follows along.
+ */
+export function VideoContentEditor({ surface, updateSurfaceContent, showNotification }) {
+  const assetId = surface.contentData?.assetId;
+  const assetUrl = useAssetUrl(assetId);
+  const videoUrl = assetUrl ?? surface.contentData?.videoUrl;
+  const playback = surface.contentData?.playback ?? createVideoPlayback();
+  const duration = useVideoDuration(videoUrl);
+  const now = usePlaybackNow(playback.playing);
+  const position = getPlaybackPosition(playback, duration, now);
+  const [urlInput, setUrlInput] = useState('');
+
+  const updateVideo = (changes) => {
+    updateSurfaceContent(surface.id, CONTENT_TYPES.VIDEO, {
+      ...surface.contentData,
+      playback,
+      ...changes
+    });
+  };
+
+  const updatePlayback = (nextPlayback) => updateVideo({ playback: nextPlayback });
+
+  // A surface plays either a library asset or an external URL
+  const loadVideo = (source) => {
+    updateVideo({
+      assetId: source.assetId,
+      videoUrl: source.videoUrl,
+      playback: createVideoPlayback()
+    });
+  };
+
+  const handleVideoUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const asset = await assetStore.addFile(file);
+      loadVideo({ assetId: asset.id });
+      showNotification('Video loaded');
+    } catch (error) {
+      console.error('Error storing video:', error);
+      showNotification('Could not store video');
+    }
+  };
+
+  const handleUrlSubmit = (e) => {
+    e.preventDefault();
+    if (!urlInput.trim()) return;
+    loadVideo({ videoUrl: urlInput.trim() });
+    setUrlInput('');
+    showNotification('Video loaded');
+  };
+
+  const togglePlaying = () => {
+    updatePlayback(playback.playing ? pauseVideo(playback, duration) : playVideo(playback, duration));
+  };
+
+  const inputClassName = 'w-full px-2 py-1 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]';
+  const buttonClassName = 'px-2 py-1 bg-white/10 hover:bg-white/20 border border-white/20 rounded text-white text-xs cursor-pointer transition-colors';
+
+  return (
+    <div className="mb-4">
+      <label className="block text-xs text-white/70 mb-1.5 font-medium">Upload Video</label>
+      <input
+        className="w-full px-1.5 py-1.5 bg-black/30 border border-white/20 rounded text-white text-xs"
+        type="file"
+        accept="video/*"
+        onChange={handleVideoUpload}
+      />
+      <AssetSelect
+        label="...or choose from library"
+        mimePrefix="video/"
+        value={assetId}
+        onSelect={(id) => loadVideo({ assetId: id })}
+      />
+      <form className="flex gap-1.5 mt-1.5" onSubmit={handleUrlSubmit}>
+        <input
+          className={inputClassName}
+          type="text"
+          placeholder="...or video URL"
+          value={urlInput}
+          onChange={(e) => setUrlInput(e.target.value)}
+        />
+        <button className={buttonClassName} type="submit">Load</button>
+      </form>
+
+      {videoUrl && (
+        <div className="flex flex-col gap-2.5 mt-3 p-2.5 bg-black/30 border border-white/10 rounded">
+          <div className="flex items-center gap-1.5">
+            <button className={buttonClassName} onClick={togglePlaying}>
+              {playback.playing ? '❚❚ Pause' : '▶ Play'}
+            </button>
+            <button className={buttonClassName} onClick={() => updatePlayback(seekVideo(playback, playback.inPoint, duration))}>
+              ⏮ Restart
+            </button>
+            <span className="ml-auto font-mono text-[11px] text-white/70">
+              {formatTime(position)} / {formatTime(duration)}
+            </span>
+          </div>
+
+          <input
+            className="w-full accent-[#00aaff]"
+            type="range"
+            min={0}
+            max={Number.isFinite(duration) ? duration : 0}
+            step={0.01}
+            value={Number.isFinite(position) ? position : 0}
+            disabled={!Number.isFinite(duration)}
+            onChange={(e) => updatePlayback(seekVideo(playback, Number(e.target.value), duration))}
+          />
+
+          <div>
+            <div className="flex justify-between text-[11px] text-white/70 mb-1">
+              <span>Playback Rate</span>
+              <span className="font-mono">{playback.rate.toFixed(2)}x</span>
+            </div>
+            <input
+              className="w-full accent-[#00aaff]"
+              type="range"
+              min={VIDEO_PLAYBACK_LIMITS.MIN_RATE}
+              max={VIDEO_PLAYBACK_LIMITS.MAX_RATE}
+              step={0.05}
+              value={playback.rate}
+              onChange={(e) => updatePlayback(setVideoRate(playback, Number(e.target.value), duration))}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-1.5 text-[11px] text-white/70">
+            <label className="flex flex-col gap-1">
+              In (s)
+              <input
+                className={inputClassName}
+                type="number"
+                min={0}
+                step={0.1}
+                value={playback.inPoint}
+                onChange={(e) => updatePlayback(setVideoRange(playback, { inPoint: Number(e.target.value) }, duration))}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Out (s)
+              <input
+                className={inputClassName}
+                type="number"
+                min={0}
+                step={0.1}
+                placeholder="End"
+                value={playback.outPoint ?? ''}
+                onChange={(e) => updatePlayback(setVideoRange(
+                  playback,
+                  { outPoint: e.target.value === '' ? null : Number(e.target.value) },
+                  duration
+                ))}
+              />
+            </label>
+            <button className={buttonClassName} onClick={() => updatePlayback(setVideoRange(playback, { inPoint: position }, duration))}>
+              Set In
+            </button>
+            <button className={buttonClassName} onClick={() => updatePlayback(setVideoRange(playback, { outPoint: position }, duration))}>
+              Set Out
+            </button>
+          </div>
+
+          <div className="flex gap-4 text-[11px] text-white/70">
+            <label className="flex items-center gap-1.5">
+              <input
+                type="checkbox"
+                checked={playback.loop}
+                onChange={(e) => updatePlayback(setVideoLoop(playback, e.target.checked, duration))}
+              />
+              Loop
+            </label>
+            <label className="flex items-center gap-1.5">
+              <input
+                type="checkbox"
+                checked={playback.muted}
+                onChange={(e) => updatePlayback({ ...playback, muted: e.target.checked })}
+              />
+              Mute
+            </label>
+          </div>
+          <small className="text-[11px] text-white/50">Sound plays from the live view only</small>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+/**
+ * Content Feature Module
+ * Built-in content types and the registry they are published through
+ */
+
+import { contentRegistry } from '../../shared/utils/content-registry';
+import { BUILT_IN_CONTENT_TYPES } from './builtInContentTypes';
+
+export { BUILT_IN_CONTENT_TYPES } from './builtInContentTypes';
+export { contentRegistry } from '../../shared/utils/content-registry';
+
+/**
+ * Register the built-in content types
+ * Call once at startup, before effect packs so they can override built-ins
+ * @returns {Function} Unregister function
+ */
+export function registerBuiltInContentTypes() {
+  return contentRegistry.registerAll(BUILT_IN_CONTENT_TYPES);
+}
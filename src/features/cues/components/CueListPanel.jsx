@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { CUE_FADE_LIMITS, KEYBOARD_SHORTCUTS } from '../../../shared/utils/constants';
+import { getAdjacentCue } from '../../../shared/utils/cues';
+import { useCues } from '../context/CueContext';
+
+/**
+ * Cue List Panel Component
+ * Records the surfaces' content, parameters, visibility and opacity as named
+ * cues and fires them in order (GO/BACK) with a crossfade per cue
+ */
+export function CueListPanel() {
+  const {
+    cues,
+    currentCueId,
+    addCue,
+    recordCue,
+    updateCue,
+    removeCue,
+    moveCue,
+    fireCue,
+    go,
+    back
+  } = useCues();
+  const { showNotification } = useApp();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const currentCue = cues.find(cue => cue.id === currentCueId);
+  const nextCue = getAdjacentCue(cues, currentCueId, 1);
+  const previousCue = getAdjacentCue(cues, currentCueId, -1);
+
+  const handleAddCue = () => {
+    const cue = addCue();
+    showNotification(`${cue.name} recorded`);
+  };
+
+  const handleRecordCue = (cue) => {
+    recordCue(cue.id);
+    showNotification(`${cue.name} updated from the current surfaces`);
+  };
+
+  const handleRemoveCue = (cue) => {
+    if (window.confirm(`Delete cue "${cue.name}"?`)) {
+      removeCue(cue.id);
+    }
+  };
+
+  const inputClassName = 'min-w-0 px-1.5 py-1 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]';
+  const iconButtonClassName = 'bg-transparent border-none text-white/70 cursor-pointer px-1 rounded text-xs hover:bg-white/10 hover:text-white disabled:opacity-30 disabled:cursor-not-allowed';
+  const transportButtonClassName = 'flex-1 px-2.5 py-2 text-white border-none rounded cursor-pointer text-xs font-semibold transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div>
+      <button
+        className="bg-transparent border-none p-0 mb-1.5 text-xs text-white/70 font-medium cursor-pointer hover:text-white"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        {isOpen ? '▾' : '▸'} Cues{currentCue ? ` · ${currentCue.name}` : ''}
+      </button>
+
+      {isOpen && (
+        <div className="flex flex-col gap-2 p-2.5 bg-black/30 border border-white/10 rounded">
+          <div className="flex gap-2">
+            <button
+              className={`${transportButtonClassName} bg-gray-600 hover:bg-gray-500`}
+              onClick={back}
+              disabled={!previousCue}
+              title={`Back to ${previousCue?.name ?? 'the previous cue'} (${KEYBOARD_SHORTCUTS.CUE_BACK})`}
+            >
+              ◀ BACK
+            </button>
+            <button
+              className={`${transportButtonClassName} bg-green-600 hover:bg-green-700`}
+              onClick={go}
+              disabled={!nextCue}
+              title={`Go to ${nextCue?.name ?? 'the next cue'} (${KEYBOARD_SHORTCUTS.CUE_GO})`}
+            >
+              GO ▶
+            </button>
+          </div>
+          <div className="text-[11px] text-white/50">
+            Next: {nextCue ? nextCue.name : 'end of list'}
+          </div>
+
+          {cues.map((cue, index) => (
+            <div
+              key={cue.id}
+              className={`flex items-center gap-1 p-1 rounded border ${cue.id === currentCueId ? 'border-[#00aaff] bg-[rgba(0,170,255,0.1)]' : 'border-transparent'}`}
+            >
+              <span className="w-4 text-[11px] text-white/50 text-right">{index + 1}</span>
+              <input
+                className={`${inputClassName} flex-1`}
+                type="text"
+                value={cue.name}
+                onChange={(e) => updateCue(cue.id, { name: e.target.value })}
+                title="Cue name"
+              />
+              <input
+                className={`${inputClassName} w-12`}
+                type="number"
+                min="0"
+                max={CUE_FADE_LIMITS.MAX}
+                step="0.5"
+                value={cue.fadeDuration}
+                onChange={(e) => {
+                  const fadeDuration = Number(e.target.value);
+                  if (Number.isFinite(fadeDuration)) {
+                    updateCue(cue.id, { fadeDuration: Math.min(Math.max(fadeDuration, 0), CUE_FADE_LIMITS.MAX) });
+                  }
+                }}
+                title="Crossfade duration (seconds)"
+              />
+              <button className={iconButtonClassName} onClick={() => fireCue(cue.id)} title="Fire this cue">▶</button>
+              <button className={iconButtonClassName} onClick={() => handleRecordCue(cue)} title="Update from the current surfaces">●</button>
+              <button className={iconButtonClassName} onClick={() => moveCue(cue.id, -1)} disabled={index === 0} title="Move up">▲</button>
+              <button className={iconButtonClassName} onClick={() => moveCue(cue.id, 1)} disabled={index === cues.length - 1} title="Move down">▼</button>
+              <button
+                className="bg-transparent border-none text-white cursor-pointer px-1 rounded hover:bg-red-500/20 hover:text-red-400"
+                onClick={() => handleRemoveCue(cue)}
+                title="Delete cue"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+
+          <button
+            className="w-full px-2.5 py-1.5 bg-gray-600 hover:bg-gray-500 text-white border-none rounded cursor-pointer text-xs font-medium transition-colors"
+            onClick={handleAddCue}
+            title="Record the content, parameters, visibility and opacity of every surface"
+          >
+            + Record Cue
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
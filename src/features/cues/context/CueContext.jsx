@@ -0,0 +1,194 @@
+import React, { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
+import { CueArraySchema } from '../../../shared/schemas';
+import { STORAGE_KEYS } from '../../../shared/utils/constants';
+import { useStorage } from '../../../shared/hooks/useStorage';
+import { useSnapshotSource } from '../../../shared/hooks/useStateSync';
+import { broadcastManager, MessageTypes } from '../../../shared/utils/broadcast-channel';
+import {
+  captureCueStates,
+  createCue,
+  getAdjacentCue,
+  getCueUpdates,
+  getTransitionProgress
+} from '../../../shared/utils/cues';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+
+/**
+ * Cue Context
+ * Manages the cue list and fires cues: each cue restores the content,
+ * parameters, visibility and opacity it recorded, crossfading from the
+ * previous state. Firing is broadcast so every window fades in sync.
+ */
+
+const CueContext = createContext(null);
+
+export function CueProvider({ children }) {
+  const { getAllSurfaces, updateSurfaces } = useSurfaces();
+  const [cues, setStoredCues] = useStorage({
+    key: STORAGE_KEYS.CUES,
+    defaultValue: [],
+    schema: CueArraySchema
+  });
+  const [currentCueId, setCurrentCueId] = useState(null);
+  const [transition, setTransition] = useState(null);
+
+  // Latest cues, so edits made in quick succession build on each other
+  const cuesRef = useRef(cues);
+  cuesRef.current = cues;
+
+  // Latest current cue, so GO/BACK triggered twice before a render step twice
+  const currentCueIdRef = useRef(currentCueId);
+  currentCueIdRef.current = currentCueId;
+
+  const changeCurrentCue = useCallback((id) => {
+    currentCueIdRef.current = id;
+    setCurrentCueId(id);
+  }, []);
+
+  const replaceCues = useCallback((nextCues) => {
+    cuesRef.current = nextCues;
+    setStoredCues(nextCues);
+    broadcastManager.broadcast(MessageTypes.CUES_CHANGED, nextCues);
+  }, [setStoredCues]);
+
+  // Record the current state of every surface as a new cue at the end of the list
+  const addCue = useCallback((name = '') => {
+    const cue = createCue(name, getAllSurfaces(), cuesRef.current);
+    replaceCues([...cuesRef.current, cue]);
+    return cue;
+  }, [getAllSurfaces, replaceCues]);
+
+  // Replace a cue's snapshot with the current state of every surface
+  const recordCue = useCallback((id) => {
+    const surfaces = captureCueStates(getAllSurfaces());
+    replaceCues(cuesRef.current.map(cue => (cue.id === id ? { ...cue, surfaces } : cue)));
+  }, [getAllSurfaces, replaceCues]);
+
+  const updateCue = useCallback((id, updates) => {
+    replaceCues(cuesRef.current.map(cue => (cue.id === id ? { ...cue, ...updates } : cue)));
+  }, [replaceCues]);
+
+  const removeCue = useCallback((id) => {
+    replaceCues(cuesRef.current.filter(cue => cue.id !== id));
+    if (currentCueIdRef.current === id) {
+      changeCurrentCue(null);
+    }
+  }, [replaceCues, changeCurrentCue]);
+
+  // Move a cue up (-1) or down (1) the list
+  const moveCue = useCallback((id, offset) => {
+    const index = cuesRef.current.findIndex(cue => cue.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= cuesRef.current.length) return;
+
+    const next = [...cuesRef.current];
+    [next[index], next[target]] = [next[target], next[index]];
+    replaceCues(next);
+  }, [replaceCues]);
+
+  // Fade from the current surface states to a cue's
+  // (the transition goes out before the surfaces, so other windows capture
+  // the outgoing states before the new ones arrive)
+  const fireCue = useCallback((id) => {
+    const cue = cuesRef.current.find(candidate => candidate.id === id);
+    if (!cue) return;
+
+    const surfaces = getAllSurfaces();
+    const nextTransition = {
+      cueId: cue.id,
+      from: captureCueStates(surfaces),
+      startedAt: Date.now(),
+      duration: cue.fadeDuration
+    };
+    changeCurrentCue(cue.id);
+    setTransition(nextTransition);
+    broadcastManager.broadcast(MessageTypes.CUE_FIRED, nextTransition);
+    updateSurfaces(getCueUpdates(surfaces, cue), { label: `Cue: ${cue.name}` });
+  }, [getAllSurfaces, updateSurfaces, changeCurrentCue]);
+
+  const go = useCallback(() => {
+    const cue = getAdjacentCue(cuesRef.current, currentCueIdRef.current, 1);
+    if (cue) {
+      fireCue(cue.id);
+    }
+  }, [fireCue]);
+
+  const back = useCallback(() => {
+    const cue = getAdjacentCue(cuesRef.current, currentCueIdRef.current, -1);
+    if (cue) {
+      fireCue(cue.id);
+    }
+  }, [fireCue]);
+
+  // Drop the transition once it has finished fading
+  useEffect(() => {
+    if (!transition) return;
+
+    const remaining = (1 - getTransitionProgress(transition, Date.now())) * transition.duration * 1000;
+    const timeout = setTimeout(() => {
+      setTransition(current => (current === transition ? null : current));
+    }, remaining);
+    return () => clearTimeout(timeout);
+  }, [transition]);
+
+  useEffect(() => {
+    const unsubscribeCues = broadcastManager.subscribe(
+      MessageTypes.CUES_CHANGED,
+      (nextCues) => {
+        cuesRef.current = nextCues;
+        setStoredCues(nextCues);
+      }
+    );
+
+    const unsubscribeFired = broadcastManager.subscribe(
+      MessageTypes.CUE_FIRED,
+      (nextTransition) => {
+        changeCurrentCue(nextTransition.cueId);
+        setTransition(nextTransition);
+      }
+    );
+
+    return () => {
+      unsubscribeCues();
+      unsubscribeFired();
+    };
+  }, [setStoredCues, changeCurrentCue]);
+
+  // The current cue and any fade in progress only exist in memory, so windows
+  // that join later learn them from the snapshot
+  useSnapshotSource(
+    'cues',
+    () => ({ cues: cuesRef.current, currentCueId: currentCueIdRef.current, transition }),
+    (snapshot) => {
+      cuesRef.current = snapshot.cues;
+      setStoredCues(snapshot.cues);
+      changeCurrentCue(snapshot.currentCueId);
+      setTransition(snapshot.transition);
+    }
+  );
+
+  const value = {
+    cues,
+    currentCueId,
+    transition,
+    addCue,
+    recordCue,
+    updateCue,
+    removeCue,
+    moveCue,
+    replaceCues,
+    fireCue,
+    go,
+    back
+  };
+
+  return <CueContext.Provider value={value}>{children}</CueContext.Provider>;
+}
+
+export function useCues() {
+  const context = useContext(CueContext);
+  if (!context) {
+    throw new Error('useCues must be used within CueProvider');
+  }
+  return context;
+}
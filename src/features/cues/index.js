@@ -0,0 +1,7 @@
+/**
+ * Cues Feature Module
+ * Public API for the cue list and GO/BACK crossfades
+ */
+
+export { CueProvider, useCues } from './context/CueContext';
+export { CueListPanel } from './components/CueListPanel';
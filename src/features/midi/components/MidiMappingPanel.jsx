@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+import { useCues } from '../../cues';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { useContentRegistry } from '../../../shared/hooks/useContentRegistry';
+import { formatMidiControl, isMidiTrigger } from '../../../shared/utils/midi-mapping';
+import { useMidiMappings } from '../context/MidiContext';
+
+const TARGET_KINDS = [
+  { kind: 'opacity', label: 'Surface opacity' },
+  { kind: 'param', label: 'Effect parameter' },
+  { kind: 'content', label: 'Switch content' },
+  { kind: 'cue', label: 'Fire cue' },
+  { kind: 'cueGo', label: 'Cue GO' },
+  { kind: 'cueBack', label: 'Cue BACK' }
+];
+
+const CURVES = [
+  { curve: 'linear', label: 'Linear' },
+  { curve: 'exponential', label: 'Exponential' },
+  { curve: 'logarithmic', label: 'Logarithmic' },
+  { curve: 's-curve', label: 'S-curve' }
+];
+
+const STATUS_LABELS = {
+  off: 'MIDI input is off',
+  unsupported: 'This browser has no Web MIDI (use Chrome or Edge)',
+  pending: 'Waiting for MIDI access…',
+  ready: 'Listening to all MIDI inputs',
+  denied: 'MIDI access was refused'
+};
+
+const getParameterNames = (surface) =>
+  Object.keys(contentRegistry.get(surface?.contentType)?.parameters ?? {});
+
+/**
+ * MIDI Mapping Panel Component
+ * Binds MIDI CC and note controls (learned by moving them) to surface
+ * opacity, effect parameters, content and cues, with the value curve and
+ * soft takeover of continuous controls
+ */
+export function MidiMappingPanel() {
+  const {
+    mappings,
+    learningId,
+    enabled,
+    status,
+    addMapping,
+    updateMapping,
+    removeMapping,
+    learnMapping,
+    setEnabled
+  } = useMidiMappings();
+  const { getAllSurfaces, selectedSurfaceId } = useSurfaces();
+  const { cues } = useCues();
+  const contentTypes = useContentRegistry();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const surfaces = getAllSurfaces();
+
+  // Switching kind keeps the surface where the new kind has one
+  const createTarget = (kind, previous) => {
+    const surfaceId = previous.surfaceId ?? selectedSurfaceId ?? surfaces[0]?.id ?? '';
+    switch (kind) {
+      case 'opacity':
+        return { kind, surfaceId };
+      case 'param':
+        return { kind, surfaceId, param: getParameterNames(surfaces.find(surface => surface.id === surfaceId))[0] ?? '' };
+      case 'content':
+        return { kind, surfaceId, contentType: previous.contentType ?? contentTypes[0]?.id ?? '' };
+      case 'cue':
+        return { kind, cueId: cues[0]?.id ?? '' };
+      default:
+        return { kind };
+    }
+  };
+
+  const handleAddMapping = () => {
+    const mapping = addMapping(selectedSurfaceId ? { kind: 'opacity', surfaceId: selectedSurfaceId } : { kind: 'cueGo' });
+    learnMapping(mapping.id);
+  };
+
+  const inputClassName = 'min-w-0 px-1.5 py-1 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]';
+  const iconButtonClassName = 'bg-transparent border-none text-white/70 cursor-pointer px-1 rounded text-xs hover:bg-white/10 hover:text-white';
+
+  return (
+    <div>
+      <button
+        className="bg-transparent border-none p-0 mb-1.5 text-xs text-white/70 font-medium cursor-pointer hover:text-white"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        {isOpen ? '▾' : '▸'} MIDI{mappings.length > 0 ? ` · ${mappings.length} mapping${mappings.length !== 1 ? 's' : ''}` : ''}
+      </button>
+
+      {isOpen && (
+        <div className="flex flex-col gap-2 p-2.5 bg-black/30 border border-white/10 rounded">
+          <label className="flex items-center gap-2 text-xs text-white/80 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+            />
+            Enable MIDI input
+          </label>
+          <div className={`text-[11px] ${status === 'denied' || status === 'unsupported' ? 'text-red-400' : 'text-white/50'}`}>
+            {STATUS_LABELS[status]}
+          </div>
+
+          {mappings.map(mapping => {
+            const { target } = mapping;
+            const surface = surfaces.find(candidate => candidate.id === target.surfaceId);
+            const isLearning = mapping.id === learningId;
+
+            return (
+              <div key={mapping.id} className={`flex flex-col gap-1 p-1.5 rounded border ${isLearning ? 'border-[#00aaff] bg-[rgba(0,170,255,0.1)]' : 'border-white/10'}`}>
+                <div className="flex items-center gap-1">
+                  <span className="flex-1 min-w-0 text-xs font-mono text-white/80 truncate">
+                    {isLearning ? 'Move a control…' : mapping.control ? formatMidiControl(mapping.control) : 'Not learned'}
+                  </span>
+                  <button
+                    className={`${iconButtonClassName} ${isLearning ? 'text-[#00aaff]' : ''}`}
+                    onClick={() => learnMapping(isLearning ? null : mapping.id)}
+                    disabled={!enabled && !isLearning}
+                    title={isLearning ? 'Stop learning' : 'Learn the control from the next CC or note received'}
+                  >
+                    {isLearning ? '◉' : '○'} Learn
+                  </button>
+                  <button
+                    className="bg-transparent border-none text-white cursor-pointer px-1 rounded hover:bg-red-500/20 hover:text-red-400"
+                    onClick={() => removeMapping(mapping.id)}
+                    title="Delete mapping"
+                  >
+                    ×
+                  </button>
+                </div>
+
+                <div className="flex items-center gap-1">
+                  <select
+                    className={`${inputClassName} flex-1`}
+                    value={target.kind}
+                    onChange={(e) => updateMapping(mapping.id, { target: createTarget(e.target.value, target) })}
+                    title="What the control does"
+                  >
+                    {TARGET_KINDS.map(({ kind, label }) => <option key={kind} value={kind}>{label}</option>)}
+                  </select>
+
+                  {'surfaceId' in target && (
+                    <select
+                      className={`${inputClassName} flex-1`}
+                      value={target.surfaceId}
+                      onChange={(e) => updateMapping(mapping.id, { target: createTarget(target.kind, { ...target, surfaceId: e.target.value }) })}
+                      title="Surface"
+                    >
+                      {!surface && <option value={target.surfaceId}>(missing surface)</option>}
+                      {surfaces.map(candidate => <option key={candidate.id} value={candidate.id}>{candidate.name}</option>)}
+                    </select>
+                  )}
+
+                  {target.kind === 'cue' && (
+                    <select
+                      className={`${inputClassName} flex-1`}
+                      value={target.cueId}
+                      onChange={(e) => updateMapping(mapping.id, { target: { kind: 'cue', cueId: e.target.value } })}
+                      title="Cue"
+                    >
+                      {!cues.some(cue => cue.id === target.cueId) && <option value={target.cueId}>(missing cue)</option>}
+                      {cues.map(cue => <option key={cue.id} value={cue.id}>{cue.name}</option>)}
+                    </select>
+                  )}
+                </div>
+
+                {target.kind === 'param' && (
+                  <select
+                    className={inputClassName}
+                    value={target.param}
+                    onChange={(e) => updateMapping(mapping.id, { target: { ...target, param: e.target.value } })}
+                    title="Effect parameter (shader uniform)"
+                  >
+                    {!getParameterNames(surface).includes(target.param) && <option value={target.param}>(not on this content)</option>}
+                    {getParameterNames(surface).map(name => (
+                      <option key={name} value={name}>{contentRegistry.get(surface.contentType).parameters[name].label}</option>
+                    ))}
+                  </select>
+                )}
+
+                {target.kind === 'content' && (
+                  <select
+                    className={inputClassName}
+                    value={target.contentType}
+                    onChange={(e) => updateMapping(mapping.id, { target: { ...target, contentType: e.target.value } })}
+                    title="Content the surface switches to"
+                  >
+                    {!contentRegistry.has(target.contentType) && <option value={target.contentType}>(unknown content)</option>}
+                    {contentTypes.map(definition => <option key={definition.id} value={definition.id}>{definition.label}</option>)}
+                  </select>
+                )}
+
+                {!isMidiTrigger(target) && (
+                  <div className="flex items-center gap-1 text-[11px] text-white/50">
+                    <span>Curve</span>
+                    <select
+                      className={`${inputClassName} flex-1`}
+                      value={mapping.curve}
+                      onChange={(e) => updateMapping(mapping.id, { curve: e.target.value })}
+                      title="How the control's travel maps onto the value"
+                    >
+                      {CURVES.map(({ curve, label }) => <option key={curve} value={curve}>{label}</option>)}
+                    </select>
+                    <label
+                      className="flex items-center gap-1 cursor-pointer"
+                      title="Only take over once the control reaches the current value, so it never jumps"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={mapping.softTakeover}
+                        onChange={(e) => updateMapping(mapping.id, { softTakeover: e.target.checked })}
+                      />
+                      Soft takeover
+                    </label>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          <button
+            className="w-full px-2.5 py-1.5 bg-gray-600 hover:bg-gray-500 text-white border-none rounded cursor-pointer text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={handleAddMapping}
+            disabled={!enabled}
+            title={enabled ? 'Add a mapping and learn its control from the next CC or note' : 'Enable MIDI input first'}
+          >
+            + Add Mapping
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
+import { z } from 'zod';
+import { MidiMappingArraySchema } from '../../../shared/schemas';
+import { STORAGE_KEYS } from '../../../shared/utils/constants';
+import { useStorage } from '../../../shared/hooks/useStorage';
+import { broadcastManager, MessageTypes } from '../../../shared/utils/broadcast-channel';
+import { createMidiMapping } from '../../../shared/utils/midi-mapping';
+
+/**
+ * MIDI Context
+ * Manages the table binding MIDI CC and note controls to surface opacity,
+ * effect parameters, content switching and cues, and which mapping is
+ * learning its control. The editor's useMidiInput hook listens to the
+ * controllers and applies the table.
+ */
+
+const MidiContext = createContext(null);
+
+export function MidiProvider({ children }) {
+  const [mappings, setStoredMappings] = useStorage({
+    key: STORAGE_KEYS.MIDI_MAPPINGS,
+    defaultValue: [],
+    schema: MidiMappingArraySchema
+  });
+  const [enabled, setEnabled] = useStorage({
+    key: STORAGE_KEYS.MIDI_ENABLED,
+    defaultValue: false,
+    schema: z.boolean()
+  });
+  const [status, setStatus] = useState('off');
+  const [learningId, setLearningId] = useState(null);
+
+  // Latest mappings, so edits made in quick succession build on each other
+  const mappingsRef = useRef(mappings);
+  mappingsRef.current = mappings;
+
+  const replaceMappings = useCallback((nextMappings) => {
+    mappingsRef.current = nextMappings;
+    setStoredMappings(nextMappings);
+    broadcastManager.broadcast(MessageTypes.MIDI_MAPPINGS_CHANGED, nextMappings);
+  }, [setStoredMappings]);
+
+  const addMapping = useCallback((target, control = null) => {
+    const mapping = createMidiMapping(target, mappingsRef.current, control);
+    replaceMappings([...mappingsRef.current, mapping]);
+    return mapping;
+  }, [replaceMappings]);
+
+  const updateMapping = useCallback((id, updates) => {
+    replaceMappings(mappingsRef.current.map(mapping => (mapping.id === id ? { ...mapping, ...updates } : mapping)));
+  }, [replaceMappings]);
+
+  const removeMapping = useCallback((id) => {
+    replaceMappings(mappingsRef.current.filter(mapping => mapping.id !== id));
+    setLearningId(current => (current === id ? null : current));
+  }, [replaceMappings]);
+
+  // Bind the next control moved to a mapping (null stops learning)
+  const learnMapping = useCallback((id) => {
+    setLearningId(id);
+  }, []);
+
+  useEffect(() => {
+    return broadcastManager.subscribe(MessageTypes.MIDI_MAPPINGS_CHANGED, (nextMappings) => {
+      mappingsRef.current = nextMappings;
+      setStoredMappings(nextMappings);
+    });
+  }, [setStoredMappings]);
+
+  const value = {
+    mappings,
+    learningId,
+    enabled,
+    status,
+    addMapping,
+    updateMapping,
+    removeMapping,
+    replaceMappings,
+    learnMapping,
+    setEnabled,
+    setStatus
+  };
+
+  return <MidiContext.Provider value={value}>{children}</MidiContext.Provider>;
+}
+
+export function useMidiMappings() {
+  const context = useContext(MidiContext);
+  if (!context) {
+    throw new Error('useMidiMappings must be used within MidiProvider');
+  }
+  return context;
+}
@@ -0,0 +1,63 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useSurfaces } from '../../surface-manager';
+import { useCues } from '../../cues';
+import { useMidi, MIDI_ANY } from '../../../shared/hooks/useMidi';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { applyMidiMappings, getMidiControlKey } from '../../../shared/utils/midi-mapping';
+import { useMidiMappings } from '../context/MidiContext';
+
+/**
+ * MIDI Input Hook
+ * Listens to MIDI controllers while MIDI is enabled and applies the mapping
+ * table, one handler per mapped control; while a mapping is learning, the
+ * next control moved is bound to it instead
+ */
+export function useMidiInput() {
+  const { mappings, enabled, learningId, updateMapping, learnMapping, setStatus } = useMidiMappings();
+  const { getAllSurfaces, updateSurface } = useSurfaces();
+  const { cues, fireCue, go, back } = useCues();
+
+  // Messages arrive outside React, so they act on the latest render's state
+  const targetRef = useRef(null);
+  targetRef.current = {
+    registry: contentRegistry,
+    getSurfaces: getAllSurfaces,
+    updateSurface: (id, updates, label) => updateSurface(id, updates, { label }),
+    getCues: () => cues,
+    fireCue,
+    go,
+    back
+  };
+
+  // Soft-takeover state by mapping id
+  const takeoverRef = useRef(new Map());
+
+  const handlers = useMemo(() => {
+    if (learningId) {
+      return {
+        [MIDI_ANY]: ({ type, channel, number }) => {
+          takeoverRef.current.delete(learningId);
+          updateMapping(learningId, { control: { type, channel, number } });
+          learnMapping(null);
+        }
+      };
+    }
+
+    const byControl = {};
+    mappings.forEach(mapping => {
+      if (!mapping.control) return;
+      const key = getMidiControlKey(mapping.control);
+      byControl[key] = [...(byControl[key] ?? []), mapping];
+    });
+    return Object.fromEntries(Object.entries(byControl).map(([key, controlMappings]) => [
+      key,
+      (event) => applyMidiMappings(controlMappings, event, targetRef.current, takeoverRef.current)
+    ]));
+  }, [mappings, learningId, updateMapping, learnMapping]);
+
+  const status = useMidi(handlers, enabled);
+
+  useEffect(() => {
+    setStatus(status);
+  }, [status, setStatus]);
+}
@@ -0,0 +1,8 @@
+/**
+ * MIDI Feature Module
+ * Public API for the MIDI mapping table and the editor's MIDI controller input
+ */
+
+export { MidiProvider, useMidiMappings } from './context/MidiContext';
+export { MidiMappingPanel } from './components/MidiMappingPanel';
+export { useMidiInput } from './hooks/useMidiInput';
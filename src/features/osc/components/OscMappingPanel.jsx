@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+import { useCues } from '../../cues';
+import { OSC_DEFAULTS } from '../../../shared/utils/constants';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { isOscTrigger } from '../../../shared/utils/osc-mapping';
+import { useOsc } from '../context/OscContext';
+
+const TARGET_KINDS = [
+  { kind: 'opacity', label: 'Surface opacity' },
+  { kind: 'visible', label: 'Surface visibility' },
+  { kind: 'param', label: 'Effect parameter' },
+  { kind: 'cue', label: 'Fire cue' },
+  { kind: 'cueGo', label: 'Cue GO' },
+  { kind: 'cueBack', label: 'Cue BACK' },
+  { kind: 'toggleMode', label: 'Toggle mode' },
+  { kind: 'blackout', label: 'Toggle blackout' }
+];
+
+const getParameterNames = (surface) =>
+  Object.keys(contentRegistry.get(surface?.contentType)?.parameters ?? {});
+
+const formatArgs = (args) => args.map(arg => (typeof arg === 'number' ? Number(arg.toFixed(3)) : String(arg))).join(' ');
+
+/**
+ * OSC Mapping Panel Component
+ * Binds OSC addresses (typed, or learned from the next incoming message) to
+ * surface opacity, visibility, effect parameters, cues, mode and blackout,
+ * with the input range each value is scaled from
+ */
+export function OscMappingPanel() {
+  const { mappings, learningId, lastMessage, addMapping, updateMapping, removeMapping, learnMapping } = useOsc();
+  const { getAllSurfaces, selectedSurfaceId } = useSurfaces();
+  const { cues } = useCues();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const surfaces = getAllSurfaces();
+
+  // Switching kind keeps the surface where the new kind has one
+  const createTarget = (kind, previous) => {
+    const surfaceId = previous.surfaceId ?? selectedSurfaceId ?? surfaces[0]?.id ?? '';
+    switch (kind) {
+      case 'opacity':
+      case 'visible':
+        return { kind, surfaceId };
+      case 'param':
+        return { kind, surfaceId, param: getParameterNames(surfaces.find(surface => surface.id === surfaceId))[0] ?? '' };
+      case 'cue':
+        return { kind, cueId: cues[0]?.id ?? '' };
+      default:
+        return { kind };
+    }
+  };
+
+  const handleAddMapping = () => {
+    const mapping = addMapping(selectedSurfaceId ? { kind: 'opacity', surfaceId: selectedSurfaceId } : { kind: 'cueGo' });
+    learnMapping(mapping.id);
+  };
+
+  const inputClassName = 'min-w-0 px-1.5 py-1 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]';
+  const iconButtonClassName = 'bg-transparent border-none text-white/70 cursor-pointer px-1 rounded text-xs hover:bg-white/10 hover:text-white';
+
+  return (
+    <div>
+      <button
+        className="bg-transparent border-none p-0 mb-1.5 text-xs text-white/70 font-medium cursor-pointer hover:text-white"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        {isOpen ? '▾' : '▸'} OSC{mappings.length > 0 ? ` · ${mappings.length} mapping${mappings.length !== 1 ? 's' : ''}` : ''}
+      </button>
+
+      {isOpen && (
+        <div className="flex flex-col gap-2 p-2.5 bg-black/30 border border-white/10 rounded">
+          <div className="text-[11px] text-white/50 break-all">
+            {lastMessage
+              ? <>Last received: <span className="font-mono text-white/80">{lastMessage.address} {formatArgs(lastMessage.args)}</span></>
+              : `No OSC received yet (run \`npm run osc\` next to the relay and send to UDP port ${OSC_DEFAULTS.PORT})`}
+          </div>
+
+          {mappings.map(mapping => {
+            const { target } = mapping;
+            const surface = surfaces.find(candidate => candidate.id === target.surfaceId);
+            const isLearning = mapping.id === learningId;
+
+            return (
+              <div key={mapping.id} className={`flex flex-col gap-1 p-1.5 rounded border ${isLearning ? 'border-[#00aaff] bg-[rgba(0,170,255,0.1)]' : 'border-white/10'}`}>
+                <div className="flex items-center gap-1">
+                  <input
+                    className={`${inputClassName} flex-1 font-mono`}
+                    type="text"
+                    placeholder={isLearning ? 'Waiting for a message…' : '/address'}
+                    value={mapping.address}
+                    onChange={(e) => {
+                      const address = e.target.value.trim();
+                      if (address === '' || /^\/\S*$/.test(address)) {
+                        updateMapping(mapping.id, { address });
+                      }
+                    }}
+                    title="OSC address"
+                  />
+                  <button
+                    className={`${iconButtonClassName} ${isLearning ? 'text-[#00aaff]' : ''}`}
+                    onClick={() => learnMapping(isLearning ? null : mapping.id)}
+                    title={isLearning ? 'Stop learning' : 'Learn the address from the next OSC message'}
+                  >
+                    {isLearning ? '◉' : '○'} Learn
+                  </button>
+                  <button
+                    className="bg-transparent border-none text-white cursor-pointer px-1 rounded hover:bg-red-500/20 hover:text-red-400"
+                    onClick={() => removeMapping(mapping.id)}
+                    title="Delete mapping"
+                  >
+                    ×
+                  </button>
+                </div>
+
+                <div className="flex items-center gap-1">
+                  <select
+                    className={`${inputClassName} flex-1`}
+                    value={target.kind}
+                    onChange={(e) => updateMapping(mapping.id, { target: createTarget(e.target.value, target) })}
+                    title="What the address controls"
+                  >
+                    {TARGET_KINDS.map(({ kind, label }) => <option key={kind} value={kind}>{label}</option>)}
+                  </select>
+
+                  {'surfaceId' in target && (
+                    <select
+                      className={`${inputClassName} flex-1`}
+                      value={target.surfaceId}
+                      onChange={(e) => updateMapping(mapping.id, { target: createTarget(target.kind, { surfaceId: e.target.value }) })}
+                      title="Surface"
+                    >
+                      {!surface && <option value={target.surfaceId}>(missing surface)</option>}
+                      {surfaces.map(candidate => <option key={candidate.id} value={candidate.id}>{candidate.name}</option>)}
+                    </select>
+                  )}
+
+                  {target.kind === 'cue' && (
+                    <select
+                      className={`${inputClassName} flex-1`}
+                      value={target.cueId}
+                      onChange={(e) => updateMapping(mapping.id, { target: { kind: 'cue', cueId: e.target.value } })}
+                      title="Cue"
+                    >
+                      {!cues.some(cue => cue.id === target.cueId) && <option value={target.cueId}>(missing cue)</option>}
+                      {cues.map(cue => <option key={cue.id} value={cue.id}>{cue.name}</option>)}
+                    </select>
+                  )}
+                </div>
+
+                {target.kind === 'param' && (
+                  <select
+                    className={inputClassName}
+                    value={target.param}
+                    onChange={(e) => updateMapping(mapping.id, { target: { ...target, param: e.target.value } })}
+                    title="Effect parameter (shader uniform)"
+                  >
+                    {!getParameterNames(surface).includes(target.param) && <option value={target.param}>(not on this content)</option>}
+                    {getParameterNames(surface).map(name => (
+                      <option key={name} value={name}>{contentRegistry.get(surface.contentType).parameters[name].label}</option>
+                    ))}
+                  </select>
+                )}
+
+                <div className="flex items-center gap-1 text-[11px] text-white/50">
+                  <span>{isOscTrigger(target) ? 'Fires at half of' : 'Input'}</span>
+                  <input
+                    className={`${inputClassName} w-14`}
+                    type="number"
+                    value={mapping.inputMin}
+                    onChange={(e) => Number.isFinite(e.target.valueAsNumber) && updateMapping(mapping.id, { inputMin: e.target.valueAsNumber })}
+                    title="Incoming value mapped to the bottom of the target's range"
+                  />
+                  <span>to</span>
+                  <input
+                    className={`${inputClassName} w-14`}
+                    type="number"
+                    value={mapping.inputMax}
+                    onChange={(e) => Number.isFinite(e.target.valueAsNumber) && updateMapping(mapping.id, { inputMax: e.target.valueAsNumber })}
+                    title="Incoming value mapped to the top of the target's range"
+                  />
+                </div>
+              </div>
+            );
+          })}
+
+          <button
+            className="w-full px-2.5 py-1.5 bg-gray-600 hover:bg-gray-500 text-white border-none rounded cursor-pointer text-xs font-medium transition-colors"
+            onClick={handleAddMapping}
+            title="Add a mapping and learn its address from the next OSC message"
+          >
+            + Add Mapping
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
+import { OscMappingArraySchema } from '../../../shared/schemas';
+import { STORAGE_KEYS } from '../../../shared/utils/constants';
+import { useStorage } from '../../../shared/hooks/useStorage';
+import { useApp } from '../../../shared/context/AppContext';
+import { broadcastManager, MessageTypes } from '../../../shared/utils/broadcast-channel';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { applyOscMessage, createOscMapping } from '../../../shared/utils/osc-mapping';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+import { useCues } from '../../cues';
+
+/**
+ * OSC Context
+ * Manages the table binding OSC addresses to surface properties, effect
+ * parameters, cues, mode and blackout, and applies the OSC messages the relay
+ * hands to this editor from the bridge. In learn mode the next message's
+ * address is bound to the mapping being learned instead.
+ */
+
+const OscContext = createContext(null);
+
+export function OscProvider({ children }) {
+  const { toggleMode, isBlackout, setBlackout } = useApp();
+  const { getAllSurfaces, updateSurface } = useSurfaces();
+  const { cues, fireCue, go, back } = useCues();
+  const [mappings, setStoredMappings] = useStorage({
+    key: STORAGE_KEYS.OSC_MAPPINGS,
+    defaultValue: [],
+    schema: OscMappingArraySchema
+  });
+  const [learningId, setLearningId] = useState(null);
+  const [lastMessage, setLastMessage] = useState(null);
+
+  // Latest mappings, so edits made in quick succession build on each other
+  const mappingsRef = useRef(mappings);
+  mappingsRef.current = mappings;
+  const learningIdRef = useRef(learningId);
+  learningIdRef.current = learningId;
+
+  const replaceMappings = useCallback((nextMappings) => {
+    mappingsRef.current = nextMappings;
+    setStoredMappings(nextMappings);
+    broadcastManager.broadcast(MessageTypes.OSC_MAPPINGS_CHANGED, nextMappings);
+  }, [setStoredMappings]);
+
+  const addMapping = useCallback((target, address = '') => {
+    const mapping = createOscMapping(target, mappingsRef.current, address);
+    replaceMappings([...mappingsRef.current, mapping]);
+    return mapping;
+  }, [replaceMappings]);
+
+  const updateMapping = useCallback((id, updates) => {
+    replaceMappings(mappingsRef.current.map(mapping => (mapping.id === id ? { ...mapping, ...updates } : mapping)));
+  }, [replaceMappings]);
+
+  const removeMapping = useCallback((id) => {
+    replaceMappings(mappingsRef.current.filter(mapping => mapping.id !== id));
+    setLearningId(current => (current === id ? null : current));
+  }, [replaceMappings]);
+
+  // Bind the next incoming address to a mapping (null stops learning)
+  const learnMapping = useCallback((id) => {
+    setLearningId(id);
+  }, []);
+
+  // Messages arrive outside React, so they act on the latest render's state
+  const targetRef = useRef(null);
+  targetRef.current = {
+    registry: contentRegistry,
+    getSurfaces: getAllSurfaces,
+    updateSurface: (id, updates, label) => updateSurface(id, updates, { label }),
+    getCues: () => cues,
+    fireCue,
+    go,
+    back,
+    isBlackout: () => isBlackout,
+    setBlackout,
+    toggleMode
+  };
+
+  useEffect(() => {
+    const unsubscribeMessages = broadcastManager.subscribe(MessageTypes.OSC_MESSAGE, (message, source) => {
+      // Only the relay passes OSC on, from the bridge's authorized socket
+      if (source !== 'relay') return;
+      setLastMessage(message);
+      if (learningIdRef.current) {
+        updateMapping(learningIdRef.current, { address: message.address });
+        setLearningId(null);
+        return;
+      }
+      applyOscMessage(message, mappingsRef.current, targetRef.current);
+    });
+
+    const unsubscribeMappings = broadcastManager.subscribe(
+      MessageTypes.OSC_MAPPINGS_CHANGED,
+      (nextMappings) => {
+        mappingsRef.current = nextMappings;
+        setStoredMappings(nextMappings);
+      }
+    );
+
+    return () => {
+      unsubscribeMessages();
+      unsubscribeMappings();
+    };
+  }, [updateMapping, setStoredMappings]);
+
+  const value = {
+    mappings,
+    learningId,
+    lastMessage,
+    addMapping,
+    updateMapping,
+    removeMapping,
+    replaceMappings,
+    learnMapping
+  };
+
+  return <OscContext.Provider value={value}>{children}</OscContext.Provider>;
+}
+
+export function useOsc() {
+  const context = useContext(OscContext);
+  if (!context) {
+    throw new Error('useOsc must be used within OscProvider');
+  }
+  return context;
+}
@@ -0,0 +1,7 @@
+/**
+ * OSC Feature Module
+ * Public API for the OSC mapping table and the messages the OSC bridge sends
+ */
+
+export { OscProvider, useOsc } from './context/OscContext';
+export { OscMappingPanel } from './components/OscMappingPanel';
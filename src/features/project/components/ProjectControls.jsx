@@ -0,0 +1,148 @@
+import React, { useRef, useState } from 'react';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+import { useCues } from '../../cues';
+import { useTimeline } from '../../timeline';
+import { useOsc } from '../../osc';
+import { useMidiMappings } from '../../midi';
+import { useApp } from '../../../shared/context/AppContext';
+import { assetStore } from '../../../shared/utils/asset-store';
+import {
+  createProjectFile,
+  importProjectAssets,
+  parseProjectFile,
+  resolveImportedSurfaces
+} from '../../../shared/utils/project-file';
+import { mergeOutputs } from '../../../shared/utils/outputs';
+import { ProjectImportModal } from './ProjectImportModal';
+
+const PROJECT_FILE_EXTENSION = '.pmproj.json';
+
+/**
+ * Project Controls Component
+ * Export the whole setup (surfaces, settings, cues, timeline, OSC and MIDI mappings, custom shaders and media) to a
+ * single file, and import one in replace or merge mode
+ */
+export function ProjectControls() {
+  const { getAllSurfaces, replaceSurfaces } = useSurfaces();
+  const { cues, replaceCues } = useCues();
+  const { timeline, replaceTimeline } = useTimeline();
+  const { mappings: oscMappings, replaceMappings: replaceOscMappings } = useOsc();
+  const { mappings: midiMappings, replaceMappings: replaceMidiMappings } = useMidiMappings();
+  const {
+    mode,
+    setMode,
+    isFullscreen,
+    isSidebarVisible,
+    outputs,
+    replaceOutputs,
+    showNotification
+  } = useApp();
+  const fileInputRef = useRef(null);
+  const [pendingImport, setPendingImport] = useState(null);
+
+  const handleExport = async () => {
+    try {
+      const project = await createProjectFile(
+        assetStore,
+        getAllSurfaces(),
+        { mode, isFullscreen, isSidebarVisible, outputs, cues, timeline, oscMappings, midiMappings }
+      );
+      const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `projection-mapping-${project.exportedAt.slice(0, 10)}${PROJECT_FILE_EXTENSION}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      showNotification('Project exported');
+    } catch (error) {
+      console.error('Error exporting project:', error);
+      showNotification('Project export failed');
+    }
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      // Unreadable file, or too large to hold in memory with its embedded assets
+      console.error('Error reading project file:', error);
+      setPendingImport({ fileName: file.name, errors: [`File could not be read: ${error.message}`] });
+      return;
+    }
+
+    const result = parseProjectFile(text);
+    setPendingImport(result.success
+      ? { fileName: file.name, project: result.project }
+      : { fileName: file.name, errors: result.errors });
+  };
+
+  const handleImport = async (importMode) => {
+    const { project } = pendingImport;
+    setPendingImport(null);
+    try {
+      const importedSurfaces = await importProjectAssets(assetStore, project);
+      replaceSurfaces(resolveImportedSurfaces(getAllSurfaces(), importedSurfaces, importMode));
+      if (importMode === 'replace') {
+        setMode(project.settings.mode);
+        if (project.settings.outputs) {
+          replaceOutputs(project.settings.outputs);
+        }
+        // Merged surfaces may be renumbered, so only a replace brings the cues, timeline and OSC and MIDI mappings along
+        if (project.settings.cues) {
+          replaceCues(project.settings.cues);
+        }
+        if (project.settings.timeline) {
+          replaceTimeline(project.settings.timeline);
+        }
+        if (project.settings.oscMappings) {
+          replaceOscMappings(project.settings.oscMappings);
+        }
+        if (project.settings.midiMappings) {
+          replaceMidiMappings(project.settings.midiMappings);
+        }
+      } else if (project.settings.outputs) {
+        replaceOutputs(mergeOutputs(outputs, project.settings.outputs));
+      }
+      showNotification(importMode === 'replace' ? 'Project imported' : 'Project merged');
+    } catch (error) {
+      console.error('Error importing project:', error);
+      showNotification('Project import failed');
+    }
+  };
+
+  const buttonClassName = 'flex-1 px-2.5 py-2 bg-gray-600 hover:bg-gray-500 text-white border-none rounded cursor-pointer text-xs font-medium transition-colors';
+
+  return (
+    <>
+      <div className="flex gap-2">
+        <button className={buttonClassName} onClick={handleExport} title="Save surfaces, settings and media to a file">
+          Export Project
+        </button>
+        <button className={buttonClassName} onClick={() => fileInputRef.current?.click()} title="Load a project file">
+          Import Project
+        </button>
+        <input
+          ref={fileInputRef}
+          className="hidden"
+          type="file"
+          accept={`${PROJECT_FILE_EXTENSION},application/json`}
+          onChange={handleFileSelected}
+        />
+      </div>
+
+      <ProjectImportModal
+        fileName={pendingImport?.fileName}
+        project={pendingImport?.project}
+        errors={pendingImport?.errors}
+        onImport={handleImport}
+        onClose={() => setPendingImport(null)}
+      />
+    </>
+  );
+}
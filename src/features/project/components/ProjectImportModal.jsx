@@ -0,0 +1,74 @@
+import React from 'react';
+import { createPortal } from 'react-dom';
+
+/**
+ * Project Import Modal Component
+ * Shows why a project file was rejected, or asks whether a valid project
+ * should replace the current surfaces or be merged into them.
+ * Rendered into document.body so the sidebar doesn't clip it.
+ */
+export function ProjectImportModal({ fileName, project, errors, onImport, onClose }) {
+  if (!project && !errors) return null;
+
+  const buttonClassName = 'flex-1 px-4 py-2.5 border-none rounded cursor-pointer text-sm font-medium transition-colors text-white';
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-[10000] animate-fadeIn" onClick={onClose}>
+      <div className="bg-[#2a2a2a] rounded-xl p-0 max-w-[600px] w-[90%] max-h-[90vh] overflow-y-auto shadow-[0_10px_40px_rgba(0,0,0,0.5)] animate-slideUp" onClick={(e) => e.stopPropagation()}>
+        <div className="py-5 px-6 border-b border-[#444] flex justify-between items-center">
+          <h2 className="m-0 text-xl text-white">Import Project</h2>
+          <button className="bg-transparent border-none text-[28px] text-[#999] hover:bg-[#444] hover:text-white cursor-pointer p-0 w-8 h-8 flex items-center justify-center rounded transition-all" onClick={onClose}>×</button>
+        </div>
+
+        <div className="p-6">
+          <p className="my-0 mb-4 text-[#ccc] text-sm break-all">{fileName}</p>
+
+          {errors ? (
+            <>
+              <p className="my-0 mb-3 text-red-300 text-sm">
+                This file cannot be imported. {errors.length} problem{errors.length !== 1 ? 's' : ''} found:
+              </p>
+              <ul className="m-0 p-3 bg-black/30 border border-red-500/30 rounded list-none font-mono text-xs text-red-200 max-h-[40vh] overflow-y-auto">
+                {errors.map((error, index) => (
+                  <li key={index} className="py-0.5">{error}</li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <>
+              <div className="p-4 mb-5 bg-[#333] rounded-lg text-sm text-[#ccc]">
+                <div>{project.surfaces.length} surface{project.surfaces.length !== 1 ? 's' : ''}</div>
+                <div>{project.assets.length} embedded asset{project.assets.length !== 1 ? 's' : ''}</div>
+                {project.settings.cues?.length > 0 && (
+                  <div>{project.settings.cues.length} cue{project.settings.cues.length !== 1 ? 's' : ''}</div>
+                )}
+                {project.settings.timeline?.tracks.length > 0 && (
+                  <div>{project.settings.timeline.tracks.length} timeline track{project.settings.timeline.tracks.length !== 1 ? 's' : ''}</div>
+                )}
+                {project.settings.oscMappings?.length > 0 && (
+                  <div>{project.settings.oscMappings.length} OSC mapping{project.settings.oscMappings.length !== 1 ? 's' : ''}</div>
+                )}
+                {project.settings.midiMappings?.length > 0 && (
+                  <div>{project.settings.midiMappings.length} MIDI mapping{project.settings.midiMappings.length !== 1 ? 's' : ''}</div>
+                )}
+                <div className="text-xs text-[#999] mt-1">Exported {new Date(project.exportedAt).toLocaleString()}</div>
+              </div>
+              <div className="flex gap-3">
+                <button className={`${buttonClassName} bg-red-500 hover:bg-red-600`} onClick={() => onImport('replace')}>
+                  Replace Current
+                </button>
+                <button className={`${buttonClassName} bg-[#00aaff] hover:bg-[#0088cc]`} onClick={() => onImport('merge')}>
+                  Merge Into Current
+                </button>
+              </div>
+              <p className="mt-3 mb-0 text-xs text-[#999]">
+                Replace discards the current surfaces and applies the project's settings, cues, timeline and OSC and MIDI mappings. Merge adds the project's surfaces, and any outputs missing here, alongside the current ones.
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * Project Feature Module
+ * Public API for exporting and importing project files
+ */
+
+export { ProjectControls } from './components/ProjectControls';
+export { ProjectImportModal } from './components/ProjectImportModal';
@@ -0,0 +1,65 @@
+import { useEffect, useRef } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { useSurfaces } from '../../surface-manager';
+import { useCues } from '../../cues';
+import { useTimeline } from '../../timeline';
+import { useClock } from '../../clock';
+import { useRelayConnection } from '../../../shared/hooks/useNetworkSync';
+import { broadcastManager, MessageTypes } from '../../../shared/utils/broadcast-channel';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { executeRemoteCommand } from '../../../shared/utils/remote-control';
+
+/**
+ * Remote Control Hook
+ * Makes this editor the one the relay hands show-controller commands to: it
+ * offers itself whenever the relay connects, carries out each command against
+ * the current state and sends the result back
+ */
+export function useRemoteControl() {
+  const { mode, setMode, isBlackout, setBlackout, outputs } = useApp();
+  const { getAllSurfaces, updateSurface } = useSurfaces();
+  const { cues, currentCueId, fireCue, go, back } = useCues();
+  const { timeline } = useTimeline();
+  const { clock } = useClock();
+  const { status } = useRelayConnection();
+
+  // Commands arrive outside React, so they act on the latest render's state
+  const targetRef = useRef(null);
+  targetRef.current = {
+    registry: contentRegistry,
+    getSurfaces: getAllSurfaces,
+    updateSurface: (id, updates, label) => updateSurface(id, updates, { label }),
+    getCues: () => cues,
+    fireCue,
+    go,
+    back,
+    setMode,
+    isBlackout: () => isBlackout,
+    setBlackout,
+    getState: () => ({
+      mode,
+      blackout: isBlackout,
+      surfaces: getAllSurfaces(),
+      outputs,
+      cues,
+      currentCueId,
+      timeline,
+      clock
+    })
+  };
+
+  useEffect(() => {
+    return broadcastManager.subscribe(MessageTypes.REMOTE_COMMAND, ({ id, command }, source) => {
+      // Only the relay hands out commands, after checking who sent them
+      if (source !== 'relay') return;
+      const result = executeRemoteCommand(command, targetRef.current);
+      broadcastManager.sendToRelay(MessageTypes.REMOTE_COMMAND_RESULT, { id, ...result });
+    });
+  }, []);
+
+  useEffect(() => {
+    if (status === 'connected') {
+      broadcastManager.sendToRelay(MessageTypes.REMOTE_HOST_READY, {});
+    }
+  }, [status]);
+}
@@ -0,0 +1,6 @@
+/**
+ * Remote Control Feature Module
+ * Public API for taking show-controller commands relayed by the companion process
+ */
+
+export { useRemoteControl } from './hooks/useRemoteControl';
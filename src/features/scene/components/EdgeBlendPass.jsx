@@ -0,0 +1,56 @@
+import React, { useMemo } from 'react';
+import { useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { TransformCalculator } from '../../calibration/utils/TransformCalculator';
+import { useApp } from '../../../shared/context/AppContext';
+import { isEdgeBlendActive } from '../../../shared/utils/edge-blend';
+import '../materials/EdgeBlendMaterial';
+
+// Above any surface render order, so the pass is drawn last
+const EDGE_BLEND_RENDER_ORDER = 1_000_000;
+
+/**
+ * Edge Blend Pass Component
+ * Full-output quad drawn after every surface that applies the active output's
+ * soft-edge blend zones and black-level compensation to the rendered scene
+ */
+export function EdgeBlendPass() {
+  const { activeOutput } = useApp();
+  const { size } = useThree();
+  const { edgeBlend, resolution } = activeOutput;
+
+  // Output rectangle in camera frustum units (follows letterboxing on resize)
+  const bounds = useMemo(() => {
+    const { left, right, top, bottom } = TransformCalculator.getOutputFrustumBounds(resolution);
+    return {
+      position: [(left + right) / 2, (top + bottom) / 2, 1],
+      scale: [right - left, top - bottom, 1]
+    };
+  }, [resolution, size.width, size.height]);
+
+  if (!isEdgeBlendActive(edgeBlend)) {
+    return null;
+  }
+
+  return (
+    <mesh position={bounds.position} scale={bounds.scale} renderOrder={EDGE_BLEND_RENDER_ORDER} frustumCulled={false}>
+      <planeGeometry args={[1, 1]} />
+      <edgeBlendShaderMaterial
+        transparent
+        depthTest={false}
+        depthWrite={false}
+        blending={THREE.CustomBlending}
+        blendEquation={THREE.AddEquation}
+        blendSrc={THREE.OneMinusDstColorFactor}
+        blendDst={THREE.SrcAlphaFactor}
+        uLeft={edgeBlend.left}
+        uRight={edgeBlend.right}
+        uTop={edgeBlend.top}
+        uBottom={edgeBlend.bottom}
+        uCurve={edgeBlend.curve}
+        uGamma={edgeBlend.gamma}
+        uBlackLevel={edgeBlend.blackLevel}
+      />
+    </mesh>
+  );
+}
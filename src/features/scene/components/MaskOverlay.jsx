@@ -0,0 +1,82 @@
+import React, { useMemo } from 'react';
+import { useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { TransformCalculator } from '../../calibration/utils/TransformCalculator';
+import { useApp } from '../../../shared/context/AppContext';
+import { MASK_LIMITS } from '../../../shared/utils/constants';
+import { isMaskShown } from '../../../shared/utils/masks';
+import '../materials/MaskMaterial';
+
+// Normal alpha blending that also applies to opaque objects, so masks stay in
+// the opaque render list and are sorted with the surfaces by render order
+const MASK_BLENDING_PROPS = {
+  blending: THREE.CustomBlending,
+  blendEquation: THREE.AddEquation,
+  blendSrc: THREE.SrcAlphaFactor,
+  blendDst: THREE.OneMinusSrcAlphaFactor
+};
+
+/**
+ * Mask Overlay Component
+ * Blacks out a mask's area. Given a surface's geometry it only covers that
+ * surface; without one it covers the whole output (global masks).
+ */
+export function MaskOverlay({ mask, geometry, renderOrder }) {
+  const { mode, outputResolution } = useApp();
+  const { size } = useThree();
+
+  const bounds = useMemo(() => {
+    const { left, right, top, bottom } = TransformCalculator.getOutputFrustumBounds(outputResolution);
+    return new THREE.Vector4(left, right, top, bottom);
+  }, [outputResolution, size.width, size.height]);
+
+  // Output rectangle for global masks
+  const quad = useMemo(() => ({
+    position: [(bounds.x + bounds.y) / 2, (bounds.z + bounds.w) / 2, 1],
+    scale: [bounds.y - bounds.x, bounds.z - bounds.w, 1]
+  }), [bounds]);
+
+  // Points in output pixels, padded to the shader's fixed array size
+  const points = useMemo(() => Array.from({ length: MASK_LIMITS.MAX_POINTS }, (_, index) => {
+    const point = mask.points[index] ?? mask.points[0];
+    return new THREE.Vector2(point.x * outputResolution.width, point.y * outputResolution.height);
+  }), [mask.points, outputResolution]);
+
+  const resolution = useMemo(
+    () => new THREE.Vector2(outputResolution.width, outputResolution.height),
+    [outputResolution]
+  );
+
+  if (!isMaskShown(mask, mode)) {
+    return null;
+  }
+
+  const material = (
+    <maskShaderMaterial
+      depthTest={false}
+      depthWrite={false}
+      {...MASK_BLENDING_PROPS}
+      uPoints={points}
+      uCount={mask.points.length}
+      uFeather={mask.feather}
+      uInvert={mask.invert ? 1 : 0}
+      uBounds={bounds}
+      uResolution={resolution}
+    />
+  );
+
+  if (geometry) {
+    return (
+      <mesh geometry={geometry} renderOrder={renderOrder}>
+        {material}
+      </mesh>
+    );
+  }
+
+  return (
+    <mesh position={quad.position} scale={quad.scale} renderOrder={renderOrder} frustumCulled={false}>
+      <planeGeometry args={[1, 1]} />
+      {material}
+    </mesh>
+  );
+}
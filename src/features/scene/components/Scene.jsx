@@ -1,7 +1,15 @@
 import React, { useEffect } from 'react';
 import { Canvas, useThree } from '@react-three/fiber';
 import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+import { useApp } from '../../../shared/context/AppContext';
+import { getOutputSurfaces } from '../../../shared/utils/outputs';
+import { useTimelineSurfaces } from '../../timeline';
 import { Surface } from './Surface';
+import { EdgeBlendPass } from './EdgeBlendPass';
+import { MaskOverlay } from './MaskOverlay';
+
+// Global masks are drawn after every surface, before the edge blend pass
+const GLOBAL_MASK_RENDER_ORDER = 999_999;
 
 /**
  * Camera updater component
@@ -26,11 +34,13 @@ function CameraUpdater() {
 
 /**
  * Main 3D Scene Component
- * Sets up R3F Canvas with orthographic camera and renders all surfaces
+ * Sets up R3F Canvas with orthographic camera and renders the surfaces of the active output
+ * (as the timeline animates them, while it is enabled); nothing during a blackout
  */
 export function Scene() {
   const { getAllSurfaces } = useSurfaces();
-  const surfaces = getAllSurfaces();
+  const { outputs, activeOutput, isBlackout } = useApp();
+  const surfaces = useTimelineSurfaces(getOutputSurfaces(getAllSurfaces(), outputs, activeOutput.id));
 
   return (
     <Canvas
@@ -57,10 +67,18 @@ export function Scene() {
     >
       <CameraUpdater />
 
-      {/* Render all surfaces */}
-      {surfaces.map(surface => (
+      {/* Render the active output's surfaces */}
+      {!isBlackout && surfaces.map(surface => (
         <Surface key={surface.id} surface={surface} />
       ))}
+
+      {/* Output-wide masks */}
+      {activeOutput.masks?.map(mask => (
+        <MaskOverlay key={mask.id} mask={mask} renderOrder={GLOBAL_MASK_RENDER_ORDER} />
+      ))}
+
+      {/* Soft-edge blending over the whole output, drawn last */}
+      <EdgeBlendPass />
     </Canvas>
   );
 }
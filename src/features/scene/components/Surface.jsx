@@ -1,215 +1,150 @@
-import React, { useRef, useEffect, useMemo, useState } from 'react';
-import { useFrame, useLoader, useThree } from '@react-three/fiber';
+import React, { useRef, useEffect, useMemo } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 import { TransformCalculator } from '../../calibration/utils/TransformCalculator';
-import { useContentManager, getColorValue } from '../hooks/useContentManager';
-import { CONTENT_TYPES, GEOMETRY_SUBDIVISIONS, GEOMETRY_TYPES } from '../../../shared/utils/constants';
+import { GEOMETRY_SUBDIVISIONS, GEOMETRY_TYPES } from '../../../shared/utils/constants';
 import { GeometryGenerator } from '../utils/GeometryGenerator';
 import { useAudio } from '../../../shared/context/AudioContext';
-import AnimatedGradientShaderMaterial from '../materials/AnimatedGradientMaterial';
-import RotatingColorsShaderMaterial from '../materials/RotatingColorsMaterial';
-import PlasmaShaderMaterial from '../materials/PlasmaMaterial';
-import WavesShaderMaterial from '../materials/WavesMaterial';
-import NoiseShaderMaterial from '../materials/NoiseMaterial';
-import FireShaderMaterial from '../materials/FireMaterial';
-import RainbowShaderMaterial from '../materials/RainbowMaterial';
-import KaleidoscopeShaderMaterial from '../materials/KaleidoscopeMaterial';
-import GlitchShaderMaterial from '../materials/GlitchMaterial';
-import SpiralShaderMaterial from '../materials/SpiralMaterial';
-import AudioWavesShaderMaterial from '../materials/AudioWavesMaterial';
-import AudioPulseShaderMaterial from '../materials/AudioPulseMaterial';
-import AudioSpectrumShaderMaterial from '../materials/AudioSpectrumMaterial';
-import AudioBarsShaderMaterial from '../materials/AudioBarsMaterial';
-import { CustomShaderMaterial } from '../materials/CustomShaderMaterial';
+import { useApp } from '../../../shared/context/AppContext';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { useContentRegistry } from '../../../shared/hooks/useContentRegistry';
+import { resolveParameterValues, toUniformValues } from '../../../shared/utils/effect-parameters';
+import { MaskOverlay } from './MaskOverlay';
+import { useSurfaceOutput } from '../hooks/useSurfaceOutput';
+import { useCues } from '../../cues';
+import { useClock } from '../../clock';
+import {
+  getCrossfade,
+  getCueSurfaceState,
+  getTransitionProgress,
+  isSameCueSurfaceState
+} from '../../../shared/utils/cues';
+
+const BASE_MATERIAL_PROPS = {
+  side: THREE.DoubleSide,
+  depthTest: false,
+  depthWrite: false
+};
 
 /**
  * Surface Component
- * Renders a single projection surface with perspective transformation
+ * Renders a single projection surface with perspective transformation,
+ * crossfading its content while a cue fades in
  */
 export function Surface({ surface }) {
-  const meshRef = useRef();
-  const materialRef = useRef();
-  const { createCheckerboardTexture, createGridTexture } = useContentManager();
   const { size } = useThree();
-  const { audioData } = useAudio();
+  const { outputResolution } = useApp();
 
   // Create geometry based on geometry type
+  // (counted from the corners, so adding or deleting a point rebuilds it)
+  const cornerCount = surface.corners ? Object.keys(surface.corners).length : surface.cornerCount || 4;
   const geometry = useMemo(() => {
     const geom = GeometryGenerator.createGeometry(
       surface.geometryType || GEOMETRY_TYPES.POLYGON,
-      surface.cornerCount || 4,
+      cornerCount,
       GEOMETRY_SUBDIVISIONS
     );
     return geom;
-  }, [surface.geometryType, surface.cornerCount]);
+  }, [surface.geometryType, cornerCount]);
 
   // Apply perspective transformation to geometry when corners change OR window resizes
+  // (corners are normalized to the output, so a resize only changes where they land)
   useEffect(() => {
-    if (meshRef.current && surface.corners) {
+    if (surface.corners) {
       TransformCalculator.applyTransformToGeometry(
         geometry,
         surface.corners,
-        surface.geometryType || GEOMETRY_TYPES.POLYGON
+        surface.geometryType || GEOMETRY_TYPES.POLYGON,
+        surface.meshWarp,
+        outputResolution,
+        surface.cornerUvs
       );
     }
-  }, [surface.corners, geometry, surface.geometryType, size.width, size.height]);
-
-  // Create material based on content type
-  const materialProps = useMemo(() => {
-    const baseProps = {
-      side: THREE.DoubleSide,
-      depthTest: false,
-      depthWrite: false
-    };
-
-    switch (surface.contentType) {
-      case CONTENT_TYPES.CHECKERBOARD:
-        return {
-          type: 'meshBasicMaterial',
-          props: {
-            ...baseProps,
-            map: createCheckerboardTexture()
-          }
-        };
-
-      case CONTENT_TYPES.GRID:
-        return {
-          type: 'meshBasicMaterial',
-          props: {
-            ...baseProps,
-            map: createGridTexture()
-          }
-        };
-
-      case CONTENT_TYPES.WHITE:
-      case CONTENT_TYPES.RED:
-      case CONTENT_TYPES.GREEN:
-      case CONTENT_TYPES.BLUE:
-        return {
-          type: 'meshBasicMaterial',
-          props: {
-            ...baseProps,
-            color: getColorValue(surface.contentType)
-          }
-        };
-
-      case CONTENT_TYPES.ANIMATED_GRADIENT:
-        return {
-          type: 'animatedGradient',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.ROTATING_COLORS:
-        return {
-          type: 'rotatingColors',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.PLASMA:
-        return {
-          type: 'plasma',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.WAVES:
-        return {
-          type: 'waves',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.NOISE:
-        return {
-          type: 'noise',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.FIRE:
-        return {
-          type: 'fire',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.RAINBOW:
-        return {
-          type: 'rainbow',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.KALEIDOSCOPE:
-        return {
-          type: 'kaleidoscope',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.GLITCH:
-        return {
-          type: 'glitch',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.SPIRAL:
-        return {
-          type: 'spiral',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.AUDIO_WAVES:
-        return {
-          type: 'audioWaves',
-          props: baseProps
-        };
-
-      case CONTENT_TYPES.AUDIO_PULSE:
-        return {
-          type: 'audioPulse',
-          props: baseProps
-        };
+  }, [surface.corners, surface.meshWarp, surface.cornerUvs, geometry, surface.geometryType, size.width, size.height, outputResolution]);
+
+  // Crossfade from the state before the last cue, while its fade runs
+  const { transition } = useCues();
+  const from = transition?.from[surface.id];
+  const cueState = getCueSurfaceState(surface);
+  const isFading = Boolean(from && !isSameCueSurfaceState(from, cueState));
+  const getCrossfadeNow = () => getCrossfade(from, cueState, getTransitionProgress(transition, Date.now()));
+  const showsOutgoing = isFading && from.visible && getCrossfade(from, cueState, 0).outgoing !== null;
+
+  // Don't render if not visible (unless it is fading out)
+  if (!surface.visible && !showsOutgoing) {
+    return null;
+  }
 
-      case CONTENT_TYPES.AUDIO_SPECTRUM:
-        return {
-          type: 'audioSpectrum',
-          props: baseProps
-        };
+  const renderOrder = surface.renderOrder || 0;
 
-      case CONTENT_TYPES.AUDIO_BARS:
-        return {
-          type: 'audioBars',
-          props: baseProps
-        };
+  return (
+    <>
+      {/* Previous content, drawn underneath and faded out */}
+      {showsOutgoing && (
+        <SurfaceLayer
+          key={`outgoing-${transition.startedAt}`}
+          surface={{ ...surface, ...from }}
+          geometry={geometry}
+          renderOrder={renderOrder - 0.25}
+          getOpacity={() => getCrossfadeNow().outgoing ?? 0}
+        />
+      )}
 
-      case CONTENT_TYPES.CUSTOM_SHADER:
-        return {
-          type: 'customShader',
-          props: {
-            ...baseProps,
-            shaderData: surface.contentData?.shaderData
-          }
-        };
+      {surface.visible && (
+        <SurfaceLayer
+          surface={surface}
+          geometry={geometry}
+          renderOrder={renderOrder}
+          getOpacity={isFading ? () => getCrossfadeNow().incoming : undefined}
+        />
+      )}
 
-      case CONTENT_TYPES.IMAGE:
-        return {
-          type: 'image',
-          props: {
-            ...baseProps,
-            imageUrl: surface.contentData?.imageUrl
-          }
-        };
+      {/* Masks share the surface's geometry and are drawn right after it */}
+      {surface.masks?.map(mask => (
+        <MaskOverlay key={mask.id} mask={mask} geometry={geometry} renderOrder={renderOrder + 0.5} />
+      ))}
+    </>
+  );
+}
 
-      default:
-        return {
-          type: 'meshBasicMaterial',
-          props: {
-            ...baseProps,
-            color: 0xffffff
-          }
-        };
+/**
+ * Surface Layer Component
+ * Draws a surface's content on its geometry. `getOpacity`, when given, is
+ * read every frame in place of the surface's opacity (e.g. during a crossfade)
+ */
+function SurfaceLayer({ surface, geometry, renderOrder, getOpacity }) {
+  const meshRef = useRef();
+  const materialRef = useRef();
+  const { audioData } = useAudio();
+  const { activeOutput } = useApp();
+  const { getTime } = useClock();
+
+  // Look up the material for this content type in the registry
+  // (subscribing re-renders the surface when an effect pack registers later)
+  useContentRegistry();
+  const contentDefinition = contentRegistry.get(surface.contentType);
+  const ContentMaterial = contentDefinition?.material ?? FallbackMaterial;
+
+  // Uniform values for the content type's exposed parameters (stored in contentData.params)
+  const parameterDefinitions = contentDefinition?.parameters;
+  const storedParams = surface.contentData?.params;
+  const parameterUniforms = useMemo(() => {
+    if (!parameterDefinitions) {
+      return null;
     }
-  }, [surface.contentType, surface.contentData, createCheckerboardTexture, createGridTexture]);
+    return toUniformValues(
+      parameterDefinitions,
+      resolveParameterValues(parameterDefinitions, storedParams)
+    );
+  }, [parameterDefinitions, storedParams]);
 
-  // Animation loop for shader materials
-  useFrame((state, delta) => {
+  // Animation loop for shader materials (time comes from the master clock,
+  // so every surface and window shows the same moment of its animation)
+  useFrame(() => {
     if (materialRef.current && materialRef.current.uniforms) {
-      materialRef.current.uniforms.time.value += delta;
+      if (materialRef.current.uniforms.time) {
+        materialRef.current.uniforms.time.value = getTime();
+      }
 
       // Update audio uniforms for audio-reactive materials
       if (materialRef.current.uniforms.audioAmplitude !== undefined) {
@@ -219,66 +154,36 @@ export function Surface({ surface }) {
         materialRef.current.uniforms.audioTreble.value = audioData.treble;
         materialRef.current.uniforms.audioFrequency.value = audioData.frequency;
       }
+
+      if (parameterUniforms) {
+        Object.entries(parameterUniforms).forEach(([name, value]) => {
+          if (materialRef.current.uniforms[name]) {
+            materialRef.current.uniforms[name].value = value;
+          }
+        });
+      }
     }
   });
 
-  // Don't render if not visible
-  if (!surface.visible) {
-    return null;
-  }
+  // Surface, then output, color correction on top of whatever the content draws,
+  // blended over the surfaces below with the surface's opacity and blend mode
+  useSurfaceOutput(meshRef, surface, activeOutput.colorCorrection, getOpacity);
 
   return (
     <mesh
       ref={meshRef}
       geometry={geometry}
-      renderOrder={surface.renderOrder || 0}
+      renderOrder={renderOrder}
     >
-      {materialProps.type === 'animatedGradient' && (
-        <animatedGradientShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'rotatingColors' && (
-        <rotatingColorsShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'plasma' && (
-        <plasmaShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'waves' && (
-        <wavesShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'noise' && (
-        <noiseShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'fire' && (
-        <fireShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'rainbow' && (
-        <rainbowShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'kaleidoscope' && (
-        <kaleidoscopeShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'glitch' && (
-        <glitchShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'spiral' && (
-        <spiralShaderMaterial ref={materialRef} {...materialProps.props} />
-      )}
-      {materialProps.type === 'meshBasicMaterial' && (
-        <meshBasicMaterial {...materialProps.props} />
-      )}
-      {materialProps.type === 'image' && materialProps.props.imageUrl && (
-        <ImageMaterial url={materialProps.props.imageUrl} {...materialProps.props} />
-      )}
+      <ContentMaterial surface={surface} baseProps={BASE_MATERIAL_PROPS} materialRef={materialRef} />
     </mesh>
   );
 }
 
 /**
- * Image Material Component
- * Loads and displays an image texture
+ * Fallback Material Component
+ * Used while a surface's content type is not registered (e.g. an effect pack is not loaded)
  */
-function ImageMaterial({ url, ...props }) {
-  const texture = useLoader(THREE.TextureLoader, url);
-
-  return <meshBasicMaterial map={texture} {...props} />;
+function FallbackMaterial({ baseProps }) {
+  return <meshBasicMaterial {...baseProps} color={0xffffff} />;
 }
@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+import { assetStore, readBlob } from '../../../shared/utils/asset-store';
+import { parseCubeLut } from '../../../shared/utils/color-correction';
+import { createLutTexture } from '../materials/colorCorrectionShader';
+
+// Asset ids are content hashes, so a loaded LUT never goes stale and is shared by every surface
+const lutCache = new Map();
+
+const loadLut = (assetId) => {
+  if (!lutCache.has(assetId)) {
+    const loading = assetStore.getBlob(assetId).then(async blob => {
+      if (!blob) {
+        throw new Error(`LUT asset "${assetId}" is missing from the library`);
+      }
+      return createLutTexture(parseCubeLut(new TextDecoder().decode(await readBlob(blob))));
+    });
+    // Allow a retry once the asset is (re)imported
+    loading.catch(() => lutCache.delete(assetId));
+    lutCache.set(assetId, loading);
+  }
+  return lutCache.get(assetId);
+};
+
+/**
+ * Custom hook that loads a .cube LUT from the asset library as a 3D texture
+ * Returns `{ texture, size, domainMin, domainMax }`, or null while loading or when missing
+ */
+export function useLutTexture(assetId) {
+  const [resolved, setResolved] = useState(null);
+
+  useEffect(() => {
+    if (!assetId) {
+      return;
+    }
+
+    let cancelled = false;
+    loadLut(assetId)
+      .then(lut => {
+        if (!cancelled) {
+          setResolved({ id: assetId, lut });
+        }
+      })
+      .catch(error => {
+        console.error(`Error loading LUT "${assetId}":`, error);
+        if (!cancelled) {
+          setResolved({ id: assetId, lut: null });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [assetId]);
+
+  return resolved && resolved.id === assetId ? resolved.lut : null;
+}
@@ -0,0 +1,47 @@
+import { useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import {
+  createColorCorrectionUniforms,
+  getColorCorrectionKey,
+  getColorCorrectionStages,
+  updateColorCorrectionUniforms
+} from '../materials/colorCorrectionShader';
+import { applySurfaceOutputToMaterial, getSurfaceOutputKey } from '../materials/surfaceOutputShader';
+import { getSurfaceBlend, isBlendActive } from '../../../shared/utils/blend-modes';
+import { useLutTexture } from './useLutTexture';
+
+/**
+ * Custom hook that runs a mesh's content through the surface's and then
+ * the output's color correction, and blends it with the surface's opacity
+ * and blend mode, whatever material the content uses.
+ * `getOpacity`, when given, is read every frame instead of the surface's opacity.
+ */
+export function useSurfaceOutput(meshRef, surface, outputCorrection, getOpacity) {
+  const surfaceCorrection = surface.colorCorrection;
+  const surfaceLut = useLutTexture(surfaceCorrection?.lut?.assetId);
+  const outputLut = useLutTexture(outputCorrection?.lut?.assetId);
+  const uniforms = useMemo(() => ({ ...createColorCorrectionUniforms(), uOpacity: { value: 1 } }), []);
+
+  const stages = getColorCorrectionStages(
+    { Surface: surfaceCorrection, Output: outputCorrection },
+    { Surface: surfaceLut, Output: outputLut }
+  );
+  const blend = getSurfaceBlend(surface);
+  const blendMode = getOpacity || isBlendActive(blend) ? blend.blendMode : null;
+  const key = getSurfaceOutputKey(getColorCorrectionKey(stages), blendMode);
+
+  useEffect(() => {
+    updateColorCorrectionUniforms(uniforms, 'Surface', surfaceCorrection, surfaceLut);
+    updateColorCorrectionUniforms(uniforms, 'Output', outputCorrection, outputLut);
+  }, [uniforms, surfaceCorrection, surfaceLut, outputCorrection, outputLut]);
+
+  // Content types swap materials freely, so check the mesh's current one every frame;
+  // uniforms change in place and only new stages or a new blend mode recompile
+  useFrame(() => {
+    uniforms.uOpacity.value = getOpacity ? getOpacity() : blend.opacity;
+    const material = meshRef.current?.material;
+    if (material && material.userData.surfaceOutputKey !== key) {
+      applySurfaceOutputToMaterial(material, uniforms, { stages, blendMode }, key);
+    }
+  });
+}
@@ -0,0 +1,81 @@
+import { useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { getPlaybackPosition, getPlaybackRange } from '../../../shared/utils/video-playback';
+
+// Drift (seconds) beyond which the element is hard-seeked to the shared position
+const SEEK_THRESHOLD = 0.3;
+// Drift (seconds) a paused element may keep before being moved to the paused frame
+const PAUSED_TOLERANCE = 0.04;
+// Maximum playback rate nudge used to absorb small drift without seeking
+const MAX_RATE_CORRECTION = 0.1;
+
+/**
+ * Custom hook for playing a video onto a surface
+ * Owns a <video> element and VideoTexture, and keeps the element in step with
+ * the surface's shared playback clock so the edit preview and live view match
+ */
+export function useVideoTexture(url, playback, forceMuted = false) {
+  const video = useMemo(() => {
+    const element = document.createElement('video');
+    element.crossOrigin = 'anonymous';
+    element.playsInline = true;
+    element.preload = 'auto';
+    element.loop = false; // Looping is driven by the playback clock (in/out points)
+    element.src = url;
+    return element;
+  }, [url]);
+
+  const texture = useMemo(() => new THREE.VideoTexture(video), [video]);
+
+  useEffect(() => {
+    return () => {
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+      texture.dispose();
+    };
+  }, [video, texture]);
+
+  useEffect(() => {
+    video.muted = forceMuted || playback.muted;
+  }, [video, forceMuted, playback.muted]);
+
+  useFrame(() => {
+    if (video.readyState < HTMLMediaElement.HAVE_METADATA || video.seeking) {
+      return;
+    }
+
+    const duration = video.duration;
+    const target = getPlaybackPosition(playback, duration);
+    const drift = target - video.currentTime;
+    const { end } = getPlaybackRange(playback, duration);
+    const shouldPlay = playback.playing && (playback.loop || target < end);
+
+    if (!shouldPlay) {
+      if (!video.paused) {
+        video.pause();
+      }
+      if (Math.abs(drift) > PAUSED_TOLERANCE) {
+        video.currentTime = target;
+      }
+      return;
+    }
+
+    if (Math.abs(drift) > SEEK_THRESHOLD) {
+      video.currentTime = target;
+    }
+    video.playbackRate = playback.rate * (1 + THREE.MathUtils.clamp(drift, -MAX_RATE_CORRECTION, MAX_RATE_CORRECTION));
+
+    if (video.paused) {
+      video.play().catch(() => {
+        // Autoplay with sound can be blocked in a window the user has not
+        // interacted with; fall back to muted playback rather than freezing
+        video.muted = true;
+        video.play().catch(() => {});
+      });
+    }
+  });
+
+  return texture;
+}
@@ -6,3 +6,5 @@
 export { Scene } from './components/Scene';
 export { Surface } from './components/Surface';
 export { useContentManager } from './hooks/useContentManager';
+export { EdgeBlendPass } from './components/EdgeBlendPass';
+export { MaskOverlay } from './components/MaskOverlay';
@@ -1,6 +1,14 @@
 import { shaderMaterial } from '@react-three/drei';
 import { extend } from '@react-three/fiber';
 import * as THREE from 'three';
+import { createParameterUniforms } from '../../../shared/utils/effect-parameters';
+
+export const AUDIO_BARS_PARAMETERS = {
+  barCount: { type: 'int', label: 'Bar Count', default: 32, min: 4, max: 128 },
+  barWidth: { type: 'float', label: 'Bar Width', default: 0.8, min: 0.1, max: 1, step: 0.01 },
+  heightScale: { type: 'float', label: 'Height Scale', default: 0.8, min: 0.1, max: 2, step: 0.01 },
+  showGrid: { type: 'bool', label: 'Grid Lines', default: true }
+};
 
 /**
  * Audio Bars Shader Material
@@ -15,7 +23,8 @@ const AudioBarsShaderMaterial = shaderMaterial(
     audioBass: 0,
     audioMid: 0,
     audioTreble: 0,
-    audioFrequency: 0
+    audioFrequency: 0,
+    ...createParameterUniforms(AUDIO_BARS_PARAMETERS)
   },
   // Vertex Shader
   `
@@ -33,6 +42,10 @@ const AudioBarsShaderMaterial = shaderMaterial(
     uniform float audioMid;
     uniform float audioTreble;
     uniform float audioFrequency;
+    uniform int barCount;
+    uniform float barWidth;
+    uniform float heightScale;
+    uniform bool showGrid;
     varying vec2 vUv;
 
     // Simple noise function
@@ -44,12 +57,11 @@ const AudioBarsShaderMaterial = shaderMaterial(
       vec2 uv = vUv;
 
       // Number of bars
-      float numBars = 32.0;
+      float numBars = float(barCount);
       float barIndex = floor(uv.x * numBars);
       float localX = fract(uv.x * numBars);
 
       // Bar width (with gap)
-      float barWidth = 0.8;
       float isBar = step(localX, barWidth);
 
       // Calculate bar height based on position
@@ -60,15 +72,15 @@ const AudioBarsShaderMaterial = shaderMaterial(
       if (normalizedPos < 0.33) {
         // Bass region
         float bassIntensity = audioBass * (1.0 + hash(barIndex + time * 0.5) * 0.3);
-        barHeight = bassIntensity * 0.8;
+        barHeight = bassIntensity * heightScale;
       } else if (normalizedPos < 0.66) {
         // Mid region
         float midIntensity = audioMid * (1.0 + hash(barIndex + time * 0.7) * 0.3);
-        barHeight = midIntensity * 0.8;
+        barHeight = midIntensity * heightScale;
       } else {
         // Treble region
         float trebleIntensity = audioTreble * (1.0 + hash(barIndex + time * 0.9) * 0.3);
-        barHeight = trebleIntensity * 0.8;
+        barHeight = trebleIntensity * heightScale;
       }
 
       // Add some animation to bars
@@ -109,8 +121,10 @@ const AudioBarsShaderMaterial = shaderMaterial(
       finalColor = mix(bgColor, finalColor, isLit);
 
       // Add subtle grid lines
-      float gridLine = step(0.95, fract(uv.y * 20.0));
-      finalColor += vec3(0.1) * gridLine * audioAmplitude * 0.5;
+      if (showGrid) {
+        float gridLine = step(0.95, fract(uv.y * 20.0));
+        finalColor += vec3(0.1) * gridLine * audioAmplitude * 0.5;
+      }
 
       gl_FragColor = vec4(finalColor, 1.0);
     }
@@ -1,6 +1,15 @@
 import { shaderMaterial } from '@react-three/drei';
 import { extend } from '@react-three/fiber';
 import * as THREE from 'three';
+import { createParameterUniforms } from '../../../shared/utils/effect-parameters';
+
+export const AUDIO_PULSE_PARAMETERS = {
+  speed: { type: 'float', label: 'Speed', default: 1, min: 0, max: 5, step: 0.01 },
+  bassColor: { type: 'color', label: 'Bass Color', default: '#ff334d' },
+  midColor: { type: 'color', label: 'Mid Color', default: '#4dff80' },
+  trebleColor: { type: 'color', label: 'Treble Color', default: '#4d80ff' },
+  showCenter: { type: 'bool', label: 'Center Pulse', default: true }
+};
 
 /**
  * Audio Pulse Shader Material
@@ -15,7 +24,8 @@ const AudioPulseShaderMaterial = shaderMaterial(
     audioBass: 0,
     audioMid: 0,
     audioTreble: 0,
-    audioFrequency: 0
+    audioFrequency: 0,
+    ...createParameterUniforms(AUDIO_PULSE_PARAMETERS)
   },
   // Vertex Shader
   `
@@ -33,16 +43,22 @@ const AudioPulseShaderMaterial = shaderMaterial(
     uniform float audioMid;
     uniform float audioTreble;
     uniform float audioFrequency;
+    uniform float speed;
+    uniform vec3 bassColor;
+    uniform vec3 midColor;
+    uniform vec3 trebleColor;
+    uniform bool showCenter;
     varying vec2 vUv;
 
     void main() {
       vec2 uv = vUv - 0.5;
       float dist = length(uv) * 2.0;
+      float t = time * speed;
 
       // Create pulsing rings for each frequency band
-      float bassRing = abs(sin(dist * 5.0 - time * 2.0 + audioBass * 10.0));
-      float midRing = abs(sin(dist * 8.0 - time * 3.0 + audioMid * 10.0));
-      float trebleRing = abs(sin(dist * 12.0 - time * 4.0 + audioTreble * 10.0));
+      float bassRing = abs(sin(dist * 5.0 - t * 2.0 + audioBass * 10.0));
+      float midRing = abs(sin(dist * 8.0 - t * 3.0 + audioMid * 10.0));
+      float trebleRing = abs(sin(dist * 12.0 - t * 4.0 + audioTreble * 10.0));
 
       // Sharp ring edges
       bassRing = smoothstep(0.8, 1.0, bassRing);
@@ -51,16 +67,19 @@ const AudioPulseShaderMaterial = shaderMaterial(
 
       // Central pulse based on overall amplitude
       float centerPulse = 1.0 - smoothstep(0.0, 0.5 + audioAmplitude * 0.5, dist);
-      centerPulse *= (sin(time * 4.0) * 0.5 + 0.5) + audioAmplitude;
+      centerPulse *= (sin(t * 4.0) * 0.5 + 0.5) + audioAmplitude;
+      if (!showCenter) {
+        centerPulse = 0.0;
+      }
 
       // Color for each frequency band
-      vec3 bassColor = vec3(1.0, 0.2, 0.3) * bassRing * audioBass;
-      vec3 midColor = vec3(0.3, 1.0, 0.5) * midRing * audioMid;
-      vec3 trebleColor = vec3(0.3, 0.5, 1.0) * trebleRing * audioTreble;
+      vec3 bassLayer = bassColor * bassRing * audioBass;
+      vec3 midLayer = midColor * midRing * audioMid;
+      vec3 trebleLayer = trebleColor * trebleRing * audioTreble;
       vec3 centerColor = vec3(1.0, 1.0, 1.0) * centerPulse;
 
       // Combine all elements
-      vec3 finalColor = bassColor + midColor + trebleColor + centerColor;
+      vec3 finalColor = bassLayer + midLayer + trebleLayer + centerColor;
 
       // Add background glow
       float glow = (1.0 - dist) * audioAmplitude * 0.3;
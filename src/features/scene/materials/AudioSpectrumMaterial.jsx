@@ -1,6 +1,14 @@
 import { shaderMaterial } from '@react-three/drei';
 import { extend } from '@react-three/fiber';
 import * as THREE from 'three';
+import { createParameterUniforms } from '../../../shared/utils/effect-parameters';
+
+export const AUDIO_SPECTRUM_PARAMETERS = {
+  speed: { type: 'float', label: 'Speed', default: 1, min: 0, max: 5, step: 0.01 },
+  saturation: { type: 'float', label: 'Saturation', default: 0.8, min: 0, max: 1, step: 0.01 },
+  waveAmount: { type: 'float', label: 'Wave Amount', default: 0.1, min: 0, max: 0.5, step: 0.01 },
+  backgroundColor: { type: 'color', label: 'Background', default: '#0d0d1a' }
+};
 
 /**
  * Audio Spectrum Shader Material
@@ -15,7 +23,8 @@ const AudioSpectrumShaderMaterial = shaderMaterial(
     audioBass: 0,
     audioMid: 0,
     audioTreble: 0,
-    audioFrequency: 0
+    audioFrequency: 0,
+    ...createParameterUniforms(AUDIO_SPECTRUM_PARAMETERS)
   },
   // Vertex Shader
   `
@@ -33,6 +42,10 @@ const AudioSpectrumShaderMaterial = shaderMaterial(
     uniform float audioMid;
     uniform float audioTreble;
     uniform float audioFrequency;
+    uniform float speed;
+    uniform float saturation;
+    uniform float waveAmount;
+    uniform vec3 backgroundColor;
     varying vec2 vUv;
 
     // HSV to RGB conversion
@@ -44,6 +57,7 @@ const AudioSpectrumShaderMaterial = shaderMaterial(
 
     void main() {
       vec2 uv = vUv;
+      float t = time * speed;
 
       // Divide horizontal space into three frequency bands
       float bandWidth = 1.0 / 3.0;
@@ -68,15 +82,15 @@ const AudioSpectrumShaderMaterial = shaderMaterial(
       }
 
       // Create vertical bars
-      float barPattern = sin(localX * 20.0 + time * 2.0) * 0.5 + 0.5;
+      float barPattern = sin(localX * 20.0 + t * 2.0) * 0.5 + 0.5;
       float heightMask = smoothstep(1.0 - intensity, 1.0, uv.y);
 
       // Add wave effect
-      float wave = sin(uv.x * 10.0 - time * 3.0 + audioAmplitude * 5.0) * 0.1;
+      float wave = sin(uv.x * 10.0 - t * 3.0 + audioAmplitude * 5.0) * waveAmount;
       heightMask = smoothstep(1.0 - intensity + wave, 1.0, uv.y);
 
       // Color based on frequency band
-      vec3 color = hsv2rgb(vec3(hue, 0.8, intensity));
+      vec3 color = hsv2rgb(vec3(hue, saturation, intensity));
 
       // Apply height mask
       color *= heightMask;
@@ -89,8 +103,7 @@ const AudioSpectrumShaderMaterial = shaderMaterial(
       color *= gradient;
 
       // Background color
-      vec3 bgColor = vec3(0.05, 0.05, 0.1);
-      color = mix(bgColor, color, heightMask);
+      color = mix(backgroundColor, color, heightMask);
 
       gl_FragColor = vec4(color, 1.0);
     }
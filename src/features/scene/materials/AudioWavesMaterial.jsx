@@ -1,6 +1,15 @@
 import { shaderMaterial } from '@react-three/drei';
 import { extend } from '@react-three/fiber';
 import * as THREE from 'three';
+import { createParameterUniforms } from '../../../shared/utils/effect-parameters';
+
+export const AUDIO_WAVES_PARAMETERS = {
+  speed: { type: 'float', label: 'Speed', default: 1, min: 0, max: 5, step: 0.01 },
+  sensitivity: { type: 'float', label: 'Sensitivity', default: 1, min: 0, max: 3, step: 0.01 },
+  color1: { type: 'color', label: 'Color 1', default: '#1a4dcc' },
+  color2: { type: 'color', label: 'Color 2', default: '#4dccff' },
+  color3: { type: 'color', label: 'Color 3', default: '#0080e6' }
+};
 
 /**
  * Audio Waves Shader Material
@@ -15,7 +24,8 @@ const AudioWavesShaderMaterial = shaderMaterial(
     audioBass: 0,
     audioMid: 0,
     audioTreble: 0,
-    audioFrequency: 0
+    audioFrequency: 0,
+    ...createParameterUniforms(AUDIO_WAVES_PARAMETERS)
   },
   // Vertex Shader
   `
@@ -33,6 +43,11 @@ const AudioWavesShaderMaterial = shaderMaterial(
     uniform float audioMid;
     uniform float audioTreble;
     uniform float audioFrequency;
+    uniform float speed;
+    uniform float sensitivity;
+    uniform vec3 color1;
+    uniform vec3 color2;
+    uniform vec3 color3;
     varying vec2 vUv;
 
     void main() {
@@ -40,28 +55,29 @@ const AudioWavesShaderMaterial = shaderMaterial(
       float dist = length(uv);
 
       // Audio-reactive parameters
-      float speed = 3.0 + audioAmplitude * 5.0;
-      float intensity = 1.0 + audioBass * 2.0;
-      float frequency = 20.0 + audioFrequency * 30.0;
+      float amplitude = audioAmplitude * sensitivity;
+      float bass = audioBass * sensitivity;
+      float waveSpeed = (3.0 + amplitude * 5.0) * speed;
+      float frequency = 20.0 + audioFrequency * sensitivity * 30.0;
 
       // Create waves influenced by audio
-      float wave1 = sin(dist * frequency - time * speed) * 0.5 + 0.5;
-      float wave2 = sin(dist * (frequency * 0.75) - time * (speed * 1.5) + audioBass * 3.14) * 0.5 + 0.5;
-      float wave3 = sin(dist * (frequency * 1.25) - time * (speed * 0.5) + audioMid * 3.14) * 0.5 + 0.5;
+      float wave1 = sin(dist * frequency - time * waveSpeed) * 0.5 + 0.5;
+      float wave2 = sin(dist * (frequency * 0.75) - time * (waveSpeed * 1.5) + bass * 3.14) * 0.5 + 0.5;
+      float wave3 = sin(dist * (frequency * 1.25) - time * (waveSpeed * 0.5) + audioMid * sensitivity * 3.14) * 0.5 + 0.5;
 
       float waves = (wave1 + wave2 + wave3) / 3.0;
-      waves = pow(waves, 1.0 - audioAmplitude * 0.5); // Increase contrast with audio
+      waves = pow(waves, max(1.0 - amplitude * 0.5, 0.1)); // Increase contrast with audio
 
       // Audio-reactive colors
-      vec3 color1 = vec3(0.1 + audioBass * 0.3, 0.3 + audioMid * 0.3, 0.8 + audioTreble * 0.2);
-      vec3 color2 = vec3(0.3 + audioTreble * 0.5, 0.8, 1.0);
-      vec3 color3 = vec3(0.0, 0.5 + audioAmplitude * 0.5, 0.9);
+      vec3 lowColor = color1 + vec3(bass * 0.3, audioMid * sensitivity * 0.3, audioTreble * sensitivity * 0.2);
+      vec3 highColor = color2 + vec3(audioTreble * sensitivity * 0.5, 0.0, 0.0);
+      vec3 accentColor = color3 + vec3(0.0, amplitude * 0.5, 0.0);
 
-      vec3 finalColor = mix(color1, color2, waves);
-      finalColor = mix(finalColor, color3, sin(time + dist * 10.0 + audioAmplitude * 5.0) * 0.5 + 0.5);
+      vec3 finalColor = mix(lowColor, highColor, waves);
+      finalColor = mix(finalColor, accentColor, sin(time * speed + dist * 10.0 + amplitude * 5.0) * 0.5 + 0.5);
 
       // Boost brightness with audio
-      finalColor *= 1.0 + audioAmplitude * 0.5;
+      finalColor *= 1.0 + amplitude * 0.5;
 
       gl_FragColor = vec4(finalColor, 1.0);
     }
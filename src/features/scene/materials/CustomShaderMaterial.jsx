@@ -5,6 +5,8 @@ import { useFrame } from '@react-three/fiber';
 /**
  * CustomShaderMaterial - Dynamic shader material for user-editable shaders
  * Compiles and renders custom GLSL shaders with real-time updates
+ * Audio uniforms are always provided so custom shaders can react to sound
+ * `time` follows `getTime` (the master clock) when given, otherwise it counts up from mount
  */
 export function CustomShaderMaterial({
   vertexShader,
@@ -12,16 +14,23 @@ export function CustomShaderMaterial({
   uniforms = {},
   side,
   depthTest,
-  depthWrite
+  depthWrite,
+  audioData,
+  getTime
 }) {
   const materialRef = useRef();
 
   // Create shader material with user-provided code
   const material = useMemo(() => {
     try {
-      // Ensure we have the time uniform for animations
+      // Ensure we have the time and audio uniforms for animations
       const shaderUniforms = {
         time: { value: 0 },
+        audioAmplitude: { value: 0 },
+        audioBass: { value: 0 },
+        audioMid: { value: 0 },
+        audioTreble: { value: 0 },
+        audioFrequency: { value: 0 },
         ...Object.fromEntries(
           Object.entries(uniforms).map(([key, value]) => [
             key,
@@ -78,10 +87,18 @@ export function CustomShaderMaterial({
     }
   }, [material]);
 
-  // Animation loop - update time uniform
+  // Animation loop - update time and audio uniforms
   useFrame((state, delta) => {
     if (material && material.uniforms && material.uniforms.time) {
-      material.uniforms.time.value += delta;
+      material.uniforms.time.value = getTime ? getTime() : material.uniforms.time.value + delta;
+    }
+
+    if (audioData && material.uniforms.audioAmplitude) {
+      material.uniforms.audioAmplitude.value = audioData.amplitude;
+      material.uniforms.audioBass.value = audioData.bass;
+      material.uniforms.audioMid.value = audioData.mid;
+      material.uniforms.audioTreble.value = audioData.treble;
+      material.uniforms.audioFrequency.value = audioData.frequency;
     }
   });
 
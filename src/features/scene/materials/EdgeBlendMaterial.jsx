@@ -0,0 +1,79 @@
+import { shaderMaterial } from '@react-three/drei';
+import { extend } from '@react-three/fiber';
+import * as THREE from 'three';
+
+/**
+ * Edge Blend Shader Material
+ * Final pass over the output: darkens the soft-edge zones and lifts the black
+ * level outside them (same math as src/shared/utils/edge-blend.ts).
+ * Outputs the lift as colour and the blend factor as alpha for the custom
+ * blending set up in EdgeBlendPass: result = lift * (1 - scene) + scene * factor
+ */
+const EdgeBlendShaderMaterial = shaderMaterial(
+  {
+    uLeft: 0,
+    uRight: 0,
+    uTop: 0,
+    uBottom: 0,
+    uCurve: 2,
+    uGamma: 2.2,
+    uBlackLevel: 0
+  },
+  /* glsl */ `
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  /* glsl */ `
+    uniform float uLeft;
+    uniform float uRight;
+    uniform float uTop;
+    uniform float uBottom;
+    uniform float uCurve;
+    uniform float uGamma;
+    uniform float uBlackLevel;
+    varying vec2 vUv;
+
+    float ramp(float t) {
+      t = clamp(t, 0.0, 1.0);
+      return t < 0.5
+        ? 0.5 * pow(2.0 * t, uCurve)
+        : 1.0 - 0.5 * pow(2.0 * (1.0 - t), uCurve);
+    }
+
+    // Ramp for one side; marks the point as inside a zone when it is
+    float side(float distance, float width, inout float inZone) {
+      if (width <= 0.0 || distance >= width) {
+        return 1.0;
+      }
+      inZone = 1.0;
+      return ramp(distance / width);
+    }
+
+    void main() {
+      // Output coordinates with y = 0 at the top, like surface corners
+      vec2 point = vec2(vUv.x, 1.0 - vUv.y);
+      float inZone = 0.0;
+      float luminance = side(point.x, uLeft, inZone)
+        * side(1.0 - point.x, uRight, inZone)
+        * side(point.y, uTop, inZone)
+        * side(1.0 - point.y, uBottom, inZone);
+
+      float factor = pow(luminance, 1.0 / uGamma);
+      float lift = uBlackLevel * (1.0 - inZone);
+      gl_FragColor = vec4(vec3(lift), factor);
+    }
+  `
+);
+
+EdgeBlendShaderMaterial.depthTest = false;
+EdgeBlendShaderMaterial.depthWrite = false;
+EdgeBlendShaderMaterial.side = THREE.DoubleSide;
+
+// Extend R3F with custom material
+extend({ EdgeBlendShaderMaterial });
+
+export default EdgeBlendShaderMaterial;
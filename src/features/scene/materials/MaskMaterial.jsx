@@ -0,0 +1,82 @@
+import { shaderMaterial } from '@react-three/drei';
+import { extend } from '@react-three/fiber';
+import * as THREE from 'three';
+import { MASK_LIMITS } from '../../../shared/utils/constants';
+
+/**
+ * Mask Shader Material
+ * Black with the mask's coverage as alpha (same math as
+ * src/shared/utils/masks.ts). Fragments are placed in output pixels from
+ * their world position and the output's frustum bounds, so one material works
+ * on a full-output quad and on a surface's warped geometry alike.
+ */
+const MaskShaderMaterial = shaderMaterial(
+  {
+    uPoints: Array.from({ length: MASK_LIMITS.MAX_POINTS }, () => new THREE.Vector2()),
+    uCount: 0,
+    uFeather: 0,
+    uInvert: 0,
+    uBounds: new THREE.Vector4(-1, 1, 1, -1),
+    uResolution: new THREE.Vector2(1920, 1080)
+  },
+  /* glsl */ `
+    varying vec2 vWorld;
+
+    void main() {
+      vWorld = (modelMatrix * vec4(position, 1.0)).xy;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  /* glsl */ `
+    #define MAX_POINTS ${MASK_LIMITS.MAX_POINTS}
+
+    uniform vec2 uPoints[MAX_POINTS];
+    uniform int uCount;
+    uniform float uFeather;
+    uniform float uInvert;
+    // left, right, top, bottom of the output in world units
+    uniform vec4 uBounds;
+    uniform vec2 uResolution;
+    varying vec2 vWorld;
+
+    // Distance to the outline, negative inside (even-odd rule)
+    float polygonDistance(vec2 p) {
+      float d = dot(p - uPoints[0], p - uPoints[0]);
+      float s = 1.0;
+      vec2 previous = uPoints[uCount - 1];
+      for (int i = 0; i < MAX_POINTS; i++) {
+        if (i >= uCount) break;
+        vec2 vertex = uPoints[i];
+        vec2 e = previous - vertex;
+        vec2 w = p - vertex;
+        vec2 b = w - e * clamp(dot(w, e) / max(dot(e, e), 1e-6), 0.0, 1.0);
+        d = min(d, dot(b, b));
+        bvec3 c = bvec3(p.y >= vertex.y, p.y < previous.y, e.x * w.y > e.y * w.x);
+        if (all(c) || all(not(c))) s = -s;
+        previous = vertex;
+      }
+      return s * sqrt(d);
+    }
+
+    void main() {
+      vec2 output01 = vec2(
+        (vWorld.x - uBounds.x) / (uBounds.y - uBounds.x),
+        (uBounds.z - vWorld.y) / (uBounds.z - uBounds.w)
+      );
+      float d = polygonDistance(output01 * uResolution);
+      float inside = uFeather > 0.0
+        ? 1.0 - smoothstep(-uFeather * 0.5, uFeather * 0.5, d)
+        : step(d, 0.0);
+      gl_FragColor = vec4(0.0, 0.0, 0.0, mix(inside, 1.0 - inside, uInvert));
+    }
+  `
+);
+
+MaskShaderMaterial.depthTest = false;
+MaskShaderMaterial.depthWrite = false;
+MaskShaderMaterial.side = THREE.DoubleSide;
+
+// Extend R3F with custom material
+extend({ MaskShaderMaterial });
+
+export default MaskShaderMaterial;
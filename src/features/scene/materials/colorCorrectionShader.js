@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import { isColorCorrectionActive } from '../../../shared/utils/color-correction';
+
+/**
+ * Color Correction Shader Chunk
+ * GLSL, uniforms and LUT textures for the surface's and the output's color
+ * correction. The chunk is wrapped around whatever material a surface's content
+ * renders with by surfaceOutputShader.js: first the surface's correction, then
+ * the output's. Same math as src/shared/utils/color-correction.ts.
+ */
+
+export const COLOR_CORRECTION_STAGES = ['Surface', 'Output'];
+
+const COLOR_CORRECTION_FUNCTIONS = /* glsl */ `
+  // adjust = (brightness, contrast, gamma, saturation); hue in radians
+  vec3 ccAdjust(vec3 color, vec4 adjust, float hue, vec3 gains) {
+    color = (color * gains + adjust.x - 0.5) * adjust.y + 0.5;
+    color = pow(max(color, 0.0), vec3(1.0 / adjust.z));
+    const vec3 greyAxis = vec3(0.57735027);
+    float cosHue = cos(hue);
+    color = color * cosHue + cross(greyAxis, color) * sin(hue)
+      + vec3((color.r + color.g + color.b) / 3.0 * (1.0 - cosHue));
+    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    return clamp(mix(vec3(luma), color, adjust.w), 0.0, 1.0);
+  }
+
+  // Sample texel centres so the table's end points map to the domain's ends
+  vec3 ccLut(sampler3D lut, vec3 color, float size, vec3 domainMin, vec3 domainMax) {
+    vec3 position = clamp((color - domainMin) / (domainMax - domainMin), 0.0, 1.0);
+    return texture(lut, position * ((size - 1.0) / size) + 0.5 / size).rgb;
+  }
+`;
+
+const getStageDeclarations = (stage, { lut }) => `
+  uniform vec4 uCc${stage}Adjust;
+  uniform float uCc${stage}Hue;
+  uniform vec3 uCc${stage}Gains;
+  ${lut ? `
+  uniform highp sampler3D uCc${stage}Lut;
+  uniform float uCc${stage}LutSize;
+  uniform vec3 uCc${stage}LutMin;
+  uniform vec3 uCc${stage}LutMax;` : ''}
+`;
+
+const getStageStatements = (stage, { lut }) => `
+    color = ccAdjust(color, uCc${stage}Adjust, uCc${stage}Hue, uCc${stage}Gains);
+    ${lut ? `color = ccLut(uCc${stage}Lut, color, uCc${stage}LutSize, uCc${stage}LutMin, uCc${stage}LutMax);` : ''}
+`;
+
+/**
+ * Which stages a material needs: `{ Surface: { lut }, Output: { lut } }`,
+ * with inactive stages left out
+ */
+export function getColorCorrectionStages(corrections, luts) {
+  return Object.fromEntries(
+    COLOR_CORRECTION_STAGES
+      .filter(stage => isColorCorrectionActive(corrections[stage]))
+      .map(stage => [stage, { lut: Boolean(luts[stage]) }])
+  );
+}
+
+/**
+ * Program cache key for a set of stages (materials with the same key share code)
+ */
+export function getColorCorrectionKey(stages) {
+  return `color-correction:${Object.entries(stages).map(([stage, { lut }]) => `${stage}${lut ? '+lut' : ''}`).join(',')}`;
+}
+
+/**
+ * Functions and uniforms the stages need, declared ahead of the content's shader
+ */
+export function getColorCorrectionDeclarations(stages) {
+  const entries = Object.entries(stages);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `${COLOR_CORRECTION_FUNCTIONS}
+${entries.map(([stage, options]) => getStageDeclarations(stage, options)).join('')}`;
+}
+
+/**
+ * Statements correcting a `vec3 color` in place, one stage after the other
+ */
+export function getColorCorrectionStatements(stages) {
+  return Object.entries(stages).map(([stage, options]) => getStageStatements(stage, options)).join('');
+}
+
+/**
+ * Uniforms for both stages, shared by every material a surface renders with
+ */
+export function createColorCorrectionUniforms() {
+  return Object.fromEntries(COLOR_CORRECTION_STAGES.flatMap(stage => [
+    [`uCc${stage}Adjust`, { value: new THREE.Vector4(0, 1, 1, 1) }],
+    [`uCc${stage}Hue`, { value: 0 }],
+    [`uCc${stage}Gains`, { value: new THREE.Vector3(1, 1, 1) }],
+    [`uCc${stage}Lut`, { value: null }],
+    [`uCc${stage}LutSize`, { value: 2 }],
+    [`uCc${stage}LutMin`, { value: new THREE.Vector3(0, 0, 0) }],
+    [`uCc${stage}LutMax`, { value: new THREE.Vector3(1, 1, 1) }]
+  ]));
+}
+
+/**
+ * Copy a correction (and its loaded LUT, if any) into a stage's uniforms
+ */
+export function updateColorCorrectionUniforms(uniforms, stage, correction, lut) {
+  if (correction) {
+    uniforms[`uCc${stage}Adjust`].value.set(correction.brightness, correction.contrast, correction.gamma, correction.saturation);
+    uniforms[`uCc${stage}Hue`].value = THREE.MathUtils.degToRad(correction.hue);
+    uniforms[`uCc${stage}Gains`].value.set(correction.gains.r, correction.gains.g, correction.gains.b);
+  }
+  uniforms[`uCc${stage}Lut`].value = lut?.texture ?? null;
+  if (lut) {
+    uniforms[`uCc${stage}LutSize`].value = lut.size;
+    uniforms[`uCc${stage}LutMin`].value.set(...lut.domainMin);
+    uniforms[`uCc${stage}LutMax`].value.set(...lut.domainMax);
+  }
+}
+
+/**
+ * Upload a parsed .cube LUT as a half-float 3D texture
+ * (half floats filter linearly on every WebGL2 device)
+ * @param {import('../../../shared/utils/color-correction').CubeLut} lut
+ */
+export function createLutTexture(lut) {
+  const { size, data } = lut;
+  const texels = new Uint16Array(size ** 3 * 4);
+  for (let i = 0; i < size ** 3; i++) {
+    texels[i * 4] = THREE.DataUtils.toHalfFloat(data[i * 3]);
+    texels[i * 4 + 1] = THREE.DataUtils.toHalfFloat(data[i * 3 + 1]);
+    texels[i * 4 + 2] = THREE.DataUtils.toHalfFloat(data[i * 3 + 2]);
+    texels[i * 4 + 3] = THREE.DataUtils.toHalfFloat(1);
+  }
+
+  const texture = new THREE.Data3DTexture(texels, size, size, size);
+  texture.format = THREE.RGBAFormat;
+  texture.type = THREE.HalfFloatType;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.wrapR = THREE.ClampToEdgeWrapping;
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+
+  return { texture, size, domainMin: lut.domainMin, domainMax: lut.domainMax };
+}
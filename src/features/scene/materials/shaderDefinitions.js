@@ -4,6 +4,8 @@
  * Used by both Material components and shader editor templates
  */
 
+import { createParameterUniforms } from '../../../shared/utils/effect-parameters';
+
 /**
  * Common vertex shader used by most effects
  */
@@ -15,9 +17,90 @@ const STANDARD_VERTEX_SHADER = `
   }
 `;
 
+const SPEED_PARAMETER = { type: 'float', label: 'Speed', default: 1, min: 0, max: 5, step: 0.01 };
+
+/**
+ * Build the uniforms of a definition: time plus one uniform per exposed parameter
+ */
+function withParameterUniforms(parameters) {
+  return { time: 0, ...createParameterUniforms(parameters) };
+}
+
+const ANIMATED_GRADIENT_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  scale: { type: 'float', label: 'Scale', default: 1, min: 0.1, max: 5, step: 0.01 }
+};
+
+const PLASMA_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  scale: { type: 'float', label: 'Scale', default: 10, min: 1, max: 40, step: 0.1 },
+  color1: { type: 'color', label: 'Color 1', default: '#ff0080' },
+  color2: { type: 'color', label: 'Color 2', default: '#00ff80' },
+  color3: { type: 'color', label: 'Color 3', default: '#8000ff' }
+};
+
+const WAVES_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  frequency: { type: 'float', label: 'Frequency', default: 1, min: 0.1, max: 5, step: 0.01 },
+  color1: { type: 'color', label: 'Color 1', default: '#1a4dcc' },
+  color2: { type: 'color', label: 'Color 2', default: '#4dccff' },
+  color3: { type: 'color', label: 'Color 3', default: '#0080e6' }
+};
+
+const RAINBOW_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  saturation: { type: 'float', label: 'Saturation', default: 0.9, min: 0, max: 1, step: 0.01 },
+  brightness: { type: 'float', label: 'Brightness', default: 1, min: 0, max: 1, step: 0.01 },
+  wobble: { type: 'float', label: 'Wobble', default: 0.05, min: 0, max: 0.5, step: 0.01 }
+};
+
+const KALEIDOSCOPE_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  segments: { type: 'int', label: 'Segments', default: 8, min: 2, max: 24 },
+  saturation: { type: 'float', label: 'Saturation', default: 0.8, min: 0, max: 1, step: 0.01 }
+};
+
+const FIRE_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  scale: { type: 'float', label: 'Scale', default: 1, min: 0.2, max: 4, step: 0.01 },
+  height: { type: 'float', label: 'Flame Height', default: 1, min: 0.2, max: 3, step: 0.01 }
+};
+
+const ROTATING_COLORS_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  saturation: { type: 'float', label: 'Saturation', default: 0.8, min: 0, max: 1, step: 0.01 }
+};
+
+const NOISE_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  scale: { type: 'float', label: 'Scale', default: 5, min: 0.5, max: 20, step: 0.1 },
+  color1: { type: 'color', label: 'Color 1', default: '#330066' },
+  color2: { type: 'color', label: 'Color 2', default: '#cc4de6' },
+  color3: { type: 'color', label: 'Color 3', default: '#1a99cc' }
+};
+
+const SPIRAL_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  tightness: { type: 'float', label: 'Tightness', default: 10, min: 1, max: 40, step: 0.1 },
+  pulse: { type: 'bool', label: 'Pulse', default: true }
+};
+
+const GLITCH_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  intensity: { type: 'float', label: 'Glitch Amount', default: 0.05, min: 0, max: 1, step: 0.01 },
+  stripes: { type: 'int', label: 'Stripes', default: 10, min: 1, max: 50 },
+  scanlines: { type: 'bool', label: 'Scan Lines', default: true }
+};
+
+const CHECKERBOARD_ANIMATED_PARAMETERS = {
+  speed: SPEED_PARAMETER,
+  squares: { type: 'int', label: 'Squares', default: 8, min: 2, max: 32 }
+};
+
 /**
  * Shader definitions containing uniforms, vertex shader, and fragment shader
  * Each definition is used both for rendering (in Material components) and as templates (in shader editor)
+ * `parameters` declares the tunable uniforms (float, int, color, bool) shown in the surface panel
  */
 export const SHADER_DEFINITIONS = {
   BLANK: {
@@ -39,19 +122,23 @@ export const SHADER_DEFINITIONS = {
   ANIMATED_GRADIENT: {
     name: 'Animated Gradient',
     description: 'Flowing gradient animation using sine waves',
-    uniforms: { time: 0 },
+    parameters: ANIMATED_GRADIENT_PARAMETERS,
+    uniforms: withParameterUniforms(ANIMATED_GRADIENT_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float scale;
       varying vec2 vUv;
 
       void main() {
-        vec2 uv = vUv;
+        vec2 uv = vUv * scale;
+        float t = time * speed;
 
         // Animated gradient
-        float r = 0.5 + 0.5 * sin(time + uv.x * 3.14159);
-        float g = 0.5 + 0.5 * sin(time + uv.y * 3.14159 + 2.0);
-        float b = 0.5 + 0.5 * sin(time + (uv.x + uv.y) * 3.14159 + 4.0);
+        float r = 0.5 + 0.5 * sin(t + uv.x * 3.14159);
+        float g = 0.5 + 0.5 * sin(t + uv.y * 3.14159 + 2.0);
+        float b = 0.5 + 0.5 * sin(t + (uv.x + uv.y) * 3.14159 + 4.0);
 
         gl_FragColor = vec4(r, g, b, 1.0);
       }
@@ -61,26 +148,29 @@ export const SHADER_DEFINITIONS = {
   PLASMA: {
     name: 'Plasma Effect',
     description: 'Classic plasma effect with flowing colors',
-    uniforms: { time: 0 },
+    parameters: PLASMA_PARAMETERS,
+    uniforms: withParameterUniforms(PLASMA_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float scale;
+      uniform vec3 color1;
+      uniform vec3 color2;
+      uniform vec3 color3;
       varying vec2 vUv;
 
       void main() {
-        vec2 uv = vUv * 10.0;
+        vec2 uv = vUv * scale;
+        float t = time * speed;
 
-        float v1 = sin(uv.x + time);
-        float v2 = sin(uv.y + time);
-        float v3 = sin(uv.x + uv.y + time);
-        float v4 = sin(sqrt(uv.x * uv.x + uv.y * uv.y) + time);
+        float v1 = sin(uv.x + t);
+        float v2 = sin(uv.y + t);
+        float v3 = sin(uv.x + uv.y + t);
+        float v4 = sin(sqrt(uv.x * uv.x + uv.y * uv.y) + t);
 
         float plasma = v1 + v2 + v3 + v4;
 
-        vec3 color1 = vec3(1.0, 0.0, 0.5);
-        vec3 color2 = vec3(0.0, 1.0, 0.5);
-        vec3 color3 = vec3(0.5, 0.0, 1.0);
-
         vec3 finalColor = mix(color1, color2, sin(plasma * 0.5) * 0.5 + 0.5);
         finalColor = mix(finalColor, color3, cos(plasma * 0.3) * 0.5 + 0.5);
 
@@ -92,28 +182,31 @@ export const SHADER_DEFINITIONS = {
   WAVES: {
     name: 'Wave Pattern',
     description: 'Animated wave interference pattern with radial ripples',
-    uniforms: { time: 0 },
+    parameters: WAVES_PARAMETERS,
+    uniforms: withParameterUniforms(WAVES_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float frequency;
+      uniform vec3 color1;
+      uniform vec3 color2;
+      uniform vec3 color3;
       varying vec2 vUv;
 
       void main() {
         vec2 uv = vUv - 0.5;
+        float t = time * speed;
 
-        float dist = length(uv);
-        float wave1 = sin(dist * 20.0 - time * 3.0) * 0.5 + 0.5;
-        float wave2 = sin(dist * 15.0 - time * 2.0 + 1.5) * 0.5 + 0.5;
-        float wave3 = sin(dist * 25.0 - time * 4.0 + 3.0) * 0.5 + 0.5;
+        float dist = length(uv) * frequency;
+        float wave1 = sin(dist * 20.0 - t * 3.0) * 0.5 + 0.5;
+        float wave2 = sin(dist * 15.0 - t * 2.0 + 1.5) * 0.5 + 0.5;
+        float wave3 = sin(dist * 25.0 - t * 4.0 + 3.0) * 0.5 + 0.5;
 
         float waves = (wave1 + wave2 + wave3) / 3.0;
 
-        vec3 color1 = vec3(0.1, 0.3, 0.8);
-        vec3 color2 = vec3(0.3, 0.8, 1.0);
-        vec3 color3 = vec3(0.0, 0.5, 0.9);
-
         vec3 finalColor = mix(color1, color2, waves);
-        finalColor = mix(finalColor, color3, sin(time + dist * 10.0) * 0.5 + 0.5);
+        finalColor = mix(finalColor, color3, sin(t + dist * 10.0) * 0.5 + 0.5);
 
         gl_FragColor = vec4(finalColor, 1.0);
       }
@@ -123,10 +216,15 @@ export const SHADER_DEFINITIONS = {
   RAINBOW: {
     name: 'Rainbow Spectrum',
     description: 'Animated rainbow color spectrum with wave motion',
-    uniforms: { time: 0 },
+    parameters: RAINBOW_PARAMETERS,
+    uniforms: withParameterUniforms(RAINBOW_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float saturation;
+      uniform float brightness;
+      uniform float wobble;
       varying vec2 vUv;
 
       vec3 hsv2rgb(vec3 c) {
@@ -137,15 +235,16 @@ export const SHADER_DEFINITIONS = {
 
       void main() {
         vec2 uv = vUv;
+        float t = time * speed;
 
         // Diagonal rainbow flow
-        float hue = fract(uv.x * 0.5 + uv.y * 0.5 + time * 0.1);
+        float hue = fract(uv.x * 0.5 + uv.y * 0.5 + t * 0.1);
 
         // Add some wave motion
-        hue += sin(uv.y * 10.0 + time) * 0.05;
-        hue += cos(uv.x * 10.0 + time * 1.5) * 0.05;
+        hue += sin(uv.y * 10.0 + t) * wobble;
+        hue += cos(uv.x * 10.0 + t * 1.5) * wobble;
 
-        vec3 color = hsv2rgb(vec3(hue, 0.9, 1.0));
+        vec3 color = hsv2rgb(vec3(hue, saturation, brightness));
 
         gl_FragColor = vec4(color, 1.0);
       }
@@ -155,10 +254,14 @@ export const SHADER_DEFINITIONS = {
   KALEIDOSCOPE: {
     name: 'Kaleidoscope',
     description: 'Symmetric kaleidoscope pattern with polar coordinates',
-    uniforms: { time: 0 },
+    parameters: KALEIDOSCOPE_PARAMETERS,
+    uniforms: withParameterUniforms(KALEIDOSCOPE_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform int segments;
+      uniform float saturation;
       varying vec2 vUv;
 
       #define PI 3.14159265359
@@ -171,29 +274,30 @@ export const SHADER_DEFINITIONS = {
 
       void main() {
         vec2 uv = vUv - 0.5;
+        float t = time * speed;
 
         // Convert to polar coordinates
         float radius = length(uv);
         float angle = atan(uv.y, uv.x);
 
         // Number of kaleidoscope segments
-        float segments = 8.0;
+        float segmentCount = float(segments);
 
         // Create symmetry
-        angle = mod(angle, 2.0 * PI / segments);
-        angle = abs(angle - PI / segments);
+        angle = mod(angle, 2.0 * PI / segmentCount);
+        angle = abs(angle - PI / segmentCount);
 
         // Rotate over time
-        angle += time * 0.5;
+        angle += t * 0.5;
 
         // Create pattern
-        float pattern = sin(radius * 20.0 + time) * 0.5 + 0.5;
+        float pattern = sin(radius * 20.0 + t) * 0.5 + 0.5;
         pattern *= sin(angle * 10.0) * 0.5 + 0.5;
-        pattern += cos(radius * 15.0 - time * 2.0) * 0.3;
+        pattern += cos(radius * 15.0 - t * 2.0) * 0.3;
 
         // Create color based on angle and radius
-        float hue = fract(angle / (2.0 * PI) + radius + time * 0.1);
-        vec3 color = hsv2rgb(vec3(hue, 0.8, pattern));
+        float hue = fract(angle / (2.0 * PI) + radius + t * 0.1);
+        vec3 color = hsv2rgb(vec3(hue, saturation, pattern));
 
         gl_FragColor = vec4(color, 1.0);
       }
@@ -203,10 +307,14 @@ export const SHADER_DEFINITIONS = {
   FIRE: {
     name: 'Fire Effect',
     description: 'Realistic fire/flame effect with fractal noise',
-    uniforms: { time: 0 },
+    parameters: FIRE_PARAMETERS,
+    uniforms: withParameterUniforms(FIRE_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float scale;
+      uniform float height;
       varying vec2 vUv;
 
       float random(vec2 st) {
@@ -237,16 +345,17 @@ export const SHADER_DEFINITIONS = {
 
       void main() {
         vec2 uv = vUv;
+        float t = time * speed;
 
         // Create flame shape - stronger at bottom
-        vec2 fireUV = vec2(uv.x, 1.0 - uv.y);
+        vec2 fireUV = vec2(uv.x, 1.0 - uv.y) * scale;
 
         // Rising flames
-        float n = fbm(vec2(fireUV.x * 3.0, fireUV.y * 2.0 - time * 2.0));
-        n += fbm(vec2(fireUV.x * 5.0, fireUV.y * 3.0 - time * 3.0)) * 0.5;
+        float n = fbm(vec2(fireUV.x * 3.0, fireUV.y * 2.0 - t * 2.0));
+        n += fbm(vec2(fireUV.x * 5.0, fireUV.y * 3.0 - t * 3.0)) * 0.5;
 
         // Fire intensity - stronger at bottom
-        float intensity = n * (1.0 - fireUV.y);
+        float intensity = n * clamp(1.0 - (1.0 - uv.y) / height, 0.0, 1.0);
         intensity = pow(intensity, 1.5);
 
         // Fire colors: dark red -> orange -> yellow -> white
@@ -270,10 +379,13 @@ export const SHADER_DEFINITIONS = {
   ROTATING_COLORS: {
     name: 'Rotating Colors',
     description: 'Rotating color wheel effect using polar coordinates',
-    uniforms: { time: 0 },
+    parameters: ROTATING_COLORS_PARAMETERS,
+    uniforms: withParameterUniforms(ROTATING_COLORS_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float saturation;
       varying vec2 vUv;
 
       vec3 hsv2rgb(vec3 c) {
@@ -294,10 +406,10 @@ export const SHADER_DEFINITIONS = {
         float radius = length(pos);
 
         // Rotating hue based on angle and time
-        float hue = (angle / 6.28318) + time * 0.2;
+        float hue = (angle / 6.28318) + time * speed * 0.2;
         hue = fract(hue);
 
-        vec3 color = hsv2rgb(vec3(hue, 0.8, 1.0));
+        vec3 color = hsv2rgb(vec3(hue, saturation, 1.0));
 
         gl_FragColor = vec4(color, 1.0);
       }
@@ -307,10 +419,16 @@ export const SHADER_DEFINITIONS = {
   NOISE: {
     name: 'Noise Pattern',
     description: 'Animated noise patterns using fractal Brownian motion',
-    uniforms: { time: 0 },
+    parameters: NOISE_PARAMETERS,
+    uniforms: withParameterUniforms(NOISE_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float scale;
+      uniform vec3 color1;
+      uniform vec3 color2;
+      uniform vec3 color3;
       varying vec2 vUv;
 
       // Simple pseudo-random function
@@ -348,16 +466,13 @@ export const SHADER_DEFINITIONS = {
       }
 
       void main() {
-        vec2 uv = vUv * 5.0;
-
-        float n = fbm(uv + time * 0.3);
+        vec2 uv = vUv * scale;
+        float t = time * speed;
 
-        vec3 color1 = vec3(0.2, 0.0, 0.4);
-        vec3 color2 = vec3(0.8, 0.3, 0.9);
-        vec3 color3 = vec3(0.1, 0.6, 0.8);
+        float n = fbm(uv + t * 0.3);
 
         vec3 finalColor = mix(color1, color2, n);
-        finalColor = mix(finalColor, color3, fbm(uv * 2.0 - time * 0.2));
+        finalColor = mix(finalColor, color3, fbm(uv * 2.0 - t * 0.2));
 
         gl_FragColor = vec4(finalColor, 1.0);
       }
@@ -367,10 +482,14 @@ export const SHADER_DEFINITIONS = {
   SPIRAL: {
     name: 'Spiral Pattern',
     description: 'Hypnotic spiral pattern with dual rotation',
-    uniforms: { time: 0 },
+    parameters: SPIRAL_PARAMETERS,
+    uniforms: withParameterUniforms(SPIRAL_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float tightness;
+      uniform bool pulse;
       varying vec2 vUv;
 
       #define PI 3.14159265359
@@ -383,28 +502,31 @@ export const SHADER_DEFINITIONS = {
 
       void main() {
         vec2 uv = vUv - 0.5;
+        float t = time * speed;
 
         // Polar coordinates
         float radius = length(uv);
         float angle = atan(uv.y, uv.x);
 
         // Create spiral
-        float spiral = radius * 10.0 - angle * 3.0 - time * 2.0;
+        float spiral = radius * tightness - angle * 3.0 - t * 2.0;
         float pattern = sin(spiral) * 0.5 + 0.5;
 
         // Add secondary spiral
-        float spiral2 = radius * 15.0 + angle * 2.0 + time * 1.5;
+        float spiral2 = radius * tightness * 1.5 + angle * 2.0 + t * 1.5;
         pattern += (sin(spiral2) * 0.5 + 0.5) * 0.5;
 
         // Create color based on pattern and radius
-        float hue = fract(radius * 2.0 + time * 0.1);
+        float hue = fract(radius * 2.0 + t * 0.1);
         float saturation = 0.7 + pattern * 0.3;
         float value = pattern;
 
         vec3 color = hsv2rgb(vec3(hue, saturation, value));
 
         // Add some pulsing
-        color *= 0.8 + 0.2 * sin(time * 2.0);
+        if (pulse) {
+          color *= 0.8 + 0.2 * sin(t * 2.0);
+        }
 
         gl_FragColor = vec4(color, 1.0);
       }
@@ -414,10 +536,15 @@ export const SHADER_DEFINITIONS = {
   GLITCH: {
     name: 'Glitch Effect',
     description: 'Digital glitch/corruption effect with RGB split',
-    uniforms: { time: 0 },
+    parameters: GLITCH_PARAMETERS,
+    uniforms: withParameterUniforms(GLITCH_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform float intensity;
+      uniform int stripes;
+      uniform bool scanlines;
       varying vec2 vUv;
 
       float random(vec2 st) {
@@ -426,18 +553,20 @@ export const SHADER_DEFINITIONS = {
 
       void main() {
         vec2 uv = vUv;
+        float t = time * speed;
+        float stripeCount = float(stripes);
 
         // Random glitch intervals
-        float glitchStrength = step(0.95, random(vec2(floor(time * 4.0))));
+        float glitchStrength = step(1.0 - intensity, random(vec2(floor(t * 4.0))));
 
         // Horizontal distortion
-        float lineGlitch = step(0.98, random(vec2(floor(uv.y * 20.0), floor(time * 10.0))));
-        uv.x += lineGlitch * glitchStrength * (random(vec2(time)) - 0.5) * 0.3;
+        float lineGlitch = step(0.98, random(vec2(floor(uv.y * 20.0), floor(t * 10.0))));
+        uv.x += lineGlitch * glitchStrength * (random(vec2(t)) - 0.5) * 0.3;
 
         // Block displacement
         float blockY = floor(uv.y * 8.0) / 8.0;
-        float blockGlitch = step(0.9, random(vec2(blockY, floor(time * 5.0))));
-        uv.x += blockGlitch * glitchStrength * (random(vec2(time * 2.0)) - 0.5) * 0.2;
+        float blockGlitch = step(0.9, random(vec2(blockY, floor(t * 5.0))));
+        uv.x += blockGlitch * glitchStrength * (random(vec2(t * 2.0)) - 0.5) * 0.2;
 
         // RGB split
         float splitAmount = glitchStrength * 0.03;
@@ -446,17 +575,19 @@ export const SHADER_DEFINITIONS = {
         vec2 uvB = uv - vec2(splitAmount, 0.0);
 
         // Base pattern
-        float patternR = step(0.5, fract(uvR.x * 10.0 + uvR.y * 10.0 + time));
-        float patternG = step(0.5, fract(uvG.x * 10.0 + uvG.y * 10.0 + time * 1.1));
-        float patternB = step(0.5, fract(uvB.x * 10.0 + uvB.y * 10.0 + time * 0.9));
+        float patternR = step(0.5, fract(uvR.x * stripeCount + uvR.y * stripeCount + t));
+        float patternG = step(0.5, fract(uvG.x * stripeCount + uvG.y * stripeCount + t * 1.1));
+        float patternB = step(0.5, fract(uvB.x * stripeCount + uvB.y * stripeCount + t * 0.9));
 
         vec3 color = vec3(patternR, patternG, patternB);
 
         // Scan lines
-        color *= 0.9 + 0.1 * sin(uv.y * 200.0 + time * 10.0);
+        if (scanlines) {
+          color *= 0.9 + 0.1 * sin(uv.y * 200.0 + t * 10.0);
+        }
 
         // Random flicker
-        color *= 0.8 + 0.2 * random(vec2(floor(time * 30.0)));
+        color *= 0.8 + 0.2 * random(vec2(floor(t * 30.0)));
 
         gl_FragColor = vec4(color, 1.0);
       }
@@ -466,26 +597,30 @@ export const SHADER_DEFINITIONS = {
   CHECKERBOARD_ANIMATED: {
     name: 'Animated Checkerboard',
     description: 'Color-shifting checkerboard pattern',
-    uniforms: { time: 0 },
+    parameters: CHECKERBOARD_ANIMATED_PARAMETERS,
+    uniforms: withParameterUniforms(CHECKERBOARD_ANIMATED_PARAMETERS),
     vertexShader: STANDARD_VERTEX_SHADER.trim(),
     fragmentShader: `
       uniform float time;
+      uniform float speed;
+      uniform int squares;
       varying vec2 vUv;
 
       void main() {
-        vec2 uv = vUv * 8.0;
+        vec2 uv = vUv * float(squares);
+        float t = time * speed;
         float checker = mod(floor(uv.x) + floor(uv.y), 2.0);
 
         vec3 color1 = vec3(
-          0.5 + 0.5 * sin(time),
-          0.5 + 0.5 * sin(time + 2.0),
-          0.5 + 0.5 * sin(time + 4.0)
+          0.5 + 0.5 * sin(t),
+          0.5 + 0.5 * sin(t + 2.0),
+          0.5 + 0.5 * sin(t + 4.0)
         );
 
         vec3 color2 = vec3(
-          0.5 + 0.5 * cos(time),
-          0.5 + 0.5 * cos(time + 2.0),
-          0.5 + 0.5 * cos(time + 4.0)
+          0.5 + 0.5 * cos(t),
+          0.5 + 0.5 * cos(t + 2.0),
+          0.5 + 0.5 * cos(t + 4.0)
         );
 
         vec3 finalColor = mix(color1, color2, checker);
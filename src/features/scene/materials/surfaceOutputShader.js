@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { BLEND_MODES } from '../../../shared/utils/constants';
+import { getColorCorrectionDeclarations, getColorCorrectionStatements } from './colorCorrectionShader';
+
+/**
+ * Surface Output Shader Patch
+ * Patched into whatever material a surface's content renders with (built-in
+ * materials, effect shaders and custom shaders alike): the content's main()
+ * is renamed and a new main() takes its gl_FragColor through color correction,
+ * then applies the surface's opacity and prepares it for its blend mode.
+ * Same result as blendColors in src/shared/utils/blend-modes.ts.
+ */
+
+const MAIN_PATTERN = /\bvoid\s+main\s*\(\s*(void)?\s*\)/;
+
+// Colour as each mode's blend state expects it, given the (opacity-scaled) alpha
+const BLEND_PREPARATION = {
+  [BLEND_MODES.NORMAL]: '',
+  [BLEND_MODES.ADD]: '',
+  [BLEND_MODES.SUBTRACT]: '',
+  [BLEND_MODES.SCREEN]: 'gl_FragColor.rgb *= gl_FragColor.a;',
+  [BLEND_MODES.MULTIPLY]: 'gl_FragColor.rgb = mix(vec3(1.0), gl_FragColor.rgb, gl_FragColor.a);'
+};
+
+// Blending that also applies to opaque objects, so surfaces stay in the opaque
+// render list and keep layering by render order. Alpha always composites as
+// "over", so the canvas stays covered wherever a surface draws.
+const BLEND_STATES = {
+  [BLEND_MODES.NORMAL]: [THREE.AddEquation, THREE.SrcAlphaFactor, THREE.OneMinusSrcAlphaFactor],
+  [BLEND_MODES.ADD]: [THREE.AddEquation, THREE.SrcAlphaFactor, THREE.OneFactor],
+  [BLEND_MODES.SUBTRACT]: [THREE.ReverseSubtractEquation, THREE.SrcAlphaFactor, THREE.OneFactor],
+  [BLEND_MODES.SCREEN]: [THREE.AddEquation, THREE.OneMinusDstColorFactor, THREE.OneFactor],
+  [BLEND_MODES.MULTIPLY]: [THREE.AddEquation, THREE.DstColorFactor, THREE.ZeroFactor]
+};
+
+/**
+ * Program cache key (materials with the same key share code)
+ * @param {string} colorCorrectionKey - From getColorCorrectionKey
+ * @param {string | null} blendMode - Null when the surface is opaque and normal
+ */
+export function getSurfaceOutputKey(colorCorrectionKey, blendMode) {
+  return `${colorCorrectionKey};blend:${blendMode ?? 'none'}`;
+}
+
+/**
+ * Wrap a fragment shader's main() with color correction and blending
+ * Shaders without a recognisable main() are left alone
+ * @param {string} fragmentShader
+ * @param {{ stages: object, blendMode: string | null }} options
+ */
+export function injectSurfaceOutput(fragmentShader, { stages, blendMode }) {
+  const correcting = Object.keys(stages).length > 0;
+  if ((!correcting && !blendMode) || !MAIN_PATTERN.test(fragmentShader)) {
+    return fragmentShader;
+  }
+
+  return `${getColorCorrectionDeclarations(stages)}
+${blendMode ? 'uniform float uOpacity;' : ''}
+${fragmentShader.replace(MAIN_PATTERN, 'void contentMain()')}
+
+void main() {
+  contentMain();
+  ${correcting ? `vec3 color = gl_FragColor.rgb;
+  ${getColorCorrectionStatements(stages)}
+  gl_FragColor.rgb = color;` : ''}
+  ${blendMode ? `gl_FragColor.a *= uOpacity;
+  ${BLEND_PREPARATION[blendMode]}` : ''}
+}
+`;
+}
+
+/**
+ * Set a material's blend state for a mode, or back to plain opaque drawing
+ */
+function applyBlendState(material, blendMode) {
+  if (!blendMode) {
+    material.blending = THREE.NormalBlending;
+    return;
+  }
+
+  const [equation, src, dst] = BLEND_STATES[blendMode];
+  material.blending = THREE.CustomBlending;
+  material.blendEquation = equation;
+  material.blendSrc = src;
+  material.blendDst = dst;
+  material.blendEquationAlpha = THREE.AddEquation;
+  material.blendSrcAlpha = THREE.OneFactor;
+  material.blendDstAlpha = THREE.OneMinusSrcAlphaFactor;
+}
+
+/**
+ * Patch a material so its output goes through the given correction stages and blend mode
+ * `key` must identify both; the material recompiles only when it changes
+ */
+export function applySurfaceOutputToMaterial(material, uniforms, { stages, blendMode }, key) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.fragmentShader = injectSurfaceOutput(shader.fragmentShader, { stages, blendMode });
+  };
+  material.customProgramCacheKey = () => key;
+  material.userData.surfaceOutputKey = key;
+  applyBlendState(material, blendMode);
+  material.needsUpdate = true;
+}
@@ -8,39 +8,56 @@ export class GeometryGenerator {
   /**
    * Create geometry based on corner count
    * @param {string} geometryType - Type of geometry (always 'polygon' now)
-   * @param {number} cornerCount - Number of corners (3-8)
+   * @param {number} cornerCount - Number of corners (3 or more)
    * @param {number} subdivisions - Number of subdivisions for the geometry
    * @returns {THREE.BufferGeometry} - The generated geometry
    */
   static createGeometry(geometryType, cornerCount = 4, subdivisions = 20) {
-    return this.createPolygonGeometry(cornerCount, subdivisions);
+    if (cornerCount === 4) {
+      return this.createQuadGeometry(subdivisions);
+    }
+    return this.createPolygonGeometry(cornerCount);
   }
 
   /**
-   * Create a polygon geometry with specified number of corners
-   * Uses CircleGeometry for smooth subdivision
+   * Create a subdivided unit quad for homography warping
+   * Spans -1 to 1 with UVs 0 to 1, so TransformCalculator can map its
+   * four corners straight onto the calibrated corner points. The grid is
+   * kept dense so per-triangle UV interpolation stays close to the true
+   * projective mapping.
    */
-  static createPolygonGeometry(cornerCount, subdivisions) {
-    const corners = Math.min(8, Math.max(3, cornerCount));
+  static createQuadGeometry(subdivisions) {
+    const segments = subdivisions * 2;
+    return new THREE.PlaneGeometry(2, 2, segments, segments);
+  }
 
-    // Use CircleGeometry which provides good UV mapping and subdivision
-    // The number of radial segments determines the smoothness
-    const segments = corners * subdivisions;
-    return new THREE.CircleGeometry(1, segments);
+  /**
+   * Create an empty polygon geometry with one vertex per corner
+   * TransformCalculator fills in positions, UVs and the triangulation;
+   * a simple polygon always has cornerCount - 2 triangles, so the buffers
+   * are sized once and rewritten in place while corners are dragged
+   */
+  static createPolygonGeometry(cornerCount) {
+    const corners = Math.max(3, cornerCount);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(corners * 3), 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(corners * 2), 2));
+    geometry.setIndex(new THREE.BufferAttribute(new Uint32Array((corners - 2) * 3), 1));
+    return geometry;
   }
 
   /**
    * Get corner count for a geometry type
    */
   static getCornerCount(geometryType, customCornerCount = 4) {
-    return Math.min(8, Math.max(3, customCornerCount));
+    return Math.max(3, customCornerCount);
   }
 
   /**
    * Get corner keys for a surface based on corner count
    */
   static getCornerKeys(geometryType, cornerCount = 4) {
-    const count = Math.min(8, Math.max(3, cornerCount));
+    const count = Math.max(3, cornerCount);
     return Array.from({ length: count }, (_, i) => `point${i}`);
   }
 }
@@ -1,43 +1,34 @@
-import React, { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
-import { DEFAULT_SURFACE_CONFIG, STORAGE_KEYS, getDefaultCorners, GEOMETRY_TYPES } from '../../../shared/utils/constants';
-import { useStorage } from '../../../shared/hooks/useStorage';
-import { SurfaceArraySchema } from '../../../shared/schemas';
+import React, { createContext, useContext, useState, useCallback, useRef, useEffect, useSyncExternalStore } from 'react';
+import { DEFAULT_SURFACE_CONFIG, getDefaultCorners } from '../../../shared/utils/constants';
+import { useVersionedStorage } from '../../../shared/hooks/useVersionedStorage';
+import { SURFACE_STORAGE } from '../../../shared/utils/surface-migrations';
 import { broadcastManager, MessageTypes } from '../../../shared/utils/broadcast-channel';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { assetStore, extractEmbeddedMedia } from '../../../shared/utils/asset-store';
+import { getNextSurfaceNumber } from '../../../shared/utils/surface-factory';
+import { createHistory } from '../../../shared/utils/history';
+import { useApp } from '../../../shared/context/AppContext';
+import { useSnapshotSource } from '../../../shared/hooks/useStateSync';
 
 /**
  * Surface Manager Context
  * Manages all surfaces, their state, and operations
+ * Records local edits for undo/redo
  * Syncs across tabs via BroadcastChannel
  */
 
 const SurfaceContext = createContext(null);
 
 export function SurfaceProvider({ children }) {
-  // Load surfaces from localStorage with schema validation
-  const [storedSurfaces, setStoredSurfaces] = useStorage({
-    key: STORAGE_KEYS.SURFACES,
-    defaultValue: [],
-    schema: SurfaceArraySchema
-  });
+  const { activeOutput } = useApp();
+
+  // Load surfaces from localStorage, migrating older saves and quarantining invalid entries
+  const [storedSurfaces, setStoredSurfaces] = useVersionedStorage(SURFACE_STORAGE);
 
   // Convert array to Map for efficient lookups
-  const [surfaces, setSurfaces] = useState(() => {
-    const map = new Map();
-    storedSurfaces.forEach(surface => {
-      // Ensure loaded surfaces have valid corners and geometry type
-      if (!surface.geometryType) {
-        surface.geometryType = GEOMETRY_TYPES.POLYGON;
-      }
-      if (!surface.cornerCount) {
-        surface.cornerCount = 4;
-      }
-      if (!surface.corners || Object.keys(surface.corners).length === 0) {
-        surface.corners = getDefaultCorners(surface.geometryType, surface.cornerCount);
-      }
-      map.set(surface.id, surface);
-    });
-    return map;
-  });
+  const [surfaces, setSurfaces] = useState(
+    () => new Map(storedSurfaces.map(surface => [surface.id, surface]))
+  );
 
   const [selectedSurfaceId, setSelectedSurfaceIdInternal] = useState(null);
 
@@ -46,8 +37,13 @@ export function SurfaceProvider({ children }) {
     setSelectedSurfaceIdInternal(id);
     broadcastManager.broadcast(MessageTypes.SURFACE_SELECTED, { id });
   }, []);
-  const nextIdRef = useRef(storedSurfaces.length + 1);
-  const previousSizeRef = useRef({ width: window.innerWidth, height: window.innerHeight });
+  const nextIdRef = useRef(getNextSurfaceNumber(storedSurfaces));
+
+  // Latest surfaces, read by edits so they can be diffed for the history
+  // outside of state updaters (which StrictMode runs twice)
+  const surfacesRef = useRef(surfaces);
+  const [history] = useState(() => createHistory());
+  const historyStatus = useSyncExternalStore(history.subscribe, history.getStatus);
 
   // Sync surfaces to localStorage whenever they change
   const syncToStorage = useCallback((surfacesMap) => {
@@ -55,6 +51,23 @@ export function SurfaceProvider({ children }) {
     setStoredSurfaces(surfacesArray);
   }, [setStoredSurfaces]);
 
+  // Show changes received from other tabs (not recorded in this tab's history)
+  const applyRemoteSurfaces = useCallback((update) => {
+    surfacesRef.current = update(surfacesRef.current);
+    setSurfaces(surfacesRef.current);
+  }, []);
+
+  // Apply a local edit and record it for undo, unless historyOptions is null
+  const commitSurfaces = useCallback((next, historyOptions) => {
+    const previous = surfacesRef.current;
+    surfacesRef.current = next;
+    setSurfaces(next);
+    syncToStorage(next);
+    if (historyOptions) {
+      history.record(previous, next, historyOptions);
+    }
+  }, [history, syncToStorage]);
+
   // Add new surface
   const addSurface = useCallback((config = {}) => {
     const id = `surface-${nextIdRef.current++}`;
@@ -66,17 +79,15 @@ export function SurfaceProvider({ children }) {
       ...DEFAULT_SURFACE_CONFIG,
       geometryType,
       cornerCount,
-      corners: getDefaultCorners(geometryType, cornerCount), // Get default corners based on geometry type
+      corners: getDefaultCorners(geometryType, cornerCount, activeOutput.resolution), // Get default corners based on geometry type
+      outputId: activeOutput.id,
       ...config,
       name: config.name || `Surface ${nextIdRef.current - 1}`
     };
 
-    setSurfaces(prev => {
-      const next = new Map(prev);
-      next.set(id, newSurface);
-      syncToStorage(next);
-      return next;
-    });
+    const next = new Map(surfacesRef.current);
+    next.set(id, newSurface);
+    commitSurfaces(next, { label: 'Add surface' });
 
     setSelectedSurfaceId(id);
 
@@ -84,16 +95,13 @@ export function SurfaceProvider({ children }) {
     broadcastManager.broadcast(MessageTypes.SURFACE_ADDED, newSurface);
 
     return id;
-  }, [syncToStorage]);
+  }, [commitSurfaces, activeOutput]);
 
   // Remove surface
   const removeSurface = useCallback((id) => {
-    setSurfaces(prev => {
-      const next = new Map(prev);
-      next.delete(id);
-      syncToStorage(next);
-      return next;
-    });
+    const next = new Map(surfacesRef.current);
+    next.delete(id);
+    commitSurfaces(next, { label: 'Delete surface' });
 
     if (selectedSurfaceId === id) {
       setSelectedSurfaceId(null);
@@ -101,51 +109,75 @@ export function SurfaceProvider({ children }) {
 
     // Broadcast to other tabs
     broadcastManager.broadcast(MessageTypes.SURFACE_DELETED, { id });
-  }, [selectedSurfaceId, syncToStorage]);
+  }, [selectedSurfaceId, commitSurfaces]);
 
   // Update surface
-  const updateSurface = useCallback((id, updates) => {
-    setSurfaces(prev => {
-      const next = new Map(prev);
+  // Repeated edits of the same fields coalesce into one undo entry unless
+  // `coalesceKey` says otherwise; `record: false` keeps the edit out of the history
+  const updateSurface = useCallback((id, updates, { label = 'Edit surface', coalesceKey, record = true } = {}) => {
+    const surface = surfacesRef.current.get(id);
+    if (!surface) return;
+
+    const updatedSurface = { ...surface, ...updates };
+    const next = new Map(surfacesRef.current);
+    next.set(id, updatedSurface);
+    commitSurfaces(next, record
+      ? { label, coalesceKey: coalesceKey ?? `${id}:${Object.keys(updates).sort().join(',')}` }
+      : null);
+
+    // Broadcast to other tabs
+    broadcastManager.broadcast(MessageTypes.SURFACE_UPDATED, updatedSurface);
+  }, [commitSurfaces]);
+
+  // Update several surfaces as one edit (e.g. firing a cue), keyed by surface id
+  const updateSurfaces = useCallback((updatesById, { label = 'Edit surfaces' } = {}) => {
+    const next = new Map(surfacesRef.current);
+    Object.entries(updatesById).forEach(([id, updates]) => {
       const surface = next.get(id);
       if (surface) {
-        const updatedSurface = { ...surface, ...updates };
-        next.set(id, updatedSurface);
-        syncToStorage(next);
-
-        // Broadcast to other tabs
-        broadcastManager.broadcast(MessageTypes.SURFACE_UPDATED, updatedSurface);
+        next.set(id, { ...surface, ...updates });
       }
-      return next;
     });
-  }, [syncToStorage]);
+    commitSurfaces(next, { label });
+
+    // Broadcast to other tabs
+    broadcastManager.broadcast(MessageTypes.SURFACES_REPLACED, Array.from(next.values()));
+  }, [commitSurfaces]);
 
   // Update surface corners
   const updateSurfaceCorners = useCallback((id, corners) => {
-    updateSurface(id, { corners });
+    updateSurface(id, { corners }, { label: 'Move corners' });
   }, [updateSurface]);
 
-  // Update surface content type
+  // Update surface content type (content data is checked against the type's registered schema)
   const updateSurfaceContent = useCallback((id, contentType, contentData = {}) => {
-    updateSurface(id, { contentType, contentData });
+    if (contentRegistry.has(contentType)) {
+      const validation = contentRegistry.validateContentData(contentType, contentData);
+      if (!validation.success) {
+        console.error(`Invalid content data for content type "${contentType}":`, validation.error);
+        return;
+      }
+    }
+    updateSurface(id, { contentType, contentData }, { label: 'Change content' });
   }, [updateSurface]);
 
   // Toggle surface visibility
   const toggleSurfaceVisibility = useCallback((id) => {
-    setSurfaces(prev => {
-      const next = new Map(prev);
-      const surface = next.get(id);
-      if (surface) {
-        next.set(id, { ...surface, visible: !surface.visible });
-        syncToStorage(next);
-      }
-      return next;
-    });
-  }, [syncToStorage]);
+    const surface = surfacesRef.current.get(id);
+    if (!surface) return;
+
+    const updatedSurface = { ...surface, visible: !surface.visible };
+    const next = new Map(surfacesRef.current);
+    next.set(id, updatedSurface);
+    commitSurfaces(next, { label: surface.visible ? 'Hide surface' : 'Show surface' });
+
+    // Broadcast to other tabs
+    broadcastManager.broadcast(MessageTypes.SURFACE_UPDATED, updatedSurface);
+  }, [commitSurfaces]);
 
   // Set surface render order
   const setSurfaceRenderOrder = useCallback((id, renderOrder) => {
-    updateSurface(id, { renderOrder });
+    updateSurface(id, { renderOrder }, { label: 'Change render order' });
   }, [updateSurface]);
 
   // Get surface by ID
@@ -160,18 +192,51 @@ export function SurfaceProvider({ children }) {
 
   // Clear all surfaces
   const clearAllSurfaces = useCallback(() => {
-    setSurfaces(new Map());
-    setStoredSurfaces([]);
+    commitSurfaces(new Map(), { label: 'Clear surfaces' });
     setSelectedSurfaceId(null);
     nextIdRef.current = 1;
-  }, [setStoredSurfaces]);
+
+    // Broadcast to other tabs
+    broadcastManager.broadcast(MessageTypes.SURFACES_REPLACED, []);
+  }, [commitSurfaces]);
+
+  // Replace every surface at once (e.g. when importing a project)
+  const replaceSurfaces = useCallback((surfacesArray) => {
+    commitSurfaces(new Map(surfacesArray.map(surface => [surface.id, surface])), { label: 'Import project' });
+    setSelectedSurfaceId(null);
+    nextIdRef.current = getNextSurfaceNumber(surfacesArray);
+
+    // Broadcast to other tabs
+    broadcastManager.broadcast(MessageTypes.SURFACES_REPLACED, surfacesArray);
+  }, [commitSurfaces]);
+
+  // Show the surfaces restored by undo/redo here and in every other tab
+  const restoreSurfaces = useCallback((next) => {
+    if (!next) return;
+
+    const surfacesArray = Array.from(next.values());
+    commitSurfaces(next, null);
+    setSelectedSurfaceIdInternal(id => (next.has(id) ? id : null));
+    nextIdRef.current = Math.max(nextIdRef.current, getNextSurfaceNumber(surfacesArray));
+
+    // Broadcast to other tabs
+    broadcastManager.broadcast(MessageTypes.SURFACES_REPLACED, surfacesArray);
+  }, [commitSurfaces]);
+
+  const undo = useCallback(() => {
+    restoreSurfaces(history.undo(surfacesRef.current));
+  }, [history, restoreSurfaces]);
+
+  const redo = useCallback(() => {
+    restoreSurfaces(history.redo(surfacesRef.current));
+  }, [history, restoreSurfaces]);
 
   // Listen for broadcasts from other tabs
   useEffect(() => {
     const unsubscribeUpdated = broadcastManager.subscribe(
       MessageTypes.SURFACE_UPDATED,
       (surface) => {
-        setSurfaces(prev => {
+        applyRemoteSurfaces(prev => {
           const next = new Map(prev);
           next.set(surface.id, surface);
           return next;
@@ -182,7 +247,7 @@ export function SurfaceProvider({ children }) {
     const unsubscribeAdded = broadcastManager.subscribe(
       MessageTypes.SURFACE_ADDED,
       (surface) => {
-        setSurfaces(prev => {
+        applyRemoteSurfaces(prev => {
           const next = new Map(prev);
           if (!next.has(surface.id)) {
             next.set(surface.id, surface);
@@ -195,7 +260,7 @@ export function SurfaceProvider({ children }) {
     const unsubscribeDeleted = broadcastManager.subscribe(
       MessageTypes.SURFACE_DELETED,
       ({ id }) => {
-        setSurfaces(prev => {
+        applyRemoteSurfaces(prev => {
           const next = new Map(prev);
           next.delete(id);
           return next;
@@ -203,6 +268,14 @@ export function SurfaceProvider({ children }) {
       }
     );
 
+    const unsubscribeReplaced = broadcastManager.subscribe(
+      MessageTypes.SURFACES_REPLACED,
+      (surfacesArray) => {
+        applyRemoteSurfaces(() => new Map(surfacesArray.map(surface => [surface.id, surface])));
+        nextIdRef.current = getNextSurfaceNumber(surfacesArray);
+      }
+    );
+
     const unsubscribeSelected = broadcastManager.subscribe(
       MessageTypes.SURFACE_SELECTED,
       ({ id }) => {
@@ -214,51 +287,36 @@ export function SurfaceProvider({ children }) {
       unsubscribeUpdated();
       unsubscribeAdded();
       unsubscribeDeleted();
+      unsubscribeReplaced();
       unsubscribeSelected();
     };
-  }, []);
+  }, [applyRemoteSurfaces]);
+
+  // Full surface list and selection for windows that join later or missed a message
+  useSnapshotSource(
+    'surfaces',
+    () => ({ surfaces: Array.from(surfacesRef.current.values()), selectedSurfaceId }),
+    (snapshot) => {
+      applyRemoteSurfaces(() => new Map(snapshot.surfaces.map(surface => [surface.id, surface])));
+      nextIdRef.current = getNextSurfaceNumber(snapshot.surfaces);
+      setSelectedSurfaceIdInternal(snapshot.selectedSurfaceId);
+    }
+  );
 
-  // Handle window resize - scale all corner positions proportionally
+  // Move base64 media saved before the asset library into IndexedDB, so the
+  // surface array stays small enough for localStorage
   useEffect(() => {
-    const handleResize = () => {
-      const currentWidth = window.innerWidth;
-      const currentHeight = window.innerHeight;
-      const prevWidth = previousSizeRef.current.width;
-      const prevHeight = previousSizeRef.current.height;
-
-      // Only scale if window size actually changed
-      if (currentWidth !== prevWidth || currentHeight !== prevHeight) {
-        const scaleX = currentWidth / prevWidth;
-        const scaleY = currentHeight / prevHeight;
-
-        setSurfaces(prev => {
-          const next = new Map();
-          prev.forEach((surface, id) => {
-            if (surface.corners) {
-              const scaledCorners = {};
-              // Scale all corner points regardless of naming convention
-              Object.keys(surface.corners).forEach(key => {
-                scaledCorners[key] = {
-                  x: surface.corners[key].x * scaleX,
-                  y: surface.corners[key].y * scaleY
-                };
-              });
-              next.set(id, { ...surface, corners: scaledCorners });
-            } else {
-              next.set(id, surface);
-            }
-          });
-          syncToStorage(next);
-          return next;
-        });
-
-        previousSizeRef.current = { width: currentWidth, height: currentHeight };
-      }
-    };
-
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
-  }, [syncToStorage]);
+    Array.from(surfaces.values()).forEach(surface => {
+      extractEmbeddedMedia(assetStore, surface.contentData, surface.name)
+        .then(contentData => {
+          if (contentData) {
+            updateSurface(surface.id, { contentData }, { record: false });
+          }
+        })
+        .catch(error => console.error(`Error moving media of "${surface.name}" to the asset library:`, error));
+    });
+    // Only surfaces loaded from storage can hold embedded media
+  }, []);
 
   const value = {
     surfaces,
@@ -267,13 +325,20 @@ export function SurfaceProvider({ children }) {
     addSurface,
     removeSurface,
     updateSurface,
+    updateSurfaces,
     updateSurfaceCorners,
     updateSurfaceContent,
     toggleSurfaceVisibility,
     setSurfaceRenderOrder,
     getSurface,
     getAllSurfaces,
-    clearAllSurfaces
+    replaceSurfaces,
+    clearAllSurfaces,
+    undo,
+    redo,
+    beginGesture: history.beginGesture,
+    endGesture: history.endGesture,
+    ...historyStatus
   };
 
   return <SurfaceContext.Provider value={value}>{children}</SurfaceContext.Provider>;
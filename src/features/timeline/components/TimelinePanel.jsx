@@ -0,0 +1,295 @@
+import React, { useState } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { useContentRegistry } from '../../../shared/hooks/useContentRegistry';
+import { resolveParameterValues } from '../../../shared/utils/effect-parameters';
+import { EasingSchema } from '../../../shared/schemas';
+import { TIMELINE_LIMITS } from '../../../shared/utils/constants';
+import { useTimeline } from '../context/TimelineContext';
+import { useTimelinePosition } from '../hooks/useTimelinePosition';
+
+const PROPERTY_LABELS = {
+  opacity: 'Opacity',
+  corners: 'Corners',
+  content: 'Content'
+};
+
+const EASING_LABELS = {
+  linear: 'Linear',
+  'ease-in': 'Ease in',
+  'ease-out': 'Ease out',
+  'ease-in-out': 'Ease in-out',
+  hold: 'Hold'
+};
+
+// Track targets are encoded as "opacity", "corners", "content" or "param:<uniform>" in the picker
+const encodeTarget = (target) => (target.property === 'param' ? `param:${target.param}` : target.property);
+const decodeTarget = (value) => (value.startsWith('param:')
+  ? { property: 'param', param: value.slice('param:'.length) }
+  : { property: value });
+
+/**
+ * Value a track records from a surface as it is stored (effect parameters
+ * that were never changed record their default)
+ */
+const getSurfaceValue = (surface, track) => {
+  switch (track.property) {
+    case 'opacity': return surface.opacity ?? 1;
+    case 'corners': return surface.corners;
+    case 'content': return { contentType: surface.contentType, contentData: surface.contentData };
+    case 'param': {
+      const definitions = contentRegistry.get(surface.contentType)?.parameters;
+      return definitions?.[track.param]
+        ? resolveParameterValues(definitions, surface.contentData?.params)[track.param]
+        : surface.contentData?.params?.[track.param];
+    }
+  }
+};
+
+const formatTime = (seconds) => seconds.toFixed(2);
+
+/**
+ * Timeline Panel Component
+ * Keyframes surface corners, opacity, effect parameters and content over time,
+ * with easing per keyframe, a loop region and a scrubbable playhead
+ */
+export function TimelinePanel() {
+  const {
+    timeline,
+    setEnabled,
+    play,
+    pause,
+    seek,
+    setDuration,
+    setLoop,
+    addTrack,
+    removeTrack,
+    setKeyframe,
+    setKeyframeEasing,
+    removeKeyframe
+  } = useTimeline();
+  const { getAllSurfaces, getSurface } = useSurfaces();
+  const { isSidebarVisible, showNotification } = useApp();
+  const position = useTimelinePosition(timeline);
+  const [isOpen, setIsOpen] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [newTrackSurfaceId, setNewTrackSurfaceId] = useState('');
+  const [newTrackTarget, setNewTrackTarget] = useState('opacity');
+  useContentRegistry();
+
+  const surfaces = getAllSurfaces();
+  const trackSurface = getSurface(newTrackSurfaceId) ?? surfaces[0];
+  const parameterDefinitions = trackSurface ? contentRegistry.get(trackSurface.contentType)?.parameters ?? {} : {};
+  const selectedTrack = timeline.tracks.find(track => track.id === selected?.trackId);
+  const selectedKeyframe = selectedTrack?.keyframes.find(keyframe => keyframe.time === selected.time);
+
+  const getTrackLabel = (track) => {
+    const surfaceName = getSurface(track.surfaceId)?.name ?? `${track.surfaceId} (deleted)`;
+    const property = track.property === 'param'
+      ? contentRegistry.get(getSurface(track.surfaceId)?.contentType)?.parameters?.[track.param]?.label ?? track.param
+      : PROPERTY_LABELS[track.property];
+    return `${surfaceName} · ${property}`;
+  };
+
+  const handleAddTrack = () => {
+    if (!trackSurface) return;
+    const target = decodeTarget(newTrackTarget);
+    const exists = timeline.tracks.some(track =>
+      track.surfaceId === trackSurface.id && encodeTarget(track) === newTrackTarget);
+    if (exists) {
+      showNotification('That property already has a track');
+      return;
+    }
+    addTrack(trackSurface.id, target);
+  };
+
+  const handleKey = (track) => {
+    const surface = getSurface(track.surfaceId);
+    const value = surface && getSurfaceValue(surface, track);
+    if (value === undefined) {
+      showNotification('Nothing to record: the surface has no such value');
+      return;
+    }
+    const time = Number(formatTime(position));
+    setKeyframe(track.id, time, value);
+    setSelected({ trackId: track.id, time });
+  };
+
+  const handleSelectKeyframe = (track, keyframe) => {
+    setSelected({ trackId: track.id, time: keyframe.time });
+    seek(keyframe.time);
+  };
+
+  const inputClassName = 'w-16 px-1.5 py-1 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]';
+  const buttonClassName = 'px-2.5 py-1 bg-gray-600 hover:bg-gray-500 disabled:opacity-40 disabled:cursor-not-allowed text-white border-none rounded cursor-pointer text-xs font-medium transition-colors';
+  const toPercent = (time) => `${(time / timeline.duration) * 100}%`;
+
+  return (
+    <div className={`fixed bottom-10 right-0 ${isSidebarVisible ? 'left-[300px]' : 'left-0'} bg-[rgba(20,20,20,0.95)] border-t border-white/10 text-white text-xs z-[999]`}>
+      <div className="flex items-center gap-3 px-5 py-1.5">
+        <button
+          className="bg-transparent border-none p-0 text-xs text-white/70 font-medium cursor-pointer hover:text-white"
+          onClick={() => setIsOpen(!isOpen)}
+        >
+          {isOpen ? '▾' : '▸'} Timeline
+        </button>
+        <label className="flex items-center gap-1.5 text-white/70">
+          <input type="checkbox" checked={timeline.enabled} onChange={(e) => setEnabled(e.target.checked)} />
+          Drive surfaces
+        </label>
+        <button className={buttonClassName} onClick={timeline.playing ? pause : play} title={timeline.playing ? 'Pause' : 'Play'}>
+          {timeline.playing ? '❚❚' : '▶'}
+        </button>
+        <button className={buttonClassName} onClick={() => { pause(); seek(0); }} title="Stop and return to the start">■</button>
+        <span className="font-mono text-white/70">{formatTime(position)} / {formatTime(timeline.duration)} s</span>
+        <input
+          className="flex-1 accent-[#00aaff]"
+          type="range"
+          min="0"
+          max={timeline.duration}
+          step="0.01"
+          value={position}
+          onChange={(e) => seek(Number(e.target.value))}
+          title="Scrub"
+        />
+      </div>
+
+      {isOpen && (
+        <div className="px-5 pb-3 flex flex-col gap-2 max-h-[40vh] overflow-y-auto custom-scrollbar">
+          <div className="flex items-center gap-3 flex-wrap text-white/70">
+            <label className="flex items-center gap-1.5">
+              Duration
+              <input
+                className={inputClassName}
+                type="number"
+                min={TIMELINE_LIMITS.MIN_DURATION}
+                max={TIMELINE_LIMITS.MAX_DURATION}
+                value={timeline.duration}
+                onChange={(e) => Number.isFinite(Number(e.target.value)) && setDuration(Number(e.target.value))}
+              />
+              s
+            </label>
+            <label className="flex items-center gap-1.5">
+              <input type="checkbox" checked={timeline.loop.enabled} onChange={(e) => setLoop({ enabled: e.target.checked })} />
+              Loop
+            </label>
+            <label className="flex items-center gap-1.5">
+              from
+              <input
+                className={inputClassName}
+                type="number"
+                min="0"
+                step="0.1"
+                value={timeline.loop.start}
+                onChange={(e) => setLoop({ start: Number(e.target.value) })}
+              />
+            </label>
+            <label className="flex items-center gap-1.5">
+              to
+              <input
+                className={inputClassName}
+                type="number"
+                min="0"
+                step="0.1"
+                value={timeline.loop.end}
+                onChange={(e) => setLoop({ end: Number(e.target.value) })}
+              />
+            </label>
+          </div>
+
+          {timeline.tracks.map(track => (
+            <div key={track.id} className="flex items-center gap-2">
+              <span className="w-48 truncate text-white/80" title={getTrackLabel(track)}>{getTrackLabel(track)}</span>
+              <div className="relative flex-1 h-5 bg-black/30 border border-white/10 rounded">
+                {timeline.loop.enabled && (
+                  <div
+                    className="absolute top-0 bottom-0 bg-[#00aaff]/10"
+                    style={{ left: toPercent(timeline.loop.start), width: toPercent(timeline.loop.end - timeline.loop.start) }}
+                  />
+                )}
+                <div className="absolute top-0 bottom-0 w-px bg-red-500" style={{ left: toPercent(position) }} />
+                {track.keyframes.map(keyframe => (
+                  <button
+                    key={keyframe.time}
+                    className={`absolute top-1/2 w-2.5 h-2.5 -translate-x-1/2 -translate-y-1/2 rotate-45 border-none p-0 cursor-pointer ${selected?.trackId === track.id && selected.time === keyframe.time ? 'bg-[#00aaff]' : 'bg-[#ffaa00]'}`}
+                    style={{ left: toPercent(keyframe.time) }}
+                    onClick={() => handleSelectKeyframe(track, keyframe)}
+                    title={`${formatTime(keyframe.time)} s · ${EASING_LABELS[keyframe.easing]}`}
+                  />
+                ))}
+              </div>
+              <button
+                className={buttonClassName}
+                onClick={() => handleKey(track)}
+                disabled={!getSurface(track.surfaceId)}
+                title="Record the surface's current value at the playhead"
+              >
+                ◆ Key
+              </button>
+              <button
+                className="bg-transparent border-none text-white cursor-pointer px-1 rounded hover:bg-red-500/20 hover:text-red-400"
+                onClick={() => removeTrack(track.id)}
+                title="Delete track"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+
+          {selectedKeyframe && (
+            <div className="flex items-center gap-2 text-white/70">
+              <span>Keyframe at {formatTime(selectedKeyframe.time)} s, easing to the next:</span>
+              <select
+                className="px-1.5 py-1 bg-black/30 border border-white/20 rounded text-white text-xs"
+                value={selectedKeyframe.easing}
+                onChange={(e) => setKeyframeEasing(selectedTrack.id, selectedKeyframe.time, e.target.value)}
+              >
+                {EasingSchema.options.map(easing => (
+                  <option key={easing} value={easing}>{EASING_LABELS[easing]}</option>
+                ))}
+              </select>
+              <button
+                className={buttonClassName}
+                onClick={() => {
+                  removeKeyframe(selectedTrack.id, selectedKeyframe.time);
+                  setSelected(null);
+                }}
+              >
+                Delete keyframe
+              </button>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2">
+            <select
+              className="px-1.5 py-1 bg-black/30 border border-white/20 rounded text-white text-xs"
+              value={trackSurface?.id ?? ''}
+              onChange={(e) => setNewTrackSurfaceId(e.target.value)}
+              disabled={surfaces.length === 0}
+            >
+              {surfaces.map(surface => (
+                <option key={surface.id} value={surface.id}>{surface.name}</option>
+              ))}
+            </select>
+            <select
+              className="px-1.5 py-1 bg-black/30 border border-white/20 rounded text-white text-xs"
+              value={newTrackTarget}
+              onChange={(e) => setNewTrackTarget(e.target.value)}
+            >
+              {Object.entries(PROPERTY_LABELS).map(([property, label]) => (
+                <option key={property} value={property}>{label}</option>
+              ))}
+              {Object.entries(parameterDefinitions).map(([name, definition]) => (
+                <option key={name} value={`param:${name}`}>{definition.label}</option>
+              ))}
+            </select>
+            <button className={buttonClassName} onClick={handleAddTrack} disabled={!trackSurface}>
+              + Track
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
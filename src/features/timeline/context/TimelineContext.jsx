@@ -0,0 +1,130 @@
+import React, { createContext, useContext, useCallback, useRef, useEffect, useState } from 'react';
+import { TimelineSchema } from '../../../shared/schemas';
+import { STORAGE_KEYS } from '../../../shared/utils/constants';
+import { useStorage } from '../../../shared/hooks/useStorage';
+import { useSnapshotSource } from '../../../shared/hooks/useStateSync';
+import { broadcastManager, MessageTypes } from '../../../shared/utils/broadcast-channel';
+import {
+  createTimeline,
+  createTrack,
+  pauseTimeline,
+  playTimeline,
+  removeKeyframe as removeTrackKeyframe,
+  seekTimeline,
+  setKeyframe as setTrackKeyframe,
+  setTimelineDuration,
+  setTimelineLoop
+} from '../../../shared/utils/timeline';
+
+/**
+ * Timeline Context
+ * Manages the keyframe timeline and its playback. Playback is anchored to
+ * wall-clock time, so the editor preview and every live window play it in
+ * step from the same stored timeline without per-frame messages.
+ */
+
+const TimelineContext = createContext(null);
+
+export function TimelineProvider({ children }) {
+  const [initialTimeline] = useState(() => createTimeline());
+  const [timeline, setStoredTimeline] = useStorage({
+    key: STORAGE_KEYS.TIMELINE,
+    defaultValue: initialTimeline,
+    schema: TimelineSchema
+  });
+
+  // Latest timeline, so edits made in quick succession build on each other
+  const timelineRef = useRef(timeline);
+  timelineRef.current = timeline;
+
+  const replaceTimeline = useCallback((nextTimeline) => {
+    timelineRef.current = nextTimeline;
+    setStoredTimeline(nextTimeline);
+    broadcastManager.broadcast(MessageTypes.TIMELINE_CHANGED, nextTimeline);
+  }, [setStoredTimeline]);
+
+  const loadTimeline = useCallback((nextTimeline) => {
+    timelineRef.current = nextTimeline;
+    setStoredTimeline(nextTimeline);
+  }, [setStoredTimeline]);
+
+  const change = useCallback((update) => {
+    replaceTimeline(update(timelineRef.current));
+  }, [replaceTimeline]);
+
+  const updateTrack = useCallback((trackId, update) => {
+    change(current => ({
+      ...current,
+      tracks: current.tracks.map(track => (track.id === trackId ? update(track) : track))
+    }));
+  }, [change]);
+
+  const setEnabled = useCallback((enabled) => {
+    change(current => ({ ...current, enabled }));
+  }, [change]);
+
+  const play = useCallback(() => change(current => playTimeline(current)), [change]);
+  const pause = useCallback(() => change(current => pauseTimeline(current)), [change]);
+  const seek = useCallback((position) => change(current => seekTimeline(current, position)), [change]);
+  const setDuration = useCallback((duration) => change(current => setTimelineDuration(current, duration)), [change]);
+  const setLoop = useCallback((loop) => change(current => setTimelineLoop(current, loop)), [change]);
+
+  // Add an empty track animating one property of a surface
+  const addTrack = useCallback((surfaceId, target) => {
+    const track = createTrack(surfaceId, target, timelineRef.current.tracks);
+    change(current => ({ ...current, tracks: [...current.tracks, track] }));
+    return track;
+  }, [change]);
+
+  const removeTrack = useCallback((trackId) => {
+    change(current => ({ ...current, tracks: current.tracks.filter(track => track.id !== trackId) }));
+  }, [change]);
+
+  // Add or replace the keyframe at `time` (seconds)
+  const setKeyframe = useCallback((trackId, time, keyframeValue, easing) => {
+    updateTrack(trackId, track => setTrackKeyframe(track, time, keyframeValue, easing));
+  }, [updateTrack]);
+
+  const setKeyframeEasing = useCallback((trackId, time, easing) => {
+    updateTrack(trackId, track => ({
+      ...track,
+      keyframes: track.keyframes.map(keyframe => (keyframe.time === time ? { ...keyframe, easing } : keyframe))
+    }));
+  }, [updateTrack]);
+
+  const removeKeyframe = useCallback((trackId, time) => {
+    updateTrack(trackId, track => removeTrackKeyframe(track, time));
+  }, [updateTrack]);
+
+  useEffect(() => {
+    return broadcastManager.subscribe(MessageTypes.TIMELINE_CHANGED, loadTimeline);
+  }, [loadTimeline]);
+
+  useSnapshotSource('timeline', () => timelineRef.current, loadTimeline);
+
+  const value = {
+    timeline,
+    replaceTimeline,
+    setEnabled,
+    play,
+    pause,
+    seek,
+    setDuration,
+    setLoop,
+    addTrack,
+    removeTrack,
+    setKeyframe,
+    setKeyframeEasing,
+    removeKeyframe
+  };
+
+  return <TimelineContext.Provider value={value}>{children}</TimelineContext.Provider>;
+}
+
+export function useTimeline() {
+  const context = useContext(TimelineContext);
+  if (!context) {
+    throw new Error('useTimeline must be used within TimelineProvider');
+  }
+  return context;
+}
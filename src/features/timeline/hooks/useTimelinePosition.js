@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+import { getTimelinePosition } from '../../../shared/utils/timeline';
+
+/**
+ * Custom hook for the timeline's playhead position in seconds,
+ * updated every animation frame while it plays and `active` is set
+ */
+export function useTimelinePosition(timeline, active = true) {
+  const [position, setPosition] = useState(() => getTimelinePosition(timeline));
+
+  useEffect(() => {
+    setPosition(getTimelinePosition(timeline));
+    if (!timeline.playing || !active) return;
+
+    let frame;
+    const tick = () => {
+      setPosition(getTimelinePosition(timeline));
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [timeline, active]);
+
+  return position;
+}
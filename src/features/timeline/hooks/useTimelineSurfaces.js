@@ -0,0 +1,13 @@
+import { applyTimeline } from '../../../shared/utils/timeline';
+import { useTimeline } from '../context/TimelineContext';
+import { useTimelinePosition } from './useTimelinePosition';
+
+/**
+ * Custom hook that layers the timeline's values over the given surfaces
+ * (returned unchanged while the timeline is disabled)
+ */
+export function useTimelineSurfaces(surfaces) {
+  const { timeline } = useTimeline();
+  const position = useTimelinePosition(timeline, timeline.enabled);
+  return applyTimeline(surfaces, timeline, position);
+}
@@ -0,0 +1,9 @@
+/**
+ * Timeline Feature Module
+ * Public API for the keyframe timeline that animates surface properties
+ */
+
+export { TimelineProvider, useTimeline } from './context/TimelineContext';
+export { TimelinePanel } from './components/TimelinePanel';
+export { useTimelinePosition } from './hooks/useTimelinePosition';
+export { useTimelineSurfaces } from './hooks/useTimelineSurfaces';
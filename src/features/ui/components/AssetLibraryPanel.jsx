@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+import { useApp } from '../../../shared/context/AppContext';
+import { useAssets } from '../../../shared/hooks/useAssets';
+import { useAssetUrl } from '../../../shared/hooks/useAssetUrl';
+import { assetStore, getAssetUsage } from '../../../shared/utils/asset-store';
+import { CONTENT_TYPES } from '../../../shared/utils/constants';
+import { createVideoPlayback } from '../../../shared/utils/video-playback';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const isVideo = (asset) => asset.mimeType.startsWith('video/');
+const isMedia = (asset) => isVideo(asset) || asset.mimeType.startsWith('image/');
+
+/**
+ * Asset Library Panel Component
+ * Modal for browsing the media stored in IndexedDB: upload, reuse on the
+ * selected surface, rename and delete, with the surfaces using each asset
+ */
+export function AssetLibraryPanel({ isOpen, onClose }) {
+  const assets = useAssets();
+  const { getAllSurfaces, selectedSurfaceId, getSurface, updateSurface, updateSurfaceContent } = useSurfaces();
+  const { showNotification } = useApp();
+
+  if (!isOpen) return null;
+
+  const usage = getAssetUsage(getAllSurfaces());
+  const selectedSurface = selectedSurfaceId ? getSurface(selectedSurfaceId) : null;
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    try {
+      await Promise.all(files.map(file => assetStore.addFile(file)));
+      showNotification(`${files.length} asset${files.length !== 1 ? 's' : ''} added`);
+    } catch (error) {
+      console.error('Error storing assets:', error);
+      showNotification('Could not store asset');
+    }
+  };
+
+  const handleUse = (asset) => {
+    if (isVideo(asset)) {
+      updateSurfaceContent(selectedSurface.id, CONTENT_TYPES.VIDEO, {
+        assetId: asset.id,
+        playback: createVideoPlayback()
+      });
+    } else {
+      updateSurfaceContent(selectedSurface.id, CONTENT_TYPES.IMAGE, { assetId: asset.id });
+    }
+    showNotification(`${asset.name} applied to ${selectedSurface.name}`);
+  };
+
+  const handleDelete = async (asset) => {
+    const users = usage.get(asset.id) ?? [];
+    const message = users.length > 0
+      ? `"${asset.name}" is used by ${users.map(surface => surface.name).join(', ')}. Delete it anyway?`
+      : `Delete "${asset.name}"?`;
+    if (!window.confirm(message)) return;
+
+    // Clear references so surfaces don't point at missing media or LUTs
+    users.forEach(surface => {
+      if (surface.contentData?.assetId === asset.id) {
+        const { assetId, ...contentData } = surface.contentData;
+        updateSurfaceContent(surface.id, surface.contentType, contentData);
+      }
+      if (surface.colorCorrection?.lut?.assetId === asset.id) {
+        const { lut, ...colorCorrection } = surface.colorCorrection;
+        updateSurface(surface.id, { colorCorrection }, { label: 'Remove LUT' });
+      }
+    });
+    await assetStore.remove(asset.id);
+    showNotification('Asset deleted');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-[10000] animate-fadeIn" onClick={onClose}>
+      <div className="bg-[#2a2a2a] rounded-xl p-0 max-w-[720px] w-[90%] max-h-[90vh] flex flex-col shadow-[0_10px_40px_rgba(0,0,0,0.5)] animate-slideUp" onClick={(e) => e.stopPropagation()}>
+        <div className="py-5 px-6 border-b border-[#444] flex justify-between items-center">
+          <h2 className="m-0 text-xl text-white">Asset Library</h2>
+          <button className="bg-transparent border-none text-[28px] text-[#999] hover:bg-[#444] hover:text-white cursor-pointer p-0 w-8 h-8 flex items-center justify-center rounded transition-all" onClick={onClose}>×</button>
+        </div>
+
+        <div className="py-3 px-6 border-b border-[#444] flex items-center gap-3">
+          <label className="px-3 py-2 bg-[#00aaff] hover:bg-[#0088cc] text-white rounded cursor-pointer text-sm font-medium transition-colors">
+            + Upload
+            <input className="hidden" type="file" accept="image/*,video/*" multiple onChange={handleUpload} />
+          </label>
+          <span className="text-xs text-[#999]">
+            {selectedSurface ? `Selected surface: ${selectedSurface.name}` : 'Select a surface to apply assets'}
+          </span>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 custom-scrollbar">
+          {assets.length === 0 ? (
+            <div className="py-10 text-center text-[#999] text-sm">No assets yet</div>
+          ) : (
+            assets.map(asset => (
+              <AssetRow
+                key={asset.id}
+                asset={asset}
+                users={usage.get(asset.id) ?? []}
+                canUse={!!selectedSurface && isMedia(asset)}
+                onUse={() => handleUse(asset)}
+                onDelete={() => handleDelete(asset)}
+              />
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function AssetRow({ asset, users, canUse, onUse, onDelete }) {
+  const url = useAssetUrl(asset.id);
+  const [name, setName] = useState(asset.name);
+
+  useEffect(() => {
+    setName(asset.name);
+  }, [asset.name]);
+
+  const commitName = () => {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === asset.name) {
+      setName(asset.name);
+      return;
+    }
+    assetStore.rename(asset.id, trimmed).catch(error => console.error('Error renaming asset:', error));
+  };
+
+  const buttonClassName = 'px-2 py-1 bg-white/10 hover:bg-white/20 border border-white/20 rounded text-white text-xs cursor-pointer transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="flex gap-3 items-center p-3 mb-2 bg-[#333] rounded-lg border border-[#444]">
+      <div className="w-20 h-14 flex-shrink-0 bg-black rounded overflow-hidden flex items-center justify-center">
+        {url && isMedia(asset) && (isVideo(asset)
+          ? <video className="w-full h-full object-cover" src={url} muted preload="metadata" />
+          : <img className="w-full h-full object-cover" src={url} alt={asset.name} />)}
+        {!isMedia(asset) && <span className="text-[11px] text-[#999]">{asset.name.split('.').pop()?.toUpperCase()}</span>}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <input
+          className="w-full bg-transparent border border-transparent text-white px-1 py-0.5 text-sm rounded hover:border-white/20 focus:outline-none focus:border-[#00aaff] focus:bg-black/30"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        />
+        <div className="px-1 text-[11px] text-[#999]">
+          {asset.mimeType} · {formatSize(asset.size)}
+        </div>
+        <div className="px-1 text-[11px] text-[#999] truncate">
+          {users.length > 0 ? `Used by: ${users.map(surface => surface.name).join(', ')}` : 'Not used'}
+        </div>
+      </div>
+
+      <div className="flex flex-col gap-1.5">
+        <button className={buttonClassName} onClick={onUse} disabled={!canUse}>Use</button>
+        <button className={`${buttonClassName} hover:bg-red-500/20 hover:text-red-400`} onClick={onDelete}>Delete</button>
+      </div>
+    </div>
+  );
+}
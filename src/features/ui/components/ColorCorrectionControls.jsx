@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { assetStore } from '../../../shared/utils/asset-store';
+import {
+  CUBE_LUT_MIME_TYPE,
+  DEFAULT_COLOR_CORRECTION,
+  isColorCorrectionActive,
+  parseCubeLut
+} from '../../../shared/utils/color-correction';
+
+const ADJUSTMENTS = [
+  { key: 'brightness', label: 'Brightness', min: -1, max: 1, step: 0.01 },
+  { key: 'contrast', label: 'Contrast', min: 0, max: 2, step: 0.01 },
+  { key: 'gamma', label: 'Gamma', min: 0.2, max: 5, step: 0.01 },
+  { key: 'saturation', label: 'Saturation', min: 0, max: 2, step: 0.01 },
+  { key: 'hue', label: 'Hue Shift', min: -180, max: 180, step: 1, unit: '°' }
+];
+
+const GAINS = [
+  { key: 'r', label: 'Red Gain', accent: 'accent-red-500' },
+  { key: 'g', label: 'Green Gain', accent: 'accent-green-500' },
+  { key: 'b', label: 'Blue Gain', accent: 'accent-blue-500' }
+];
+
+/**
+ * Color Correction Controls Component
+ * Collapsible sliders for a surface's or an output's color correction and
+ * its optional .cube LUT. LUT files are stored in the asset library and
+ * checked before they are applied. `value` may be undefined (no correction).
+ */
+export function ColorCorrectionControls({ title, value, onChange, showNotification }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const correction = value ?? DEFAULT_COLOR_CORRECTION;
+
+  const update = (updates) => {
+    onChange({ ...correction, ...updates });
+  };
+
+  const handleLutUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      parseCubeLut(await file.text());
+    } catch (error) {
+      showNotification(`Invalid LUT: ${error.message}`);
+      return;
+    }
+
+    try {
+      const asset = await assetStore.addBlob(new Blob([file], { type: CUBE_LUT_MIME_TYPE }), file.name);
+      update({ lut: { assetId: asset.id, name: file.name } });
+      showNotification('LUT loaded');
+    } catch (error) {
+      console.error('Error storing LUT:', error);
+      showNotification('Could not store LUT');
+    }
+  };
+
+  const handleRemoveLut = () => {
+    const { lut, ...rest } = correction;
+    onChange(rest);
+  };
+
+  const renderSlider = ({ label, min, max, step, unit = '', accent = 'accent-[#00aaff]' }, current, onValue) => (
+    <div key={label}>
+      <div className="flex justify-between text-[11px] text-white/70 mb-1">
+        <span>{label}</span>
+        <span className="font-mono">{step >= 1 ? current : current.toFixed(2)}{unit}</span>
+      </div>
+      <input
+        className={`w-full ${accent}`}
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={current}
+        onChange={(e) => onValue(Number(e.target.value))}
+      />
+    </div>
+  );
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-1.5">
+        <button
+          className="bg-transparent border-none p-0 text-xs text-white/70 font-medium cursor-pointer hover:text-white"
+          onClick={() => setIsOpen(!isOpen)}
+        >
+          {isOpen ? '▾' : '▸'} {title}{isColorCorrectionActive(value) ? ' •' : ''}
+        </button>
+        {isOpen && (
+          <button
+            className="bg-transparent border border-white/20 text-white/70 cursor-pointer px-2 py-0.5 rounded text-[11px] transition-colors hover:bg-white/10 hover:text-white"
+            onClick={() => onChange(undefined)}
+            title="Remove all color correction"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="flex flex-col gap-2.5 p-2.5 bg-black/30 border border-white/10 rounded">
+          {ADJUSTMENTS.map(adjustment =>
+            renderSlider(adjustment, correction[adjustment.key], (next) => update({ [adjustment.key]: next })))}
+          {GAINS.map(gain =>
+            renderSlider({ ...gain, min: 0, max: 2, step: 0.01 }, correction.gains[gain.key],
+              (next) => update({ gains: { ...correction.gains, [gain.key]: next } })))}
+
+          <div>
+            <div className="text-[11px] text-white/70 mb-1">3D LUT (.cube)</div>
+            {correction.lut ? (
+              <div className="flex items-center gap-1.5 text-xs">
+                <span className="flex-1 truncate" title={correction.lut.name}>{correction.lut.name}</span>
+                <button
+                  className="bg-transparent border-none text-white cursor-pointer px-1 rounded hover:bg-red-500/20 hover:text-red-400"
+                  onClick={handleRemoveLut}
+                  title="Remove LUT"
+                >
+                  ×
+                </button>
+              </div>
+            ) : (
+              <input
+                className="w-full px-1.5 py-1.5 bg-black/30 border border-white/20 rounded text-white text-xs"
+                type="file"
+                accept=".cube"
+                onChange={handleLutUpload}
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
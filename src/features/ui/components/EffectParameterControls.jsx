@@ -0,0 +1,99 @@
+import React from 'react';
+import { resolveParameterValues } from '../../../shared/utils/effect-parameters';
+
+/**
+ * Effect Parameter Controls Component
+ * Renders a control for each parameter a content type exposes.
+ * Values are stored in contentData.params, so they persist and sync
+ * to the live view with the rest of the surface.
+ */
+export function EffectParameterControls({ surface, parameters, updateSurfaceContent }) {
+  const values = resolveParameterValues(parameters, surface.contentData?.params);
+
+  const handleChange = (name, value) => {
+    updateSurfaceContent(surface.id, surface.contentType, {
+      ...surface.contentData,
+      params: { ...values, [name]: value }
+    });
+  };
+
+  const handleReset = () => {
+    const { params, ...contentData } = surface.contentData || {};
+    updateSurfaceContent(surface.id, surface.contentType, contentData);
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-1.5">
+        <label className="block text-xs text-white/70 font-medium">Parameters</label>
+        <button
+          className="bg-transparent border border-white/20 text-white/70 cursor-pointer px-2 py-0.5 rounded text-[11px] transition-colors hover:bg-white/10 hover:text-white"
+          onClick={handleReset}
+          title="Reset parameters to their defaults"
+        >
+          Reset
+        </button>
+      </div>
+
+      <div className="flex flex-col gap-2.5 p-2.5 bg-black/30 border border-white/10 rounded">
+        {Object.entries(parameters).map(([name, definition]) => (
+          <ParameterControl
+            key={name}
+            definition={definition}
+            value={values[name]}
+            onChange={(value) => handleChange(name, value)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ParameterControl({ definition, value, onChange }) {
+  switch (definition.type) {
+    case 'float':
+    case 'int':
+      return (
+        <div>
+          <div className="flex justify-between text-[11px] text-white/70 mb-1">
+            <span>{definition.label}</span>
+            <span className="font-mono">{definition.type === 'int' ? value : value.toFixed(2)}</span>
+          </div>
+          <input
+            className="w-full accent-[#00aaff]"
+            type="range"
+            min={definition.min}
+            max={definition.max}
+            step={definition.type === 'int' ? 1 : (definition.step ?? 0.01)}
+            value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+          />
+        </div>
+      );
+    case 'color':
+      return (
+        <label className="flex justify-between items-center text-[11px] text-white/70">
+          <span>{definition.label}</span>
+          <input
+            className="w-10 h-6 p-0 bg-transparent border border-white/20 rounded cursor-pointer"
+            type="color"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+          />
+        </label>
+      );
+    case 'bool':
+      return (
+        <label className="flex justify-between items-center text-[11px] text-white/70">
+          <span>{definition.label}</span>
+          <input
+            type="checkbox"
+            checked={value}
+            onChange={(e) => onChange(e.target.checked)}
+          />
+        </label>
+      );
+    default:
+      return null;
+  }
+}
@@ -4,6 +4,8 @@ import { GEOMETRY_TYPES } from '../../../shared/utils/constants';
 /**
  * Geometry Type Modal Component
  * Modal dialog for selecting the number of corners for a polygon
+ * The slider covers common shapes; the number field takes any count, and
+ * points can be added or deleted later in calibration
  */
 export function GeometryTypeModal({ isOpen, onClose, onSelect }) {
   const [cornerCount, setCornerCount] = useState(4);
@@ -46,25 +48,31 @@ export function GeometryTypeModal({ isOpen, onClose, onSelect }) {
           </div>
 
           <div className="bg-[#333] rounded-lg p-5 mt-5">
-            <label className="block mb-3 text-[#ccc] text-sm">
+            <label className="flex justify-between items-center mb-3 text-[#ccc] text-sm">
               Number of Corners
+              <input
+                type="number"
+                min="3"
+                value={cornerCount}
+                onChange={(e) => setCornerCount(Math.max(3, parseInt(e.target.value) || 3))}
+                className="w-16 px-2 py-1 bg-[#222] border border-[#555] rounded text-white text-sm"
+              />
             </label>
             <input
               type="range"
               min="3"
-              max="8"
-              value={cornerCount}
+              max="16"
+              value={Math.min(cornerCount, 16)}
               onChange={(e) => setCornerCount(parseInt(e.target.value))}
               className="w-full mb-2"
             />
             <div className="flex justify-between px-2 text-xs text-[#666]">
               <span>3</span>
-              <span>4</span>
-              <span>5</span>
-              <span>6</span>
-              <span>7</span>
-              <span>8</span>
+              <span>16</span>
             </div>
+            <p className="mt-3 mb-0 text-xs text-[#888]">
+              In calibration, click an edge to add a point or Alt+click a point to delete it
+            </p>
           </div>
         </div>
 
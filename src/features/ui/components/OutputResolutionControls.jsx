@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { OutputResolutionSchema } from '../../../shared/schemas';
+
+const RESOLUTION_PRESETS = [
+  { width: 1280, height: 720 },
+  { width: 1920, height: 1080 },
+  { width: 2560, height: 1440 },
+  { width: 3840, height: 2160 },
+  { width: 1024, height: 768 },
+  { width: 1920, height: 1200 }
+];
+
+const formatResolution = ({ width, height }) => `${width}×${height}`;
+
+/**
+ * Output Resolution Controls Component
+ * Declares the active output's projector resolution. Corners are stored
+ * relative to it, so the editor and live windows can have any size.
+ */
+export function OutputResolutionControls() {
+  const { outputResolution, setOutputResolution } = useApp();
+  const [draft, setDraft] = useState(outputResolution);
+
+  useEffect(() => {
+    setDraft(outputResolution);
+  }, [outputResolution]);
+
+  const commitDraft = () => {
+    const result = OutputResolutionSchema.safeParse({
+      width: Math.round(Number(draft.width)),
+      height: Math.round(Number(draft.height))
+    });
+    if (result.success) {
+      setOutputResolution(result.data);
+    } else {
+      setDraft(outputResolution);
+    }
+  };
+
+  const presetValue = RESOLUTION_PRESETS.some(preset => formatResolution(preset) === formatResolution(outputResolution))
+    ? formatResolution(outputResolution)
+    : '';
+
+  const inputClassName = 'w-full min-w-0 px-2 py-1.5 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]';
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <label className="block text-xs text-white/70 font-medium">Output Resolution</label>
+      <div className="flex gap-2 items-center">
+        <input
+          className={inputClassName}
+          type="number"
+          min="1"
+          value={draft.width}
+          onChange={(e) => setDraft({ ...draft, width: e.target.value })}
+          onBlur={commitDraft}
+          onKeyDown={(e) => e.key === 'Enter' && commitDraft()}
+          title="Output width in pixels"
+        />
+        <span className="text-white/50 text-xs">×</span>
+        <input
+          className={inputClassName}
+          type="number"
+          min="1"
+          value={draft.height}
+          onChange={(e) => setDraft({ ...draft, height: e.target.value })}
+          onBlur={commitDraft}
+          onKeyDown={(e) => e.key === 'Enter' && commitDraft()}
+          title="Output height in pixels"
+        />
+        <select
+          className={inputClassName}
+          value={presetValue}
+          onChange={(e) => {
+            const preset = RESOLUTION_PRESETS.find(option => formatResolution(option) === e.target.value);
+            if (preset) setOutputResolution(preset);
+          }}
+          title="Common projector resolutions"
+        >
+          <option value="" disabled>Preset</option>
+          {RESOLUTION_PRESETS.map(preset => (
+            <option key={formatResolution(preset)} value={formatResolution(preset)}>
+              {formatResolution(preset)}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
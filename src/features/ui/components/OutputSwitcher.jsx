@@ -0,0 +1,81 @@
+import React from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
+
+/**
+ * Output Switcher Component
+ * Picks the output the editor shows and calibrates, and adds, renames or
+ * removes outputs. Each output is opened with `/live?output=<id>`.
+ */
+export function OutputSwitcher() {
+  const {
+    outputs,
+    activeOutput,
+    setActiveOutputId,
+    addOutput,
+    updateOutput,
+    removeOutput,
+    showNotification
+  } = useApp();
+  const { setSelectedSurfaceId } = useSurfaces();
+
+  const switchOutput = (id) => {
+    setActiveOutputId(id);
+    setSelectedSurfaceId(null);
+  };
+
+  const handleAddOutput = () => {
+    const name = window.prompt('Output name (e.g. Left)');
+    if (!name?.trim()) return;
+    const output = addOutput(name);
+    switchOutput(output.id);
+    showNotification(`Output added: /live?output=${output.id}`);
+  };
+
+  const handleRemoveOutput = () => {
+    if (window.confirm(`Remove output "${activeOutput.name}"? Its surfaces move to the first remaining output.`)) {
+      removeOutput(activeOutput.id);
+      setSelectedSurfaceId(null);
+      showNotification('Output removed');
+    }
+  };
+
+  const inputClassName = 'w-full min-w-0 px-2 py-1.5 bg-black/30 border border-white/20 rounded text-white text-xs focus:outline-none focus:border-[#00aaff]';
+  const buttonClassName = 'px-2.5 py-1.5 bg-gray-600 hover:bg-gray-500 disabled:opacity-40 disabled:cursor-not-allowed text-white border-none rounded cursor-pointer text-xs font-medium transition-colors';
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <label className="block text-xs text-white/70 font-medium">Output</label>
+      <div className="flex gap-2 items-center">
+        <select
+          className={inputClassName}
+          value={activeOutput.id}
+          onChange={(e) => switchOutput(e.target.value)}
+          title="Output to show and calibrate"
+        >
+          {outputs.map(output => (
+            <option key={output.id} value={output.id}>{output.name} ({output.id})</option>
+          ))}
+        </select>
+        <button className={buttonClassName} onClick={handleAddOutput} title="Add output">
+          +
+        </button>
+        <button
+          className={buttonClassName}
+          onClick={handleRemoveOutput}
+          disabled={outputs.length === 1}
+          title="Remove output"
+        >
+          ×
+        </button>
+      </div>
+      <input
+        className={inputClassName}
+        type="text"
+        value={activeOutput.name}
+        onChange={(e) => updateOutput(activeOutput.id, { name: e.target.value })}
+        title="Output name"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { useRecoveryReport } from '../../../shared/hooks/useRecoveryReport';
+import { SURFACE_STORAGE } from '../../../shared/utils/surface-migrations';
+
+const getEntryLabel = ({ index, entry }) =>
+  typeof entry?.name === 'string' ? entry.name : `Entry #${index + 1}`;
+
+/**
+ * Recovery Modal Component
+ * Shown after loading when saved surfaces had to be quarantined, so the user
+ * can see what was set aside and download the raw backup taken before migrating
+ */
+export function RecoveryModal() {
+  const { report, backup, dismiss } = useRecoveryReport(SURFACE_STORAGE);
+
+  if (!report) return null;
+
+  const handleDownload = () => {
+    const blob = new Blob([backup ?? ''], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `projection-mapping-backup-${new Date(report.createdAt).toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const count = report.quarantined.length;
+  const buttonClassName = 'flex-1 px-4 py-2.5 border-none rounded cursor-pointer text-sm font-medium transition-colors text-white';
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-[10000] animate-fadeIn" onClick={dismiss}>
+      <div className="bg-[#2a2a2a] rounded-xl p-0 max-w-[600px] w-[90%] max-h-[90vh] overflow-y-auto shadow-[0_10px_40px_rgba(0,0,0,0.5)] animate-slideUp" onClick={(e) => e.stopPropagation()}>
+        <div className="py-5 px-6 border-b border-[#444] flex justify-between items-center">
+          <h2 className="m-0 text-xl text-white">Saved Surfaces Recovered</h2>
+          <button className="bg-transparent border-none text-[28px] text-[#999] hover:bg-[#444] hover:text-white cursor-pointer p-0 w-8 h-8 flex items-center justify-center rounded transition-all" onClick={dismiss}>×</button>
+        </div>
+
+        <div className="p-6">
+          <p className="my-0 mb-3 text-[#ccc] text-sm">
+            {report.unreadable
+              ? 'The saved surfaces could not be read, so the editor started empty.'
+              : `${count} saved surface${count !== 1 ? 's' : ''} could not be loaded and ${count !== 1 ? 'were' : 'was'} set aside. Everything else was kept.`}
+            {' '}The data exactly as it was stored is available as a backup.
+          </p>
+
+          {count > 0 && (
+            <ul className="m-0 mb-5 p-3 bg-black/30 border border-red-500/30 rounded list-none text-xs text-red-200 max-h-[40vh] overflow-y-auto">
+              {report.quarantined.map((quarantined, index) => (
+                <li key={index} className="py-1">
+                  <div className="font-medium text-white">{getEntryLabel(quarantined)}</div>
+                  {quarantined.errors.map((error, errorIndex) => (
+                    <div key={errorIndex} className="font-mono">{error}</div>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              className={`${buttonClassName} bg-[#00aaff] hover:bg-[#0088cc] disabled:opacity-50 disabled:cursor-not-allowed`}
+              onClick={handleDownload}
+              disabled={!backup}
+            >
+              Download Backup
+            </button>
+            <button className={`${buttonClassName} bg-gray-600 hover:bg-gray-500`} onClick={dismiss}>
+              Dismiss
+            </button>
+          </div>
+          <p className="mt-3 mb-0 text-xs text-[#999]">
+            Dismissing hides this message; the backup stays in the browser until the next migration.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
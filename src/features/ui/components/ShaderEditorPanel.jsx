@@ -8,6 +8,7 @@ export function ShaderEditorPanel({ surfaceId, initialShaderData, onApply, onClo
   const [selectedTemplate, setSelectedTemplate] = useState('BLANK');
   const [vertexShader, setVertexShader] = useState('');
   const [fragmentShader, setFragmentShader] = useState('');
+  const [uniforms, setUniforms] = useState({ time: 0 });
   const [activeTab, setActiveTab] = useState('fragment'); // 'vertex' or 'fragment'
   const templates = getAllTemplates();
 
@@ -16,10 +17,12 @@ export function ShaderEditorPanel({ surfaceId, initialShaderData, onApply, onClo
     if (initialShaderData) {
       setVertexShader(initialShaderData.vertexShader || '');
       setFragmentShader(initialShaderData.fragmentShader || '');
+      setUniforms(initialShaderData.uniforms || { time: 0 });
     } else {
       const template = getTemplate('BLANK');
       setVertexShader(template.vertexShader);
       setFragmentShader(template.fragmentShader);
+      setUniforms(template.uniforms);
     }
   }, [initialShaderData]);
 
@@ -28,13 +31,15 @@ export function ShaderEditorPanel({ surfaceId, initialShaderData, onApply, onClo
     const template = getTemplate(templateKey);
     setVertexShader(template.vertexShader);
     setFragmentShader(template.fragmentShader);
+    // Templates with exposed parameters need their uniforms (at default values) to compile
+    setUniforms(template.uniforms);
   };
 
   const handleApply = () => {
     onApply({
       vertexShader,
       fragmentShader,
-      uniforms: { time: 0 }
+      uniforms
     });
   };
 
@@ -43,7 +48,7 @@ export function ShaderEditorPanel({ surfaceId, initialShaderData, onApply, onClo
     onApply({
       vertexShader,
       fragmentShader,
-      uniforms: { time: 0 }
+      uniforms
     });
   };
 
@@ -121,7 +126,8 @@ export function ShaderEditorPanel({ surfaceId, initialShaderData, onApply, onClo
             <div className="mt-3 p-4 bg-[#2d2d2d] rounded text-[13px] leading-relaxed">
               <h4 className="my-3 first:mt-0 text-sm text-[#4ec9b0]">Available Uniforms:</h4>
               <ul className="m-0 mb-3 pl-5">
-                <li className="my-1 text-[#cccccc]"><code className="bg-[#1e1e1e] px-1.5 py-0.5 rounded font-['Consolas','Monaco','Courier_New',monospace] text-xs text-[#ce9178]">uniform float time</code> - Animated time value (auto-updated)</li>
+                <li className="my-1 text-[#cccccc]"><code className="bg-[#1e1e1e] px-1.5 py-0.5 rounded font-['Consolas','Monaco','Courier_New',monospace] text-xs text-[#ce9178]">uniform float time</code> - Master clock time in seconds (shared by all windows)</li>
+                <li className="my-1 text-[#cccccc]"><code className="bg-[#1e1e1e] px-1.5 py-0.5 rounded font-['Consolas','Monaco','Courier_New',monospace] text-xs text-[#ce9178]">uniform float audioAmplitude, audioBass, audioMid, audioTreble, audioFrequency</code> - Microphone levels from 0.0 to 1.0 (0.0 while audio is off)</li>
               </ul>
 
               <h4 className="my-3 first:mt-0 text-sm text-[#4ec9b0]">Available Varyings:</h4>
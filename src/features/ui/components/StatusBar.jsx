@@ -1,13 +1,19 @@
 import React from 'react';
 import { useApp } from '../../../shared/context/AppContext';
+import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
 import { APP_MODES } from '../../../shared/utils/constants';
+import { ClockControls } from '../../clock';
+import { SyncStatus } from './SyncStatus';
 
 /**
  * Status Bar Component
- * Shows current mode and helpful keyboard shortcuts
+ * Shows current mode, blackout, the shader clock, network sync status, undo/redo and helpful keyboard shortcuts
  */
 export function StatusBar() {
-  const { mode, toggleMode, toggleFullscreen } = useApp();
+  const { mode, toggleMode, toggleFullscreen, isBlackout, setBlackout } = useApp();
+  const { undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useSurfaces();
+
+  const historyButtonClassName = 'bg-transparent border-none p-0 text-white/70 flex items-center gap-1.5 cursor-pointer hover:text-white disabled:opacity-40 disabled:cursor-default disabled:hover:text-white/70';
 
   return (
     <div className="fixed bottom-0 left-[300px] right-0 h-10 bg-black/80 border-t border-white/10 flex items-center justify-between px-5 z-[1000] text-white text-[13px]">
@@ -16,9 +22,26 @@ export function StatusBar() {
         <span className={`font-semibold px-3 py-1 rounded ${mode === APP_MODES.CALIBRATION ? 'bg-orange-500/20 text-[#ffaa00]' : 'bg-green-500/20 text-[#00ff00]'}`}>
           {mode === APP_MODES.CALIBRATION ? 'Calibration' : 'Playback'}
         </span>
+        <button
+          className={`border-none px-3 py-1 rounded cursor-pointer font-semibold ${isBlackout ? 'bg-red-600 text-white' : 'bg-white/10 text-white/70 hover:text-white'}`}
+          onClick={() => setBlackout(!isBlackout)}
+          title={isBlackout ? 'Show the surfaces again (B)' : 'Black out every output (B)'}
+        >
+          Blackout
+        </button>
+        <span className="w-px h-5 bg-white/10 mx-1" />
+        <ClockControls />
+        <span className="w-px h-5 bg-white/10 mx-1" />
+        <SyncStatus />
       </div>
 
       <div className="flex gap-4">
+        <button className={historyButtonClassName} onClick={undo} disabled={!canUndo} title={undoLabel ? `Undo ${undoLabel.toLowerCase()}` : 'Nothing to undo'}>
+          <kbd>Ctrl+Z</kbd> Undo
+        </button>
+        <button className={historyButtonClassName} onClick={redo} disabled={!canRedo} title={redoLabel ? `Redo ${redoLabel.toLowerCase()}` : 'Nothing to redo'}>
+          <kbd>Ctrl+Shift+Z</kbd> Redo
+        </button>
         <span className="text-white/70 flex items-center gap-1.5">
           <kbd>Space</kbd> Toggle Mode
         </span>
@@ -2,10 +2,21 @@ import React, { useState } from 'react';
 import { useSurfaces } from '../../surface-manager/context/SurfaceContext';
 import { useApp } from '../../../shared/context/AppContext';
 import { useAudio } from '../../../shared/context/AudioContext';
-import { CONTENT_TYPES, APP_MODES } from '../../../shared/utils/constants';
 import { GeometryTypeModal } from './GeometryTypeModal';
-import { ShaderEditorPanel } from './ShaderEditorPanel';
-import { getTemplate } from '../../scene/materials/shaderTemplates';
+import { EffectParameterControls } from './EffectParameterControls';
+import { AssetLibraryPanel } from './AssetLibraryPanel';
+import { OutputResolutionControls } from './OutputResolutionControls';
+import { OutputSwitcher } from './OutputSwitcher';
+import { ColorCorrectionControls } from './ColorCorrectionControls';
+import { ProjectControls } from '../../project';
+import { CueListPanel } from '../../cues';
+import { OscMappingPanel } from '../../osc';
+import { MidiMappingPanel } from '../../midi';
+import { contentRegistry } from '../../../shared/utils/content-registry';
+import { useContentRegistry } from '../../../shared/hooks/useContentRegistry';
+import { getOutputSurfaces } from '../../../shared/utils/outputs';
+import { getSurfaceBlend } from '../../../shared/utils/blend-modes';
+import { BLEND_MODES } from '../../../shared/utils/constants';
 
 /**
  * Surface Panel Component
@@ -23,12 +34,13 @@ export function SurfacePanel() {
     updateSurfaceContent
   } = useSurfaces();
 
-  const { mode, showNotification, isSidebarVisible } = useApp();
+  const { mode, showNotification, isSidebarVisible, outputs, activeOutput, updateOutput } = useApp();
   const { isAudioEnabled, toggleAudio, audioData, error } = useAudio();
-  const surfaces = getAllSurfaces();
+  const surfaces = getOutputSurfaces(getAllSurfaces(), outputs, activeOutput.id);
   const [showGeometryModal, setShowGeometryModal] = useState(false);
-  const [showShaderEditor, setShowShaderEditor] = useState(false);
-  const [editingShaderSurfaceId, setEditingShaderSurfaceId] = useState(null);
+  const [showAssetLibrary, setShowAssetLibrary] = useState(false);
+  useContentRegistry();
+  const contentCategories = contentRegistry.getCategories();
 
   const handleAddSurface = () => {
     setShowGeometryModal(true);
@@ -60,63 +72,43 @@ export function SurfacePanel() {
   };
 
   const handleContentTypeChange = (id, contentType) => {
-    // If switching to custom shader, initialize with blank template
-    if (contentType === CONTENT_TYPES.CUSTOM_SHADER) {
-      const blankTemplate = getTemplate('BLANK');
-      const shaderData = {
-        vertexShader: blankTemplate.vertexShader,
-        fragmentShader: blankTemplate.fragmentShader,
-        uniforms: blankTemplate.uniforms
-      };
-      updateSurfaceContent(id, contentType, { shaderData });
-      showNotification('Custom shader initialized - click "Edit Shader" to customize');
-    } else {
-      updateSurfaceContent(id, contentType);
+    const definition = contentRegistry.get(contentType);
+    updateSurfaceContent(id, contentType, definition?.createContentData?.());
+    if (definition?.onSelectMessage) {
+      showNotification(definition.onSelectMessage);
     }
   };
 
-  const handleOpenShaderEditor = (id) => {
-    setEditingShaderSurfaceId(id);
-    setShowShaderEditor(true);
+  const handleRenderOrderChange = (id, renderOrder) => {
+    updateSurface(id, { renderOrder: parseInt(renderOrder) });
   };
 
-  const handleShaderApply = (shaderData) => {
-    if (editingShaderSurfaceId) {
-      updateSurfaceContent(editingShaderSurfaceId, CONTENT_TYPES.CUSTOM_SHADER, { shaderData });
-      showNotification('Shader applied');
-    }
+  const handleOutputChange = (id, outputId) => {
+    updateSurface(id, { outputId }, { label: 'Move to output' });
+    setSelectedSurfaceId(null);
+    showNotification(`Surface moved to ${outputs.find(output => output.id === outputId)?.name ?? outputId}`);
   };
 
-  const handleShaderEditorClose = () => {
-    setShowShaderEditor(false);
-    setEditingShaderSurfaceId(null);
+  const handleOpacityChange = (id, opacity) => {
+    updateSurface(id, { opacity: Number(opacity) }, { label: 'Opacity' });
   };
 
-  const handleRenderOrderChange = (id, renderOrder) => {
-    updateSurface(id, { renderOrder: parseInt(renderOrder) });
+  const handleBlendModeChange = (id, blendMode) => {
+    updateSurface(id, { blendMode }, { label: 'Blend mode' });
   };
 
-  const handleImageUpload = (id, e) => {
-    const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        updateSurfaceContent(id, CONTENT_TYPES.IMAGE, { imageUrl: event.target.result });
-        showNotification('Image loaded');
-      };
-      reader.readAsDataURL(file);
-    }
+  const handleColorCorrectionChange = (id, colorCorrection) => {
+    updateSurface(id, { colorCorrection }, { label: 'Color correction' });
   };
 
   const handleLaunchLiveView = () => {
-    // Open live view in a new window/tab
-    const liveViewUrl = `${window.location.origin}/live`;
-    window.open(liveViewUrl, '_blank', 'width=1920,height=1080');
-    showNotification('Live view launched');
+    // Open the active output's live view in a new window/tab
+    const { id, resolution } = activeOutput;
+    const liveViewUrl = `${window.location.origin}/live?output=${encodeURIComponent(id)}`;
+    window.open(liveViewUrl, `live-${id}`, `width=${resolution.width},height=${resolution.height}`);
+    showNotification(`Live view launched for ${activeOutput.name}`);
   };
 
-  const currentSurface = surfaces.find(s => s.id === editingShaderSurfaceId);
-
   return (
     <>
       <GeometryTypeModal
@@ -125,14 +117,11 @@ export function SurfacePanel() {
         onSelect={handleGeometrySelect}
       />
 
-      {showShaderEditor && (
-        <ShaderEditorPanel
-          surfaceId={editingShaderSurfaceId}
-          initialShaderData={currentSurface?.contentData?.shaderData}
-          onApply={handleShaderApply}
-          onClose={handleShaderEditorClose}
-        />
-      )}
+      <AssetLibraryPanel
+        isOpen={showAssetLibrary}
+        onClose={() => setShowAssetLibrary(false)}
+      />
+
       <div className={`fixed left-0 top-0 w-[300px] h-screen bg-[rgba(20,20,20,0.95)] text-white flex flex-col z-[1000] border-r border-white/10 transition-transform duration-300 ease-in-out ${!isSidebarVisible ? '-translate-x-full' : ''}`}>
         <div className="p-5 border-b border-white/10">
           <h2 className="m-0 mb-4 text-lg font-semibold">Surfaces</h2>
@@ -144,12 +133,27 @@ export function SurfacePanel() {
             >
               {isAudioEnabled ? '🎤 Audio ON' : '🎤 Audio OFF'}
             </button>
-            <button className="w-full px-2.5 py-2.5 bg-green-600 hover:bg-green-700 text-white border-none rounded cursor-pointer text-sm font-medium transition-colors" onClick={handleLaunchLiveView} title="Open live view in new window">
+            <button className="w-full px-2.5 py-2.5 bg-green-600 hover:bg-green-700 text-white border-none rounded cursor-pointer text-sm font-medium transition-colors" onClick={handleLaunchLiveView} title="Open the active output's live view in a new window">
               Launch Live View
             </button>
             <button className="w-full px-2.5 py-2.5 bg-[#00aaff] hover:bg-[#0088cc] text-white border-none rounded cursor-pointer text-sm font-medium transition-colors" onClick={handleAddSurface}>
               + Add Surface
             </button>
+            <button className="w-full px-2.5 py-2.5 bg-gray-600 hover:bg-gray-500 text-white border-none rounded cursor-pointer text-sm font-medium transition-colors" onClick={() => setShowAssetLibrary(true)} title="Browse uploaded images and videos">
+              Asset Library
+            </button>
+            <ProjectControls />
+            <CueListPanel />
+            <OscMappingPanel />
+            <MidiMappingPanel />
+            <OutputSwitcher />
+            <OutputResolutionControls />
+            <ColorCorrectionControls
+              title={`Output Color · ${activeOutput.name}`}
+              value={activeOutput.colorCorrection}
+              onChange={(colorCorrection) => updateOutput(activeOutput.id, { colorCorrection })}
+              showNotification={showNotification}
+            />
           </div>
         </div>
 
@@ -233,54 +237,44 @@ export function SurfacePanel() {
                       value={surface.contentType}
                       onChange={(e) => handleContentTypeChange(surface.id, e.target.value)}
                     >
-                      <optgroup label="Calibration Patterns">
-                        <option value={CONTENT_TYPES.CHECKERBOARD}>Checkerboard</option>
-                        <option value={CONTENT_TYPES.GRID}>Grid with Numbers</option>
-                      </optgroup>
-                      <optgroup label="Shader Effects">
-                        <option value={CONTENT_TYPES.ANIMATED_GRADIENT}>Animated Gradient</option>
-                        <option value={CONTENT_TYPES.ROTATING_COLORS}>Rotating Colors</option>
-                        <option value={CONTENT_TYPES.PLASMA}>Plasma</option>
-                        <option value={CONTENT_TYPES.WAVES}>Waves</option>
-                        <option value={CONTENT_TYPES.NOISE}>Noise Pattern</option>
-                        <option value={CONTENT_TYPES.FIRE}>Fire</option>
-                        <option value={CONTENT_TYPES.RAINBOW}>Rainbow Spectrum</option>
-                        <option value={CONTENT_TYPES.KALEIDOSCOPE}>Kaleidoscope</option>
-                        <option value={CONTENT_TYPES.GLITCH}>Glitch</option>
-                        <option value={CONTENT_TYPES.SPIRAL}>Spiral</option>
-                      </optgroup>
-                      <optgroup label="Solid Colors">
-                        <option value={CONTENT_TYPES.WHITE}>White</option>
-                        <option value={CONTENT_TYPES.RED}>Red</option>
-                        <option value={CONTENT_TYPES.GREEN}>Green</option>
-                        <option value={CONTENT_TYPES.BLUE}>Blue</option>
-                      </optgroup>
-                      <optgroup label="Custom">
-                        <option value={CONTENT_TYPES.IMAGE}>Image</option>
-                      </optgroup>
+                      {contentCategories.map(category => (
+                        <optgroup key={category.name} label={category.name}>
+                          {category.definitions.map(definition => (
+                            <option key={definition.id} value={definition.id}>{definition.label}</option>
+                          ))}
+                        </optgroup>
+                      ))}
+                      {!contentRegistry.has(surface.contentType) && (
+                        <option value={surface.contentType}>{surface.contentType} (not loaded)</option>
+                      )}
                     </select>
                   </div>
 
-                  {surface.contentType === CONTENT_TYPES.CUSTOM_SHADER && (
-                    <div className="mb-4">
-                      <button
-                        className="w-full px-2.5 py-2.5 bg-purple-700 hover:bg-purple-800 text-white border-none rounded cursor-pointer text-sm font-medium transition-colors"
-                        onClick={() => handleOpenShaderEditor(surface.id)}
-                      >
-                        ✏️ Edit Shader
-                      </button>
-                    </div>
-                  )}
+                  <ContentEditor
+                    surface={surface}
+                    updateSurfaceContent={updateSurfaceContent}
+                    showNotification={showNotification}
+                  />
 
-                  {surface.contentType === CONTENT_TYPES.IMAGE && (
+                  <ColorCorrectionControls
+                    title="Color Correction"
+                    value={surface.colorCorrection}
+                    onChange={(colorCorrection) => handleColorCorrectionChange(surface.id, colorCorrection)}
+                    showNotification={showNotification}
+                  />
+
+                  {outputs.length > 1 && (
                     <div className="mb-4">
-                      <label className="block text-xs text-white/70 mb-1.5 font-medium">Upload Image</label>
-                      <input
-                        className="w-full px-1.5 py-1.5 bg-black/30 border border-white/20 rounded text-white text-xs"
-                        type="file"
-                        accept="image/*"
-                        onChange={(e) => handleImageUpload(surface.id, e)}
-                      />
+                      <label className="block text-xs text-white/70 mb-1.5 font-medium">Output</label>
+                      <select
+                        className="w-full px-2 py-2 bg-black/30 border border-white/20 rounded text-white text-[13px] focus:outline-none focus:border-[#00aaff]"
+                        value={activeOutput.id}
+                        onChange={(e) => handleOutputChange(surface.id, e.target.value)}
+                      >
+                        {outputs.map(output => (
+                          <option key={output.id} value={output.id}>{output.name}</option>
+                        ))}
+                      </select>
                     </div>
                   )}
 
@@ -296,6 +290,12 @@ export function SurfacePanel() {
                     />
                     <small className="block mt-1.5 text-[11px] text-white/50">Higher values render on top</small>
                   </div>
+
+                  <BlendControls
+                    surface={surface}
+                    onOpacityChange={(opacity) => handleOpacityChange(surface.id, opacity)}
+                    onBlendModeChange={(blendMode) => handleBlendModeChange(surface.id, blendMode)}
+                  />
                 </div>
               )}
             </div>
@@ -305,10 +305,84 @@ export function SurfacePanel() {
 
         <div className="py-4 px-5 border-t border-white/10 text-xs text-white/60">
           <div className="text-center">
-            {surfaces.length} surface{surfaces.length !== 1 ? 's' : ''}
+            {surfaces.length} surface{surfaces.length !== 1 ? 's' : ''} on {activeOutput.name}
           </div>
         </div>
       </div>
     </>
   );
 }
+
+/**
+ * Content Editor Component
+ * Renders parameter controls and the registered editor UI for a surface's content type, if any
+ */
+function ContentEditor({ surface, updateSurfaceContent, showNotification }) {
+  const definition = contentRegistry.get(surface.contentType);
+  const Editor = definition?.editor;
+  const parameters = definition?.parameters;
+
+  return (
+    <>
+      {parameters && (
+        <EffectParameterControls
+          surface={surface}
+          parameters={parameters}
+          updateSurfaceContent={updateSurfaceContent}
+        />
+      )}
+      {Editor && (
+        <Editor
+          surface={surface}
+          updateSurfaceContent={updateSurfaceContent}
+          showNotification={showNotification}
+        />
+      )}
+    </>
+  );
+}
+
+const BLEND_MODE_LABELS = {
+  [BLEND_MODES.NORMAL]: 'Normal',
+  [BLEND_MODES.ADD]: 'Add',
+  [BLEND_MODES.MULTIPLY]: 'Multiply',
+  [BLEND_MODES.SCREEN]: 'Screen',
+  [BLEND_MODES.SUBTRACT]: 'Subtract'
+};
+
+/**
+ * Blend Controls Component
+ * Opacity and blend mode for how a surface combines with the surfaces below it
+ */
+function BlendControls({ surface, onOpacityChange, onBlendModeChange }) {
+  const { opacity, blendMode } = getSurfaceBlend(surface);
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between text-xs text-white/70 mb-1.5 font-medium">
+        <span>Opacity</span>
+        <span className="font-mono">{Math.round(opacity * 100)}%</span>
+      </div>
+      <input
+        className="w-full accent-[#00aaff] mb-3"
+        type="range"
+        min="0"
+        max="1"
+        step="0.01"
+        value={opacity}
+        onChange={(e) => onOpacityChange(e.target.value)}
+      />
+      <label className="block text-xs text-white/70 mb-1.5 font-medium">Blend Mode</label>
+      <select
+        className="w-full px-2 py-2 bg-black/30 border border-white/20 rounded text-white text-[13px] focus:outline-none focus:border-[#00aaff]"
+        value={blendMode}
+        onChange={(e) => onBlendModeChange(e.target.value)}
+      >
+        {Object.values(BLEND_MODES).map(mode => (
+          <option key={mode} value={mode}>{BLEND_MODE_LABELS[mode]}</option>
+        ))}
+      </select>
+      <small className="block mt-1.5 text-[11px] text-white/50">How the surface combines with surfaces below it</small>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React from 'react';
+import { useRelayConnection } from '../../../shared/hooks/useNetworkSync';
+
+const STATUS_STYLES = {
+  off: { label: 'Local only', dot: 'bg-white/30' },
+  connecting: { label: 'Connecting…', dot: 'bg-[#ffaa00]' },
+  connected: { label: 'Network sync', dot: 'bg-[#00ff00]' },
+  offline: { label: 'Relay offline, retrying', dot: 'bg-red-500' }
+};
+
+/**
+ * Sync Status Component
+ * Shows whether this window reaches other machines through the sync relay;
+ * clicking it sets or clears the relay address
+ */
+export function SyncStatus() {
+  const { status, url, setRelay } = useRelayConnection();
+  const { label, dot } = STATUS_STYLES[status];
+
+  const handleClick = () => {
+    const address = window.prompt(
+      'Sync relay address (host or host:port, started with "npm run relay"). Leave empty to sync this browser only.',
+      url ?? ''
+    );
+    if (address !== null) {
+      setRelay(address);
+    }
+  };
+
+  return (
+    <button
+      className="bg-transparent border-none p-0 text-white/70 flex items-center gap-1.5 cursor-pointer hover:text-white"
+      onClick={handleClick}
+      title={url ? `Relay: ${url}` : 'Sync windows on other machines through a relay'}
+    >
+      <span className={`w-2 h-2 rounded-full ${dot}`} />
+      {label}
+    </button>
+  );
+}
@@ -7,3 +7,8 @@ export { SurfacePanel } from './components/SurfacePanel';
 export { StatusBar } from './components/StatusBar';
 export { Notification } from './components/Notification';
 export { GeometryTypeModal } from './components/GeometryTypeModal';
+export { AssetLibraryPanel } from './components/AssetLibraryPanel';
+export { RecoveryModal } from './components/RecoveryModal';
+export { OutputResolutionControls } from './components/OutputResolutionControls';
+export { OutputSwitcher } from './components/OutputSwitcher';
+export { ColorCorrectionControls } from './components/ColorCorrectionControls';
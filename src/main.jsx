@@ -1,6 +1,11 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { registerBuiltInContentTypes } from './features/content';
+
+// Effect packs register their content types after the built-ins, e.g.
+// import { contentRegistry } from './shared'; contentRegistry.registerAll(MY_EFFECTS);
+registerBuiltInContentTypes();
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
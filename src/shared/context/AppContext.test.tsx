@@ -3,7 +3,7 @@ import { renderHook, act } from '@testing-library/react';
 import React from 'react';
 import { AppProvider, useApp } from './AppContext';
 import { broadcastManager, MessageTypes } from '../utils/broadcast-channel';
-import { APP_MODES } from '../utils/constants';
+import { APP_MODES, STORAGE_KEYS } from '../utils/constants';
 
 const wrapper = ({ children }: { children: React.ReactNode }) => (
   <AppProvider>{children}</AppProvider>
@@ -328,6 +328,82 @@ describe('AppContext', () => {
     });
   });
 
+  describe('output management', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should start with a main output and make it active', () => {
+      const { result } = renderHook(() => useApp(), { wrapper });
+
+      expect(result.current.outputs.map(output => output.id)).toEqual(['main']);
+      expect(result.current.activeOutput.id).toBe('main');
+      expect(result.current.outputResolution).toEqual({ width: 1920, height: 1080 });
+    });
+
+    it('should seed the main output from a previously saved resolution', () => {
+      localStorage.setItem(STORAGE_KEYS.OUTPUT_RESOLUTION, JSON.stringify({ width: 1280, height: 720 }));
+
+      const { result } = renderHook(() => useApp(), { wrapper });
+
+      expect(result.current.outputResolution).toEqual({ width: 1280, height: 720 });
+    });
+
+    it('should show the output named in the URL', () => {
+      window.history.replaceState(null, '', '/live?output=left');
+      try {
+        const { result } = renderHook(() => useApp(), { wrapper });
+
+        expect(result.current.activeOutputId).toBe('left');
+        // Unknown outputs fall back to the first one for rendering
+        expect(result.current.activeOutput.id).toBe('main');
+      } finally {
+        window.history.replaceState(null, '', '/');
+      }
+    });
+
+    it('should add, resize and broadcast outputs', () => {
+      const { result } = renderHook(() => useApp(), { wrapper });
+
+      act(() => {
+        const output = result.current.addOutput('Left Wall');
+        result.current.setActiveOutputId(output.id);
+      });
+      act(() => {
+        result.current.setOutputResolution({ width: 1024, height: 768 });
+      });
+
+      expect(result.current.outputs.map(output => output.id)).toEqual(['main', 'left-wall']);
+      expect(result.current.activeOutput.resolution).toEqual({ width: 1024, height: 768 });
+      expect(result.current.outputs[0]?.resolution).toEqual({ width: 1920, height: 1080 });
+      expect(broadcastSpy).toHaveBeenLastCalledWith(MessageTypes.OUTPUTS_CHANGED, result.current.outputs);
+    });
+
+    it('should switch to the first output when the active one is removed', () => {
+      const { result } = renderHook(() => useApp(), { wrapper });
+
+      act(() => {
+        const output = result.current.addOutput('Right');
+        result.current.setActiveOutputId(output.id);
+      });
+      act(() => {
+        result.current.removeOutput('right');
+      });
+
+      expect(result.current.activeOutputId).toBe('main');
+    });
+
+    it('should keep the last output', () => {
+      const { result } = renderHook(() => useApp(), { wrapper });
+
+      act(() => {
+        result.current.removeOutput('main');
+      });
+
+      expect(result.current.outputs).toHaveLength(1);
+    });
+  });
+
   describe('context value structure', () => {
     it('should provide all expected properties and methods', () => {
       const { result } = renderHook(() => useApp(), { wrapper });
@@ -1,7 +1,11 @@
-import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
-import type { AppMode } from '../schemas';
-import { APP_MODES } from '../utils/constants';
+import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
+import type { AppMode, Output, OutputResolution } from '../schemas';
+import { OutputArraySchema, OutputResolutionSchema } from '../schemas';
+import { APP_MODES, STORAGE_KEYS } from '../utils/constants';
 import { broadcastManager, MessageTypes } from '../utils/broadcast-channel';
+import { createDefaultOutputs, createOutput, resolveOutput } from '../utils/outputs';
+import { useStorage } from '../hooks/useStorage';
+import { useSnapshotSource } from '../hooks/useStateSync';
 
 export type AppContextValue = {
   mode: AppMode;
@@ -9,10 +13,27 @@ export type AppContextValue = {
   toggleMode: () => void;
   isFullscreen: boolean;
   toggleFullscreen: () => void;
+  // Every output shows black while set (not persisted)
+  isBlackout: boolean;
+  setBlackout: (enabled: boolean) => void;
   notification: string | null;
   showNotification: (message: string, duration?: number) => void;
   isSidebarVisible: boolean;
   toggleSidebar: () => void;
+  // Named projector outputs, each with its own resolution and surfaces
+  outputs: Output[];
+  // Output this window shows: `?output=<id>` in the URL, or the editor's switcher.
+  // May name a missing output; `activeOutput` then falls back to the first one
+  activeOutputId: string;
+  activeOutput: Output;
+  setActiveOutputId: (id: string) => void;
+  addOutput: (name: string) => Output;
+  updateOutput: (id: string, updates: Partial<Omit<Output, 'id'>>) => void;
+  removeOutput: (id: string) => void;
+  replaceOutputs: (outputs: Output[]) => void;
+  // Pixel size of the active output; surface corners are stored relative to it
+  outputResolution: OutputResolution;
+  setOutputResolution: (resolution: OutputResolution) => void;
 };
 
 type AppProviderProps = {
@@ -21,11 +42,41 @@ type AppProviderProps = {
 
 const AppContext = createContext<AppContextValue | null>(null);
 
+// Seed the outputs list from the single resolution saved before named outputs existed
+const getInitialOutputs = (): Output[] => {
+  try {
+    const legacy = OutputResolutionSchema.safeParse(
+      JSON.parse(localStorage.getItem(STORAGE_KEYS.OUTPUT_RESOLUTION) ?? 'null')
+    );
+    return createDefaultOutputs(legacy.success ? legacy.data : undefined);
+  } catch {
+    return createDefaultOutputs();
+  }
+};
+
+const getRequestedOutputId = (): string | null =>
+  new URLSearchParams(window.location.search).get('output');
+
 export const AppProvider = ({ children }: AppProviderProps) => {
   const [mode, setModeInternal] = useState<AppMode>(APP_MODES.CALIBRATION);
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [isBlackout, setIsBlackout] = useState(false);
   const [notification, setNotification] = useState<string | null>(null);
   const [isSidebarVisible, setIsSidebarVisible] = useState(true);
+  const [initialOutputs] = useState(getInitialOutputs);
+  const [outputs, setStoredOutputs] = useStorage<Output[]>({
+    key: STORAGE_KEYS.OUTPUTS,
+    defaultValue: initialOutputs,
+    schema: OutputArraySchema
+  });
+  const [activeOutputId, setActiveOutputId] = useState(
+    () => getRequestedOutputId() ?? outputs[0]?.id ?? ''
+  );
+  const activeOutput = resolveOutput(outputs, activeOutputId);
+
+  // Latest outputs, so edits made in quick succession build on each other
+  const outputsRef = useRef(outputs);
+  outputsRef.current = outputs;
 
   const setMode = useCallback((newMode: AppMode | ((prevMode: AppMode) => AppMode)) => {
     const resolvedMode = typeof newMode === 'function' ? newMode(mode) : newMode;
@@ -49,6 +100,11 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     }
   }, []);
 
+  const setBlackout = useCallback((enabled: boolean) => {
+    setIsBlackout(enabled);
+    broadcastManager.broadcast(MessageTypes.BLACKOUT_CHANGED, { enabled });
+  }, []);
+
   const showNotification = useCallback((message: string, duration: number = 3000) => {
     setNotification(message);
     setTimeout(() => setNotification(null), duration);
@@ -58,6 +114,34 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     setIsSidebarVisible(prev => !prev);
   }, []);
 
+  const replaceOutputs = useCallback((nextOutputs: Output[]) => {
+    outputsRef.current = nextOutputs;
+    setStoredOutputs(nextOutputs);
+    broadcastManager.broadcast(MessageTypes.OUTPUTS_CHANGED, nextOutputs);
+  }, [setStoredOutputs]);
+
+  const addOutput = useCallback((name: string) => {
+    const output = createOutput(name, outputsRef.current, resolveOutput(outputsRef.current, null).resolution);
+    replaceOutputs([...outputsRef.current, output]);
+    return output;
+  }, [replaceOutputs]);
+
+  const updateOutput = useCallback((id: string, updates: Partial<Omit<Output, 'id'>>) => {
+    replaceOutputs(outputsRef.current.map(output => (output.id === id ? { ...output, ...updates } : output)));
+  }, [replaceOutputs]);
+
+  // The last output cannot be removed; its surfaces fall back to the first remaining output
+  const removeOutput = useCallback((id: string) => {
+    const remaining = outputsRef.current.filter(output => output.id !== id);
+    if (remaining.length === 0) return;
+    replaceOutputs(remaining);
+    setActiveOutputId(current => (current === id ? remaining[0]?.id ?? current : current));
+  }, [replaceOutputs]);
+
+  const setOutputResolution = useCallback((resolution: OutputResolution) => {
+    updateOutput(activeOutput.id, { resolution });
+  }, [updateOutput, activeOutput.id]);
+
   useEffect(() => {
     const unsubscribeMode = broadcastManager.subscribe(
       MessageTypes.MODE_CHANGED,
@@ -67,10 +151,39 @@ export const AppProvider = ({ children }: AppProviderProps) => {
       }
     );
 
+    const unsubscribeOutputs = broadcastManager.subscribe(
+      MessageTypes.OUTPUTS_CHANGED,
+      (payload: unknown) => {
+        outputsRef.current = payload as Output[];
+        setStoredOutputs(outputsRef.current);
+      }
+    );
+
+    const unsubscribeBlackout = broadcastManager.subscribe(
+      MessageTypes.BLACKOUT_CHANGED,
+      (payload: unknown) => {
+        setIsBlackout((payload as { enabled: boolean }).enabled);
+      }
+    );
+
     return () => {
       unsubscribeMode();
+      unsubscribeOutputs();
+      unsubscribeBlackout();
     };
-  }, []);
+  }, [setStoredOutputs]);
+
+  // Mode and blackout are not persisted, so windows that join later learn them from the snapshot
+  useSnapshotSource<{ mode: AppMode; blackout: boolean; outputs: Output[] }>(
+    'app',
+    () => ({ mode, blackout: isBlackout, outputs: outputsRef.current }),
+    (snapshot) => {
+      setModeInternal(snapshot.mode);
+      setIsBlackout(snapshot.blackout);
+      outputsRef.current = snapshot.outputs;
+      setStoredOutputs(snapshot.outputs);
+    }
+  );
 
   const value: AppContextValue = {
     mode,
@@ -78,10 +191,22 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     toggleMode,
     isFullscreen,
     toggleFullscreen,
+    isBlackout,
+    setBlackout,
     notification,
     showNotification,
     isSidebarVisible,
-    toggleSidebar
+    toggleSidebar,
+    outputs,
+    activeOutputId,
+    activeOutput,
+    setActiveOutputId,
+    addOutput,
+    updateOutput,
+    removeOutput,
+    replaceOutputs,
+    outputResolution: activeOutput.resolution,
+    setOutputResolution
   };
 
   return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
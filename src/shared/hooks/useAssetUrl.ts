@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { assetStore } from '../utils/asset-store';
+
+/**
+ * Resolve an asset id to an object URL for this window (null while loading or when missing)
+ */
+export const useAssetUrl = (assetId: string | undefined): string | null => {
+  const [resolved, setResolved] = useState<{ id: string; url: string | null } | null>(null);
+
+  useEffect(() => {
+    if (!assetId) {
+      return;
+    }
+
+    let cancelled = false;
+    assetStore.getObjectUrl(assetId)
+      .then(url => {
+        if (!cancelled) {
+          setResolved({ id: assetId, url });
+        }
+      })
+      .catch(error => {
+        console.error(`Error loading asset "${assetId}":`, error);
+        if (!cancelled) {
+          setResolved({ id: assetId, url: null });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [assetId]);
+
+  return resolved && resolved.id === assetId ? resolved.url : null;
+};
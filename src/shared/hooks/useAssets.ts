@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { assetStore } from '../utils/asset-store';
+import type { Asset } from '../schemas';
+
+export const useAssets = (): Asset[] =>
+  useSyncExternalStore(assetStore.subscribe, assetStore.getAll);
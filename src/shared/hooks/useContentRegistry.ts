@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { contentRegistry } from '../utils/content-registry';
+import type { ContentTypeDefinition } from '../utils/content-registry';
+
+export const useContentRegistry = (): ContentTypeDefinition[] =>
+  useSyncExternalStore(contentRegistry.subscribe, contentRegistry.getAll);
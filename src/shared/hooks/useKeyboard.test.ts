@@ -325,4 +325,32 @@ describe('useKeyboard', () => {
       expect(handler).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe('modifier shortcuts', () => {
+    it('should call Ctrl combinations instead of the plain key handler', () => {
+      const plainHandler = vi.fn();
+      const undoHandler = vi.fn();
+      const redoHandler = vi.fn();
+      const handlers = { z: plainHandler, 'Ctrl+z': undoHandler, 'Ctrl+Shift+z': redoHandler };
+
+      renderHook(() => useKeyboard(handlers));
+
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }));
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true }));
+
+      expect(undoHandler).toHaveBeenCalledTimes(1);
+      expect(redoHandler).toHaveBeenCalledTimes(1);
+      expect(plainHandler).not.toHaveBeenCalled();
+    });
+
+    it('should treat Cmd like Ctrl', () => {
+      const undoHandler = vi.fn();
+
+      renderHook(() => useKeyboard({ 'Ctrl+z': undoHandler }));
+
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', metaKey: true }));
+
+      expect(undoHandler).toHaveBeenCalledTimes(1);
+    });
+  });
 });
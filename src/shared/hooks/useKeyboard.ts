@@ -3,6 +3,17 @@ import { useEffect } from 'react';
 type KeyboardHandler = (event: KeyboardEvent) => void;
 type KeyboardHandlers = Record<string, KeyboardHandler>;
 
+/**
+ * Handler key for an event: the plain key, or "Ctrl+z" / "Ctrl+Shift+z" while
+ * Ctrl (Cmd on macOS) is held, so shortcuts like Ctrl+A don't trigger "a"
+ */
+export const getShortcutKey = (event: KeyboardEvent): string => {
+  if (!event.ctrlKey && !event.metaKey) {
+    return event.key;
+  }
+  return `Ctrl+${event.shiftKey ? 'Shift+' : ''}${event.key.toLowerCase()}`;
+};
+
 export const useKeyboard = (
   handlers: KeyboardHandlers,
   enabled: boolean = true
@@ -17,7 +28,7 @@ export const useKeyboard = (
         return;
       }
 
-      const handler = handlers[event.key];
+      const handler = handlers[getShortcutKey(event)];
       if (handler) {
         event.preventDefault();
         handler(event);
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { useMidi, MIDI_ANY } from './useMidi';
+
+// Minimal stand-ins for MIDIInput and MIDIAccess
+class FakeMidiPort extends EventTarget {
+  send(...data: number[]) {
+    const event = new Event('midimessage');
+    Object.defineProperty(event, 'data', { value: new Uint8Array(data) });
+    this.dispatchEvent(event);
+  }
+}
+
+class FakeMidiAccess extends EventTarget {
+  inputs = new Map<string, FakeMidiPort>();
+
+  connect(id: string): FakeMidiPort {
+    const input = new FakeMidiPort();
+    this.inputs.set(id, input);
+    this.dispatchEvent(new Event('statechange'));
+    return input;
+  }
+}
+
+describe('useMidi', () => {
+  let access: FakeMidiAccess;
+  let requestMIDIAccess: ReturnType<typeof vi.fn>;
+
+  beforeEach(() => {
+    access = new FakeMidiAccess();
+    requestMIDIAccess = vi.fn(() => Promise.resolve(access));
+    vi.stubGlobal('navigator', { ...navigator, requestMIDIAccess });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should call the handler keyed by the control and the catch-all handler', async () => {
+    const input = access.connect('apc40');
+    const fader = vi.fn();
+    const any = vi.fn();
+    const { result } = renderHook(() => useMidi({ 'cc/1/7': fader, [MIDI_ANY]: any }));
+
+    await waitFor(() => expect(result.current).toBe('ready'));
+    act(() => {
+      input.send(0xb0, 7, 100);
+      input.send(0x90, 36, 127);
+    });
+
+    expect(fader).toHaveBeenCalledWith({ type: 'cc', channel: 1, number: 7, value: 100 });
+    expect(any).toHaveBeenCalledTimes(2);
+  });
+
+  it('should listen to inputs connected later and stop on unmount', async () => {
+    const handler = vi.fn();
+    const { result, unmount } = renderHook(() => useMidi({ 'note/10/36': handler }));
+    await waitFor(() => expect(result.current).toBe('ready'));
+
+    const input = access.connect('pads');
+    input.send(0x99, 36, 90);
+    unmount();
+    input.send(0x99, 36, 90);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use the latest handlers without asking for access again', async () => {
+    const input = access.connect('apc40');
+    const first = vi.fn();
+    const second = vi.fn();
+    const { result, rerender } = renderHook(
+      ({ handler }) => useMidi({ 'cc/1/7': handler }),
+      { initialProps: { handler: first } }
+    );
+    await waitFor(() => expect(result.current).toBe('ready'));
+
+    rerender({ handler: second });
+    input.send(0xb0, 7, 1);
+
+    expect(requestMIDIAccess).toHaveBeenCalledTimes(1);
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledOnce();
+  });
+
+  it('should not ask for access while disabled', () => {
+    const { result } = renderHook(() => useMidi({}, false));
+
+    expect(result.current).toBe('off');
+    expect(requestMIDIAccess).not.toHaveBeenCalled();
+  });
+
+  it('should report when access is refused or Web MIDI is missing', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    requestMIDIAccess.mockRejectedValueOnce(new Error('SecurityError'));
+    const { result } = renderHook(() => useMidi({}));
+    await waitFor(() => expect(result.current).toBe('denied'));
+
+    vi.stubGlobal('navigator', {});
+    const { result: unsupported } = renderHook(() => useMidi({}));
+    expect(unsupported.current).toBe('unsupported');
+  });
+});
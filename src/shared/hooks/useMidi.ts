@@ -0,0 +1,83 @@
+import { useEffect, useRef, useState } from 'react';
+import { getMidiControlKey, parseMidiMessage } from '../utils/midi-mapping';
+import type { MidiEvent } from '../utils/midi-mapping';
+
+type MidiHandler = (event: MidiEvent) => void;
+type MidiHandlers = Record<string, MidiHandler>;
+
+export type MidiStatus = 'off' | 'unsupported' | 'pending' | 'ready' | 'denied';
+
+// Handler key that receives every message (e.g. for MIDI learn)
+export const MIDI_ANY = '*';
+
+/**
+ * Call handlers for CC and note messages from every connected MIDI input,
+ * keyed like useKeyboard by control ("cc/1/7", "note/10/36"; see
+ * getMidiControlKey), plus MIDI_ANY for all of them. Devices plugged in later
+ * are picked up too. Access is requested once while enabled, so changing the
+ * handlers does not prompt again.
+ */
+export const useMidi = (
+  handlers: MidiHandlers,
+  enabled: boolean = true
+): MidiStatus => {
+  const [status, setStatus] = useState<MidiStatus>('off');
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('off');
+      return;
+    }
+    if (typeof navigator === 'undefined' || typeof navigator.requestMIDIAccess !== 'function') {
+      setStatus('unsupported');
+      return;
+    }
+
+    let access: MIDIAccess | null = null;
+    let cancelled = false;
+    const inputs = new Set<MIDIInput>();
+
+    const handleMessage = (event: Event): void => {
+      const { data } = event as MIDIMessageEvent;
+      const message = data ? parseMidiMessage(data) : null;
+      if (!message) return;
+
+      handlersRef.current[getMidiControlKey(message)]?.(message);
+      handlersRef.current[MIDI_ANY]?.(message);
+    };
+
+    const attachInputs = (): void => {
+      access?.inputs.forEach(input => {
+        if (!inputs.has(input)) {
+          inputs.add(input);
+          input.addEventListener('midimessage', handleMessage);
+        }
+      });
+    };
+
+    setStatus('pending');
+    navigator.requestMIDIAccess()
+      .then(midiAccess => {
+        if (cancelled) return;
+        access = midiAccess;
+        attachInputs();
+        access.addEventListener('statechange', attachInputs);
+        setStatus('ready');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.warn('MIDI access was not granted:', error);
+        setStatus('denied');
+      });
+
+    return () => {
+      cancelled = true;
+      access?.removeEventListener('statechange', attachInputs);
+      inputs.forEach(input => input.removeEventListener('midimessage', handleMessage));
+    };
+  }, [enabled]);
+
+  return status;
+};
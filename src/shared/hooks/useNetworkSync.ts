@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import { broadcastManager } from '../utils/broadcast-channel';
+import { resolveRelayUrl } from '../utils/relay-transport';
+import type { RelayStatus } from '../utils/relay-transport';
+import { STORAGE_KEYS } from '../utils/constants';
+
+/**
+ * Relay address from the URL: `?sync` (the host serving the app) or
+ * `?sync=<host[:port]>`, with `&token=` passed on for a relay that requires
+ * one; null when the URL names none
+ */
+export const getRequestedRelayUrl = (): string | null => {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('sync')) return null;
+  const url = resolveRelayUrl(params.get('sync') ?? '', window.location);
+  const token = params.get('token');
+  if (!token) return url;
+  const withToken = new URL(url);
+  withToken.searchParams.set('token', token);
+  return withToken.href;
+};
+
+/**
+ * Connect this window to the network sync relay named in the URL, or else
+ * the one this browser last used
+ */
+export const useNetworkSync = (): void => {
+  useEffect(() => {
+    const url = getRequestedRelayUrl() ?? localStorage.getItem(STORAGE_KEYS.SYNC_RELAY);
+    if (!url) return;
+
+    broadcastManager.connectRelay(url);
+    return () => broadcastManager.disconnectRelay();
+  }, []);
+};
+
+type RelayConnection = {
+  status: RelayStatus;
+  url: string | null;
+  // Connect to (and remember) a relay as typed by the user; an empty address disconnects
+  setRelay: (address: string) => void;
+};
+
+export const useRelayConnection = (): RelayConnection => {
+  const status = useSyncExternalStore(broadcastManager.subscribeRelayStatus, broadcastManager.getRelayStatus);
+
+  const setRelay = useCallback((address: string) => {
+    if (address.trim() === '') {
+      localStorage.removeItem(STORAGE_KEYS.SYNC_RELAY);
+      broadcastManager.disconnectRelay();
+      return;
+    }
+    const url = resolveRelayUrl(address, window.location);
+    localStorage.setItem(STORAGE_KEYS.SYNC_RELAY, url);
+    broadcastManager.connectRelay(url);
+  }, []);
+
+  return { status, url: broadcastManager.getRelayUrl(), setRelay };
+};
@@ -0,0 +1,26 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getOutputViewport } from '../utils/output-space';
+import type { OutputViewport } from '../utils/output-space';
+import type { OutputResolution } from '../schemas';
+
+/**
+ * Where the output sits in the current window, updated on resize.
+ * Calibration overlays use it to place handles over the scene.
+ */
+export const useOutputViewport = (resolution: OutputResolution): OutputViewport => {
+  const [size, setSize] = useState({ width: window.innerWidth, height: window.innerHeight });
+
+  useEffect(() => {
+    const handleResize = (): void => {
+      setSize({ width: window.innerWidth, height: window.innerHeight });
+    };
+
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  return useMemo(
+    () => getOutputViewport(size.width, size.height, resolution),
+    [size.width, size.height, resolution.width, resolution.height]
+  );
+};
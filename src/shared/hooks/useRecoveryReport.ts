@@ -0,0 +1,25 @@
+import { useState, useCallback } from 'react';
+import { clearRecoveryReport, readRecoveryReport } from '../utils/persisted-state';
+import type { PersistedCollectionConfig } from '../utils/persisted-state';
+import type { RecoveryReport } from '../schemas';
+
+type UseRecoveryReportReturn = {
+  report: RecoveryReport | null;
+  // Raw value as it was stored before migrating, for the user to download
+  backup: string | null;
+  dismiss: () => void;
+};
+
+export const useRecoveryReport = (
+  config: Pick<PersistedCollectionConfig<unknown>, 'backupKey' | 'recoveryKey'>
+): UseRecoveryReportReturn => {
+  const [report, setReport] = useState(() => readRecoveryReport(localStorage, config.recoveryKey));
+  const [backup] = useState(() => localStorage.getItem(config.backupKey));
+
+  const dismiss = useCallback(() => {
+    clearRecoveryReport(localStorage, config.recoveryKey);
+    setReport(null);
+  }, [config.recoveryKey]);
+
+  return { report, backup, dismiss };
+};
@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+import { broadcastManager } from '../utils/broadcast-channel';
+
+/**
+ * Contribute a slice of this window's state to full-state snapshots.
+ * `get` and `apply` may change every render; the latest ones are used.
+ */
+export const useSnapshotSource = <T>(
+  key: string,
+  get: () => T,
+  apply: (value: T) => void
+): void => {
+  const getRef = useRef(get);
+  const applyRef = useRef(apply);
+  getRef.current = get;
+  applyRef.current = apply;
+
+  useEffect(() => broadcastManager.registerSnapshotSource(key, {
+    get: () => getRef.current(),
+    apply: (value) => applyRef.current(value as T)
+  }), [key]);
+};
+
+/**
+ * Join the other windows: ask for a full snapshot on mount, and with
+ * `respond`, answer the snapshot requests of windows that join later
+ */
+export const useStateSync = ({ respond = false }: { respond?: boolean } = {}): void => {
+  useEffect(() => {
+    const stopResponding = respond ? broadcastManager.respondToSyncRequests() : null;
+    broadcastManager.requestSync('join');
+    return () => stopResponding?.();
+  }, [respond]);
+};
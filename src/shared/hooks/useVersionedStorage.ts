@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+import { loadPersistedCollection, savePersistedCollection } from '../utils/persisted-state';
+import type { PersistedCollectionConfig } from '../utils/persisted-state';
+
+type UseVersionedStorageReturn<T> = [T[], (value: T[]) => void];
+
+/**
+ * Like useStorage, for collections stored in a versioned envelope.
+ * Older data is migrated on load and invalid entries are quarantined
+ * (see loadPersistedCollection) instead of replacing everything with the default.
+ */
+export const useVersionedStorage = <T>(
+  config: PersistedCollectionConfig<T>
+): UseVersionedStorageReturn<T> => {
+  const [value, setValue] = useState<T[]>(() => {
+    try {
+      return loadPersistedCollection(localStorage, config);
+    } catch (error) {
+      console.error(`Error reading from localStorage key "${config.key}":`, error);
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    try {
+      savePersistedCollection(localStorage, config, value);
+    } catch (error) {
+      console.error(`Error writing to localStorage key "${config.key}":`, error);
+    }
+  }, [config, value]);
+
+  return [value, setValue];
+};
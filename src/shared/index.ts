@@ -1,18 +1,220 @@
 export { AppProvider, useApp } from './context/AppContext';
 export type { AppContextValue } from './context/AppContext';
 
-export { useKeyboard } from './hooks/useKeyboard';
+export { useKeyboard, getShortcutKey } from './hooks/useKeyboard';
 export { useStorage } from './hooks/useStorage';
+export { useMidi, MIDI_ANY } from './hooks/useMidi';
+export type { MidiStatus } from './hooks/useMidi';
+export { useContentRegistry } from './hooks/useContentRegistry';
+export { useAssets } from './hooks/useAssets';
+export { useAssetUrl } from './hooks/useAssetUrl';
+export { useVersionedStorage } from './hooks/useVersionedStorage';
+export { useRecoveryReport } from './hooks/useRecoveryReport';
+export { useOutputViewport } from './hooks/useOutputViewport';
+export { useStateSync, useSnapshotSource } from './hooks/useStateSync';
+export { useNetworkSync, useRelayConnection, getRequestedRelayUrl } from './hooks/useNetworkSync';
+
+export { contentRegistry, createContentRegistry } from './utils/content-registry';
+export type {
+  ContentTypeDefinition,
+  ContentMaterialProps,
+  ContentEditorProps,
+  ContentCategory,
+  ContentRegistry
+} from './utils/content-registry';
+
+export {
+  assetStore,
+  createAssetStore,
+  createIndexedDbBackend,
+  createMemoryBackend,
+  getAssetUsage,
+  getSurfaceAssetIds,
+  extractEmbeddedMedia
+} from './utils/asset-store';
+export type { AssetStore, AssetBackend, StoredAsset } from './utils/asset-store';
+
+export {
+  applyMigrations,
+  migrateCollection,
+  loadPersistedCollection,
+  savePersistedCollection
+} from './utils/persisted-state';
+export type { Migration, MigrationResult, PersistedCollectionConfig } from './utils/persisted-state';
+export { SURFACE_MIGRATIONS, SURFACES_SCHEMA_VERSION, SURFACE_STORAGE } from './utils/surface-migrations';
+export { formatValidationIssues } from './utils/validation';
+
+export {
+  getOutputViewport,
+  toViewportPoint,
+  fromViewportPoint,
+  toViewportCorners,
+  fromViewportCorners
+} from './utils/output-space';
+export type { OutputViewport } from './utils/output-space';
+
+export {
+  createMask,
+  getNextMaskId,
+  signedDistanceToPolygon,
+  getMaskCoverage,
+  isMaskShown
+} from './utils/masks';
+
+export {
+  getCornerPoints,
+  toCorners,
+  getSignedArea,
+  triangulatePolygon,
+  getPolygonUvs,
+  getCornerUvs,
+  closestPointOnSegment,
+  insertCorner,
+  removeCorner,
+  insertSurfaceCorner,
+  removeSurfaceCorner
+} from './utils/polygon';
+
+export {
+  DEFAULT_EDGE_BLEND,
+  EDGE_BLEND_SIDES,
+  getEdgeRamp,
+  getEdgeBlendLuminance,
+  getEdgeBlendFactor,
+  getBlackLift,
+  isEdgeBlendActive
+} from './utils/edge-blend';
+export type { EdgeBlendSide } from './utils/edge-blend';
+
+export {
+  CUBE_LUT_MIME_TYPE,
+  DEFAULT_COLOR_CORRECTION,
+  isColorCorrectionActive,
+  rotateHue,
+  applyColorCorrection,
+  parseCubeLut,
+  sampleCubeLut
+} from './utils/color-correction';
+export type { Rgb, CubeLut } from './utils/color-correction';
+
+export { getSurfaceBlend, isBlendActive, blendColors } from './utils/blend-modes';
+export type { SurfaceBlend } from './utils/blend-modes';
+
+export {
+  getCueSurfaceState,
+  captureCueStates,
+  createCue,
+  isSameCueSurfaceState,
+  getCueUpdates,
+  getAdjacentCue,
+  getTransitionProgress,
+  getCrossfade
+} from './utils/cues';
+export type { CueTransition, Crossfade } from './utils/cues';
+
+export {
+  createTimeline,
+  applyEasing,
+  getTimelinePosition,
+  isTimelineFinished,
+  playTimeline,
+  pauseTimeline,
+  seekTimeline,
+  setTimelineDuration,
+  setTimelineLoop,
+  createTrack,
+  setKeyframe,
+  removeKeyframe,
+  sampleTrack,
+  applyTimeline
+} from './utils/timeline';
+export type { TrackTarget } from './utils/timeline';
+
+export { RelayTransport, resolveRelayUrl } from './utils/relay-transport';
+export type { RelayStatus } from './utils/relay-transport';
+export { ClockSyncMessages, measureClockOffset, pickClockOffset, toLocalAnchors } from './utils/clock-sync';
+export type { ClockSample } from './utils/clock-sync';
+
+export { executeRemoteCommand, trackSurfaceUpdates } from './utils/remote-control';
+export type { RemoteControlTarget } from './utils/remote-control';
+
+export {
+  createOscMapping,
+  isOscTrigger,
+  getOscNumber,
+  scaleOscValue,
+  applyOscMessage
+} from './utils/osc-mapping';
+export type { OscMessage, OscMappingTarget } from './utils/osc-mapping';
+
+export {
+  parseMidiMessage,
+  getMidiControlKey,
+  formatMidiControl,
+  createMidiMapping,
+  isMidiTrigger,
+  applyMidiCurve,
+  applyMidiMapping,
+  applyMidiMappings
+} from './utils/midi-mapping';
+export type { MidiEvent, MidiMappingTarget, SoftTakeoverState } from './utils/midi-mapping';
+
+export {
+  createMasterClock,
+  getClockTime,
+  resumeClock,
+  pauseClock,
+  setClockSpeed,
+  seekClock,
+  resetClock
+} from './utils/master-clock';
+
+export {
+  createDefaultOutputs,
+  createOutput,
+  slugifyOutputName,
+  resolveOutput,
+  getSurfaceOutputId,
+  getOutputSurfaces,
+  mergeOutputs
+} from './utils/outputs';
+
+export { createHistory, diffCollections, applyChanges } from './utils/history';
+export type { History, HistoryEntry, HistoryChange, HistoryStatus } from './utils/history';
+
+export {
+  EffectParameterDefinitionSchema,
+  EffectParameterDefinitionsSchema,
+  resolveParameterValues,
+  toUniformValues,
+  createParameterUniforms
+} from './utils/effect-parameters';
+export type {
+  EffectParameterDefinition,
+  EffectParameterDefinitions,
+  EffectParameterValues
+} from './utils/effect-parameters';
 
 export {
   APP_MODES,
   CONTENT_TYPES,
   GEOMETRY_TYPES,
+  BLEND_MODES,
   DEFAULT_SURFACE_CONFIG,
   KEYBOARD_SHORTCUTS,
   STORAGE_KEYS,
   GRID_SIZE,
   GEOMETRY_SUBDIVISIONS,
+  MESH_WARP_DEFAULTS,
+  MASK_LIMITS,
+  VIDEO_PLAYBACK_LIMITS,
+  CUE_FADE_LIMITS,
+  TIMELINE_LIMITS,
+  CLOCK_SPEED_LIMITS,
+  RELAY_DEFAULTS,
+  OSC_DEFAULTS,
+  DEFAULT_OUTPUT_RESOLUTION,
+  DEFAULT_OUTPUT_ID,
   getDefaultCorners
 } from './utils/constants';
 
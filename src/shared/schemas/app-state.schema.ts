@@ -4,8 +4,8 @@ import { z } from 'zod';
 export const AppModeSchema = z.enum(['calibration', 'playback']);
 export type AppMode = z.infer<typeof AppModeSchema>;
 
-// Content Type Schema
-export const ContentTypeSchema = z.enum([
+// Built-in Content Type Schema (ids shipped with the app)
+export const BuiltInContentTypeSchema = z.enum([
   'checkerboard',
   'grid',
   'animated-gradient',
@@ -24,18 +24,33 @@ export const ContentTypeSchema = z.enum([
   'green',
   'blue',
   'image',
+  'video',
   'audio-waves',
   'audio-pulse',
   'audio-spectrum',
   'audio-bars'
 ]);
+export type BuiltInContentType = z.infer<typeof BuiltInContentTypeSchema>;
+
+// Content Type Schema
+// Any non-empty id: effect packs register extra types at runtime through the
+// content registry, and surfaces using a type that is not loaded fall back
+// to a plain material instead of failing validation
+export const ContentTypeSchema = z.string().min(1);
 export type ContentType = z.infer<typeof ContentTypeSchema>;
 
 // Geometry Type Schema
 export const GeometryTypeSchema = z.enum(['polygon']);
 export type GeometryType = z.infer<typeof GeometryTypeSchema>;
 
+// Blend Mode Schema (how a surface composites over the surfaces below it)
+export const BlendModeSchema = z.enum(['normal', 'add', 'multiply', 'screen', 'subtract']);
+export type BlendMode = z.infer<typeof BlendModeSchema>;
+
 // Corner Point Schema
+// Surface corners are in normalized output space: (0, 0) is the top-left and
+// (1, 1) the bottom-right of the declared output resolution. Points may lie
+// outside that range when a surface runs off the edge of the output
 export const CornerPointSchema = z.object({
   x: z.number(),
   y: z.number()
@@ -46,13 +61,137 @@ export type CornerPoint = z.infer<typeof CornerPointSchema>;
 export const CornersSchema = z.record(z.string(), CornerPointSchema);
 export type Corners = z.infer<typeof CornersSchema>;
 
+// Mesh Warp Schema (lattice of UV offsets, row-major from the bottom row)
+export const MeshWarpSchema = z.object({
+  columns: z.number().int().min(2).max(16),
+  rows: z.number().int().min(2).max(16),
+  smooth: z.boolean(),
+  points: z.array(CornerPointSchema)
+}).refine(
+  warp => warp.points.length === warp.columns * warp.rows,
+  { message: 'Mesh warp must have columns * rows points', path: ['points'] }
+);
+export type MeshWarp = z.infer<typeof MeshWarpSchema>;
+
+// Video Playback Schema
+// Anchored to wall-clock time: at `anchorTime` (ms since epoch) the video was at
+// `anchorPosition` seconds, so every window derives the same position from its own clock
+export const VideoPlaybackSchema = z.object({
+  playing: z.boolean(),
+  loop: z.boolean(),
+  muted: z.boolean(),
+  rate: z.number().min(0.1).max(4),
+  inPoint: z.number().min(0),
+  outPoint: z.number().min(0).nullable(),
+  anchorPosition: z.number().min(0),
+  anchorTime: z.number()
+}).refine(
+  playback => playback.outPoint === null || playback.outPoint > playback.inPoint,
+  { message: 'Out point must be after the in point', path: ['outPoint'] }
+);
+export type VideoPlayback = z.infer<typeof VideoPlaybackSchema>;
+
 // Content Data Schema
-export const ContentDataSchema = z.object({
+// Loose so each content type can keep its own fields (checked by its registry schema)
+// `assetId` references media in the asset library; `params` holds values for
+// the type's exposed effect parameters, keyed by uniform name
+export const ContentDataSchema = z.looseObject({
+  assetId: z.string().optional(),
   imageUrl: z.string().optional(),
-  shaderData: z.record(z.string(), z.unknown()).optional()
+  shaderData: z.record(z.string(), z.unknown()).optional(),
+  params: z.record(z.string(), z.union([z.number(), z.boolean(), z.string()])).optional()
 }).optional();
 export type ContentData = z.infer<typeof ContentDataSchema>;
 
+// Asset Schema (metadata of media in the asset library; the id is the SHA-256 of the content)
+export const AssetSchema = z.object({
+  id: z.string().regex(/^[0-9a-f]{64}$/),
+  name: z.string(),
+  mimeType: z.string(),
+  size: z.number().int().min(0),
+  createdAt: z.number()
+});
+export type Asset = z.infer<typeof AssetSchema>;
+
+// Mask Schema (polygon that blacks out part of a surface or, placed globally, of an output)
+// Points are normalized output coordinates like surface corners; `feather`
+// softens the edge over that many output pixels; `invert` blacks out the
+// outside instead of the inside
+export const MaskSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  points: z.array(CornerPointSchema).min(3).max(16),
+  invert: z.boolean(),
+  feather: z.number().min(0).max(500),
+  hideInCalibration: z.boolean(),
+  visible: z.boolean()
+});
+export type Mask = z.infer<typeof MaskSchema>;
+
+// Color Correction Schema (per surface and per output, applied after the content)
+// `gamma` above 1 brightens the midtones, `hue` rotates in degrees, `gains`
+// scale each channel; `lut` is a .cube 3D LUT stored in the asset library
+export const ColorCorrectionSchema = z.object({
+  brightness: z.number().min(-1).max(1),
+  contrast: z.number().min(0).max(2),
+  gamma: z.number().min(0.2).max(5),
+  saturation: z.number().min(0).max(2),
+  hue: z.number().min(-180).max(180),
+  gains: z.object({
+    r: z.number().min(0).max(2),
+    g: z.number().min(0).max(2),
+    b: z.number().min(0).max(2)
+  }),
+  lut: z.object({
+    assetId: z.string(),
+    name: z.string()
+  }).optional()
+});
+export type ColorCorrection = z.infer<typeof ColorCorrectionSchema>;
+
+// Output Resolution Schema (pixel size of the projector output the corners are relative to)
+export const OutputResolutionSchema = z.object({
+  width: z.number().int().min(1),
+  height: z.number().int().min(1)
+});
+export type OutputResolution = z.infer<typeof OutputResolutionSchema>;
+
+// Edge Blend Schema (soft edges where projectors overlap)
+// Side widths are fractions of the output; `curve` shapes the ramp (1 = linear),
+// `gamma` matches the projector's response and `blackLevel` lifts the black
+// outside the overlap to match the doubled black inside it
+export const EdgeBlendSchema = z.object({
+  enabled: z.boolean(),
+  left: z.number().min(0).max(0.5),
+  right: z.number().min(0).max(0.5),
+  top: z.number().min(0).max(0.5),
+  bottom: z.number().min(0).max(0.5),
+  curve: z.number().min(0.2).max(5),
+  gamma: z.number().min(1).max(3),
+  blackLevel: z.number().min(0).max(0.25)
+});
+export type EdgeBlend = z.infer<typeof EdgeBlendSchema>;
+
+// Output Schema (one projector; the id is the name used in `/live?output=<id>`)
+export const OutputSchema = z.object({
+  id: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'Use lowercase letters, digits and dashes'),
+  name: z.string(),
+  resolution: OutputResolutionSchema,
+  edgeBlend: EdgeBlendSchema.optional(),
+  // Applied to every surface of the output, after the surface's own correction
+  colorCorrection: ColorCorrectionSchema.optional(),
+  // Global masks, drawn over every surface of the output
+  masks: z.array(MaskSchema).optional()
+});
+export type Output = z.infer<typeof OutputSchema>;
+
+// Output Array Schema (never empty, ids unique)
+export const OutputArraySchema = z.array(OutputSchema).min(1).refine(
+  outputs => new Set(outputs.map(output => output.id)).size === outputs.length,
+  { message: 'Output ids must be unique' }
+);
+export type OutputArray = z.infer<typeof OutputArraySchema>;
+
 // Surface Schema
 export const SurfaceSchema = z.object({
   id: z.string(),
@@ -60,11 +199,23 @@ export const SurfaceSchema = z.object({
   contentType: ContentTypeSchema,
   contentData: ContentDataSchema,
   geometryType: GeometryTypeSchema,
-  cornerCount: z.number().int().min(3).max(8),
+  cornerCount: z.number().int().min(3),
   corners: CornersSchema,
+  // Texture coordinate of each corner (outline order, v up) once a quad gains
+  // points, so its content stays put; missing means a quad's own mapping or
+  // the outline's bounding box
+  cornerUvs: z.array(CornerPointSchema).optional(),
+  meshWarp: MeshWarpSchema.optional(),
   visible: z.boolean(),
   renderOrder: z.number().int(),
-  audioReactive: z.boolean().optional()
+  audioReactive: z.boolean().optional(),
+  // Output the surface is projected on; missing or unknown ids fall back to the first output
+  outputId: z.string().optional(),
+  masks: z.array(MaskSchema).optional(),
+  colorCorrection: ColorCorrectionSchema.optional(),
+  // Missing means fully opaque, normal blending
+  opacity: z.number().min(0).max(1).optional(),
+  blendMode: BlendModeSchema.optional()
 });
 export type Surface = z.infer<typeof SurfaceSchema>;
 
@@ -72,11 +223,184 @@ export type Surface = z.infer<typeof SurfaceSchema>;
 export const SurfaceArraySchema = z.array(SurfaceSchema);
 export type SurfaceArray = z.infer<typeof SurfaceArraySchema>;
 
+// Cue Surface State Schema (what a cue restores on one surface)
+export const CueSurfaceStateSchema = z.object({
+  contentType: ContentTypeSchema,
+  contentData: ContentDataSchema,
+  visible: z.boolean(),
+  opacity: z.number().min(0).max(1)
+});
+export type CueSurfaceState = z.infer<typeof CueSurfaceStateSchema>;
+
+// Cue Schema (named snapshot of every surface, faded to over `fadeDuration` seconds)
+// Surfaces added after the cue was recorded are left as they are when it fires
+export const CueSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  fadeDuration: z.number().min(0).max(60),
+  surfaces: z.record(z.string(), CueSurfaceStateSchema)
+});
+export type Cue = z.infer<typeof CueSchema>;
+
+// Cue Array Schema (fired in order; ids unique)
+export const CueArraySchema = z.array(CueSchema).refine(
+  cues => new Set(cues.map(cue => cue.id)).size === cues.length,
+  { message: 'Cue ids must be unique' }
+);
+export type CueArray = z.infer<typeof CueArraySchema>;
+
+// OSC Target Schema (what an OSC mapping drives)
+// `opacity`, `visible` and `param` set a surface's property or effect parameter
+// (shader uniform); the rest are triggers
+export const OscTargetSchema = z.discriminatedUnion('kind', [
+  z.object({ kind: z.literal('opacity'), surfaceId: z.string() }),
+  z.object({ kind: z.literal('visible'), surfaceId: z.string() }),
+  z.object({ kind: z.literal('param'), surfaceId: z.string(), param: z.string() }),
+  z.object({ kind: z.literal('cue'), cueId: z.string() }),
+  z.object({ kind: z.literal('cueGo') }),
+  z.object({ kind: z.literal('cueBack') }),
+  z.object({ kind: z.literal('toggleMode') }),
+  z.object({ kind: z.literal('blackout') })
+]);
+export type OscTarget = z.infer<typeof OscTargetSchema>;
+
+// OSC Mapping Schema (binds an OSC address to a target)
+// Incoming values are scaled from `inputMin`..`inputMax` (swap them to invert)
+// onto the target's own range. An empty address is waiting to be learned.
+export const OscMappingSchema = z.object({
+  id: z.string(),
+  address: z.union([z.literal(''), z.string().regex(/^\/\S*$/, 'OSC addresses start with "/"')]),
+  target: OscTargetSchema,
+  inputMin: z.number(),
+  inputMax: z.number()
+});
+export type OscMapping = z.infer<typeof OscMappingSchema>;
+
+export const OscMappingArraySchema = z.array(OscMappingSchema).refine(
+  mappings => new Set(mappings.map(mapping => mapping.id)).size === mappings.length,
+  { message: 'OSC mapping ids must be unique' }
+);
+
+// MIDI Control Schema (a CC or note on one channel, 1-16)
+export const MidiControlSchema = z.object({
+  type: z.enum(['cc', 'note']),
+  channel: z.number().int().min(1).max(16),
+  number: z.number().int().min(0).max(127)
+});
+export type MidiControl = z.infer<typeof MidiControlSchema>;
+
+// MIDI Target Schema (what a MIDI mapping drives)
+// `opacity` and `param` follow the control's value; `content` (switch a
+// surface's content type) and the cue targets are triggers
+export const MidiTargetSchema = z.discriminatedUnion('kind', [
+  z.object({ kind: z.literal('opacity'), surfaceId: z.string() }),
+  z.object({ kind: z.literal('param'), surfaceId: z.string(), param: z.string() }),
+  z.object({ kind: z.literal('content'), surfaceId: z.string(), contentType: ContentTypeSchema }),
+  z.object({ kind: z.literal('cue'), cueId: z.string() }),
+  z.object({ kind: z.literal('cueGo') }),
+  z.object({ kind: z.literal('cueBack') })
+]);
+export type MidiTarget = z.infer<typeof MidiTargetSchema>;
+
+// Shape of the response from control value to target value
+export const MidiCurveSchema = z.enum(['linear', 'exponential', 'logarithmic', 's-curve']);
+export type MidiCurve = z.infer<typeof MidiCurveSchema>;
+
+// MIDI Mapping Schema (binds a control to a target)
+// A null `control` is waiting to be learned. With `softTakeover` a control only
+// takes over once it reaches the target's current value, so a fader left
+// elsewhere does not make the value jump.
+export const MidiMappingSchema = z.object({
+  id: z.string(),
+  control: MidiControlSchema.nullable(),
+  target: MidiTargetSchema,
+  curve: MidiCurveSchema,
+  softTakeover: z.boolean()
+});
+export type MidiMapping = z.infer<typeof MidiMappingSchema>;
+
+export const MidiMappingArraySchema = z.array(MidiMappingSchema).refine(
+  mappings => new Set(mappings.map(mapping => mapping.id)).size === mappings.length,
+  { message: 'MIDI mapping ids must be unique' }
+);
+
+// Easing Schema (shape of the change from a keyframe to the next; `hold` jumps at the next one)
+export const EasingSchema = z.enum(['linear', 'ease-in', 'ease-out', 'ease-in-out', 'hold']);
+export type Easing = z.infer<typeof EasingSchema>;
+
+// Keyframes are at `time` seconds; a track keeps them sorted with one per time
+const keyframeOf = <T extends z.ZodType>(value: T) => z.object({
+  time: z.number().min(0),
+  value,
+  easing: EasingSchema
+});
+
+const trackBase = {
+  id: z.string(),
+  surfaceId: z.string()
+};
+
+// Timeline Track Schema (keyframes of one property of one surface)
+// `param` tracks animate an effect parameter, keyed by uniform name;
+// `content` tracks switch content type and data (always held, never blended)
+export const TimelineTrackSchema = z.discriminatedUnion('property', [
+  z.object({ ...trackBase, property: z.literal('opacity'), keyframes: z.array(keyframeOf(z.number().min(0).max(1))) }),
+  z.object({ ...trackBase, property: z.literal('corners'), keyframes: z.array(keyframeOf(CornersSchema)) }),
+  z.object({
+    ...trackBase,
+    property: z.literal('content'),
+    keyframes: z.array(keyframeOf(z.object({ contentType: ContentTypeSchema, contentData: ContentDataSchema })))
+  }),
+  z.object({
+    ...trackBase,
+    property: z.literal('param'),
+    param: z.string(),
+    keyframes: z.array(keyframeOf(z.union([z.number(), z.boolean(), z.string()])))
+  })
+]);
+export type TimelineTrack = z.infer<typeof TimelineTrackSchema>;
+export type TimelineProperty = TimelineTrack['property'];
+
+// Timeline Schema
+// Playback is anchored to wall-clock time like video playback: at `anchorTime`
+// (ms since epoch) the playhead was at `anchorPosition` seconds, so every
+// window plays it in step. While `enabled`, the tracks' values are layered
+// over the stored surfaces.
+export const TimelineSchema = z.object({
+  enabled: z.boolean(),
+  duration: z.number().min(1).max(3600),
+  loop: z.object({
+    enabled: z.boolean(),
+    start: z.number().min(0),
+    end: z.number().min(0)
+  }).refine(loop => loop.end > loop.start, { message: 'Loop end must be after its start', path: ['end'] }),
+  playing: z.boolean(),
+  anchorPosition: z.number().min(0),
+  anchorTime: z.number(),
+  tracks: z.array(TimelineTrackSchema)
+});
+export type Timeline = z.infer<typeof TimelineSchema>;
+
+// Master clock behind every material's `time` uniform. Like the timeline it is
+// anchored to wall-clock time, so windows sharing it render the same frame.
+export const MasterClockSchema = z.object({
+  playing: z.boolean(),
+  speed: z.number().min(0).max(4),
+  anchorPosition: z.number().min(0),
+  anchorTime: z.number()
+});
+export type MasterClock = z.infer<typeof MasterClockSchema>;
+
 // App State Schema
 export const AppStateSchema = z.object({
   mode: AppModeSchema,
   isFullscreen: z.boolean(),
-  isSidebarVisible: z.boolean()
+  isSidebarVisible: z.boolean(),
+  outputs: OutputArraySchema.optional(),
+  cues: CueArraySchema.optional(),
+  timeline: TimelineSchema.optional(),
+  oscMappings: OscMappingArraySchema.optional(),
+  midiMappings: MidiMappingArraySchema.optional()
 });
 export type AppState = z.infer<typeof AppStateSchema>;
 
@@ -1,2 +1,5 @@
 // Export all schemas and types
 export * from './app-state.schema';
+export * from './project.schema';
+export * from './persisted-state.schema';
+export * from './remote-control.schema';
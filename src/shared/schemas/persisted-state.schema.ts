@@ -0,0 +1,30 @@
+import { z } from 'zod';
+
+// Persisted State Envelope Schema
+// Stored collections carry the schema version they were written with, so data
+// saved by an older build can be migrated forward instead of failing validation
+export const PersistedStateEnvelopeSchema = z.object({
+  version: z.number().int().min(0),
+  savedAt: z.number(),
+  data: z.unknown()
+});
+export type PersistedStateEnvelope = z.infer<typeof PersistedStateEnvelopeSchema>;
+
+// Quarantined Entry Schema (an entry that still failed validation after migrating)
+export const QuarantinedEntrySchema = z.object({
+  index: z.number().int().min(0),
+  entry: z.unknown(),
+  errors: z.array(z.string())
+});
+export type QuarantinedEntry = z.infer<typeof QuarantinedEntrySchema>;
+
+// Recovery Report Schema
+// Kept until the user dismisses the recovery prompt; `unreadable` means the
+// stored value could not be read at all and only the raw backup remains
+export const RecoveryReportSchema = z.object({
+  createdAt: z.number(),
+  fromVersion: z.number().int().min(0).nullable(),
+  unreadable: z.boolean(),
+  quarantined: z.array(QuarantinedEntrySchema)
+});
+export type RecoveryReport = z.infer<typeof RecoveryReportSchema>;
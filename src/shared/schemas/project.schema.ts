@@ -0,0 +1,25 @@
+import { z } from 'zod';
+import { AppStateSchema, AssetSchema, SurfaceArraySchema } from './app-state.schema';
+
+export const PROJECT_FILE_FORMAT = 'projection-mapping-project';
+
+// Project Asset Schema (asset metadata plus the media itself, base64 encoded)
+export const ProjectAssetSchema = AssetSchema.extend({
+  data: z.string()
+});
+export type ProjectAsset = z.infer<typeof ProjectAssetSchema>;
+
+// Project File Schema
+// Everything needed to move a calibrated setup to another machine in one file
+// `surfacesVersion` is the surface schema version the surfaces were exported
+// with (files written before it was recorded hold version 1 surfaces)
+export const ProjectFileSchema = z.object({
+  format: z.literal(PROJECT_FILE_FORMAT),
+  version: z.literal(1),
+  surfacesVersion: z.number().int().min(0).optional(),
+  exportedAt: z.string(),
+  settings: AppStateSchema,
+  surfaces: SurfaceArraySchema,
+  assets: z.array(ProjectAssetSchema)
+});
+export type ProjectFile = z.infer<typeof ProjectFileSchema>;
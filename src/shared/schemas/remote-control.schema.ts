@@ -0,0 +1,73 @@
+import { z } from 'zod';
+import {
+  AppModeSchema,
+  ContentDataSchema,
+  ContentTypeSchema,
+  CueArraySchema,
+  MasterClockSchema,
+  OutputArraySchema,
+  SurfaceArraySchema,
+  TimelineSchema
+} from './app-state.schema';
+
+// Remote Control Command Schema
+// Commands show controllers send to the companion process (server/relay.js),
+// which relays them to the editor. Surfaces are named by id or by name, cues
+// by id, name or 1-based position in the cue list.
+const SurfaceReferenceSchema = z.string().min(1);
+
+export const RemoteCommandSchema = z.discriminatedUnion('command', [
+  z.object({
+    command: z.literal('selectCue'),
+    cue: z.union([z.string().min(1), z.number().int().min(1)])
+  }),
+  z.object({ command: z.literal('go') }),
+  z.object({ command: z.literal('back') }),
+  z.object({
+    command: z.literal('setContent'),
+    surface: SurfaceReferenceSchema,
+    contentType: ContentTypeSchema,
+    contentData: ContentDataSchema.optional()
+  }),
+  z.object({
+    command: z.literal('setParameter'),
+    surface: SurfaceReferenceSchema,
+    param: z.string().min(1),
+    value: z.union([z.number(), z.boolean(), z.string()])
+  }),
+  // Without `visible` the surface's visibility is toggled
+  z.object({
+    command: z.literal('setVisibility'),
+    surface: SurfaceReferenceSchema,
+    visible: z.boolean().optional()
+  }),
+  z.object({
+    command: z.literal('setMode'),
+    mode: AppModeSchema
+  }),
+  // Without `enabled` blackout is toggled
+  z.object({
+    command: z.literal('blackout'),
+    enabled: z.boolean().optional()
+  }),
+  z.object({ command: z.literal('getState') })
+]);
+export type RemoteCommand = z.infer<typeof RemoteCommandSchema>;
+
+// Remote State Schema
+// What the query endpoint (GET /api/state) returns
+export const RemoteStateSchema = z.object({
+  mode: AppModeSchema,
+  blackout: z.boolean(),
+  surfaces: SurfaceArraySchema,
+  outputs: OutputArraySchema,
+  cues: CueArraySchema,
+  currentCueId: z.string().nullable(),
+  timeline: TimelineSchema,
+  clock: MasterClockSchema
+});
+export type RemoteState = z.infer<typeof RemoteStateSchema>;
+
+export type RemoteCommandResult =
+  | { ok: true; state?: RemoteState }
+  | { ok: false; error: string };
@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  createAssetStore,
+  createMemoryBackend,
+  extractEmbeddedMedia,
+  getAssetUsage,
+  hashBlob
+} from './asset-store';
+import type { AssetStore } from './asset-store';
+import { AssetSchema } from '../schemas';
+import type { Surface } from '../schemas';
+import { MessageTypes } from './broadcast-channel';
+import { DEFAULT_COLOR_CORRECTION } from './color-correction';
+
+const createBlob = (content: string, type = 'image/png') => new Blob([content], { type });
+
+const createSurface = (id: string, contentData: Surface['contentData']): Surface => ({
+  id,
+  name: `Surface ${id}`,
+  contentType: 'image',
+  contentData,
+  geometryType: 'polygon',
+  cornerCount: 4,
+  corners: {},
+  visible: true,
+  renderOrder: 0
+});
+
+describe('asset store', () => {
+  let store: AssetStore;
+
+  beforeEach(() => {
+    store = createAssetStore(createMemoryBackend());
+  });
+
+  describe('hashBlob', () => {
+    it('should produce the same SHA-256 hex digest for the same content', async () => {
+      const first = await hashBlob(createBlob('pixels'));
+      const second = await hashBlob(createBlob('pixels'));
+
+      expect(first).toMatch(/^[0-9a-f]{64}$/);
+      expect(second).toBe(first);
+      expect(await hashBlob(createBlob('other'))).not.toBe(first);
+    });
+  });
+
+  describe('adding assets', () => {
+    it('should store metadata keyed by content hash', async () => {
+      const asset = await store.addBlob(createBlob('pixels'), 'photo.png');
+
+      expect(asset.id).toBe(await hashBlob(createBlob('pixels')));
+      expect(asset.name).toBe('photo.png');
+      expect(asset.mimeType).toBe('image/png');
+      expect(AssetSchema.safeParse(asset).success).toBe(true);
+      expect(store.getAll()).toEqual([asset]);
+    });
+
+    it('should deduplicate identical content', async () => {
+      const first = await store.addBlob(createBlob('pixels'), 'photo.png');
+      const second = await store.addBlob(createBlob('pixels'), 'copy.png');
+
+      expect(second).toEqual(first);
+      expect(store.getAll()).toHaveLength(1);
+    });
+
+    it('should keep the binary content retrievable', async () => {
+      const blob = createBlob('pixels');
+      const asset = await store.addBlob(blob, 'photo.png');
+
+      expect(await store.getBlob(asset.id)).toBe(blob);
+    });
+  });
+
+  describe('managing assets', () => {
+    it('should rename an asset', async () => {
+      const asset = await store.addBlob(createBlob('pixels'), 'photo.png');
+
+      await store.rename(asset.id, 'Logo');
+
+      expect((await store.get(asset.id))?.name).toBe('Logo');
+      expect(store.getAll()[0]?.name).toBe('Logo');
+    });
+
+    it('should reject renaming an unknown asset', async () => {
+      await expect(store.rename('missing', 'Logo')).rejects.toThrow('Unknown asset "missing"');
+    });
+
+    it('should delete an asset', async () => {
+      const asset = await store.addBlob(createBlob('pixels'), 'photo.png');
+
+      await store.remove(asset.id);
+
+      expect(await store.get(asset.id)).toBeUndefined();
+      expect(store.getAll()).toHaveLength(0);
+    });
+
+    it('should notify listeners when assets change', async () => {
+      const listener = vi.fn();
+      store.subscribe(listener);
+      await store.refresh();
+      listener.mockClear();
+
+      await store.addBlob(createBlob('pixels'), 'photo.png');
+
+      expect(listener).toHaveBeenCalled();
+    });
+  });
+
+  describe('cross-window sync', () => {
+    it('should announce changes and re-read on announcements from other windows', async () => {
+      const handlers = new Map<string, (payload: unknown) => void>();
+      const channel = {
+        broadcast: vi.fn(),
+        subscribe: vi.fn((type: string, callback: (payload: unknown) => void) => {
+          handlers.set(type, callback);
+          return () => handlers.delete(type);
+        })
+      };
+      const backend = createMemoryBackend();
+      const syncedStore = createAssetStore(backend, channel);
+
+      await syncedStore.addBlob(createBlob('pixels'), 'photo.png');
+      expect(channel.broadcast).toHaveBeenCalledWith(MessageTypes.ASSETS_CHANGED, null);
+
+      const otherWindow = createAssetStore(backend);
+      await otherWindow.addBlob(createBlob('other'), 'other.png');
+      handlers.get(MessageTypes.ASSETS_CHANGED)?.(null);
+      await vi.waitFor(() => expect(syncedStore.getAll()).toHaveLength(2));
+    });
+  });
+
+  describe('getAssetUsage', () => {
+    it('should list the surfaces referencing each asset', () => {
+      const usage = getAssetUsage([
+        createSurface('1', { assetId: 'a' }),
+        createSurface('2', { assetId: 'a' }),
+        createSurface('3', { assetId: 'b' }),
+        createSurface('4', undefined)
+      ]);
+
+      expect(usage.get('a')?.map(surface => surface.id)).toEqual(['1', '2']);
+      expect(usage.get('b')?.map(surface => surface.id)).toEqual(['3']);
+      expect(usage.size).toBe(2);
+    });
+
+    it('should count color correction LUTs once per surface', () => {
+      const lut = { assetId: 'c', name: 'Film.cube' };
+      const usage = getAssetUsage([
+        { ...createSurface('1', { assetId: 'a' }), colorCorrection: { ...DEFAULT_COLOR_CORRECTION, lut } },
+        { ...createSurface('2', { assetId: 'c' }), colorCorrection: { ...DEFAULT_COLOR_CORRECTION, lut } }
+      ]);
+
+      expect(usage.get('a')?.map(surface => surface.id)).toEqual(['1']);
+      expect(usage.get('c')?.map(surface => surface.id)).toEqual(['1', '2']);
+    });
+  });
+
+  describe('extractEmbeddedMedia', () => {
+    const toBlob = async (dataUrl: string) => createBlob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+
+    it('should move an embedded data URL into the store', async () => {
+      const contentData = await extractEmbeddedMedia(
+        store,
+        { imageUrl: 'data:image/png;base64,AAAA', params: { speed: 1 } },
+        'Surface 1',
+        toBlob
+      );
+
+      expect(contentData).toEqual({ params: { speed: 1 }, assetId: store.getAll()[0]?.id });
+      expect(store.getAll()[0]?.name).toBe('Surface 1');
+    });
+
+    it('should leave content without embedded media alone', async () => {
+      expect(await extractEmbeddedMedia(store, { videoUrl: '/videos/show.mp4' }, 'Surface 1', toBlob)).toBeNull();
+      expect(await extractEmbeddedMedia(store, undefined, 'Surface 1', toBlob)).toBeNull();
+    });
+  });
+});
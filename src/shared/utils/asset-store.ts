@@ -0,0 +1,262 @@
+import type { Asset, Surface } from '../schemas';
+import { broadcastManager, MessageTypes } from './broadcast-channel';
+
+const DB_NAME = 'projection_mapping_assets';
+const DB_VERSION = 1;
+const STORE_NAME = 'assets';
+
+export type StoredAsset = Asset & { blob: Blob };
+
+export type AssetBackend = {
+  get: (id: string) => Promise<StoredAsset | undefined>;
+  getAll: () => Promise<StoredAsset[]>;
+  put: (asset: StoredAsset) => Promise<void>;
+  delete: (id: string) => Promise<void>;
+};
+
+type AssetChannel = {
+  broadcast: (type: string, payload: unknown) => void;
+  subscribe: (type: string, callback: (payload: unknown) => void) => () => void;
+};
+
+type AssetListener = () => void;
+
+export const readBlob = (blob: Blob): Promise<ArrayBuffer> => {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as ArrayBuffer);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+export const hashBlob = async (blob: Blob): Promise<string> => {
+  const digest = await crypto.subtle.digest('SHA-256', new Uint8Array(await readBlob(blob)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const toMetadata = ({ blob: _blob, ...metadata }: StoredAsset): Asset => metadata;
+
+const requestToPromise = <T>(request: IDBRequest<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const createIndexedDbBackend = (factory: IDBFactory = indexedDB): AssetBackend => {
+  let database: Promise<IDBDatabase> | null = null;
+
+  const open = (): Promise<IDBDatabase> => {
+    if (!database) {
+      const request = factory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      database = requestToPromise(request);
+    }
+    return database;
+  };
+
+  const withStore = async <T>(
+    mode: IDBTransactionMode,
+    run: (store: IDBObjectStore) => IDBRequest<T>
+  ): Promise<T> => {
+    const db = await open();
+    return requestToPromise(run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  return {
+    get: id => withStore('readonly', store => store.get(id) as IDBRequest<StoredAsset | undefined>),
+    getAll: () => withStore('readonly', store => store.getAll() as IDBRequest<StoredAsset[]>),
+    put: async asset => {
+      await withStore('readwrite', store => store.put(asset));
+    },
+    delete: async id => {
+      await withStore('readwrite', store => store.delete(id));
+    }
+  };
+};
+
+export const createMemoryBackend = (): AssetBackend => {
+  const assets = new Map<string, StoredAsset>();
+  return {
+    get: async id => assets.get(id),
+    getAll: async () => Array.from(assets.values()),
+    put: async asset => {
+      assets.set(asset.id, asset);
+    },
+    delete: async id => {
+      assets.delete(id);
+    }
+  };
+};
+
+export const createAssetStore = (backend: AssetBackend, channel?: AssetChannel) => {
+  const listeners = new Set<AssetListener>();
+  const objectUrls = new Map<string, string>();
+  let snapshot: Asset[] = [];
+  let loaded = false;
+
+  const refresh = async (): Promise<void> => {
+    const assets = await backend.getAll();
+    snapshot = assets.map(toMetadata).sort((a, b) => a.createdAt - b.createdAt);
+    loaded = true;
+    listeners.forEach(listener => listener());
+  };
+
+  // Other windows share the same database and only need to re-read it
+  const commit = async (): Promise<void> => {
+    await refresh();
+    channel?.broadcast(MessageTypes.ASSETS_CHANGED, null);
+  };
+
+  const addBlob = async (blob: Blob, name: string): Promise<Asset> => {
+    const id = await hashBlob(blob);
+    const existing = await backend.get(id);
+    if (existing) {
+      return toMetadata(existing);
+    }
+
+    const asset: StoredAsset = {
+      id,
+      name,
+      mimeType: blob.type || 'application/octet-stream',
+      size: blob.size,
+      createdAt: Date.now(),
+      blob
+    };
+    await backend.put(asset);
+    await commit();
+    return toMetadata(asset);
+  };
+
+  const addFile = (file: File): Promise<Asset> => addBlob(file, file.name);
+
+  const get = async (id: string): Promise<Asset | undefined> => {
+    const asset = await backend.get(id);
+    return asset && toMetadata(asset);
+  };
+
+  const getBlob = async (id: string): Promise<Blob | undefined> => (await backend.get(id))?.blob;
+
+  const getObjectUrl = async (id: string): Promise<string | null> => {
+    const cached = objectUrls.get(id);
+    if (cached) {
+      return cached;
+    }
+    const blob = await getBlob(id);
+    if (!blob) {
+      return null;
+    }
+    const url = URL.createObjectURL(blob);
+    objectUrls.set(id, url);
+    return url;
+  };
+
+  const rename = async (id: string, name: string): Promise<void> => {
+    const asset = await backend.get(id);
+    if (!asset) {
+      throw new Error(`Unknown asset "${id}"`);
+    }
+    await backend.put({ ...asset, name });
+    await commit();
+  };
+
+  const remove = async (id: string): Promise<void> => {
+    await backend.delete(id);
+    const url = objectUrls.get(id);
+    if (url) {
+      URL.revokeObjectURL(url);
+      objectUrls.delete(id);
+    }
+    await commit();
+  };
+
+  const getAll = (): Asset[] => snapshot;
+
+  const subscribe = (listener: AssetListener): (() => void) => {
+    listeners.add(listener);
+    if (!loaded) {
+      refresh().catch(error => console.error('Error loading asset library:', error));
+    }
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  channel?.subscribe(MessageTypes.ASSETS_CHANGED, () => {
+    refresh().catch(error => console.error('Error loading asset library:', error));
+  });
+
+  return {
+    addBlob,
+    addFile,
+    get,
+    getBlob,
+    getObjectUrl,
+    rename,
+    remove,
+    refresh,
+    getAll,
+    subscribe
+  };
+};
+
+export type AssetStore = ReturnType<typeof createAssetStore>;
+
+/**
+ * Asset ids a surface references: its content media and its color correction LUT
+ */
+export const getSurfaceAssetIds = (surface: Surface): string[] =>
+  Array.from(new Set(
+    [surface.contentData?.assetId, surface.colorCorrection?.lut?.assetId]
+      .filter((id): id is string => Boolean(id))
+  ));
+
+/**
+ * Map each asset id to the surfaces that reference it
+ */
+export const getAssetUsage = (surfaces: Surface[]): Map<string, Surface[]> => {
+  const usage = new Map<string, Surface[]>();
+  surfaces.forEach(surface => {
+    getSurfaceAssetIds(surface).forEach(assetId => {
+      usage.set(assetId, [...(usage.get(assetId) ?? []), surface]);
+    });
+  });
+  return usage;
+};
+
+const EMBEDDED_MEDIA_FIELDS = ['imageUrl', 'videoUrl'] as const;
+
+const dataUrlToBlob = async (dataUrl: string): Promise<Blob> => (await fetch(dataUrl)).blob();
+
+/**
+ * Move base64 media embedded in content data (from before the asset library)
+ * into the store. Resolves to the updated content data, or null if nothing was embedded.
+ */
+export const extractEmbeddedMedia = async (
+  store: AssetStore,
+  contentData: Surface['contentData'],
+  name: string,
+  toBlob: (dataUrl: string) => Promise<Blob> = dataUrlToBlob
+): Promise<Surface['contentData'] | null> => {
+  const field = EMBEDDED_MEDIA_FIELDS.find(key => {
+    const value = contentData?.[key];
+    return typeof value === 'string' && value.startsWith('data:');
+  });
+  if (!contentData || !field) {
+    return null;
+  }
+
+  const asset = await store.addBlob(await toBlob(contentData[field] as string), name);
+  const { [field]: _embedded, ...rest } = contentData;
+  return { ...rest, assetId: asset.id };
+};
+
+export const assetStore = createAssetStore(
+  typeof indexedDB !== 'undefined' ? createIndexedDbBackend() : createMemoryBackend(),
+  broadcastManager
+);
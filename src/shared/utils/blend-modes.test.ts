@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { blendColors, getSurfaceBlend, isBlendActive } from './blend-modes';
+import type { Rgb } from './color-correction';
+import { SurfaceSchema } from '../schemas';
+import { createDefaultSurface } from './surface-factory';
+
+const expectColor = (actual: Rgb, expected: Rgb) => {
+  actual.forEach((channel, i) => expect(channel).toBeCloseTo(expected[i] ?? NaN));
+};
+
+const SOURCE: Rgb = [0.8, 0.5, 0.2];
+const BELOW: Rgb = [0.5, 0.5, 0.5];
+
+describe('blend-modes', () => {
+  it('should treat surfaces without settings as opaque and normal', () => {
+    const blend = getSurfaceBlend(createDefaultSurface({ id: 'surface-1' }));
+
+    expect(blend).toEqual({ opacity: 1, blendMode: 'normal' });
+    expect(isBlendActive(blend)).toBe(false);
+    expect(isBlendActive({ opacity: 0.5, blendMode: 'normal' })).toBe(true);
+    expect(isBlendActive({ opacity: 1, blendMode: 'screen' })).toBe(true);
+  });
+
+  it('should validate opacity and blend mode in the surface schema', () => {
+    const surface = createDefaultSurface({ id: 'surface-1' });
+
+    expect(SurfaceSchema.safeParse({ ...surface, opacity: 0.4, blendMode: 'multiply' }).success).toBe(true);
+    expect(SurfaceSchema.safeParse({ ...surface, opacity: 1.5 }).success).toBe(false);
+    expect(SurfaceSchema.safeParse({ ...surface, blendMode: 'overlay' }).success).toBe(false);
+  });
+
+  describe('blendColors', () => {
+    it('should combine colours per mode at full opacity', () => {
+      expectColor(blendColors(SOURCE, BELOW, 1, 'normal'), SOURCE);
+      expectColor(blendColors(SOURCE, BELOW, 1, 'add'), [1, 1, 0.7]);
+      expectColor(blendColors(SOURCE, BELOW, 1, 'multiply'), [0.4, 0.25, 0.1]);
+      expectColor(blendColors(SOURCE, BELOW, 1, 'screen'), [0.9, 0.75, 0.6]);
+      expectColor(blendColors(SOURCE, BELOW, 1, 'subtract'), [0, 0, 0.3]);
+    });
+
+    it('should fade towards what is below as alpha drops', () => {
+      expectColor(blendColors(SOURCE, BELOW, 0.5, 'normal'), [0.65, 0.5, 0.35]);
+      expectColor(blendColors(SOURCE, BELOW, 0.5, 'multiply'), [0.45, 0.375, 0.3]);
+      expectColor(blendColors(SOURCE, BELOW, 0, 'add'), BELOW);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import type { BlendMode, Surface } from '../schemas';
+import { BLEND_MODES } from './constants';
+import type { Rgb } from './color-correction';
+
+export type SurfaceBlend = { opacity: number; blendMode: BlendMode };
+
+/**
+ * A surface's opacity and blend mode, with the defaults for older surfaces
+ */
+export const getSurfaceBlend = (surface: Pick<Surface, 'opacity' | 'blendMode'>): SurfaceBlend => ({
+  opacity: surface.opacity ?? 1,
+  blendMode: surface.blendMode ?? BLEND_MODES.NORMAL
+});
+
+/**
+ * Whether a surface needs blending at all; an opaque, normal surface simply overwrites
+ */
+export const isBlendActive = ({ opacity, blendMode }: SurfaceBlend): boolean =>
+  opacity < 1 || blendMode !== BLEND_MODES.NORMAL;
+
+const blendChannel = (source: number, destination: number, mode: BlendMode): number => {
+  switch (mode) {
+    case 'normal': return source;
+    case 'add': return source + destination;
+    case 'multiply': return source * destination;
+    case 'screen': return 1 - (1 - source) * (1 - destination);
+    case 'subtract': return destination - source;
+  }
+};
+
+/**
+ * Colour a surface leaves over what is below it, given its colour, alpha
+ * (content alpha times opacity) and blend mode. Mirrors the GPU blend state
+ * and shader set up for each mode in the scene's surface output shader.
+ */
+export const blendColors = (source: Rgb, destination: Rgb, alpha: number, mode: BlendMode): Rgb =>
+  source.map((channel, i) => {
+    const below = destination[i] ?? 0;
+    const blended = blendChannel(channel, below, mode);
+    return Math.min(Math.max(below + (blended - below) * alpha, 0), 1);
+  }) as Rgb;
@@ -1,16 +1,69 @@
+import { RelayTransport } from './relay-transport';
+import type { RelayStatus } from './relay-transport';
+
 const CHANNEL_NAME = 'projection-mapping-sync';
 
+// Minimum time between resync requests, so a burst of lost messages asks once
+const RESYNC_INTERVAL_MS = 1000;
+
 type MessageData = {
   type: string;
   payload: unknown;
   timestamp: number;
+  // Sending window and its running message count, used to notice lost messages
+  senderId?: string;
+  sequence?: number;
 };
 
-type Listener = (payload: unknown) => void;
+/**
+ * relay: sent by the relay itself (remote control, OSC); window: sent by
+ * another window, through BroadcastChannel or forwarded by the relay
+ */
+export type MessageSource = 'relay' | 'window';
+
+type Listener = (payload: unknown, source: MessageSource) => void;
+
+/**
+ * A slice of state a provider contributes to the full-state snapshot: `get`
+ * reads it in a window answering a sync request, `apply` loads it in the
+ * window that asked
+ */
+export type SnapshotSource = {
+  get: () => unknown;
+  apply: (value: unknown) => void;
+};
+
+export type SyncReason = 'join' | 'missed';
+
+type SyncRequest = { requestId: string; reason: SyncReason };
 
-class BroadcastManager {
+type StateSnapshot = { requestId: string; state: Record<string, unknown> };
+
+const createId = (): string =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Broadcast Manager
+ * Sends state changes between windows as deltas: over BroadcastChannel to tabs
+ * of this browser and, once connected, over the network sync relay to other
+ * machines (a message arriving both ways is delivered once). Windows that open
+ * later, or that notice a gap in another window's sequence numbers, ask for a
+ * full snapshot, which any window responding to sync requests (the editor) answers.
+ */
+export class BroadcastManager {
   private channel: BroadcastChannel | null = null;
   private listeners: Map<string, Listener[]> = new Map();
+  readonly windowId: string = createId();
+  private sequence = 0;
+  private lastSequences: Map<string, number> = new Map();
+  private snapshotSources: Map<string, SnapshotSource> = new Map();
+  private responders = 0;
+  private pendingRequestId: string | null = null;
+  private lastRequestAt = -Infinity;
+  private relay = new RelayTransport(
+    (data) => this.handleMessage(data as MessageData, 'relay'),
+    () => this.handleRelayConnected()
+  );
 
   constructor() {
     this.initialize();
@@ -24,7 +77,7 @@ class BroadcastManager {
     if (typeof BroadcastChannel !== 'undefined') {
       this.channel = new BroadcastChannel(CHANNEL_NAME);
       this.channel.onmessage = (event: MessageEvent<MessageData>) => {
-        this.handleMessage(event.data);
+        this.handleMessage(event.data, 'channel');
       };
     } else {
       console.warn('BroadcastChannel not supported, falling back to localStorage');
@@ -32,17 +85,78 @@ class BroadcastManager {
     }
   }
 
-  private handleMessage(data: MessageData): void {
+  private handleMessage(data: MessageData, transport: 'relay' | 'channel'): void {
     const { type, payload } = data;
+    if (data.senderId === this.windowId) {
+      return;
+    }
+    const order = this.trackSequence(data);
+    if (order === 'duplicate') {
+      return;
+    }
+    if (order === 'gap') {
+      this.requestSync('missed');
+    }
+
+    if (type === MessageTypes.SYNC_REQUEST) {
+      this.answerSyncRequest(payload as SyncRequest);
+    } else if (type === MessageTypes.STATE_SNAPSHOT) {
+      this.applySnapshot(payload as StateSnapshot);
+    }
+
+    // Windows stamp their id on everything they send; the relay does not
+    const source: MessageSource = transport === 'relay' && data.senderId === undefined ? 'relay' : 'window';
     const listeners = this.listeners.get(type) || [];
-    listeners.forEach(callback => callback(payload));
+    listeners.forEach(callback => callback(payload, source));
+  }
+
+  // Where a message falls in its sender's sequence: already seen (it came by
+  // the other transport too), further ahead than expected, or in order
+  private trackSequence({ senderId, sequence }: MessageData): 'duplicate' | 'gap' | 'next' {
+    if (senderId === undefined || sequence === undefined) {
+      return 'next';
+    }
+    const last = this.lastSequences.get(senderId);
+    if (last !== undefined && sequence <= last) {
+      return 'duplicate';
+    }
+    this.lastSequences.set(senderId, sequence);
+    return last !== undefined && sequence > last + 1 ? 'gap' : 'next';
+  }
+
+  // Windows that only follow (live outputs) resync whenever the relay (re)connects
+  private handleRelayConnected(): void {
+    if (this.responders === 0) {
+      this.requestSync('join');
+    }
+  }
+
+  private answerSyncRequest({ requestId }: SyncRequest): void {
+    if (this.responders === 0) {
+      return;
+    }
+    const state = Object.fromEntries(
+      Array.from(this.snapshotSources, ([key, source]) => [key, source.get()])
+    );
+    this.broadcast(MessageTypes.STATE_SNAPSHOT, { requestId, state });
+  }
+
+  // Only the first answer to this window's latest request is applied
+  private applySnapshot({ requestId, state }: StateSnapshot): void {
+    if (requestId !== this.pendingRequestId) {
+      return;
+    }
+    this.pendingRequestId = null;
+    Object.entries(state).forEach(([key, value]) => {
+      this.snapshotSources.get(key)?.apply(value);
+    });
   }
 
   private handleStorageEvent(event: StorageEvent): void {
     if (event.key === 'projection_mapping_broadcast') {
       try {
         const data = JSON.parse(event.newValue || '');
-        this.handleMessage(data);
+        this.handleMessage(data, 'channel');
       } catch (error) {
         console.error('Error parsing storage event:', error);
       }
@@ -50,8 +164,16 @@ class BroadcastManager {
   }
 
   broadcast(type: string, payload: unknown): void {
-    const message: MessageData = { type, payload, timestamp: Date.now() };
+    this.sequence += 1;
+    const message: MessageData = {
+      type,
+      payload,
+      timestamp: Date.now(),
+      senderId: this.windowId,
+      sequence: this.sequence
+    };
 
+    this.relay.send(message);
     if (this.channel) {
       this.channel.postMessage(message);
     } else {
@@ -62,6 +184,14 @@ class BroadcastManager {
     }
   }
 
+  /**
+   * Send a message for the relay itself (remote control): it goes out unsequenced,
+   * since the relay does not forward it and other windows would see a gap
+   */
+  sendToRelay(type: string, payload: unknown): void {
+    this.relay.send({ type, payload, timestamp: Date.now() });
+  }
+
   subscribe(type: string, callback: Listener): () => void {
     if (!this.listeners.has(type)) {
       this.listeners.set(type, []);
@@ -77,7 +207,67 @@ class BroadcastManager {
     };
   }
 
+  /**
+   * Contribute a slice of state to snapshots under `key`
+   * @returns Function that removes the source again
+   */
+  registerSnapshotSource(key: string, source: SnapshotSource): () => void {
+    this.snapshotSources.set(key, source);
+    return () => {
+      if (this.snapshotSources.get(key) === source) {
+        this.snapshotSources.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Answer other windows' sync requests with this window's state
+   * @returns Function that stops answering
+   */
+  respondToSyncRequests(): () => void {
+    this.responders += 1;
+    let stopped = false;
+    return () => {
+      if (!stopped) {
+        stopped = true;
+        this.responders -= 1;
+      }
+    };
+  }
+
+  /**
+   * Ask the other windows for a full snapshot, on joining or after a lost message
+   * (missed-message requests are rate limited)
+   */
+  requestSync(reason: SyncReason): void {
+    const now = Date.now();
+    if (reason === 'missed' && now - this.lastRequestAt < RESYNC_INTERVAL_MS) {
+      return;
+    }
+    this.lastRequestAt = now;
+    this.pendingRequestId = createId();
+    this.broadcast(MessageTypes.SYNC_REQUEST, { requestId: this.pendingRequestId, reason });
+  }
+
+  /**
+   * Also sync with other machines through the relay at a ws:// address
+   */
+  connectRelay(url: string): void {
+    this.relay.connect(url);
+  }
+
+  disconnectRelay(): void {
+    this.relay.disconnect();
+  }
+
+  getRelayStatus = (): RelayStatus => this.relay.getStatus();
+
+  getRelayUrl = (): string | null => this.relay.getUrl();
+
+  subscribeRelayStatus = (listener: () => void): (() => void) => this.relay.subscribe(listener);
+
   close(): void {
+    this.relay.disconnect();
     if (this.channel) {
       this.channel.close();
     }
@@ -97,6 +287,24 @@ export const MessageTypes = {
   MODE_CHANGED: 'MODE_CHANGED',
   FULLSCREEN_CHANGED: 'FULLSCREEN_CHANGED',
   SURFACES_REORDERED: 'SURFACES_REORDERED',
+  SURFACES_REPLACED: 'SURFACES_REPLACED',
+  ASSETS_CHANGED: 'ASSETS_CHANGED',
+  OUTPUTS_CHANGED: 'OUTPUTS_CHANGED',
+  CUES_CHANGED: 'CUES_CHANGED',
+  CUE_FIRED: 'CUE_FIRED',
+  TIMELINE_CHANGED: 'TIMELINE_CHANGED',
+  CLOCK_CHANGED: 'CLOCK_CHANGED',
+  SYNC_REQUEST: 'SYNC_REQUEST',
+  STATE_SNAPSHOT: 'STATE_SNAPSHOT',
+  BLACKOUT_CHANGED: 'BLACKOUT_CHANGED',
+  // Remote control through the relay (server/relay.js uses the same names)
+  REMOTE_HOST_READY: 'REMOTE_HOST_READY',
+  REMOTE_COMMAND: 'REMOTE_COMMAND',
+  REMOTE_COMMAND_RESULT: 'REMOTE_COMMAND_RESULT',
+  // OSC from server/osc-bridge.js, routed by the relay to the editor
+  OSC_MESSAGE: 'OSC_MESSAGE',
+  OSC_MAPPINGS_CHANGED: 'OSC_MAPPINGS_CHANGED',
+  MIDI_MAPPINGS_CHANGED: 'MIDI_MAPPINGS_CHANGED'
 } as const;
 
 export type MessageType = typeof MessageTypes[keyof typeof MessageTypes];
@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { MessageTypes } from './broadcast-channel';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BroadcastManager as SyncingBroadcastManager, MessageTypes } from './broadcast-channel';
 
 // Import BroadcastManager class directly for testing
 const CHANNEL_NAME = 'projection-mapping-sync';
@@ -294,3 +294,147 @@ describe('BroadcastManager', () => {
     });
   });
 });
+
+// In-memory channel that, like BroadcastChannel, delivers asynchronously
+// to every other open channel of the same name (the global one is a mock)
+class LinkedChannel {
+  static open: LinkedChannel[] = [];
+  onmessage: ((event: { data: any }) => void) | null = null;
+
+  constructor(public name: string) {
+    LinkedChannel.open.push(this);
+  }
+
+  postMessage(data: unknown) {
+    const copy = structuredClone(data);
+    LinkedChannel.open
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => setTimeout(() => channel.onmessage?.({ data: copy })));
+  }
+
+  close() {
+    LinkedChannel.open = LinkedChannel.open.filter(channel => channel !== this);
+  }
+}
+
+describe('BroadcastManager state sync', () => {
+  const delivery = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  let editor: SyncingBroadcastManager;
+  let live: SyncingBroadcastManager;
+  let raw: LinkedChannel;
+
+  beforeEach(() => {
+    vi.stubGlobal('BroadcastChannel', LinkedChannel);
+    editor = new SyncingBroadcastManager();
+    live = new SyncingBroadcastManager();
+    raw = new LinkedChannel(CHANNEL_NAME);
+  });
+
+  afterEach(() => {
+    editor.close();
+    live.close();
+    raw.close();
+    vi.unstubAllGlobals();
+  });
+
+  it('should answer a joining window with a snapshot of every source', async () => {
+    const apply = vi.fn();
+    editor.respondToSyncRequests();
+    editor.registerSnapshotSource('app', { get: () => ({ mode: 'playback' }), apply: vi.fn() });
+    live.registerSnapshotSource('app', { get: () => ({ mode: 'calibration' }), apply });
+
+    live.requestSync('join');
+    await delivery();
+
+    expect(apply).toHaveBeenCalledWith({ mode: 'playback' });
+  });
+
+  it('should apply only the first answer to its latest request', async () => {
+    const second = new SyncingBroadcastManager();
+    const apply = vi.fn();
+    editor.respondToSyncRequests();
+    second.respondToSyncRequests();
+    editor.registerSnapshotSource('clock', { get: () => 1, apply: vi.fn() });
+    second.registerSnapshotSource('clock', { get: () => 2, apply: vi.fn() });
+    live.registerSnapshotSource('clock', { get: () => 0, apply });
+
+    live.requestSync('join');
+    await delivery();
+    second.close();
+
+    expect(apply).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not answer once it stops responding', async () => {
+    const apply = vi.fn();
+    const stopResponding = editor.respondToSyncRequests();
+    editor.registerSnapshotSource('app', { get: () => ({}), apply: vi.fn() });
+    live.registerSnapshotSource('app', { get: () => ({}), apply });
+
+    stopResponding();
+    live.requestSync('join');
+    await delivery();
+
+    expect(apply).not.toHaveBeenCalled();
+  });
+
+  it('should number its messages and ask for a resync after a gap', async () => {
+    const sent: Array<{ type: string; sequence?: number }> = [];
+    raw.onmessage = (event) => sent.push(event.data);
+
+    editor.broadcast(MessageTypes.SURFACE_UPDATED, { id: 'surface-1' });
+    editor.broadcast(MessageTypes.SURFACE_UPDATED, { id: 'surface-1' });
+    await delivery();
+    expect(sent.map(message => message.sequence)).toEqual([1, 2]);
+
+    raw.postMessage({ type: MessageTypes.SURFACE_UPDATED, payload: {}, timestamp: 0, senderId: 'other', sequence: 1 });
+    raw.postMessage({ type: MessageTypes.SURFACE_UPDATED, payload: {}, timestamp: 0, senderId: 'other', sequence: 2 });
+    await delivery();
+    expect(sent.filter(message => message.type === MessageTypes.SYNC_REQUEST)).toHaveLength(0);
+
+    raw.postMessage({ type: MessageTypes.SURFACE_UPDATED, payload: {}, timestamp: 0, senderId: 'other', sequence: 5 });
+    await delivery();
+    // Both managers noticed the gap
+    expect(sent.filter(message => message.type === MessageTypes.SYNC_REQUEST)).toHaveLength(2);
+  });
+
+  it('should deliver a message that arrives twice (tab and relay) once', async () => {
+    const callback = vi.fn();
+    live.subscribe(MessageTypes.SURFACE_UPDATED, callback);
+    const message = { type: MessageTypes.SURFACE_UPDATED, payload: {}, timestamp: 0, senderId: 'other', sequence: 1 };
+
+    raw.postMessage(message);
+    raw.postMessage(message);
+    await delivery();
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should tell messages the relay sent from those other windows sent', async () => {
+    // Stands in for the relay socket: the test delivers what arrives on it
+    class RelaySocket {
+      static latest: RelaySocket | null = null;
+      readyState = 0;
+      onmessage: ((event: { data: string }) => void) | null = null;
+      constructor() {
+        RelaySocket.latest = this;
+      }
+      send() {}
+      close() {}
+    }
+    vi.stubGlobal('WebSocket', RelaySocket);
+    const callback = vi.fn();
+    live.subscribe(MessageTypes.REMOTE_COMMAND, callback);
+    live.connectRelay('ws://relay.local:8787');
+    const receive = (message: object) => RelaySocket.latest?.onmessage?.({ data: JSON.stringify(message) });
+
+    receive({ type: MessageTypes.REMOTE_COMMAND, payload: { id: 1 }, timestamp: 0 });
+    // A window's message forwarded by the relay, and one from a tab of this browser
+    receive({ type: MessageTypes.REMOTE_COMMAND, payload: { id: 2 }, timestamp: 0, senderId: 'other', sequence: 1 });
+    raw.postMessage({ type: MessageTypes.REMOTE_COMMAND, payload: { id: 3 }, timestamp: 0 });
+    await delivery();
+
+    expect(callback.mock.calls).toEqual([[{ id: 1 }, 'relay'], [{ id: 2 }, 'window'], [{ id: 3 }, 'window']]);
+  });
+});
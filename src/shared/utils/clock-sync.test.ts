@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { measureClockOffset, pickClockOffset, toLocalAnchors } from './clock-sync';
+
+describe('clock sync', () => {
+  it('should measure the offset at the middle of the round trip', () => {
+    expect(measureClockOffset(1000, 6020, 1040)).toEqual({ offset: 5000, roundTrip: 40 });
+  });
+
+  it('should trust the sample with the shortest round trip', () => {
+    expect(pickClockOffset([])).toBeNull();
+    expect(pickClockOffset([
+      { offset: 5100, roundTrip: 200 },
+      { offset: 5002, roundTrip: 4 },
+      { offset: 4950, roundTrip: 90 }
+    ])).toBe(5002);
+  });
+
+  it('should shift every anchor, however deeply nested, by the difference in offsets', () => {
+    const snapshot = {
+      clock: { playing: true, speed: 1, anchorPosition: 12, anchorTime: 50_000 },
+      cues: { transition: { cueId: 'cue-1', duration: 2, startedAt: 49_000 } },
+      surfaces: [{ id: 'surface-1', contentData: { playback: { anchorTime: 48_000, anchorPosition: 0 } } }]
+    };
+
+    expect(toLocalAnchors(snapshot, -2000, 3000)).toEqual({
+      clock: { playing: true, speed: 1, anchorPosition: 12, anchorTime: 45_000 },
+      cues: { transition: { cueId: 'cue-1', duration: 2, startedAt: 44_000 } },
+      surfaces: [{ id: 'surface-1', contentData: { playback: { anchorTime: 43_000, anchorPosition: 0 } } }]
+    });
+  });
+
+  it('should leave payloads alone until both offsets are known', () => {
+    const payload = { anchorTime: 1000 };
+
+    expect(toLocalAnchors(payload, null, 3000)).toBe(payload);
+    expect(toLocalAnchors(payload, 3000, null)).toBe(payload);
+  });
+});
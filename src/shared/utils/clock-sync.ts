@@ -0,0 +1,58 @@
+/**
+ * Clock sync with the relay
+ * Clocks, timelines, video playback and cue fades are anchored to the sending
+ * machine's `Date.now()`. Machines on an offline LAN rarely agree on the time,
+ * so each window measures its offset to the relay's clock (ping/pong, like
+ * NTP), stamps it on what it sends, and receivers shift anchors into their own time.
+ */
+
+// Handled by the relay itself (server/relay.js uses the same names)
+export const ClockSyncMessages = {
+  PING: 'CLOCK_PING',
+  PONG: 'CLOCK_PONG'
+} as const;
+
+/**
+ * One measurement: `offset` is relay time minus local time, in ms
+ */
+export type ClockSample = { offset: number; roundTrip: number };
+
+// Payload fields holding wall-clock times (ms since epoch) of the sender
+const ANCHOR_FIELDS = new Set(['anchorTime', 'startedAt']);
+
+/**
+ * Offset from a pong: the relay read its clock about half way through the round trip
+ */
+export const measureClockOffset = (sentAt: number, relayTime: number, receivedAt: number): ClockSample => ({
+  offset: relayTime - (sentAt + receivedAt) / 2,
+  roundTrip: Math.max(0, receivedAt - sentAt)
+});
+
+/**
+ * Best offset from recent samples: the one with the shortest round trip has the least error
+ */
+export const pickClockOffset = (samples: ClockSample[]): number | null =>
+  samples.reduce<ClockSample | null>(
+    (best, sample) => (best === null || sample.roundTrip < best.roundTrip ? sample : best),
+    null
+  )?.offset ?? null;
+
+const shiftAnchors = (value: unknown, shift: number): unknown => {
+  if (Array.isArray(value)) {
+    return value.map(item => shiftAnchors(item, shift));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    ANCHOR_FIELDS.has(key) && typeof field === 'number' ? field + shift : shiftAnchors(field, shift)
+  ]));
+};
+
+/**
+ * Move the anchors in a payload from the sender's clock to this machine's,
+ * given both clocks' offsets to the relay; unchanged while either is unknown
+ */
+export const toLocalAnchors = (payload: unknown, senderOffset: number | null, localOffset: number | null): unknown =>
+  (senderOffset === null || localOffset === null ? payload : shiftAnchors(payload, senderOffset - localOffset));
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_COLOR_CORRECTION,
+  applyColorCorrection,
+  isColorCorrectionActive,
+  parseCubeLut,
+  rotateHue,
+  sampleCubeLut
+} from './color-correction';
+import type { Rgb } from './color-correction';
+import { ColorCorrectionSchema } from '../schemas';
+
+const correction = (overrides = {}) => ({ ...DEFAULT_COLOR_CORRECTION, ...overrides });
+
+// 2×2×2 LUT that inverts every channel
+const INVERT_CUBE = `# Created by hand
+TITLE "Invert"
+LUT_3D_SIZE 2
+
+1 1 1
+0 1 1
+1 0 1
+0 0 1
+1 1 0
+0 1 0
+1 0 0
+0 0 0
+`;
+
+const expectColor = (actual: Rgb, expected: Rgb) => {
+  actual.forEach((channel, i) => expect(channel).toBeCloseTo(expected[i] ?? NaN));
+};
+
+describe('color-correction', () => {
+  it('should have a valid identity default', () => {
+    expect(ColorCorrectionSchema.safeParse(DEFAULT_COLOR_CORRECTION).success).toBe(true);
+    expect(isColorCorrectionActive(DEFAULT_COLOR_CORRECTION)).toBe(false);
+    expect(isColorCorrectionActive(undefined)).toBe(false);
+    expectColor(applyColorCorrection([0.2, 0.5, 0.9], DEFAULT_COLOR_CORRECTION), [0.2, 0.5, 0.9]);
+  });
+
+  it('should count a LUT or any changed adjustment as active', () => {
+    expect(isColorCorrectionActive(correction({ gains: { r: 1, g: 0.9, b: 1 } }))).toBe(true);
+    expect(isColorCorrectionActive(correction({ lut: { assetId: 'a', name: 'Film' } }))).toBe(true);
+  });
+
+  describe('applyColorCorrection', () => {
+    it('should apply gains and brightness', () => {
+      expectColor(applyColorCorrection([0.5, 0.5, 0.5], correction({ gains: { r: 2, g: 1, b: 0 } })), [1, 0.5, 0]);
+      expectColor(applyColorCorrection([0.5, 0.5, 0.5], correction({ brightness: 0.25 })), [0.75, 0.75, 0.75]);
+    });
+
+    it('should stretch contrast around mid grey', () => {
+      expectColor(applyColorCorrection([0.25, 0.5, 0.75], correction({ contrast: 2 })), [0, 0.5, 1]);
+    });
+
+    it('should brighten midtones with gamma above 1', () => {
+      expect(applyColorCorrection([0.25, 0.25, 0.25], correction({ gamma: 2 }))[0]).toBeCloseTo(0.5);
+    });
+
+    it('should turn colours grey at zero saturation', () => {
+      const [r, g, b] = applyColorCorrection([1, 0, 0], correction({ saturation: 0 }));
+
+      expect(r).toBeCloseTo(0.2126);
+      expect(g).toBeCloseTo(r);
+      expect(b).toBeCloseTo(r);
+    });
+  });
+
+  describe('rotateHue', () => {
+    it('should cycle primaries a third of a turn at a time', () => {
+      expectColor(rotateHue([1, 0, 0], 120), [0, 1, 0]);
+      expectColor(rotateHue([0, 1, 0], 120), [0, 0, 1]);
+    });
+
+    it('should leave greys alone', () => {
+      expectColor(rotateHue([0.4, 0.4, 0.4], 73), [0.4, 0.4, 0.4]);
+    });
+  });
+
+  describe('parseCubeLut', () => {
+    it('should read the title, size and table', () => {
+      const lut = parseCubeLut(INVERT_CUBE);
+
+      expect(lut.title).toBe('Invert');
+      expect(lut.size).toBe(2);
+      expect(lut.domainMin).toEqual([0, 0, 0]);
+      expect(lut.data).toHaveLength(24);
+    });
+
+    it('should read custom domains and skip unknown keywords', () => {
+      const lut = parseCubeLut(`LUT_3D_SIZE 2\nDOMAIN_MIN 0 0 0\nDOMAIN_MAX 2 2 2\nLUT_3D_INPUT_RANGE 0 2\n${'0 0 0\n'.repeat(8)}`);
+
+      expect(lut.domainMax).toEqual([2, 2, 2]);
+    });
+
+    it('should reject malformed files with the offending line', () => {
+      expect(() => parseCubeLut('LUT_1D_SIZE 1024')).toThrow('Line 1: 1D LUTs are not supported');
+      expect(() => parseCubeLut('0 0 0')).toThrow('Line 1: table data before LUT_3D_SIZE');
+      expect(() => parseCubeLut('LUT_3D_SIZE 2\n0 0 zero')).toThrow('Line 2: expected three numbers');
+      expect(() => parseCubeLut('LUT_3D_SIZE 2\n0 0 0')).toThrow('Expected 8 table entries, found 1');
+      expect(() => parseCubeLut('TITLE "Empty"')).toThrow('Missing LUT_3D_SIZE');
+    });
+  });
+
+  describe('sampleCubeLut', () => {
+    it('should hit table entries exactly and interpolate between them', () => {
+      const lut = parseCubeLut(INVERT_CUBE);
+
+      expectColor(sampleCubeLut(lut, [1, 0, 0]), [0, 1, 1]);
+      expectColor(sampleCubeLut(lut, [0.25, 0.5, 0.75]), [0.75, 0.5, 0.25]);
+    });
+
+    it('should clamp colours outside the domain', () => {
+      expectColor(sampleCubeLut(parseCubeLut(INVERT_CUBE), [1.5, -1, 0]), [0, 1, 1]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import type { ColorCorrection } from '../schemas';
+
+export type Rgb = [number, number, number];
+
+// MIME type LUTs are stored under in the asset library (browsers report none for .cube)
+export const CUBE_LUT_MIME_TYPE = 'text/x-cube';
+
+export const DEFAULT_COLOR_CORRECTION: ColorCorrection = {
+  brightness: 0,
+  contrast: 1,
+  gamma: 1,
+  saturation: 1,
+  hue: 0,
+  gains: { r: 1, g: 1, b: 1 }
+};
+
+// Rec. 709 luma, as used for saturation
+const LUMA: Rgb = [0.2126, 0.7152, 0.0722];
+
+const clamp01 = (value: number): number => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Whether a correction changes anything (so the shader stage can be skipped)
+ */
+export const isColorCorrectionActive = (correction: ColorCorrection | undefined): boolean =>
+  correction !== undefined && (
+    correction.lut !== undefined
+    || correction.brightness !== DEFAULT_COLOR_CORRECTION.brightness
+    || correction.contrast !== DEFAULT_COLOR_CORRECTION.contrast
+    || correction.gamma !== DEFAULT_COLOR_CORRECTION.gamma
+    || correction.saturation !== DEFAULT_COLOR_CORRECTION.saturation
+    || correction.hue !== DEFAULT_COLOR_CORRECTION.hue
+    || correction.gains.r !== 1 || correction.gains.g !== 1 || correction.gains.b !== 1
+  );
+
+/**
+ * Rotate a colour around the grey axis (Rodrigues' rotation)
+ */
+export const rotateHue = (color: Rgb, degrees: number): Rgb => {
+  const angle = (degrees * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const k = 1 / Math.sqrt(3);
+  const [r, g, b] = color;
+  const along = ((r + g + b) / 3) * (1 - cos);
+  // k × color
+  const cross: Rgb = [k * (b - g), k * (r - b), k * (g - r)];
+  return [
+    r * cos + cross[0] * sin + along,
+    g * cos + cross[1] * sin + along,
+    b * cos + cross[2] * sin + along
+  ];
+};
+
+/**
+ * Apply the adjustments of a correction (not its LUT) to a 0..1 colour:
+ * gains, brightness, contrast around mid grey, gamma, hue, then saturation.
+ * Mirrors the GLSL in the scene's color correction shader chunk.
+ */
+export const applyColorCorrection = (color: Rgb, correction: ColorCorrection): Rgb => {
+  const { gains, brightness, contrast, gamma, hue, saturation } = correction;
+  const adjusted = [color[0] * gains.r, color[1] * gains.g, color[2] * gains.b]
+    .map(channel => (channel + brightness - 0.5) * contrast + 0.5)
+    .map(channel => Math.pow(Math.max(channel, 0), 1 / gamma)) as Rgb;
+  const rotated = rotateHue(adjusted, hue);
+  const luma = rotated[0] * LUMA[0] + rotated[1] * LUMA[1] + rotated[2] * LUMA[2];
+  return rotated.map(channel => clamp01(luma + (channel - luma) * saturation)) as Rgb;
+};
+
+export type CubeLut = {
+  title: string;
+  size: number;
+  domainMin: Rgb;
+  domainMax: Rgb;
+  // RGB triplets, red changing fastest, then green, then blue
+  data: Float32Array;
+};
+
+const MAX_LUT_SIZE = 256;
+
+const parseTriplet = (values: string[], lineNumber: number): Rgb => {
+  const numbers = values.map(Number);
+  if (numbers.length !== 3 || numbers.some(number => !Number.isFinite(number))) {
+    throw new Error(`Line ${lineNumber}: expected three numbers`);
+  }
+  return numbers as Rgb;
+};
+
+/**
+ * Parse an Adobe/Resolve `.cube` 3D LUT.
+ * Throws an Error naming the offending line when the file is not a valid 3D LUT.
+ */
+export const parseCubeLut = (text: string): CubeLut => {
+  let title = '';
+  let size = 0;
+  let domainMin: Rgb = [0, 0, 0];
+  let domainMax: Rgb = [1, 1, 1];
+  let data: Float32Array | null = null;
+  let count = 0;
+
+  for (const [index, rawLine] of text.split(/\r?\n/).entries()) {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) continue;
+
+    const [keyword = '', ...values] = line.split(/\s+/);
+    switch (keyword) {
+      case 'TITLE':
+        title = line.slice('TITLE'.length).trim().replace(/^"(.*)"$/, '$1');
+        continue;
+      case 'LUT_3D_SIZE': {
+        size = Number(values[0]);
+        if (!Number.isInteger(size) || size < 2 || size > MAX_LUT_SIZE) {
+          throw new Error(`Line ${lineNumber}: LUT_3D_SIZE must be a whole number from 2 to ${MAX_LUT_SIZE}`);
+        }
+        data = new Float32Array(size ** 3 * 3);
+        continue;
+      }
+      case 'LUT_1D_SIZE':
+        throw new Error(`Line ${lineNumber}: 1D LUTs are not supported`);
+      case 'DOMAIN_MIN':
+        domainMin = parseTriplet(values, lineNumber);
+        continue;
+      case 'DOMAIN_MAX':
+        domainMax = parseTriplet(values, lineNumber);
+        continue;
+    }
+
+    if (/^[A-Z][A-Z0-9_]*$/.test(keyword)) continue; // Other keywords (e.g. LUT_3D_INPUT_RANGE) are ignored
+    if (!data) {
+      throw new Error(`Line ${lineNumber}: table data before LUT_3D_SIZE`);
+    }
+    if (count >= size ** 3) {
+      throw new Error(`Line ${lineNumber}: more than ${size ** 3} table entries`);
+    }
+    data.set(parseTriplet([keyword, ...values], lineNumber), count * 3);
+    count++;
+  }
+
+  if (!data) {
+    throw new Error('Missing LUT_3D_SIZE');
+  }
+  if (count !== size ** 3) {
+    throw new Error(`Expected ${size ** 3} table entries, found ${count}`);
+  }
+  if (domainMin.some((min, channel) => min >= (domainMax[channel] ?? min))) {
+    throw new Error('DOMAIN_MIN must be below DOMAIN_MAX');
+  }
+  return { title, size, domainMin, domainMax, data };
+};
+
+/**
+ * Look a colour up in a 3D LUT with trilinear interpolation, like the GPU does
+ */
+export const sampleCubeLut = (lut: CubeLut, color: Rgb): Rgb => {
+  const { size, data, domainMin, domainMax } = lut;
+  const locate = (channel: number, min: number, max: number) => {
+    const position = clamp01((channel - min) / (max - min)) * (size - 1);
+    const lower = Math.min(Math.floor(position), size - 2);
+    return { lower, fraction: position - lower };
+  };
+  const r = locate(color[0], domainMin[0], domainMax[0]);
+  const g = locate(color[1], domainMin[1], domainMax[1]);
+  const b = locate(color[2], domainMin[2], domainMax[2]);
+
+  const entry = (ri: number, gi: number, bi: number, channel: number): number =>
+    data[((bi * size + gi) * size + ri) * 3 + channel] ?? 0;
+  const lerp = (from: number, to: number, t: number) => from + (to - from) * t;
+
+  const sample = (channel: number): number => {
+    const along = (gi: number, bi: number) =>
+      lerp(entry(r.lower, gi, bi, channel), entry(r.lower + 1, gi, bi, channel), r.fraction);
+    return lerp(
+      lerp(along(g.lower, b.lower), along(g.lower + 1, b.lower), g.fraction),
+      lerp(along(g.lower, b.lower + 1), along(g.lower + 1, b.lower + 1), g.fraction),
+      b.fraction
+    );
+  };
+  return [sample(0), sample(1), sample(2)];
+};
@@ -1,4 +1,4 @@
-import type { Corners, GeometryType } from '../schemas';
+import type { Corners, GeometryType, OutputResolution } from '../schemas';
 
 export const APP_MODES = {
   CALIBRATION: 'calibration',
@@ -26,6 +26,7 @@ export const CONTENT_TYPES = {
   GREEN: 'green',
   BLUE: 'blue',
   IMAGE: 'image',
+  VIDEO: 'video',
   AUDIO_WAVES: 'audio-waves',
   AUDIO_PULSE: 'audio-pulse',
   AUDIO_SPECTRUM: 'audio-spectrum',
@@ -38,25 +39,42 @@ export const GEOMETRY_TYPES = {
   POLYGON: 'polygon'
 } as const;
 
+export const BLEND_MODES = {
+  NORMAL: 'normal',
+  ADD: 'add',
+  MULTIPLY: 'multiply',
+  SCREEN: 'screen',
+  SUBTRACT: 'subtract'
+} as const;
+
+export const DEFAULT_OUTPUT_RESOLUTION = {
+  width: 1920,
+  height: 1080
+} as const;
+
+// Output surfaces belong to when they name none (or one that was removed)
+export const DEFAULT_OUTPUT_ID = 'main';
+
+/**
+ * Regular polygon centred on the output, in normalized output coordinates.
+ * The radius is a quarter of the output's shorter side, so the shape is not
+ * stretched on non-square outputs.
+ */
 export const getDefaultCorners = (
   _geometryType: GeometryType = GEOMETRY_TYPES.POLYGON,
-  cornerCount: number = 4
+  cornerCount: number = 4,
+  resolution: OutputResolution = DEFAULT_OUTPUT_RESOLUTION
 ): Corners => {
-  const width = window.innerWidth;
-  const height = window.innerHeight;
-
-  const centerX = width / 2;
-  const centerY = height / 2;
-  const radius = Math.min(width, height) * 0.25;
+  const radius = Math.min(resolution.width, resolution.height) * 0.25;
 
-  const numCorners = Math.min(8, Math.max(3, cornerCount));
+  const numCorners = Math.max(3, cornerCount);
 
   const points: Corners = {};
   for (let i = 0; i < numCorners; i++) {
     const angle = (i / numCorners) * Math.PI * 2 - Math.PI / 2;
     points[`point${i}`] = {
-      x: centerX + Math.cos(angle) * radius,
-      y: centerY + Math.sin(angle) * radius
+      x: 0.5 + (Math.cos(angle) * radius) / resolution.width,
+      y: 0.5 + (Math.sin(angle) * radius) / resolution.height
     };
   }
   return points;
@@ -77,13 +95,92 @@ export const KEYBOARD_SHORTCUTS = {
   TOGGLE_FULLSCREEN: 'f',
   ADD_SURFACE: 'a',
   DELETE_SURFACE: 'Delete',
-  TOGGLE_SIDEBAR: 's'
+  TOGGLE_SIDEBAR: 's',
+  UNDO: 'Ctrl+z',
+  REDO: 'Ctrl+Shift+z',
+  CUE_GO: 'Enter',
+  CUE_BACK: 'Backspace',
+  BLACKOUT: 'b'
 } as const;
 
 export const STORAGE_KEYS = {
   SURFACES: 'projection_mapping_surfaces',
-  APP_STATE: 'projection_mapping_app_state'
+  SURFACES_BACKUP: 'projection_mapping_surfaces_backup',
+  SURFACES_RECOVERY: 'projection_mapping_surfaces_recovery',
+  OUTPUTS: 'projection_mapping_outputs',
+  // Single output resolution saved before named outputs; seeds the main output
+  OUTPUT_RESOLUTION: 'projection_mapping_output_resolution',
+  APP_STATE: 'projection_mapping_app_state',
+  CUES: 'projection_mapping_cues',
+  TIMELINE: 'projection_mapping_timeline',
+  CLOCK: 'projection_mapping_clock',
+  OSC_MAPPINGS: 'projection_mapping_osc_mappings',
+  MIDI_MAPPINGS: 'projection_mapping_midi_mappings',
+  // Whether this browser's editor listens to MIDI controllers
+  MIDI_ENABLED: 'projection_mapping_midi_enabled',
+  // Address of the network sync relay this browser connects to
+  SYNC_RELAY: 'projection_mapping_sync_relay'
+} as const;
+
+export const MESH_WARP_DEFAULTS = {
+  COLUMNS: 4,
+  ROWS: 4,
+  MIN_SIZE: 2,
+  MAX_SIZE: 16
+} as const;
+
+export const MASK_LIMITS = {
+  MIN_POINTS: 3,
+  MAX_POINTS: 16,
+  MAX_FEATHER: 500
+} as const;
+
+export const VIDEO_PLAYBACK_LIMITS = {
+  MIN_RATE: 0.1,
+  MAX_RATE: 4
 } as const;
 
+// Crossfade durations in seconds
+export const CUE_FADE_LIMITS = {
+  DEFAULT: 2,
+  MAX: 60
+} as const;
+
+// OSC bridge (server/osc-bridge.js)
+export const OSC_DEFAULTS = {
+  // UDP port the bridge listens on
+  PORT: 9000
+} as const;
+
+// Timeline lengths in seconds
+export const TIMELINE_LIMITS = {
+  DEFAULT_DURATION: 30,
+  MIN_DURATION: 1,
+  MAX_DURATION: 3600,
+  // Shortest loop region
+  MIN_LOOP: 0.1
+} as const;
+
+// Master clock speed multipliers (0 freezes time while the clock still runs)
+// Network sync relay (server/relay.js); reconnect delays double up to the maximum,
+// and the offset to the relay's clock is measured again every interval
+export const RELAY_DEFAULTS = {
+  PORT: 8787,
+  RECONNECT_MIN_MS: 1000,
+  RECONNECT_MAX_MS: 10000,
+  CLOCK_SYNC_INTERVAL_MS: 10000,
+  CLOCK_SYNC_SAMPLES: 8
+} as const;
+
+export const CLOCK_SPEED_LIMITS = {
+  MIN: 0,
+  MAX: 4
+} as const;
+
+// Clock time wraps to 0 after this many seconds. Shaders get `time` as a 32-bit
+// float, which at 4 h still resolves ~1 ms; left to grow for days of running,
+// its steps reach a visible fraction of a frame and animations stutter
+export const CLOCK_WRAP_SECONDS = 4 * 60 * 60;
+
 export const GRID_SIZE = 8;
 export const GEOMETRY_SUBDIVISIONS = 20;
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { z } from 'zod';
+import { createContentRegistry } from './content-registry';
+import type { ContentRegistry, ContentTypeDefinition } from './content-registry';
+
+const Material = () => null;
+
+const createDefinition = (overrides: Partial<ContentTypeDefinition> = {}): ContentTypeDefinition => ({
+  id: 'test-effect',
+  label: 'Test Effect',
+  category: 'Shader Effects',
+  material: Material,
+  ...overrides
+});
+
+describe('content registry', () => {
+  let registry: ContentRegistry;
+
+  beforeEach(() => {
+    registry = createContentRegistry();
+  });
+
+  describe('registration', () => {
+    it('should register and look up a content type by id', () => {
+      const definition = createDefinition();
+
+      registry.register(definition);
+
+      expect(registry.has('test-effect')).toBe(true);
+      expect(registry.get('test-effect')).toBe(definition);
+    });
+
+    it('should replace a definition registered with the same id', () => {
+      registry.register(createDefinition({ label: 'First' }));
+      registry.register(createDefinition({ label: 'Second' }));
+
+      expect(registry.getAll()).toHaveLength(1);
+      expect(registry.get('test-effect')?.label).toBe('Second');
+    });
+
+    it('should throw when a definition has no id', () => {
+      expect(() => registry.register(createDefinition({ id: '' }))).toThrow(
+        'Content type definition requires an id'
+      );
+    });
+
+    it('should return an unregister function', () => {
+      const unregister = registry.register(createDefinition());
+
+      unregister();
+
+      expect(registry.has('test-effect')).toBe(false);
+    });
+
+    it('should keep an override when the overridden definition unregisters', () => {
+      const unregisterFirst = registry.register(createDefinition({ label: 'First' }));
+      registry.register(createDefinition({ label: 'Override' }));
+
+      unregisterFirst();
+
+      expect(registry.get('test-effect')?.label).toBe('Override');
+    });
+
+    it('should register and unregister a whole pack', () => {
+      const unregisterPack = registry.registerAll([
+        createDefinition({ id: 'a' }),
+        createDefinition({ id: 'b' })
+      ]);
+      expect(registry.getAll()).toHaveLength(2);
+
+      unregisterPack();
+
+      expect(registry.getAll()).toHaveLength(0);
+    });
+  });
+
+  describe('categories', () => {
+    it('should group definitions by category in registration order', () => {
+      registry.registerAll([
+        createDefinition({ id: 'checker', category: 'Calibration Patterns' }),
+        createDefinition({ id: 'plasma', category: 'Shader Effects' }),
+        createDefinition({ id: 'grid', category: 'Calibration Patterns' })
+      ]);
+
+      const categories = registry.getCategories();
+
+      expect(categories.map(category => category.name)).toEqual([
+        'Calibration Patterns',
+        'Shader Effects'
+      ]);
+      expect(categories[0]?.definitions.map(definition => definition.id)).toEqual(['checker', 'grid']);
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('should notify listeners when definitions change', () => {
+      const listener = vi.fn();
+      registry.subscribe(listener);
+
+      const unregister = registry.register(createDefinition());
+      unregister();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return a new snapshot only when definitions change', () => {
+      const before = registry.getAll();
+      expect(registry.getAll()).toBe(before);
+
+      registry.register(createDefinition());
+
+      expect(registry.getAll()).not.toBe(before);
+    });
+
+    it('should stop notifying after unsubscribe', () => {
+      const listener = vi.fn();
+      const unsubscribe = registry.subscribe(listener);
+
+      unsubscribe();
+      registry.register(createDefinition());
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('content data validation', () => {
+    it('should validate content data against the type schema', () => {
+      registry.register(createDefinition({
+        contentDataSchema: z.object({ speed: z.number() })
+      }));
+
+      expect(registry.validateContentData('test-effect', { speed: 2 }).success).toBe(true);
+      expect(registry.validateContentData('test-effect', { speed: 'fast' }).success).toBe(false);
+    });
+
+    it('should accept any content data when the type has no schema', () => {
+      registry.register(createDefinition());
+
+      expect(registry.validateContentData('test-effect', { anything: true }).success).toBe(true);
+    });
+
+    it('should fail for unknown content types', () => {
+      const result = registry.validateContentData('missing', {});
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import type { ComponentType, RefObject } from 'react';
+import type { z } from 'zod';
+import type { ContentData, Surface } from '../schemas';
+import type { EffectParameterDefinitions } from './effect-parameters';
+
+export type ContentMaterialProps = {
+  surface: Surface;
+  baseProps: Record<string, unknown>;
+  materialRef: RefObject<unknown>;
+};
+
+export type ContentEditorProps = {
+  surface: Surface;
+  updateSurfaceContent: (id: string, contentType: string, contentData?: ContentData) => void;
+  showNotification: (message: string, duration?: number) => void;
+};
+
+export type ContentTypeDefinition = {
+  id: string;
+  label: string;
+  category: string;
+  material: ComponentType<ContentMaterialProps>;
+  contentDataSchema?: z.ZodType;
+  parameters?: EffectParameterDefinitions;
+  editor?: ComponentType<ContentEditorProps>;
+  createContentData?: () => ContentData;
+  onSelectMessage?: string;
+};
+
+export type ContentCategory = {
+  name: string;
+  definitions: ContentTypeDefinition[];
+};
+
+type RegistryListener = () => void;
+
+export type ContentDataValidation =
+  | { success: true; data: ContentData }
+  | { success: false; error: z.ZodError | Error };
+
+export const createContentRegistry = () => {
+  const definitions = new Map<string, ContentTypeDefinition>();
+  const listeners = new Set<RegistryListener>();
+  let snapshot: ContentTypeDefinition[] = [];
+
+  const notify = (): void => {
+    snapshot = Array.from(definitions.values());
+    listeners.forEach(listener => listener());
+  };
+
+  const register = (definition: ContentTypeDefinition): (() => void) => {
+    if (!definition.id) {
+      throw new Error('Content type definition requires an id');
+    }
+
+    definitions.set(definition.id, definition);
+    notify();
+
+    // Leave an override registered later under the same id in place
+    return () => {
+      if (definitions.get(definition.id) === definition) {
+        unregister(definition.id);
+      }
+    };
+  };
+
+  const registerAll = (newDefinitions: ContentTypeDefinition[]): (() => void) => {
+    const unregisters = newDefinitions.map(register);
+    return () => unregisters.forEach(unregisterOne => unregisterOne());
+  };
+
+  const unregister = (id: string): void => {
+    if (definitions.delete(id)) {
+      notify();
+    }
+  };
+
+  const get = (id: string): ContentTypeDefinition | undefined => definitions.get(id);
+
+  const has = (id: string): boolean => definitions.has(id);
+
+  const getAll = (): ContentTypeDefinition[] => snapshot;
+
+  const getCategories = (): ContentCategory[] => {
+    const categories = new Map<string, ContentTypeDefinition[]>();
+    snapshot.forEach(definition => {
+      const existing = categories.get(definition.category) ?? [];
+      categories.set(definition.category, [...existing, definition]);
+    });
+    return Array.from(categories, ([name, categoryDefinitions]) => ({
+      name,
+      definitions: categoryDefinitions
+    }));
+  };
+
+  const validateContentData = (id: string, contentData: unknown): ContentDataValidation => {
+    const definition = definitions.get(id);
+    if (!definition) {
+      return { success: false, error: new Error(`Unknown content type "${id}"`) };
+    }
+    if (!definition.contentDataSchema) {
+      return { success: true, data: contentData as ContentData };
+    }
+
+    const result = definition.contentDataSchema.safeParse(contentData);
+    return result.success
+      ? { success: true, data: result.data as ContentData }
+      : { success: false, error: result.error };
+  };
+
+  const subscribe = (listener: RegistryListener): (() => void) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  return {
+    register,
+    registerAll,
+    unregister,
+    get,
+    has,
+    getAll,
+    getCategories,
+    validateContentData,
+    subscribe
+  };
+};
+
+export type ContentRegistry = ReturnType<typeof createContentRegistry>;
+
+export const contentRegistry = createContentRegistry();
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createCue,
+  getAdjacentCue,
+  getCrossfade,
+  getCueUpdates,
+  getTransitionProgress
+} from './cues';
+import { blendColors } from './blend-modes';
+import type { Rgb } from './color-correction';
+import { createDefaultSurface } from './surface-factory';
+import { CueArraySchema } from '../schemas';
+import type { CueSurfaceState } from '../schemas';
+
+const surfaceA = { ...createDefaultSurface({ id: 'surface-1' }), contentType: 'plasma', opacity: 0.5 };
+const surfaceB = createDefaultSurface({ id: 'surface-2', visible: false });
+
+const state = (overrides: Partial<CueSurfaceState> = {}): CueSurfaceState => ({
+  contentType: 'red',
+  contentData: undefined,
+  visible: true,
+  opacity: 1,
+  ...overrides
+});
+
+describe('cues', () => {
+  describe('createCue', () => {
+    it('should snapshot content, visibility and opacity of every surface', () => {
+      const cue = createCue('Intro', [surfaceA, surfaceB], []);
+
+      expect(cue.id).toBe('cue-1');
+      expect(cue.surfaces['surface-1']).toEqual({ contentType: 'plasma', contentData: undefined, visible: true, opacity: 0.5 });
+      expect(cue.surfaces['surface-2']?.visible).toBe(false);
+      expect(CueArraySchema.safeParse([cue]).success).toBe(true);
+    });
+
+    it('should pick an unused id and a default name', () => {
+      const cue = createCue(' ', [], [{ id: 'cue-1' }, { id: 'cue-4' }]);
+
+      expect(cue.id).toBe('cue-5');
+      expect(cue.name).toBe('Cue 3');
+    });
+  });
+
+  it('should only update existing surfaces that differ from the cue', () => {
+    const cue = createCue('Intro', [surfaceA, surfaceB], []);
+    const changed = { ...surfaceB, visible: true };
+    const added = createDefaultSurface({ id: 'surface-3' });
+
+    expect(getCueUpdates([surfaceA, changed, added], cue)).toEqual({ 'surface-2': cue.surfaces['surface-2'] });
+  });
+
+  it('should step through the cue list', () => {
+    const cues = [createCue('One', [], []), createCue('Two', [], [{ id: 'cue-1' }])];
+
+    expect(getAdjacentCue(cues, null, 1)?.id).toBe('cue-1');
+    expect(getAdjacentCue(cues, null, -1)).toBeNull();
+    expect(getAdjacentCue(cues, 'cue-1', 1)?.id).toBe('cue-2');
+    expect(getAdjacentCue(cues, 'cue-2', 1)).toBeNull();
+    expect(getAdjacentCue(cues, 'cue-2', -1)?.id).toBe('cue-1');
+  });
+
+  it('should measure transition progress in seconds', () => {
+    const transition = { cueId: 'cue-1', from: {}, startedAt: 1000, duration: 2 };
+
+    expect(getTransitionProgress(transition, 500)).toBe(0);
+    expect(getTransitionProgress(transition, 2000)).toBe(0.5);
+    expect(getTransitionProgress(transition, 9000)).toBe(1);
+    expect(getTransitionProgress({ ...transition, duration: 0 }, 1000)).toBe(1);
+  });
+
+  describe('getCrossfade', () => {
+    it('should fade a single layer when only visibility or opacity change', () => {
+      expect(getCrossfade(state({ visible: false }), state({ opacity: 0.8 }), 0.5)).toEqual({ incoming: 0.4, outgoing: null });
+    });
+
+    it('should blend changed content to the exact mix of before and after', () => {
+      const below: Rgb = [0.2, 0.2, 0.2];
+      const before: Rgb = [1, 0, 0];
+      const after: Rgb = [0, 0, 1];
+      const from = state({ contentType: 'red', opacity: 0.6 });
+      const to = state({ contentType: 'blue', opacity: 0.9 });
+
+      [0, 0.3, 0.7, 1].forEach(progress => {
+        const { incoming, outgoing } = getCrossfade(from, to, progress);
+        const drawn = blendColors(after, blendColors(before, below, outgoing ?? 0, 'normal'), incoming, 'normal');
+        const expected = blendColors(
+          blendColors(after, below, 0.9, 'normal'),
+          blendColors(before, below, 0.6, 'normal'),
+          progress,
+          'normal'
+        );
+        drawn.forEach((channel, i) => expect(channel).toBeCloseTo(expected[i] ?? NaN));
+      });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import type { Cue, CueSurfaceState, Surface } from '../schemas';
+import { CUE_FADE_LIMITS } from './constants';
+
+/**
+ * A cue being faded in. Every window fading the same cue shares `startedAt`
+ * (ms since epoch), so they all derive the same progress from their own clock.
+ */
+export type CueTransition = {
+  cueId: string;
+  // Surface states before the cue fired, faded out as the cue's fade in
+  from: Record<string, CueSurfaceState>;
+  startedAt: number;
+  // Seconds
+  duration: number;
+};
+
+export type Crossfade = {
+  // Opacity of the surface as it is now (the cue's state)
+  incoming: number;
+  // Opacity of a layer showing the previous content underneath, or null when
+  // the content did not change and fading the one layer is enough
+  outgoing: number | null;
+};
+
+const CUE_ID_PATTERN = /^cue-(\d+)$/;
+
+export const getCueSurfaceState = (surface: Surface): CueSurfaceState => ({
+  contentType: surface.contentType,
+  contentData: surface.contentData,
+  visible: surface.visible,
+  opacity: surface.opacity ?? 1
+});
+
+export const captureCueStates = (surfaces: Surface[]): Record<string, CueSurfaceState> =>
+  Object.fromEntries(surfaces.map(surface => [surface.id, getCueSurfaceState(surface)]));
+
+/**
+ * New cue holding the current state of every surface, with an id no existing cue uses
+ */
+export const createCue = (
+  name: string,
+  surfaces: Surface[],
+  existing: Pick<Cue, 'id'>[],
+  fadeDuration: number = CUE_FADE_LIMITS.DEFAULT
+): Cue => {
+  const highest = existing.reduce((max, cue) => Math.max(max, Number(CUE_ID_PATTERN.exec(cue.id)?.[1] ?? 0)), 0);
+  return {
+    id: `cue-${highest + 1}`,
+    name: name.trim() || `Cue ${existing.length + 1}`,
+    fadeDuration,
+    surfaces: captureCueStates(surfaces)
+  };
+};
+
+const isSameContent = (a: CueSurfaceState, b: CueSurfaceState): boolean =>
+  a.contentType === b.contentType && JSON.stringify(a.contentData) === JSON.stringify(b.contentData);
+
+export const isSameCueSurfaceState = (a: CueSurfaceState, b: CueSurfaceState): boolean =>
+  isSameContent(a, b) && a.visible === b.visible && a.opacity === b.opacity;
+
+/**
+ * Surface updates that bring the existing surfaces to a cue's states
+ * (surfaces already in that state, or deleted since, are left out)
+ */
+export const getCueUpdates = (surfaces: Surface[], cue: Cue): Record<string, CueSurfaceState> =>
+  Object.fromEntries(surfaces.flatMap(surface => {
+    const state = cue.surfaces[surface.id];
+    return state && !isSameCueSurfaceState(getCueSurfaceState(surface), state)
+      ? [[surface.id, state]]
+      : [];
+  }));
+
+/**
+ * Cue `offset` steps from the current one. With no current cue, GO starts at the first.
+ */
+export const getAdjacentCue = (cues: Cue[], currentCueId: string | null, offset: 1 | -1): Cue | null => {
+  const index = cues.findIndex(cue => cue.id === currentCueId);
+  if (index === -1) {
+    return offset === 1 ? cues[0] ?? null : null;
+  }
+  return cues[index + offset] ?? null;
+};
+
+/**
+ * 0 when the transition starts, 1 once it is done
+ */
+export const getTransitionProgress = (transition: CueTransition, now: number): number => {
+  if (transition.duration <= 0) return 1;
+  return Math.min(Math.max((now - transition.startedAt) / (transition.duration * 1000), 0), 1);
+};
+
+/**
+ * Opacities that crossfade a surface from one state to another.
+ * When the content changed, the previous content is drawn underneath with an
+ * opacity chosen so the two layers blend (normal mode) to exactly
+ * `lerp(before, after, progress)` over whatever is below the surface.
+ */
+export const getCrossfade = (from: CueSurfaceState, to: CueSurfaceState, progress: number): Crossfade => {
+  const fromAlpha = from.visible ? from.opacity : 0;
+  const toAlpha = to.visible ? to.opacity : 0;
+  if (isSameContent(from, to)) {
+    return { incoming: fromAlpha + (toAlpha - fromAlpha) * progress, outgoing: null };
+  }
+
+  const incoming = toAlpha * progress;
+  const remaining = 1 - incoming;
+  return {
+    incoming,
+    outgoing: remaining > 0 ? Math.min((fromAlpha * (1 - progress)) / remaining, 1) : 0
+  };
+};
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_EDGE_BLEND,
+  getBlackLift,
+  getEdgeBlendFactor,
+  getEdgeBlendLuminance,
+  getEdgeRamp,
+  isEdgeBlendActive
+} from './edge-blend';
+import type { EdgeBlend } from '../schemas';
+
+const blend = (overrides: Partial<EdgeBlend>): EdgeBlend => ({ ...DEFAULT_EDGE_BLEND, ...overrides });
+
+describe('edge blend', () => {
+  describe('getEdgeRamp', () => {
+    it('should run from 0 at the outer edge to 1 at the inner edge', () => {
+      expect(getEdgeRamp(0, 2)).toBe(0);
+      expect(getEdgeRamp(0.5, 2)).toBe(0.5);
+      expect(getEdgeRamp(1, 2)).toBe(1);
+      expect(getEdgeRamp(0.25, 1)).toBe(0.25);
+    });
+
+    it('should sum to 1 with the mirrored ramp of the other projector', () => {
+      [0.1, 0.3, 0.7, 0.9].forEach(t => {
+        expect(getEdgeRamp(t, 3) + getEdgeRamp(1 - t, 3)).toBeCloseTo(1);
+      });
+    });
+  });
+
+  describe('getEdgeBlendLuminance', () => {
+    const rightEdge = blend({ right: 0.2, curve: 1 });
+
+    it('should leave the area outside the zones untouched', () => {
+      expect(getEdgeBlendLuminance({ x: 0.5, y: 0.5 }, rightEdge)).toBe(1);
+    });
+
+    it('should fade towards the blended side', () => {
+      expect(getEdgeBlendLuminance({ x: 0.9, y: 0.5 }, rightEdge)).toBeCloseTo(0.5);
+      expect(getEdgeBlendLuminance({ x: 1, y: 0.5 }, rightEdge)).toBe(0);
+    });
+
+    it('should multiply overlapping zones in a corner', () => {
+      const corner = blend({ right: 0.2, bottom: 0.2, curve: 1 });
+
+      expect(getEdgeBlendLuminance({ x: 0.9, y: 0.9 }, corner)).toBeCloseTo(0.25);
+    });
+  });
+
+  describe('getEdgeBlendFactor', () => {
+    it('should undo the projector gamma', () => {
+      const edge = blend({ left: 0.2, curve: 1, gamma: 2 });
+
+      expect(getEdgeBlendFactor({ x: 0.1, y: 0.5 }, edge)).toBeCloseTo(Math.sqrt(0.5));
+    });
+
+    it('should not change anything when disabled', () => {
+      expect(getEdgeBlendFactor({ x: 0, y: 0.5 }, blend({ left: 0.2, enabled: false }))).toBe(1);
+    });
+  });
+
+  describe('getBlackLift', () => {
+    const edge = blend({ left: 0.2, blackLevel: 0.05 });
+
+    it('should lift the black outside the overlap only', () => {
+      expect(getBlackLift({ x: 0.5, y: 0.5 }, edge)).toBe(0.05);
+      expect(getBlackLift({ x: 0.1, y: 0.5 }, edge)).toBe(0);
+    });
+  });
+
+  it('should only be active when it changes the picture', () => {
+    expect(isEdgeBlendActive(undefined)).toBe(false);
+    expect(isEdgeBlendActive(DEFAULT_EDGE_BLEND)).toBe(false);
+    expect(isEdgeBlendActive(blend({ top: 0.1 }))).toBe(true);
+    expect(isEdgeBlendActive(blend({ top: 0.1, enabled: false }))).toBe(false);
+    expect(isEdgeBlendActive(blend({ blackLevel: 0.02 }))).toBe(true);
+  });
+});
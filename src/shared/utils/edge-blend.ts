@@ -0,0 +1,73 @@
+import type { CornerPoint, EdgeBlend } from '../schemas';
+
+export const EDGE_BLEND_SIDES = ['left', 'right', 'top', 'bottom'] as const;
+export type EdgeBlendSide = typeof EDGE_BLEND_SIDES[number];
+
+export const DEFAULT_EDGE_BLEND: EdgeBlend = {
+  enabled: true,
+  left: 0,
+  right: 0,
+  top: 0,
+  bottom: 0,
+  curve: 2,
+  gamma: 2.2,
+  blackLevel: 0
+};
+
+/**
+ * S-shaped ramp from 0 at the outer edge of a zone (t = 0) to 1 at its inner
+ * edge (t = 1). Two projectors with mirrored ramps always sum to 1.
+ */
+export const getEdgeRamp = (t: number, curve: number): number => {
+  const clamped = Math.min(Math.max(t, 0), 1);
+  return clamped < 0.5
+    ? 0.5 * Math.pow(2 * clamped, curve)
+    : 1 - 0.5 * Math.pow(2 * (1 - clamped), curve);
+};
+
+// Distance of a normalized output point from each side
+const getSideDistance = (point: CornerPoint, side: EdgeBlendSide): number => {
+  switch (side) {
+    case 'left': return point.x;
+    case 'right': return 1 - point.x;
+    case 'top': return point.y;
+    case 'bottom': return 1 - point.y;
+  }
+};
+
+const isInZone = (point: CornerPoint, edgeBlend: EdgeBlend, side: EdgeBlendSide): boolean =>
+  edgeBlend[side] > 0 && getSideDistance(point, side) < edgeBlend[side];
+
+/**
+ * Light (0 to 1) that should reach the wall at a normalized output point
+ */
+export const getEdgeBlendLuminance = (point: CornerPoint, edgeBlend: EdgeBlend): number =>
+  EDGE_BLEND_SIDES.reduce((luminance, side) => (
+    isInZone(point, edgeBlend, side)
+      ? luminance * getEdgeRamp(getSideDistance(point, side) / edgeBlend[side], edgeBlend.curve)
+      : luminance
+  ), 1);
+
+/**
+ * Factor the pixel value is scaled by to produce that light, undoing the projector's gamma
+ */
+export const getEdgeBlendFactor = (point: CornerPoint, edgeBlend: EdgeBlend): number => {
+  if (!edgeBlend.enabled) return 1;
+  return Math.pow(getEdgeBlendLuminance(point, edgeBlend), 1 / edgeBlend.gamma);
+};
+
+/**
+ * Black lift at a point: the black level outside every blend zone, none inside one
+ */
+export const getBlackLift = (point: CornerPoint, edgeBlend: EdgeBlend): number => {
+  if (!edgeBlend.enabled) return 0;
+  return EDGE_BLEND_SIDES.some(side => isInZone(point, edgeBlend, side)) ? 0 : edgeBlend.blackLevel;
+};
+
+/**
+ * Whether the blend pass changes the picture at all
+ */
+export const isEdgeBlendActive = (edgeBlend: EdgeBlend | undefined): edgeBlend is EdgeBlend =>
+  edgeBlend !== undefined
+  && edgeBlend.enabled
+  && (edgeBlend.blackLevel > 0 || EDGE_BLEND_SIDES.some(side => edgeBlend[side] > 0));
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EffectParameterDefinitionsSchema,
+  coerceParameterValue,
+  createParameterUniforms,
+  getDefaultParameterValues,
+  hexToRgb,
+  resolveParameterValues,
+  toUniformValues
+} from './effect-parameters';
+import type { EffectParameterDefinitions } from './effect-parameters';
+
+const PARAMETERS: EffectParameterDefinitions = {
+  speed: { type: 'float', label: 'Speed', default: 1, min: 0, max: 5 },
+  segments: { type: 'int', label: 'Segments', default: 8, min: 2, max: 24 },
+  color1: { type: 'color', label: 'Color 1', default: '#ff0080' },
+  pulse: { type: 'bool', label: 'Pulse', default: true }
+};
+
+describe('effect parameters', () => {
+  describe('schema', () => {
+    it('should accept every parameter type', () => {
+      expect(EffectParameterDefinitionsSchema.safeParse(PARAMETERS).success).toBe(true);
+    });
+
+    it('should reject a color default that is not a hex color', () => {
+      const result = EffectParameterDefinitionsSchema.safeParse({
+        tint: { type: 'color', label: 'Tint', default: 'red' }
+      });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('hexToRgb', () => {
+    it('should convert a hex color to normalized RGB', () => {
+      const [r, g, b] = hexToRgb('#ff8000');
+
+      expect(r).toBe(1);
+      expect(g).toBeCloseTo(128 / 255);
+      expect(b).toBe(0);
+    });
+  });
+
+  describe('coerceParameterValue', () => {
+    it('should clamp floats to their range', () => {
+      expect(coerceParameterValue(PARAMETERS['speed']!, 12)).toBe(5);
+      expect(coerceParameterValue(PARAMETERS['speed']!, -1)).toBe(0);
+    });
+
+    it('should round and clamp ints', () => {
+      expect(coerceParameterValue(PARAMETERS['segments']!, 6.6)).toBe(7);
+      expect(coerceParameterValue(PARAMETERS['segments']!, 100)).toBe(24);
+    });
+
+    it('should fall back to the default for values of the wrong type', () => {
+      expect(coerceParameterValue(PARAMETERS['speed']!, 'fast')).toBe(1);
+      expect(coerceParameterValue(PARAMETERS['color1']!, 'blue')).toBe('#ff0080');
+      expect(coerceParameterValue(PARAMETERS['pulse']!, 1)).toBe(true);
+    });
+  });
+
+  describe('resolveParameterValues', () => {
+    it('should use defaults when nothing is stored', () => {
+      expect(resolveParameterValues(PARAMETERS)).toEqual(getDefaultParameterValues(PARAMETERS));
+    });
+
+    it('should merge stored values over defaults and drop unknown keys', () => {
+      const values = resolveParameterValues(PARAMETERS, {
+        speed: 2.5,
+        color1: '#00FF00',
+        removed: 3
+      });
+
+      expect(values).toEqual({
+        speed: 2.5,
+        segments: 8,
+        color1: '#00ff00',
+        pulse: true
+      });
+    });
+  });
+
+  describe('uniforms', () => {
+    it('should convert colors to vec3 arrays and keep other values', () => {
+      const uniforms = toUniformValues(PARAMETERS, { ...getDefaultParameterValues(PARAMETERS), color1: '#0000ff' });
+
+      expect(uniforms['color1']).toEqual([0, 0, 1]);
+      expect(uniforms['speed']).toBe(1);
+      expect(uniforms['pulse']).toBe(true);
+    });
+
+    it('should create default uniforms for a definition', () => {
+      const uniforms = createParameterUniforms(PARAMETERS);
+
+      expect(Object.keys(uniforms)).toEqual(['speed', 'segments', 'color1', 'pulse']);
+      expect(uniforms['segments']).toBe(8);
+    });
+  });
+});
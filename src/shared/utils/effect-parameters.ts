@@ -0,0 +1,117 @@
+import { z } from 'zod';
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export const EffectParameterDefinitionSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('float'),
+    label: z.string(),
+    default: z.number(),
+    min: z.number(),
+    max: z.number(),
+    step: z.number().positive().optional()
+  }),
+  z.object({
+    type: z.literal('int'),
+    label: z.string(),
+    default: z.number().int(),
+    min: z.number().int(),
+    max: z.number().int()
+  }),
+  z.object({
+    type: z.literal('color'),
+    label: z.string(),
+    default: z.string().regex(HEX_COLOR_PATTERN)
+  }),
+  z.object({
+    type: z.literal('bool'),
+    label: z.string(),
+    default: z.boolean()
+  })
+]);
+export type EffectParameterDefinition = z.infer<typeof EffectParameterDefinitionSchema>;
+
+export const EffectParameterDefinitionsSchema = z.record(z.string(), EffectParameterDefinitionSchema);
+export type EffectParameterDefinitions = z.infer<typeof EffectParameterDefinitionsSchema>;
+
+export type EffectParameterValue = number | boolean | string;
+export type EffectParameterValues = Record<string, EffectParameterValue>;
+export type EffectUniformValue = number | boolean | [number, number, number];
+
+const clamp = (value: number, min: number, max: number): number =>
+  Math.min(max, Math.max(min, value));
+
+export const hexToRgb = (hex: string): [number, number, number] => {
+  const value = parseInt(hex.slice(1), 16);
+  return [
+    ((value >> 16) & 255) / 255,
+    ((value >> 8) & 255) / 255,
+    (value & 255) / 255
+  ];
+};
+
+export const coerceParameterValue = (
+  definition: EffectParameterDefinition,
+  value: unknown
+): EffectParameterValue => {
+  switch (definition.type) {
+    case 'float':
+      return typeof value === 'number' && Number.isFinite(value)
+        ? clamp(value, definition.min, definition.max)
+        : definition.default;
+    case 'int':
+      return typeof value === 'number' && Number.isFinite(value)
+        ? clamp(Math.round(value), definition.min, definition.max)
+        : definition.default;
+    case 'color':
+      return typeof value === 'string' && HEX_COLOR_PATTERN.test(value)
+        ? value.toLowerCase()
+        : definition.default;
+    case 'bool':
+      return typeof value === 'boolean' ? value : definition.default;
+  }
+};
+
+export const getDefaultParameterValues = (
+  definitions: EffectParameterDefinitions
+): EffectParameterValues =>
+  Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [name, definition.default])
+  );
+
+export const resolveParameterValues = (
+  definitions: EffectParameterDefinitions,
+  stored: Record<string, unknown> = {}
+): EffectParameterValues =>
+  Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [
+      name,
+      coerceParameterValue(definition, stored[name])
+    ])
+  );
+
+export const toUniformValue = (
+  definition: EffectParameterDefinition,
+  value: EffectParameterValue
+): EffectUniformValue => {
+  if (definition.type === 'color') {
+    return hexToRgb(String(value));
+  }
+  return value as number | boolean;
+};
+
+export const toUniformValues = (
+  definitions: EffectParameterDefinitions,
+  values: EffectParameterValues
+): Record<string, EffectUniformValue> =>
+  Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [
+      name,
+      toUniformValue(definition, values[name] ?? definition.default)
+    ])
+  );
+
+export const createParameterUniforms = (
+  definitions: EffectParameterDefinitions
+): Record<string, EffectUniformValue> =>
+  toUniformValues(definitions, getDefaultParameterValues(definitions));
@@ -1,39 +1,20 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect } from 'vitest';
 import { getDefaultCorners } from './constants';
-import { GEOMETRY_TYPES } from './constants';
+import { DEFAULT_OUTPUT_RESOLUTION, GEOMETRY_TYPES } from './constants';
 
-describe('getDefaultCorners', () => {
-  const originalInnerWidth = window.innerWidth;
-  const originalInnerHeight = window.innerHeight;
-
-  beforeEach(() => {
-    // Set up a known window size for consistent testing
-    Object.defineProperty(window, 'innerWidth', {
-      writable: true,
-      configurable: true,
-      value: 1920
-    });
-    Object.defineProperty(window, 'innerHeight', {
-      writable: true,
-      configurable: true,
-      value: 1080
-    });
-  });
+import type { Corners, OutputResolution } from '../schemas';
 
-  afterEach(() => {
-    // Restore original values
-    Object.defineProperty(window, 'innerWidth', {
-      writable: true,
-      configurable: true,
-      value: originalInnerWidth
-    });
-    Object.defineProperty(window, 'innerHeight', {
-      writable: true,
-      configurable: true,
-      value: originalInnerHeight
-    });
-  });
+// Corners are normalized to the output; check shapes in output pixels
+const toOutputPixels = (corners: Corners, resolution: OutputResolution): Corners =>
+  Object.fromEntries(Object.entries(corners).map(([key, corner]) => [
+    key,
+    { x: corner.x * resolution.width, y: corner.y * resolution.height }
+  ]));
+
+const getPixelCorners = (cornerCount: number, resolution: OutputResolution = DEFAULT_OUTPUT_RESOLUTION) =>
+  toOutputPixels(getDefaultCorners(GEOMETRY_TYPES.POLYGON, cornerCount, resolution), resolution);
 
+describe('getDefaultCorners', () => {
   describe('corner count behavior', () => {
     it('should create 4 corners by default', () => {
       const corners = getDefaultCorners();
@@ -61,10 +42,10 @@ describe('getDefaultCorners', () => {
       expect(Object.keys(corners)).toHaveLength(3);
     });
 
-    it('should clamp corner count to maximum of 8', () => {
-      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 10);
+    it('should not cap the corner count', () => {
+      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 12);
 
-      expect(Object.keys(corners)).toHaveLength(8);
+      expect(Object.keys(corners)).toHaveLength(12);
     });
 
     it('should handle negative corner counts by clamping to 3', () => {
@@ -75,8 +56,8 @@ describe('getDefaultCorners', () => {
   });
 
   describe('corner positioning', () => {
-    it('should position corners centered in viewport', () => {
-      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+    it('should position corners centered in the output', () => {
+      const corners = getPixelCorners(4);
 
       // With 1920x1080, center should be at 960, 540
       const centerX = 960;
@@ -93,7 +74,7 @@ describe('getDefaultCorners', () => {
     });
 
     it('should calculate radius as 25% of smaller dimension', () => {
-      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+      const corners = getPixelCorners(4);
 
       // With 1920x1080, smaller dimension is 1080
       // Radius should be 1080 * 0.25 = 270
@@ -114,7 +95,7 @@ describe('getDefaultCorners', () => {
     });
 
     it('should distribute corners evenly around circle', () => {
-      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+      const corners = getPixelCorners(4);
 
       const centerX = 960;
       const centerY = 540;
@@ -158,7 +139,7 @@ describe('getDefaultCorners', () => {
     });
 
     it('should start first corner at top (angle -π/2)', () => {
-      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+      const corners = getPixelCorners(4);
 
       const centerX = 960;
       const centerY = 540;
@@ -174,12 +155,9 @@ describe('getDefaultCorners', () => {
     });
   });
 
-  describe('different viewport dimensions', () => {
-    it('should adapt to square viewport', () => {
-      Object.defineProperty(window, 'innerWidth', { value: 1000, configurable: true });
-      Object.defineProperty(window, 'innerHeight', { value: 1000, configurable: true });
-
-      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+  describe('different output resolutions', () => {
+    it('should adapt to a square output', () => {
+      const corners = getPixelCorners(4, { width: 1000, height: 1000 });
 
       // Center should be at 500, 500
       const avgX = Object.values(corners).reduce((sum, corner) => sum + corner.x, 0) / 4;
@@ -199,11 +177,8 @@ describe('getDefaultCorners', () => {
       expect(Math.abs(distance - 250)).toBeLessThan(0.01);
     });
 
-    it('should adapt to portrait viewport', () => {
-      Object.defineProperty(window, 'innerWidth', { value: 800, configurable: true });
-      Object.defineProperty(window, 'innerHeight', { value: 1200, configurable: true });
-
-      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+    it('should adapt to a portrait output', () => {
+      const corners = getPixelCorners(4, { width: 800, height: 1200 });
 
       // Center should be at 400, 600
       const avgX = Object.values(corners).reduce((sum, corner) => sum + corner.x, 0) / 4;
@@ -223,11 +198,8 @@ describe('getDefaultCorners', () => {
       expect(Math.abs(distance - 200)).toBeLessThan(0.01);
     });
 
-    it('should adapt to very wide viewport', () => {
-      Object.defineProperty(window, 'innerWidth', { value: 3840, configurable: true });
-      Object.defineProperty(window, 'innerHeight', { value: 1080, configurable: true });
-
-      const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+    it('should adapt to a very wide output', () => {
+      const corners = getPixelCorners(4, { width: 3840, height: 1080 });
 
       // Center should be at 1920, 540
       const avgX = Object.values(corners).reduce((sum, corner) => sum + corner.x, 0) / 4;
@@ -272,16 +244,27 @@ describe('getDefaultCorners', () => {
       expect(corners).not.toHaveProperty('point5');
     });
 
-    it('should produce numeric coordinates within viewport bounds', () => {
+    it('should produce normalized coordinates inside the output', () => {
       const corners = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
 
       Object.values(corners).forEach(corner => {
         expect(corner.x).toBeGreaterThan(0);
-        expect(corner.x).toBeLessThan(window.innerWidth);
+        expect(corner.x).toBeLessThan(1);
         expect(corner.y).toBeGreaterThan(0);
-        expect(corner.y).toBeLessThan(window.innerHeight);
+        expect(corner.y).toBeLessThan(1);
       });
     });
+
+    it('should not depend on the window size', () => {
+      const before = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+      const originalWidth = window.innerWidth;
+      Object.defineProperty(window, 'innerWidth', { value: 640, configurable: true });
+
+      const after = getDefaultCorners(GEOMETRY_TYPES.POLYGON, 4);
+      Object.defineProperty(window, 'innerWidth', { value: originalWidth, configurable: true });
+
+      expect(after).toEqual(before);
+    });
   });
 
   describe('geometry type parameter', () => {
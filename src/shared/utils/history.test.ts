@@ -0,0 +1,175 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { applyChanges, createHistory, diffCollections } from './history';
+import type { History } from './history';
+
+type Item = { id: string; value: number };
+
+const item = (id: string, value: number): Item => ({ id, value });
+const collection = (...items: Item[]) => new Map(items.map(entry => [entry.id, entry]));
+const withItem = (current: Map<string, Item>, entry: Item) => new Map(current).set(entry.id, entry);
+
+describe('history', () => {
+  let time: number;
+  let history: History<Item>;
+
+  beforeEach(() => {
+    time = 0;
+    history = createHistory<Item>({ now: () => time, coalesceWindow: 500 });
+  });
+
+  describe('diffCollections', () => {
+    it('should list added, changed and removed items', () => {
+      const kept = item('a', 1);
+      const changed = item('b', 1);
+      const removed = item('c', 1);
+      const previous = collection(kept, changed, removed);
+      const next = collection(kept, item('b', 2), item('d', 1));
+
+      const changes = diffCollections(previous, next);
+
+      expect([...changes.keys()].sort()).toEqual(['b', 'c', 'd']);
+      expect(changes.get('c')).toEqual({ before: removed, after: undefined });
+      expect(changes.get('d')?.before).toBeUndefined();
+    });
+  });
+
+  describe('applyChanges', () => {
+    it('should only touch changed items', () => {
+      const changes = diffCollections(collection(item('a', 1)), collection(item('a', 2)));
+      const current = collection(item('a', 2), item('b', 5));
+
+      expect(applyChanges(current, changes, 'before')).toEqual(collection(item('a', 1), item('b', 5)));
+    });
+  });
+
+  describe('undo and redo', () => {
+    it('should revert and reapply a change', () => {
+      const before = collection(item('a', 1));
+      const after = withItem(before, item('a', 2));
+      history.record(before, after, { label: 'Edit' });
+
+      const undone = history.undo(after);
+      expect(undone).toEqual(before);
+      expect(history.redo(undone ?? new Map())).toEqual(after);
+    });
+
+    it('should restore deleted items and remove added ones', () => {
+      const before = collection(item('a', 1));
+      const after = collection(item('b', 1));
+      history.record(before, after, { label: 'Replace' });
+
+      expect(history.undo(after)).toEqual(before);
+    });
+
+    it('should return null when there is nothing to undo or redo', () => {
+      expect(history.undo(new Map())).toBeNull();
+      expect(history.redo(new Map())).toBeNull();
+    });
+
+    it('should drop the redo stack when a new change is recorded', () => {
+      const first = collection(item('a', 1));
+      const second = withItem(first, item('a', 2));
+      history.record(first, second, { label: 'Edit' });
+      history.undo(second);
+
+      history.record(first, withItem(first, item('a', 3)), { label: 'Other edit' });
+
+      expect(history.getStatus()).toEqual({ canUndo: true, canRedo: false, undoLabel: 'Other edit', redoLabel: null });
+    });
+
+    it('should ignore edits that change nothing', () => {
+      const current = collection(item('a', 1));
+      history.record(current, new Map(current), { label: 'Edit' });
+
+      expect(history.getStatus().canUndo).toBe(false);
+    });
+
+    it('should keep at most the configured number of entries', () => {
+      const limited = createHistory<Item>({ limit: 2 });
+      let current = collection(item('a', 0));
+      for (let value = 1; value <= 3; value++) {
+        const next = withItem(current, item('a', value));
+        limited.record(current, next, { label: `Edit ${value}` });
+        current = next;
+      }
+
+      current = limited.undo(current) ?? current;
+      current = limited.undo(current) ?? current;
+
+      expect(current.get('a')?.value).toBe(1);
+      expect(limited.undo(current)).toBeNull();
+    });
+  });
+
+  describe('coalescing', () => {
+    const recordEdits = (values: number[], coalesceKey: string | null, step = 100) => {
+      let current = collection(item('a', 0));
+      values.forEach(value => {
+        const next = withItem(current, item('a', value));
+        history.record(current, next, { label: 'Edit', coalesceKey });
+        current = next;
+        time += step;
+      });
+      return current;
+    };
+
+    it('should merge quick edits with the same key', () => {
+      const current = recordEdits([1, 2, 3], 'a:value');
+
+      expect(history.undo(current)?.get('a')?.value).toBe(0);
+      expect(history.getStatus().canUndo).toBe(false);
+    });
+
+    it('should not merge edits further apart than the window', () => {
+      const current = recordEdits([1, 2], 'a:value', 1000);
+
+      expect(history.undo(current)?.get('a')?.value).toBe(1);
+    });
+
+    it('should not merge edits without a key', () => {
+      const current = recordEdits([1, 2], null);
+
+      expect(history.undo(current)?.get('a')?.value).toBe(1);
+    });
+
+    it('should merge a whole gesture regardless of pauses', () => {
+      history.beginGesture('Drag');
+      const current = recordEdits([1, 2, 3], null, 5000);
+      history.endGesture();
+
+      expect(history.getStatus().undoLabel).toBe('Drag');
+      expect(history.undo(current)?.get('a')?.value).toBe(0);
+    });
+
+    it('should start a new entry after a gesture ends', () => {
+      history.beginGesture('Drag');
+      let current = recordEdits([1], 'a:value');
+      history.endGesture();
+      const next = withItem(current, item('a', 2));
+      history.record(current, next, { label: 'Edit', coalesceKey: 'a:value' });
+      current = next;
+
+      expect(history.undo(current)?.get('a')?.value).toBe(1);
+    });
+
+    it('should not merge into an entry restored by redo', () => {
+      let current = recordEdits([1], 'a:value');
+      current = history.undo(current) ?? current;
+      current = history.redo(current) ?? current;
+      const next = withItem(current, item('a', 2));
+      history.record(current, next, { label: 'Edit', coalesceKey: 'a:value' });
+
+      expect(history.undo(next)?.get('a')?.value).toBe(1);
+    });
+  });
+
+  it('should notify subscribers when the history changes', () => {
+    const listener = vi.fn();
+    history.subscribe(listener);
+
+    history.record(collection(), collection(item('a', 1)), { label: 'Add' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(history.getStatus()).toEqual({ canUndo: true, canRedo: false, undoLabel: 'Add', redoLabel: null });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * What happened to one item of a collection; `undefined` means it did not exist
+ */
+export type HistoryChange<T> = {
+  before: T | undefined;
+  after: T | undefined;
+};
+
+export type HistoryEntry<T> = {
+  label: string;
+  changes: Map<string, HistoryChange<T>>;
+  coalesceKey: string | null;
+  time: number;
+};
+
+export type RecordOptions = {
+  label: string;
+  // Consecutive changes with the same key inside the coalesce window become one entry
+  coalesceKey?: string | null;
+};
+
+export type HistoryStatus = {
+  canUndo: boolean;
+  canRedo: boolean;
+  undoLabel: string | null;
+  redoLabel: string | null;
+};
+
+type HistoryConfig = {
+  limit?: number;
+  coalesceWindow?: number;
+  now?: () => number;
+};
+
+type Collection<T> = ReadonlyMap<string, T>;
+
+const DEFAULT_LIMIT = 100;
+const DEFAULT_COALESCE_WINDOW = 1000;
+
+/**
+ * Changed items between two versions of a collection, compared by reference
+ */
+export const diffCollections = <T>(
+  previous: Collection<T>,
+  next: Collection<T>
+): Map<string, HistoryChange<T>> => {
+  const changes = new Map<string, HistoryChange<T>>();
+  previous.forEach((item, id) => {
+    if (next.get(id) !== item) {
+      changes.set(id, { before: item, after: next.get(id) });
+    }
+  });
+  next.forEach((item, id) => {
+    if (!previous.has(id)) {
+      changes.set(id, { before: undefined, after: item });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Set each changed item to its `before` or `after` value.
+ * Items untouched by the changes keep their current value, so edits made
+ * elsewhere in the meantime survive an undo.
+ */
+export const applyChanges = <T>(
+  collection: Collection<T>,
+  changes: Map<string, HistoryChange<T>>,
+  side: keyof HistoryChange<T>
+): Map<string, T> => {
+  const next = new Map(collection);
+  changes.forEach((change, id) => {
+    const item = change[side];
+    if (item === undefined) {
+      next.delete(id);
+    } else {
+      next.set(id, item);
+    }
+  });
+  return next;
+};
+
+const mergeChanges = <T>(
+  earlier: Map<string, HistoryChange<T>>,
+  later: Map<string, HistoryChange<T>>
+): Map<string, HistoryChange<T>> => {
+  const merged = new Map(earlier);
+  later.forEach((change, id) => {
+    const existing = merged.get(id);
+    merged.set(id, existing ? { before: existing.before, after: change.after } : change);
+  });
+  merged.forEach((change, id) => {
+    if (change.before === change.after) {
+      merged.delete(id);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Create an undo/redo history for a collection of items keyed by id.
+ * Changes are recorded as per-item before/after pairs. A gesture (begin/end)
+ * collects every change made while it is open into a single entry.
+ */
+export const createHistory = <T>({
+  limit = DEFAULT_LIMIT,
+  coalesceWindow = DEFAULT_COALESCE_WINDOW,
+  now = Date.now
+}: HistoryConfig = {}) => {
+  let past: HistoryEntry<T>[] = [];
+  let future: HistoryEntry<T>[] = [];
+  // Last entry recorded (not restored by undo/redo), the only one changes may merge into
+  let mergeTarget: HistoryEntry<T> | null = null;
+  let gesture: { label: string; key: string } | null = null;
+  let gestureCount = 0;
+  const listeners = new Set<() => void>();
+  let status: HistoryStatus = { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null };
+
+  const notify = (): void => {
+    status = {
+      canUndo: past.length > 0,
+      canRedo: future.length > 0,
+      undoLabel: past[past.length - 1]?.label ?? null,
+      redoLabel: future[future.length - 1]?.label ?? null
+    };
+    listeners.forEach(listener => listener());
+  };
+
+  const record = (previous: Collection<T>, next: Collection<T>, options: RecordOptions): void => {
+    const changes = diffCollections(previous, next);
+    if (changes.size === 0) return;
+
+    const time = now();
+    const label = gesture?.label ?? options.label;
+    const coalesceKey = gesture?.key ?? options.coalesceKey ?? null;
+    const last = past[past.length - 1];
+    const canMerge = last !== undefined
+      && last === mergeTarget
+      && coalesceKey !== null
+      && last.coalesceKey === coalesceKey
+      && (gesture !== null || time - last.time <= coalesceWindow);
+
+    if (canMerge) {
+      const merged = { ...last, changes: mergeChanges(last.changes, changes), time };
+      past = merged.changes.size > 0 ? [...past.slice(0, -1), merged] : past.slice(0, -1);
+      mergeTarget = merged.changes.size > 0 ? merged : null;
+    } else {
+      const entry = { label, changes, coalesceKey, time };
+      past = [...past, entry].slice(-limit);
+      mergeTarget = entry;
+    }
+    future = [];
+    notify();
+  };
+
+  const beginGesture = (label: string): void => {
+    gesture = { label, key: `gesture-${++gestureCount}` };
+  };
+
+  const endGesture = (): void => {
+    gesture = null;
+    mergeTarget = null;
+  };
+
+  /**
+   * Resolves to the collection with the last entry reverted, or null when there is nothing to undo
+   */
+  const undo = (current: Collection<T>): Map<string, T> | null => {
+    const entry = past[past.length - 1];
+    if (!entry) return null;
+    past = past.slice(0, -1);
+    future = [...future, entry];
+    gesture = null;
+    mergeTarget = null;
+    notify();
+    return applyChanges(current, entry.changes, 'before');
+  };
+
+  const redo = (current: Collection<T>): Map<string, T> | null => {
+    const entry = future[future.length - 1];
+    if (!entry) return null;
+    future = future.slice(0, -1);
+    past = [...past, entry];
+    gesture = null;
+    mergeTarget = null;
+    notify();
+    return applyChanges(current, entry.changes, 'after');
+  };
+
+  const clear = (): void => {
+    past = [];
+    future = [];
+    mergeTarget = null;
+    notify();
+  };
+
+  return {
+    record,
+    beginGesture,
+    endGesture,
+    undo,
+    redo,
+    clear,
+    getStatus: (): HistoryStatus => status,
+    subscribe: (listener: () => void): (() => void) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+export type History<T> = ReturnType<typeof createHistory<T>>;
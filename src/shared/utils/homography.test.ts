@@ -0,0 +1,35 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createQuadHomography } from './homography';
+
+// The quad geometry's corners, clockwise from top-left
+const SOURCE = [-1, 1, 1, 1, 1, -1, -1, -1];
+
+describe('createQuadHomography', () => {
+  it('should map each source corner onto its destination corner', () => {
+    const destination = [-0.8, 0.9, 0.6, 0.7, 0.9, -0.5, -0.7, -0.9];
+    const transform = createQuadHomography(SOURCE, destination);
+
+    for (let i = 0; i < 4; i++) {
+      const [x, y] = transform(SOURCE[i * 2]!, SOURCE[i * 2 + 1]!);
+      expect(x).toBeCloseTo(destination[i * 2]!);
+      expect(y).toBeCloseTo(destination[i * 2 + 1]!);
+    }
+  });
+
+  it('should be projective rather than bilinear', () => {
+    // A trapezoid: the centre moves towards the short (far) edge
+    const transform = createQuadHomography(SOURCE, [-0.5, 1, 0.5, 1, 1, -1, -1, -1]);
+    const [x, y] = transform(0, 0);
+
+    expect(x).toBeCloseTo(0);
+    expect(y).toBeGreaterThan(0);
+  });
+
+  it('should leave points in place when the corners are collinear', () => {
+    // The underlying solver logs the singular matrix it gives up on
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const transform = createQuadHomography(SOURCE, [0, 0, 1, 0, 2, 0, 3, 0]);
+
+    expect(transform(0.25, -0.5)).toEqual([0.25, -0.5]);
+  });
+});
@@ -0,0 +1,18 @@
+import PerspT from 'perspective-transform';
+
+/**
+ * Projective map taking four source corners onto four destination corners,
+ * both flat [x0, y0, ..., x3, y3] in the same order. Degenerate (collinear)
+ * destination corners have no homography; points are then left in place
+ */
+export const createQuadHomography = (
+  sourcePoints: number[],
+  destinationPoints: number[]
+): ((x: number, y: number) => [number, number]) => {
+  const perspective = PerspT(sourcePoints, destinationPoints);
+
+  return (x, y) => {
+    const [tx, ty] = perspective.transform(x, y);
+    return Number.isFinite(tx) && Number.isFinite(ty) ? [tx, ty] : [x, y];
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createMask,
+  getMaskCoverage,
+  getNextMaskId,
+  isMaskShown,
+  signedDistanceToPolygon
+} from './masks';
+import { MaskSchema } from '../schemas';
+import type { Mask } from '../schemas';
+
+const SQUARE_OUTPUT = { width: 100, height: 100 };
+
+// Square from (0.2, 0.2) to (0.6, 0.6)
+const mask = (overrides: Partial<Mask> = {}): Mask => ({
+  ...createMask([], SQUARE_OUTPUT),
+  points: [{ x: 0.2, y: 0.2 }, { x: 0.6, y: 0.2 }, { x: 0.6, y: 0.6 }, { x: 0.2, y: 0.6 }],
+  ...overrides
+});
+
+describe('masks', () => {
+  describe('createMask', () => {
+    it('should create a valid square centred on the output', () => {
+      const created = createMask([], { width: 1920, height: 1080 });
+
+      expect(MaskSchema.safeParse(created).success).toBe(true);
+      expect(created.points[0]?.x).toBeCloseTo(0.5 - 108 / 1920);
+      expect(created.points[0]?.y).toBeCloseTo(0.4);
+    });
+
+    it('should number masks after the highest existing id', () => {
+      expect(getNextMaskId([{ id: 'mask-1' }, { id: 'mask-4' }, { id: 'other' }])).toBe('mask-5');
+      expect(createMask([{ id: 'mask-2' }]).name).toBe('Mask 3');
+    });
+  });
+
+  describe('signedDistanceToPolygon', () => {
+    const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+    it('should be negative inside and positive outside', () => {
+      expect(signedDistanceToPolygon({ x: 5, y: 2 }, square)).toBeCloseTo(-2);
+      expect(signedDistanceToPolygon({ x: 13, y: 14 }, square)).toBeCloseTo(5);
+    });
+
+    it('should handle concave outlines', () => {
+      const lShape = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 4 }, { x: 4, y: 4 }, { x: 4, y: 10 }, { x: 0, y: 10 }];
+
+      expect(signedDistanceToPolygon({ x: 7, y: 7 }, lShape)).toBeGreaterThan(0);
+      expect(signedDistanceToPolygon({ x: 2, y: 7 }, lShape)).toBeLessThan(0);
+    });
+  });
+
+  describe('getMaskCoverage', () => {
+    it('should block the inside of the outline', () => {
+      expect(getMaskCoverage({ x: 0.4, y: 0.4 }, mask(), SQUARE_OUTPUT)).toBe(1);
+      expect(getMaskCoverage({ x: 0.8, y: 0.4 }, mask(), SQUARE_OUTPUT)).toBe(0);
+    });
+
+    it('should block the outside when inverted', () => {
+      expect(getMaskCoverage({ x: 0.4, y: 0.4 }, mask({ invert: true }), SQUARE_OUTPUT)).toBe(0);
+      expect(getMaskCoverage({ x: 0.8, y: 0.4 }, mask({ invert: true }), SQUARE_OUTPUT)).toBe(1);
+    });
+
+    it('should fade across the feather in output pixels', () => {
+      const feathered = mask({ feather: 10 });
+
+      expect(getMaskCoverage({ x: 0.6, y: 0.4 }, feathered, SQUARE_OUTPUT)).toBeCloseTo(0.5);
+      expect(getMaskCoverage({ x: 0.54, y: 0.4 }, feathered, SQUARE_OUTPUT)).toBe(1);
+      expect(getMaskCoverage({ x: 0.66, y: 0.4 }, feathered, SQUARE_OUTPUT)).toBe(0);
+    });
+  });
+
+  it('should hide masks flagged for calibration only in calibration mode', () => {
+    expect(isMaskShown({ visible: true, hideInCalibration: true }, 'calibration')).toBe(false);
+    expect(isMaskShown({ visible: true, hideInCalibration: true }, 'playback')).toBe(true);
+    expect(isMaskShown({ visible: false, hideInCalibration: false }, 'playback')).toBe(false);
+  });
+});
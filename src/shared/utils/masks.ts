@@ -0,0 +1,90 @@
+import type { AppMode, CornerPoint, Mask, OutputResolution } from '../schemas';
+import { APP_MODES, DEFAULT_OUTPUT_RESOLUTION } from './constants';
+
+const MASK_ID_PATTERN = /^mask-(\d+)$/;
+
+export const getNextMaskId = (masks: Pick<Mask, 'id'>[]): string => {
+  const next = masks.reduce((number, mask) => {
+    const match = MASK_ID_PATTERN.exec(mask.id);
+    return match ? Math.max(number, Number(match[1]) + 1) : number;
+  }, 1);
+  return `mask-${next}`;
+};
+
+/**
+ * Square mask centred on the output, a fifth of its shorter side wide
+ */
+export const createMask = (
+  existing: Pick<Mask, 'id'>[],
+  resolution: OutputResolution = DEFAULT_OUTPUT_RESOLUTION
+): Mask => {
+  const id = getNextMaskId(existing);
+  const half = Math.min(resolution.width, resolution.height) * 0.1;
+  const dx = half / resolution.width;
+  const dy = half / resolution.height;
+  return {
+    id,
+    name: `Mask ${id.slice('mask-'.length)}`,
+    points: [
+      { x: 0.5 - dx, y: 0.5 - dy },
+      { x: 0.5 + dx, y: 0.5 - dy },
+      { x: 0.5 + dx, y: 0.5 + dy },
+      { x: 0.5 - dx, y: 0.5 + dy }
+    ],
+    invert: false,
+    feather: 0,
+    hideInCalibration: false,
+    visible: true
+  };
+};
+
+/**
+ * Distance from a point to a polygon's outline, negative inside it
+ * (even-odd rule, so self-intersecting outlines still work)
+ */
+export const signedDistanceToPolygon = (point: CornerPoint, polygon: CornerPoint[]): number => {
+  const first = polygon[0];
+  const last = polygon[polygon.length - 1];
+  if (!first || !last) return Infinity;
+
+  let distance = (point.x - first.x) ** 2 + (point.y - first.y) ** 2;
+  let sign = 1;
+  let previous = last;
+  polygon.forEach(vertex => {
+    const edge = { x: previous.x - vertex.x, y: previous.y - vertex.y };
+    const toPoint = { x: point.x - vertex.x, y: point.y - vertex.y };
+    const t = Math.min(Math.max((toPoint.x * edge.x + toPoint.y * edge.y) / (edge.x ** 2 + edge.y ** 2 || 1), 0), 1);
+    distance = Math.min(distance, (toPoint.x - edge.x * t) ** 2 + (toPoint.y - edge.y * t) ** 2);
+
+    const crosses = [point.y >= vertex.y, point.y < previous.y, edge.x * toPoint.y > edge.y * toPoint.x];
+    if (crosses.every(Boolean) || crosses.every(condition => !condition)) {
+      sign = -sign;
+    }
+    previous = vertex;
+  });
+  return sign * Math.sqrt(distance);
+};
+
+const smoothstep = (edge0: number, edge1: number, x: number): number => {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * How much of the light a mask blocks (0 to 1) at a normalized output point.
+ * Distances are measured in output pixels, so feathering is even on both axes.
+ */
+export const getMaskCoverage = (point: CornerPoint, mask: Mask, resolution: OutputResolution): number => {
+  const toPixels = ({ x, y }: CornerPoint) => ({ x: x * resolution.width, y: y * resolution.height });
+  const distance = signedDistanceToPolygon(toPixels(point), mask.points.map(toPixels));
+  const inside = mask.feather > 0
+    ? 1 - smoothstep(-mask.feather / 2, mask.feather / 2, distance)
+    : distance <= 0 ? 1 : 0;
+  return mask.invert ? 1 - inside : inside;
+};
+
+/**
+ * Whether a mask is drawn in the given app mode
+ */
+export const isMaskShown = (mask: Pick<Mask, 'visible' | 'hideInCalibration'>, mode: AppMode): boolean =>
+  mask.visible && !(mask.hideInCalibration && mode === APP_MODES.CALIBRATION);
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createMasterClock,
+  getClockTime,
+  pauseClock,
+  resetClock,
+  resumeClock,
+  seekClock,
+  setClockSpeed
+} from './master-clock';
+import { CLOCK_WRAP_SECONDS } from './constants';
+import { MasterClockSchema } from '../schemas';
+
+const START = 1_000_000;
+
+describe('master clock', () => {
+  it('should create a valid clock running at normal speed from zero', () => {
+    const clock = createMasterClock(START);
+
+    expect(MasterClockSchema.safeParse(clock).success).toBe(true);
+    expect(getClockTime(clock, START + 1500)).toBe(1.5);
+  });
+
+  it('should hold its time while paused and continue from it', () => {
+    const paused = pauseClock(createMasterClock(START), START + 2000);
+
+    expect(getClockTime(paused, START + 9000)).toBe(2);
+    expect(getClockTime(resumeClock(paused, START + 9000), START + 10_000)).toBe(3);
+  });
+
+  it('should change speed without jumping', () => {
+    const clock = setClockSpeed(createMasterClock(START), 2, START + 1000);
+
+    expect(getClockTime(clock, START + 1000)).toBe(1);
+    expect(getClockTime(clock, START + 2000)).toBe(3);
+    expect(setClockSpeed(clock, 100, START).speed).toBe(4);
+  });
+
+  it('should seek and reset, keeping the play state', () => {
+    const paused = pauseClock(createMasterClock(START), START);
+
+    expect(getClockTime(seekClock(paused, 42, START + 500), START + 5000)).toBe(42);
+    expect(getClockTime(resetClock(createMasterClock(START), START + 5000), START + 6000)).toBe(1);
+    expect(getClockTime(seekClock(paused, -3, START), START)).toBe(0);
+  });
+
+  it('should wrap on long runs so shader time stays precise', () => {
+    const clock = createMasterClock(START);
+    const week = 7 * 24 * 60 * 60 * 1000;
+
+    expect(getClockTime(clock, START + week + 2500)).toBeCloseTo(((week + 2500) / 1000) % CLOCK_WRAP_SECONDS);
+    expect(getClockTime(clock, START + week)).toBeLessThan(CLOCK_WRAP_SECONDS);
+    expect(getClockTime(pauseClock(clock, START + week), START + week)).toBeLessThan(CLOCK_WRAP_SECONDS);
+  });
+
+  it('should give every window reading the same clock the same time', () => {
+    const clock = setClockSpeed(createMasterClock(START), 0.5, START + 4000);
+    const shared = JSON.parse(JSON.stringify(clock));
+
+    expect(getClockTime(shared, START + 8000)).toBe(getClockTime(clock, START + 8000));
+  });
+});
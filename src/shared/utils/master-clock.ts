@@ -0,0 +1,45 @@
+import type { MasterClock } from '../schemas';
+import { CLOCK_SPEED_LIMITS, CLOCK_WRAP_SECONDS } from './constants';
+
+const clamp = (value: number, min: number, max: number): number =>
+  Math.min(max, Math.max(min, value));
+
+export const createMasterClock = (now: number = Date.now()): MasterClock => ({
+  playing: true,
+  speed: 1,
+  anchorPosition: 0,
+  anchorTime: now
+});
+
+/**
+ * Clock time in seconds, the value every material receives as `time`;
+ * it wraps to 0 every CLOCK_WRAP_SECONDS so it stays precise on long runs
+ */
+export const getClockTime = (clock: MasterClock, now: number = Date.now()): number => {
+  const elapsed = clock.playing ? Math.max(0, now - clock.anchorTime) / 1000 * clock.speed : 0;
+  return (clock.anchorPosition + elapsed) % CLOCK_WRAP_SECONDS;
+};
+
+// Every change re-anchors at the current time so the clock continues
+// seamlessly from where each window already is
+
+const reanchor = (clock: MasterClock, now: number): MasterClock => ({
+  ...clock,
+  anchorPosition: getClockTime(clock, now),
+  anchorTime: now
+});
+
+export const resumeClock = (clock: MasterClock, now: number = Date.now()): MasterClock =>
+  ({ ...reanchor(clock, now), playing: true });
+
+export const pauseClock = (clock: MasterClock, now: number = Date.now()): MasterClock =>
+  ({ ...reanchor(clock, now), playing: false });
+
+export const setClockSpeed = (clock: MasterClock, speed: number, now: number = Date.now()): MasterClock =>
+  ({ ...reanchor(clock, now), speed: clamp(speed, CLOCK_SPEED_LIMITS.MIN, CLOCK_SPEED_LIMITS.MAX) });
+
+export const seekClock = (clock: MasterClock, time: number, now: number = Date.now()): MasterClock =>
+  ({ ...clock, anchorPosition: Math.max(0, time), anchorTime: now });
+
+export const resetClock = (clock: MasterClock, now: number = Date.now()): MasterClock =>
+  seekClock(clock, 0, now);
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createMeshWarp,
+  getLatticeIndex,
+  getLatticeUv,
+  isLatticeCorner,
+  sampleMeshWarpOffset,
+  warpUv,
+  setMeshWarpPoint,
+  resizeMeshWarp
+} from './mesh-warp';
+import { MeshWarpSchema } from '../schemas';
+
+describe('mesh warp', () => {
+  describe('createMeshWarp', () => {
+    it('should create a lattice of zero offsets', () => {
+      const meshWarp = createMeshWarp(3, 2);
+
+      expect(meshWarp.columns).toBe(3);
+      expect(meshWarp.rows).toBe(2);
+      expect(meshWarp.points).toHaveLength(6);
+      expect(meshWarp.points.every(point => point.x === 0 && point.y === 0)).toBe(true);
+    });
+
+    it('should clamp lattice size to the supported range', () => {
+      const meshWarp = createMeshWarp(1, 40);
+
+      expect(meshWarp.columns).toBe(2);
+      expect(meshWarp.rows).toBe(16);
+    });
+
+    it('should produce data that passes schema validation', () => {
+      expect(MeshWarpSchema.safeParse(createMeshWarp()).success).toBe(true);
+    });
+  });
+
+  describe('schema', () => {
+    it('should reject a lattice whose point count does not match its size', () => {
+      const meshWarp = { ...createMeshWarp(3, 3), points: [{ x: 0, y: 0 }] };
+
+      expect(MeshWarpSchema.safeParse(meshWarp).success).toBe(false);
+    });
+  });
+
+  describe('lattice addressing', () => {
+    it('should map indices to evenly spaced UVs', () => {
+      const meshWarp = createMeshWarp(3, 3);
+
+      expect(getLatticeUv(meshWarp, 0)).toEqual({ x: 0, y: 0 });
+      expect(getLatticeUv(meshWarp, getLatticeIndex(meshWarp, 1, 1))).toEqual({ x: 0.5, y: 0.5 });
+      expect(getLatticeUv(meshWarp, 8)).toEqual({ x: 1, y: 1 });
+    });
+
+    it('should identify the four lattice corners', () => {
+      const meshWarp = createMeshWarp(3, 3);
+      const corners = meshWarp.points
+        .map((_, index) => index)
+        .filter(index => isLatticeCorner(meshWarp, index));
+
+      expect(corners).toEqual([0, 2, 6, 8]);
+    });
+  });
+
+  describe('sampling', () => {
+    it('should leave UVs unchanged without a mesh warp', () => {
+      expect(warpUv(undefined, 0.3, 0.7)).toEqual({ x: 0.3, y: 0.7 });
+    });
+
+    it('should return the exact offset at a lattice point', () => {
+      const base = createMeshWarp(3, 3, false);
+      const meshWarp = setMeshWarpPoint(base, 4, { x: 0.1, y: -0.2 });
+
+      const offset = sampleMeshWarpOffset(meshWarp, 0.5, 0.5);
+
+      expect(offset.x).toBeCloseTo(0.1);
+      expect(offset.y).toBeCloseTo(-0.2);
+    });
+
+    it('should interpolate linearly between lattice points when not smooth', () => {
+      const base = createMeshWarp(3, 3, false);
+      const meshWarp = setMeshWarpPoint(base, 4, { x: 0.2, y: 0 });
+
+      expect(sampleMeshWarpOffset(meshWarp, 0.25, 0.5).x).toBeCloseTo(0.1);
+    });
+
+    it('should pass through lattice points when smooth', () => {
+      const base = createMeshWarp(4, 4, true);
+      const index = getLatticeIndex(base, 1, 2);
+      const meshWarp = setMeshWarpPoint(base, index, { x: 0.05, y: 0.05 });
+      const uv = getLatticeUv(meshWarp, index);
+
+      const warped = warpUv(meshWarp, uv.x, uv.y);
+
+      expect(warped.x).toBeCloseTo(uv.x + 0.05);
+      expect(warped.y).toBeCloseTo(uv.y + 0.05);
+    });
+  });
+
+  describe('resizeMeshWarp', () => {
+    it('should resample existing offsets onto the new lattice', () => {
+      const base = createMeshWarp(2, 2, false);
+      const meshWarp = {
+        ...base,
+        points: [{ x: 0, y: 0 }, { x: 0.2, y: 0 }, { x: 0, y: 0 }, { x: 0.2, y: 0 }]
+      };
+
+      const resized = resizeMeshWarp(meshWarp, 3, 2);
+
+      expect(resized.points).toHaveLength(6);
+      expect(resized.points[1]?.x).toBeCloseTo(0.1);
+      expect(resized.points[2]?.x).toBeCloseTo(0.2);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import type { CornerPoint, MeshWarp } from '../schemas';
+import { MESH_WARP_DEFAULTS } from './constants';
+
+type Uv = { x: number; y: number };
+
+const clampSize = (size: number): number =>
+  Math.min(MESH_WARP_DEFAULTS.MAX_SIZE, Math.max(MESH_WARP_DEFAULTS.MIN_SIZE, Math.round(size)));
+
+const clampIndex = (index: number, size: number): number =>
+  Math.min(size - 1, Math.max(0, index));
+
+export const createMeshWarp = (
+  columns: number = MESH_WARP_DEFAULTS.COLUMNS,
+  rows: number = MESH_WARP_DEFAULTS.ROWS,
+  smooth: boolean = true
+): MeshWarp => {
+  const safeColumns = clampSize(columns);
+  const safeRows = clampSize(rows);
+
+  return {
+    columns: safeColumns,
+    rows: safeRows,
+    smooth,
+    points: Array.from({ length: safeColumns * safeRows }, () => ({ x: 0, y: 0 }))
+  };
+};
+
+export const getLatticeIndex = (meshWarp: MeshWarp, column: number, row: number): number =>
+  row * meshWarp.columns + column;
+
+export const getLatticeUv = (meshWarp: MeshWarp, index: number): Uv => {
+  const column = index % meshWarp.columns;
+  const row = Math.floor(index / meshWarp.columns);
+
+  return {
+    x: column / (meshWarp.columns - 1),
+    y: row / (meshWarp.rows - 1)
+  };
+};
+
+export const isLatticeCorner = (meshWarp: MeshWarp, index: number): boolean => {
+  const column = index % meshWarp.columns;
+  const row = Math.floor(index / meshWarp.columns);
+  const isEdgeColumn = column === 0 || column === meshWarp.columns - 1;
+  const isEdgeRow = row === 0 || row === meshWarp.rows - 1;
+  return isEdgeColumn && isEdgeRow;
+};
+
+const getOffset = (meshWarp: MeshWarp, column: number, row: number): CornerPoint => {
+  const safeColumn = clampIndex(column, meshWarp.columns);
+  const safeRow = clampIndex(row, meshWarp.rows);
+  return meshWarp.points[getLatticeIndex(meshWarp, safeColumn, safeRow)] ?? { x: 0, y: 0 };
+};
+
+const lerp = (a: number, b: number, t: number): number => a + (b - a) * t;
+
+const catmullRom = (p0: number, p1: number, p2: number, p3: number, t: number): number => {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (
+    2 * p1 +
+    (-p0 + p2) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+  );
+};
+
+const locateCell = (value: number, size: number): { index: number; t: number } => {
+  const scaled = Math.min(1, Math.max(0, value)) * (size - 1);
+  const index = Math.min(size - 2, Math.floor(scaled));
+  return { index, t: scaled - index };
+};
+
+const sampleBilinear = (meshWarp: MeshWarp, u: number, v: number): CornerPoint => {
+  const { index: column, t: tx } = locateCell(u, meshWarp.columns);
+  const { index: row, t: ty } = locateCell(v, meshWarp.rows);
+
+  const bottomLeft = getOffset(meshWarp, column, row);
+  const bottomRight = getOffset(meshWarp, column + 1, row);
+  const topLeft = getOffset(meshWarp, column, row + 1);
+  const topRight = getOffset(meshWarp, column + 1, row + 1);
+
+  return {
+    x: lerp(lerp(bottomLeft.x, bottomRight.x, tx), lerp(topLeft.x, topRight.x, tx), ty),
+    y: lerp(lerp(bottomLeft.y, bottomRight.y, tx), lerp(topLeft.y, topRight.y, tx), ty)
+  };
+};
+
+const sampleBicubic = (meshWarp: MeshWarp, u: number, v: number): CornerPoint => {
+  const { index: column, t: tx } = locateCell(u, meshWarp.columns);
+  const { index: row, t: ty } = locateCell(v, meshWarp.rows);
+
+  const rowSamples = [-1, 0, 1, 2].map(rowOffset => {
+    const [p0, p1, p2, p3] = [-1, 0, 1, 2].map(columnOffset =>
+      getOffset(meshWarp, column + columnOffset, row + rowOffset)
+    ) as [CornerPoint, CornerPoint, CornerPoint, CornerPoint];
+
+    return {
+      x: catmullRom(p0.x, p1.x, p2.x, p3.x, tx),
+      y: catmullRom(p0.y, p1.y, p2.y, p3.y, tx)
+    };
+  }) as [CornerPoint, CornerPoint, CornerPoint, CornerPoint];
+
+  const [r0, r1, r2, r3] = rowSamples;
+  return {
+    x: catmullRom(r0.x, r1.x, r2.x, r3.x, ty),
+    y: catmullRom(r0.y, r1.y, r2.y, r3.y, ty)
+  };
+};
+
+export const sampleMeshWarpOffset = (meshWarp: MeshWarp, u: number, v: number): CornerPoint =>
+  meshWarp.smooth ? sampleBicubic(meshWarp, u, v) : sampleBilinear(meshWarp, u, v);
+
+export const warpUv = (meshWarp: MeshWarp | undefined, u: number, v: number): Uv => {
+  if (!meshWarp) {
+    return { x: u, y: v };
+  }
+
+  const offset = sampleMeshWarpOffset(meshWarp, u, v);
+  return { x: u + offset.x, y: v + offset.y };
+};
+
+/**
+ * Whether a lattice bends the surface at all (a fresh one does not)
+ */
+export const hasMeshWarpOffsets = (meshWarp: MeshWarp | undefined): boolean =>
+  Boolean(meshWarp?.points.some(point => point.x !== 0 || point.y !== 0));
+
+export const setMeshWarpPoint = (
+  meshWarp: MeshWarp,
+  index: number,
+  offset: CornerPoint
+): MeshWarp => ({
+  ...meshWarp,
+  points: meshWarp.points.map((point, i) => (i === index ? { x: offset.x, y: offset.y } : point))
+});
+
+export const resizeMeshWarp = (meshWarp: MeshWarp, columns: number, rows: number): MeshWarp => {
+  const resized = createMeshWarp(columns, rows, meshWarp.smooth);
+
+  return {
+    ...resized,
+    points: resized.points.map((_, index) => {
+      const uv = getLatticeUv(resized, index);
+      return sampleMeshWarpOffset(meshWarp, uv.x, uv.y);
+    })
+  };
+};
@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  applyMidiCurve,
+  applyMidiMapping,
+  applyMidiMappings,
+  createMidiMapping,
+  getMidiControlKey,
+  parseMidiMessage
+} from './midi-mapping';
+import type { MidiEvent, MidiMappingTarget, SoftTakeoverState } from './midi-mapping';
+import { createContentRegistry } from './content-registry';
+import { createDefaultSurface } from './surface-factory';
+import { createCue } from './cues';
+import type { Cue, MidiMapping, MidiTarget, Surface } from '../schemas';
+
+const Material = () => null;
+
+const cc = (number: number, value: number, channel = 1): MidiEvent => ({ type: 'cc', channel, number, value });
+const note = (number: number, value: number, channel = 1): MidiEvent => ({ type: 'note', channel, number, value });
+
+const mapping = (target: MidiTarget, overrides: Partial<MidiMapping> = {}): MidiMapping => ({
+  ...createMidiMapping(target, [], { type: 'cc', channel: 1, number: 7 }),
+  ...overrides
+});
+
+describe('parseMidiMessage', () => {
+  it('should decode CC, note on and note off with 1-based channels', () => {
+    expect(parseMidiMessage([0xb0, 7, 100])).toEqual(cc(7, 100));
+    expect(parseMidiMessage([0x99, 36, 90])).toEqual(note(36, 90, 10));
+    expect(parseMidiMessage([0x80, 36, 64])).toEqual(note(36, 0));
+  });
+
+  it('should ignore other messages', () => {
+    expect(parseMidiMessage([0xe0, 0, 64])).toBeNull();
+    expect(parseMidiMessage([0xf8])).toBeNull();
+  });
+});
+
+describe('MIDI mappings', () => {
+  it('should key controls by type, channel and number', () => {
+    expect(getMidiControlKey({ type: 'cc', channel: 2, number: 48 })).toBe('cc/2/48');
+  });
+
+  it('should number mappings after the highest existing id and start unlearned', () => {
+    expect(createMidiMapping({ kind: 'cueGo' }, [{ id: 'midi-3' }])).toEqual({
+      id: 'midi-4',
+      control: null,
+      target: { kind: 'cueGo' },
+      curve: 'linear',
+      softTakeover: true
+    });
+  });
+
+  it('should shape values by curve and keep the ends fixed', () => {
+    expect(applyMidiCurve('linear', 0.5)).toBe(0.5);
+    expect(applyMidiCurve('exponential', 0.5)).toBeLessThan(0.5);
+    expect(applyMidiCurve('logarithmic', 0.5)).toBeGreaterThan(0.5);
+    expect(applyMidiCurve('s-curve', 1)).toBe(1);
+  });
+});
+
+describe('applyMidiMapping', () => {
+  let surfaces: Surface[];
+  let cues: Cue[];
+  let takeover: Map<string, SoftTakeoverState>;
+  let target: MidiMappingTarget;
+
+  beforeEach(() => {
+    const registry = createContentRegistry();
+    registry.register({ id: 'checkerboard', label: 'Checkerboard', category: 'Test Patterns', material: Material });
+    registry.register({
+      id: 'plasma',
+      label: 'Plasma',
+      category: 'Shader Effects',
+      material: Material,
+      parameters: {
+        speed: { type: 'float', label: 'Speed', default: 1, min: 0, max: 4 },
+        scale: { type: 'float', label: 'Scale', default: 1, min: 0, max: 2 },
+        mirror: { type: 'bool', label: 'Mirror', default: false }
+      }
+    });
+
+    surfaces = [{ ...createDefaultSurface({ id: 'surface-1' }), contentType: 'plasma', opacity: 0.5 }];
+    cues = [createCue('Intro', surfaces, [])];
+    takeover = new Map();
+
+    target = {
+      registry,
+      getSurfaces: () => surfaces,
+      updateSurface: vi.fn((id, updates) => {
+        surfaces = surfaces.map(surface => surface.id === id ? { ...surface, ...updates } : surface);
+      }),
+      getCues: () => cues,
+      fireCue: vi.fn(),
+      go: vi.fn(),
+      back: vi.fn()
+    };
+  });
+
+  it('should set opacity and effect parameters across their range', () => {
+    const opacity = mapping({ kind: 'opacity', surfaceId: 'surface-1' }, { softTakeover: false });
+    const speed = mapping({ kind: 'param', surfaceId: 'surface-1', param: 'speed' }, { softTakeover: false });
+    const mirror = mapping({ kind: 'param', surfaceId: 'surface-1', param: 'mirror' });
+
+    applyMidiMapping(opacity, cc(7, 127), target, takeover);
+    applyMidiMapping(speed, cc(7, 0), target, takeover);
+    applyMidiMapping(mirror, note(36, 100), target, takeover);
+
+    expect(surfaces[0]?.opacity).toBe(1);
+    expect(surfaces[0]?.contentData?.params).toEqual({ speed: 0, mirror: true });
+  });
+
+  it('should keep every param when several mappings on one control drive the same surface', () => {
+    const speed = mapping({ kind: 'param', surfaceId: 'surface-1', param: 'speed' }, { softTakeover: false });
+    const scale = mapping({ kind: 'param', surfaceId: 'surface-1', param: 'scale' }, { softTakeover: false });
+    // Surfaces as last rendered: the editor only sees its own updates on the next render
+    const rendered = surfaces;
+    target.getSurfaces = () => rendered;
+
+    expect(applyMidiMappings([speed, scale], cc(7, 127), target, takeover)).toBe(2);
+    expect(surfaces[0]?.contentData?.params).toEqual({ speed: 4, scale: 2 });
+  });
+
+  it('should leave mappings on other controls untouched', () => {
+    const speed = mapping({ kind: 'param', surfaceId: 'surface-1', param: 'speed' }, { softTakeover: false });
+    const opacity = mapping(
+      { kind: 'opacity', surfaceId: 'surface-1' },
+      { softTakeover: false, control: { type: 'cc', channel: 1, number: 8 } }
+    );
+    const unlearned = mapping({ kind: 'cueGo' }, { control: null });
+
+    expect(applyMidiMappings([speed, opacity, unlearned], cc(7, 127), target, takeover)).toBe(1);
+    expect(surfaces[0]?.contentData?.params).toEqual({ speed: 4 });
+    expect(surfaces[0]?.opacity).toBe(0.5);
+    expect(target.go).not.toHaveBeenCalled();
+  });
+
+  it('should wait with soft takeover until the control reaches the current value', () => {
+    const opacity = mapping({ kind: 'opacity', surfaceId: 'surface-1' });
+
+    expect(applyMidiMapping(opacity, cc(7, 10), target, takeover)).toBe(false);
+    expect(applyMidiMapping(opacity, cc(7, 30), target, takeover)).toBe(false);
+    // Moving past 0.5 picks the value up
+    expect(applyMidiMapping(opacity, cc(7, 80), target, takeover)).toBe(true);
+    expect(applyMidiMapping(opacity, cc(7, 20), target, takeover)).toBe(true);
+    expect(surfaces[0]?.opacity).toBeCloseTo(20 / 127);
+
+    // Changed elsewhere (a cue, the panel): the control has to catch up again
+    surfaces = surfaces.map(surface => ({ ...surface, opacity: 0.9 }));
+    expect(applyMidiMapping(opacity, cc(7, 25), target, takeover)).toBe(false);
+    expect(applyMidiMapping(opacity, cc(7, 115), target, takeover)).toBe(true);
+  });
+
+  it('should fire triggers on the press only', () => {
+    const go = mapping({ kind: 'cueGo' });
+    const back = mapping({ kind: 'cueBack' });
+    const intro = mapping({ kind: 'cue', cueId: 'cue-1' });
+
+    applyMidiMapping(go, note(36, 20), target, takeover);
+    applyMidiMapping(go, note(36, 0), target, takeover);
+    applyMidiMapping(back, cc(20, 63), target, takeover);
+    applyMidiMapping(intro, cc(21, 127), target, takeover);
+
+    expect(target.go).toHaveBeenCalledOnce();
+    expect(target.back).not.toHaveBeenCalled();
+    expect(target.fireCue).toHaveBeenCalledWith('cue-1');
+  });
+
+  it('should switch content once and skip unknown content types', () => {
+    const toCheckerboard = mapping({ kind: 'content', surfaceId: 'surface-1', contentType: 'checkerboard' });
+
+    expect(applyMidiMapping(toCheckerboard, note(40, 127), target, takeover)).toBe(true);
+    expect(surfaces[0]?.contentType).toBe('checkerboard');
+    expect(applyMidiMapping(toCheckerboard, note(40, 127), target, takeover)).toBe(false);
+    expect(applyMidiMapping(mapping({ kind: 'content', surfaceId: 'surface-1', contentType: 'laser' }), note(41, 127), target, takeover))
+      .toBe(false);
+  });
+});
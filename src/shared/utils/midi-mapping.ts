@@ -0,0 +1,230 @@
+import type { MidiControl, MidiCurve, MidiMapping, MidiTarget, Surface } from '../schemas';
+import { coerceParameterValue } from './effect-parameters';
+import type { EffectParameterDefinition } from './effect-parameters';
+import { trackSurfaceUpdates } from './remote-control';
+import type { RemoteControlTarget } from './remote-control';
+import { applyEasing } from './timeline';
+
+/**
+ * A CC or note message; `value` is the CC value or note velocity, 0-127
+ * (a note off, or a note on with velocity 0, has value 0)
+ */
+export type MidiEvent = MidiControl & { value: number };
+
+/**
+ * What MIDI mappings act on: the editor's surfaces and cues
+ */
+export type MidiMappingTarget = Pick<
+  RemoteControlTarget,
+  'registry' | 'getSurfaces' | 'updateSurface' | 'getCues' | 'fireCue' | 'go' | 'back'
+>;
+
+/**
+ * Where a soft-takeover control last was (0..1, after its curve) and the value
+ * it last set, normalized, kept between events by the caller per mapping
+ */
+export type SoftTakeoverState = { previous: number | null; applied: number | null };
+
+const MIDI_MAPPING_ID_PATTERN = /^midi-(\d+)$/;
+
+const MIDI_VALUE_MAX = 127;
+
+// CC value from which triggers fire and on/off parameters switch on (notes: any note on)
+const CC_PRESS_VALUE = 64;
+
+// How close (0..1) a control must come to the current value to take it over
+const SOFT_TAKEOVER_RANGE = 3 / MIDI_VALUE_MAX;
+
+const STATUS_NOTE_OFF = 0x80;
+const STATUS_NOTE_ON = 0x90;
+const STATUS_CONTROL_CHANGE = 0xb0;
+
+/**
+ * Decode the bytes of a Web MIDI message; null for anything but CC and notes
+ */
+export const parseMidiMessage = (data: ArrayLike<number>): MidiEvent | null => {
+  const [status = 0, number = 0, value = 0] = Array.from(data);
+  const channel = (status & 0x0f) + 1;
+  switch (status & 0xf0) {
+    case STATUS_CONTROL_CHANGE:
+      return { type: 'cc', channel, number, value };
+    case STATUS_NOTE_ON:
+      return { type: 'note', channel, number, value };
+    case STATUS_NOTE_OFF:
+      return { type: 'note', channel, number, value: 0 };
+    default:
+      return null;
+  }
+};
+
+const isPressed = (event: MidiEvent): boolean =>
+  (event.type === 'note' ? event.value > 0 : event.value >= CC_PRESS_VALUE);
+
+/**
+ * Handler key for a control, e.g. "cc/1/7" or "note/10/36"
+ */
+export const getMidiControlKey = ({ type, channel, number }: MidiControl): string =>
+  `${type}/${channel}/${number}`;
+
+export const formatMidiControl = ({ type, channel, number }: MidiControl): string =>
+  `${type === 'cc' ? 'CC' : 'Note'} ${number} · ch ${channel}`;
+
+/**
+ * New mapping with an id no existing mapping uses; without a control it waits to be learned
+ */
+export const createMidiMapping = (
+  target: MidiTarget,
+  existing: Pick<MidiMapping, 'id'>[],
+  control: MidiControl | null = null
+): MidiMapping => {
+  const highest = existing.reduce(
+    (max, mapping) => Math.max(max, Number(MIDI_MAPPING_ID_PATTERN.exec(mapping.id)?.[1] ?? 0)),
+    0
+  );
+  return { id: `midi-${highest + 1}`, control, target, curve: 'linear', softTakeover: true };
+};
+
+type MidiTriggerTarget = Exclude<MidiTarget, { kind: 'opacity' | 'param' }>;
+
+export const isMidiTrigger = (target: MidiTarget): target is MidiTriggerTarget =>
+  target.kind !== 'opacity' && target.kind !== 'param';
+
+const CURVE_EASINGS = {
+  linear: 'linear',
+  exponential: 'ease-in',
+  logarithmic: 'ease-out',
+  's-curve': 'ease-in-out'
+} as const;
+
+/**
+ * Shape a control position (0..1) by a mapping's curve
+ */
+export const applyMidiCurve = (curve: MidiCurve, t: number): number =>
+  applyEasing(CURVE_EASINGS[curve], t);
+
+// Whether a soft-takeover control may set a value now at `current`
+// (both 0..1): it set that value itself, or it has come close or moved across it
+const isTakenOver = (state: SoftTakeoverState, position: number, current: number): boolean =>
+  (state.applied !== null && Math.abs(state.applied - current) < 1e-6)
+  || Math.abs(position - current) <= SOFT_TAKEOVER_RANGE
+  || (state.previous !== null && (state.previous - current) * (position - current) <= 0);
+
+type ContinuousValue = {
+  // Current and new value, normalized to 0..1
+  current: number;
+  next: number;
+  updates: Partial<Surface>;
+  label: string;
+};
+
+const getParameterValue = (
+  surface: Surface,
+  param: string,
+  definition: Extract<EffectParameterDefinition, { type: 'float' | 'int' }>,
+  position: number
+): ContinuousValue => {
+  const range = definition.max - definition.min;
+  const normalize = (value: number) => (range === 0 ? 0 : (value - definition.min) / range);
+  const stored = surface.contentData?.params?.[param];
+  const value = coerceParameterValue(definition, definition.min + position * range) as number;
+  return {
+    current: normalize(typeof stored === 'number' ? stored : definition.default),
+    next: normalize(value),
+    updates: { contentData: { ...surface.contentData, params: { ...surface.contentData?.params, [param]: value } } },
+    label: `MIDI: ${definition.label}`
+  };
+};
+
+const applyTrigger = (target: MidiTriggerTarget, midiTarget: MidiMappingTarget): boolean => {
+  switch (target.kind) {
+    case 'cue':
+      if (!midiTarget.getCues().some(cue => cue.id === target.cueId)) return false;
+      midiTarget.fireCue(target.cueId);
+      return true;
+
+    case 'cueGo':
+      midiTarget.go();
+      return true;
+
+    case 'cueBack':
+      midiTarget.back();
+      return true;
+
+    case 'content': {
+      const surface = midiTarget.getSurfaces().find(candidate => candidate.id === target.surfaceId);
+      const definition = midiTarget.registry.get(target.contentType);
+      if (!surface || !definition || surface.contentType === target.contentType) return false;
+      const validation = midiTarget.registry.validateContentData(target.contentType, definition.createContentData?.() ?? {});
+      if (!validation.success) return false;
+      midiTarget.updateSurface(surface.id, { contentType: target.contentType, contentData: validation.data }, 'MIDI: change content');
+      return true;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Carry out one mapping for a message from its control
+ * @param takeover Soft-takeover state by mapping id, updated in place
+ * @returns Whether the mapping changed anything
+ */
+export const applyMidiMapping = (
+  mapping: MidiMapping,
+  event: MidiEvent,
+  midiTarget: MidiMappingTarget,
+  takeover: Map<string, SoftTakeoverState>
+): boolean => {
+  const { target } = mapping;
+  if (isMidiTrigger(target)) {
+    // Only the press (note on, CC past half way) fires; the release does nothing
+    return isPressed(event) && applyTrigger(target, midiTarget);
+  }
+
+  const surface = midiTarget.getSurfaces().find(candidate => candidate.id === target.surfaceId);
+  if (!surface) return false;
+  const position = applyMidiCurve(mapping.curve, event.value / MIDI_VALUE_MAX);
+
+  let value: ContinuousValue;
+  if (target.kind === 'opacity') {
+    value = { current: surface.opacity ?? 1, next: position, updates: { opacity: position }, label: 'MIDI: opacity' };
+  } else {
+    const definition = midiTarget.registry.get(surface.contentType)?.parameters?.[target.param];
+    if (!definition || definition.type === 'color') return false;
+    if (definition.type === 'bool') {
+      const params = { ...surface.contentData?.params, [target.param]: isPressed(event) };
+      midiTarget.updateSurface(surface.id, { contentData: { ...surface.contentData, params } }, `MIDI: ${definition.label}`);
+      return true;
+    }
+    value = getParameterValue(surface, target.param, definition, position);
+  }
+
+  if (mapping.softTakeover) {
+    const state = takeover.get(mapping.id) ?? { previous: null, applied: null };
+    const engaged = isTakenOver(state, position, value.current);
+    takeover.set(mapping.id, { previous: position, applied: engaged ? value.next : state.applied });
+    if (!engaged) return false;
+  }
+  midiTarget.updateSurface(surface.id, value.updates, value.label);
+  return true;
+};
+
+/**
+ * Carry out every mapping bound to the message's control
+ * @param takeover Soft-takeover state by mapping id, updated in place
+ * @returns Number of mappings that changed anything
+ */
+export const applyMidiMappings = (
+  mappings: MidiMapping[],
+  event: MidiEvent,
+  midiTarget: MidiMappingTarget,
+  takeover: Map<string, SoftTakeoverState>
+): number => {
+  const key = getMidiControlKey(event);
+  // Mappings on one control build on each other's edits (two params of one surface)
+  const tracked = trackSurfaceUpdates(midiTarget);
+  return mappings
+    .filter(mapping => mapping.control !== null && getMidiControlKey(mapping.control) === key)
+    .reduce((applied, mapping) => applied + (applyMidiMapping(mapping, event, tracked, takeover) ? 1 : 0), 0);
+};
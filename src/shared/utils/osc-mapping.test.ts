@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { applyOscMessage, createOscMapping, getOscNumber, scaleOscValue } from './osc-mapping';
+import type { OscMappingTarget } from './osc-mapping';
+import { createContentRegistry } from './content-registry';
+import { createDefaultSurface } from './surface-factory';
+import { createCue } from './cues';
+import type { Cue, OscMapping, OscTarget, Surface } from '../schemas';
+
+const Material = () => null;
+
+const mapping = (address: string, target: OscTarget, range: Partial<OscMapping> = {}): OscMapping => ({
+  ...createOscMapping(target, [], address),
+  ...range
+});
+
+describe('createOscMapping', () => {
+  it('should number mappings after the highest existing id and start unlearned', () => {
+    const created = createOscMapping({ kind: 'cueGo' }, [{ id: 'osc-1' }, { id: 'osc-4' }, { id: 'custom' }]);
+
+    expect(created).toEqual({ id: 'osc-5', address: '', target: { kind: 'cueGo' }, inputMin: 0, inputMax: 1 });
+  });
+});
+
+describe('OSC values', () => {
+  it('should read the first numeric or boolean argument', () => {
+    expect(getOscNumber({ address: '/x', args: ['label', 0.25, 1] })).toBe(0.25);
+    expect(getOscNumber({ address: '/x', args: [true] })).toBe(1);
+    expect(getOscNumber({ address: '/x', args: [] })).toBeNull();
+  });
+
+  it('should scale into the input range, clamped, inverted when the range is reversed', () => {
+    expect(scaleOscValue(64, { inputMin: 0, inputMax: 127 })).toBeCloseTo(0.504);
+    expect(scaleOscValue(300, { inputMin: 0, inputMax: 127 })).toBe(1);
+    expect(scaleOscValue(0.25, { inputMin: 1, inputMax: 0 })).toBe(0.75);
+    expect(scaleOscValue(3, { inputMin: 3, inputMax: 3 })).toBe(1);
+  });
+});
+
+describe('applyOscMessage', () => {
+  let surfaces: Surface[];
+  let cues: Cue[];
+  let blackout: boolean;
+  let target: OscMappingTarget;
+
+  beforeEach(() => {
+    const registry = createContentRegistry();
+    registry.register({
+      id: 'plasma',
+      label: 'Plasma',
+      category: 'Shader Effects',
+      material: Material,
+      parameters: {
+        speed: { type: 'float', label: 'Speed', default: 1, min: 0, max: 4 },
+        bands: { type: 'int', label: 'Bands', default: 4, min: 1, max: 9 },
+        tint: { type: 'color', label: 'Tint', default: '#ffffff' }
+      }
+    });
+
+    surfaces = [{ ...createDefaultSurface({ id: 'surface-1' }), contentType: 'plasma' }];
+    cues = [createCue('Intro', surfaces, [])];
+    blackout = false;
+
+    target = {
+      registry,
+      getSurfaces: () => surfaces,
+      updateSurface: vi.fn((id, updates) => {
+        surfaces = surfaces.map(surface => surface.id === id ? { ...surface, ...updates } : surface);
+      }),
+      getCues: () => cues,
+      fireCue: vi.fn(),
+      go: vi.fn(),
+      back: vi.fn(),
+      isBlackout: () => blackout,
+      setBlackout: vi.fn((enabled) => { blackout = enabled; }),
+      toggleMode: vi.fn()
+    };
+  });
+
+  it('should set opacity and visibility from the scaled value', () => {
+    const mappings = [
+      mapping('/surface/1/opacity', { kind: 'opacity', surfaceId: 'surface-1' }, { inputMin: 0, inputMax: 127 }),
+      mapping('/surface/1/visible', { kind: 'visible', surfaceId: 'surface-1' })
+    ];
+
+    expect(applyOscMessage({ address: '/surface/1/opacity', args: [127] }, mappings, target)).toBe(1);
+    expect(surfaces[0]?.opacity).toBe(1);
+    applyOscMessage({ address: '/surface/1/visible', args: [0] }, mappings, target);
+    expect(surfaces[0]?.visible).toBe(false);
+  });
+
+  it('should map values onto an effect parameter\'s own range', () => {
+    const mappings = [
+      mapping('/speed', { kind: 'param', surfaceId: 'surface-1', param: 'speed' }),
+      mapping('/bands', { kind: 'param', surfaceId: 'surface-1', param: 'bands' }),
+      mapping('/tint', { kind: 'param', surfaceId: 'surface-1', param: 'tint' })
+    ];
+
+    applyOscMessage({ address: '/speed', args: [0.5] }, mappings, target);
+    applyOscMessage({ address: '/bands', args: [0.5] }, mappings, target);
+    applyOscMessage({ address: '/tint', args: ['#FF0000'] }, mappings, target);
+
+    expect(surfaces[0]?.contentData?.params).toEqual({ speed: 2, bands: 5, tint: '#ff0000' });
+  });
+
+  it('should fire triggers on a press or a bare address but not on release', () => {
+    const mappings = [
+      mapping('/cue/go', { kind: 'cueGo' }),
+      mapping('/cue/back', { kind: 'cueBack' }),
+      mapping('/cue/intro', { kind: 'cue', cueId: 'cue-1' }),
+      mapping('/mode', { kind: 'toggleMode' }),
+      mapping('/blackout', { kind: 'blackout' })
+    ];
+
+    applyOscMessage({ address: '/cue/go', args: [1] }, mappings, target);
+    applyOscMessage({ address: '/cue/go', args: [0] }, mappings, target);
+    applyOscMessage({ address: '/cue/back', args: [] }, mappings, target);
+    applyOscMessage({ address: '/cue/intro', args: [1] }, mappings, target);
+    applyOscMessage({ address: '/mode', args: [1] }, mappings, target);
+    applyOscMessage({ address: '/blackout', args: [true] }, mappings, target);
+
+    expect(target.go).toHaveBeenCalledOnce();
+    expect(target.back).toHaveBeenCalledOnce();
+    expect(target.fireCue).toHaveBeenCalledWith('cue-1');
+    expect(target.toggleMode).toHaveBeenCalledOnce();
+    expect(blackout).toBe(true);
+  });
+
+  it('should keep every param when several mappings on one address drive the same surface', () => {
+    // Like the editor, getSurfaces only reflects updates after the next render
+    const rendered = surfaces;
+    target.getSurfaces = () => rendered;
+    const mappings = [
+      mapping('/knob', { kind: 'param', surfaceId: 'surface-1', param: 'speed' }),
+      mapping('/knob', { kind: 'param', surfaceId: 'surface-1', param: 'bands' })
+    ];
+
+    expect(applyOscMessage({ address: '/knob', args: [1] }, mappings, target)).toBe(2);
+    expect(surfaces[0]?.contentData?.params).toEqual({ speed: 4, bands: 9 });
+  });
+
+  it('should ignore unlearned mappings and targets that no longer exist', () => {
+    const mappings = [
+      mapping('', { kind: 'cueGo' }),
+      mapping('/gone', { kind: 'opacity', surfaceId: 'surface-9' }),
+      mapping('/gone', { kind: 'cue', cueId: 'cue-9' }),
+      mapping('/gone', { kind: 'param', surfaceId: 'surface-1', param: 'missing' })
+    ];
+
+    expect(applyOscMessage({ address: '', args: [] }, mappings, target)).toBe(0);
+    expect(applyOscMessage({ address: '/gone', args: [1] }, mappings, target)).toBe(0);
+    expect(target.updateSurface).not.toHaveBeenCalled();
+  });
+});
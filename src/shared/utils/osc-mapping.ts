@@ -0,0 +1,159 @@
+import type { OscMapping, OscTarget } from '../schemas';
+import { coerceParameterValue } from './effect-parameters';
+import type { EffectParameterDefinition, EffectParameterValue } from './effect-parameters';
+import { trackSurfaceUpdates } from './remote-control';
+import type { RemoteControlTarget } from './remote-control';
+
+/**
+ * An OSC message as forwarded by the bridge (integers, floats and doubles
+ * arrive as numbers, `T`/`F` as booleans, nil and impulse as null)
+ */
+export type OscMessage = {
+  address: string;
+  args: Array<number | boolean | string | null>;
+};
+
+/**
+ * What OSC mappings act on: the editor's surfaces, cues and app state
+ */
+export type OscMappingTarget = Pick<
+  RemoteControlTarget,
+  'registry' | 'getSurfaces' | 'updateSurface' | 'getCues' | 'fireCue' | 'go' | 'back' | 'isBlackout' | 'setBlackout'
+> & {
+  toggleMode: () => void;
+};
+
+const OSC_MAPPING_ID_PATTERN = /^osc-(\d+)$/;
+
+// Triggers fire, and on/off targets switch on, from half way up the input range
+const TRIGGER_THRESHOLD = 0.5;
+
+const clamp01 = (value: number): number => Math.min(1, Math.max(0, value));
+
+/**
+ * New mapping with an id no existing mapping uses; without an address it waits to be learned
+ */
+export const createOscMapping = (
+  target: OscTarget,
+  existing: Pick<OscMapping, 'id'>[],
+  address: string = ''
+): OscMapping => {
+  const highest = existing.reduce(
+    (max, mapping) => Math.max(max, Number(OSC_MAPPING_ID_PATTERN.exec(mapping.id)?.[1] ?? 0)),
+    0
+  );
+  return { id: `osc-${highest + 1}`, address, target, inputMin: 0, inputMax: 1 };
+};
+
+export const isOscTrigger = (target: OscTarget): boolean =>
+  target.kind !== 'opacity' && target.kind !== 'visible' && target.kind !== 'param';
+
+/**
+ * The message's value as a number: its first numeric or boolean argument, or
+ * null when it has none (a bare address, as buttons often send)
+ */
+export const getOscNumber = (message: OscMessage): number | null => {
+  const value = message.args.find(arg => typeof arg === 'number' || typeof arg === 'boolean');
+  return value === undefined ? null : Number(value);
+};
+
+/**
+ * Position of `value` within the mapping's input range, 0..1
+ * (an empty range is a threshold: at or above it is 1)
+ */
+export const scaleOscValue = (value: number, { inputMin, inputMax }: Pick<OscMapping, 'inputMin' | 'inputMax'>): number => {
+  if (inputMin === inputMax) {
+    return value >= inputMin ? 1 : 0;
+  }
+  return clamp01((value - inputMin) / (inputMax - inputMin));
+};
+
+// Value an effect parameter takes from a message, or undefined when the message has none for it
+const getParameterValue = (
+  definition: EffectParameterDefinition,
+  message: OscMessage,
+  amount: number | null
+): EffectParameterValue | undefined => {
+  if (definition.type === 'color') {
+    // Colours come as a "#rrggbb" string argument
+    const color = message.args.find(arg => typeof arg === 'string');
+    return color === undefined ? undefined : coerceParameterValue(definition, color);
+  }
+  if (amount === null) {
+    return undefined;
+  }
+  return definition.type === 'bool'
+    ? amount >= TRIGGER_THRESHOLD
+    : coerceParameterValue(definition, definition.min + amount * (definition.max - definition.min));
+};
+
+const applyMapping = (mapping: OscMapping, message: OscMessage, target: OscMappingTarget): boolean => {
+  const number = getOscNumber(message);
+  const amount = number === null ? null : scaleOscValue(number, mapping);
+  const destination = mapping.target;
+
+  // Buttons send 1 when pressed and 0 when released; triggers fire on the press only
+  if (isOscTrigger(destination) && amount !== null && amount < TRIGGER_THRESHOLD) {
+    return false;
+  }
+  const findSurface = (id: string) => target.getSurfaces().find(surface => surface.id === id);
+
+  switch (destination.kind) {
+    case 'cue':
+      if (!target.getCues().some(cue => cue.id === destination.cueId)) return false;
+      target.fireCue(destination.cueId);
+      return true;
+
+    case 'cueGo':
+      target.go();
+      return true;
+
+    case 'cueBack':
+      target.back();
+      return true;
+
+    case 'toggleMode':
+      target.toggleMode();
+      return true;
+
+    case 'blackout':
+      target.setBlackout(!target.isBlackout());
+      return true;
+
+    case 'opacity': {
+      const surface = findSurface(destination.surfaceId);
+      if (!surface || amount === null) return false;
+      target.updateSurface(surface.id, { opacity: amount }, 'OSC: opacity');
+      return true;
+    }
+
+    case 'visible': {
+      const surface = findSurface(destination.surfaceId);
+      if (!surface || amount === null) return false;
+      target.updateSurface(surface.id, { visible: amount >= TRIGGER_THRESHOLD }, 'OSC: visibility');
+      return true;
+    }
+
+    case 'param': {
+      const surface = findSurface(destination.surfaceId);
+      const definition = surface && target.registry.get(surface.contentType)?.parameters?.[destination.param];
+      const value = definition ? getParameterValue(definition, message, amount) : undefined;
+      if (!surface || !definition || value === undefined) return false;
+      const params = { ...surface.contentData?.params, [destination.param]: value };
+      target.updateSurface(surface.id, { contentData: { ...surface.contentData, params } }, `OSC: ${definition.label}`);
+      return true;
+    }
+  }
+};
+
+/**
+ * Carry out every mapping bound to the message's address
+ * @returns Number of mappings that acted on it
+ */
+export const applyOscMessage = (message: OscMessage, mappings: OscMapping[], target: OscMappingTarget): number => {
+  // Mappings on one address build on each other's edits (two params of one surface)
+  const tracked = trackSurfaceUpdates(target);
+  return mappings
+    .filter(mapping => mapping.address !== '' && mapping.address === message.address)
+    .reduce((applied, mapping) => applied + (applyMapping(mapping, message, tracked) ? 1 : 0), 0);
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fromViewportCorners,
+  fromViewportPoint,
+  getOutputViewport,
+  toViewportCorners,
+  toViewportPoint
+} from './output-space';
+
+const FULL_HD = { width: 1920, height: 1080 };
+
+describe('output space', () => {
+  describe('getOutputViewport', () => {
+    it('should fill an area with the same aspect ratio', () => {
+      expect(getOutputViewport(960, 540, FULL_HD)).toEqual({ x: 0, y: 0, width: 960, height: 540 });
+    });
+
+    it('should letterbox a taller area', () => {
+      expect(getOutputViewport(1920, 1200, FULL_HD)).toEqual({ x: 0, y: 60, width: 1920, height: 1080 });
+    });
+
+    it('should pillarbox a wider area', () => {
+      expect(getOutputViewport(1000, 360, FULL_HD)).toEqual({ x: 180, y: 0, width: 640, height: 360 });
+    });
+  });
+
+  describe('conversions', () => {
+    const viewport = getOutputViewport(1920, 1200, FULL_HD);
+
+    it('should map normalized points into the viewport', () => {
+      expect(toViewportPoint({ x: 0.5, y: 0.5 }, viewport)).toEqual({ x: 960, y: 600 });
+      expect(toViewportPoint({ x: 0, y: 1 }, viewport)).toEqual({ x: 0, y: 1140 });
+    });
+
+    it('should keep points outside the output outside the viewport', () => {
+      expect(fromViewportPoint({ x: -192, y: 30 }, viewport)).toEqual({ x: -0.1, y: -0.027777777777777776 });
+    });
+
+    it('should round-trip corners', () => {
+      const corners = { point0: { x: 0.25, y: 0.1 }, point1: { x: 0.8, y: 0.9 } };
+
+      expect(fromViewportCorners(toViewportCorners(corners, viewport), viewport)).toEqual(corners);
+    });
+
+    it('should give the same normalized corners in windows of different sizes', () => {
+      const editor = getOutputViewport(1280, 800, FULL_HD);
+      const live = getOutputViewport(3840, 2160, FULL_HD);
+      const corners = { point0: { x: 0.2, y: 0.4 } };
+
+      const dragged = fromViewportCorners(toViewportCorners(corners, editor), editor);
+
+      expect(toViewportCorners(dragged, live)).toEqual({ point0: { x: 768, y: 864 } });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import type { CornerPoint, Corners, OutputResolution } from '../schemas';
+
+/**
+ * Where the output is drawn inside a canvas or window, in its pixels
+ */
+export type OutputViewport = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+/**
+ * Largest rectangle with the output's aspect ratio, centred in the given area.
+ * A window with a different shape than the output gets letterbox bars instead
+ * of a stretched calibration.
+ */
+export const getOutputViewport = (
+  areaWidth: number,
+  areaHeight: number,
+  resolution: OutputResolution
+): OutputViewport => {
+  const scale = Math.min(areaWidth / resolution.width, areaHeight / resolution.height);
+  const width = resolution.width * scale;
+  const height = resolution.height * scale;
+  return {
+    x: (areaWidth - width) / 2,
+    y: (areaHeight - height) / 2,
+    width,
+    height
+  };
+};
+
+export const toViewportPoint = (point: CornerPoint, viewport: OutputViewport): CornerPoint => ({
+  x: viewport.x + point.x * viewport.width,
+  y: viewport.y + point.y * viewport.height
+});
+
+export const fromViewportPoint = (point: CornerPoint, viewport: OutputViewport): CornerPoint => ({
+  x: (point.x - viewport.x) / viewport.width,
+  y: (point.y - viewport.y) / viewport.height
+});
+
+const mapCorners = (corners: Corners, map: (point: CornerPoint) => CornerPoint): Corners =>
+  Object.fromEntries(Object.entries(corners).map(([key, point]) => [key, map(point)]));
+
+/**
+ * Normalized output corners to viewport pixels
+ */
+export const toViewportCorners = (corners: Corners, viewport: OutputViewport): Corners =>
+  mapCorners(corners, point => toViewportPoint(point, viewport));
+
+/**
+ * Viewport pixels to normalized output corners
+ */
+export const fromViewportCorners = (corners: Corners, viewport: OutputViewport): Corners =>
+  mapCorners(corners, point => fromViewportPoint(point, viewport));
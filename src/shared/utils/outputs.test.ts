@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createDefaultOutputs,
+  createOutput,
+  getOutputSurfaces,
+  getSurfaceOutputId,
+  mergeOutputs,
+  resolveOutput,
+  slugifyOutputName
+} from './outputs';
+import type { Output } from '../schemas';
+
+const output = (id: string, width = 1920, height = 1080): Output => ({ id, name: id, resolution: { width, height } });
+
+describe('outputs', () => {
+  const outputs = [output('left'), output('right', 1280, 800)];
+
+  it('should start with a single main output', () => {
+    expect(createDefaultOutputs({ width: 1024, height: 768 })).toEqual([
+      { id: 'main', name: 'Main', resolution: { width: 1024, height: 768 } }
+    ]);
+  });
+
+  describe('createOutput', () => {
+    it('should derive the id from the name', () => {
+      expect(slugifyOutputName('  Left Wall #2 ')).toBe('left-wall-2');
+      expect(createOutput('Left Wall', outputs).id).toBe('left-wall');
+    });
+
+    it('should not reuse an existing id', () => {
+      expect(createOutput('Left', outputs).id).toBe('left-2');
+      expect(createOutput('Left', [...outputs, output('left-2')]).id).toBe('left-3');
+    });
+
+    it('should fall back to a generic id for names without letters or digits', () => {
+      expect(createOutput('***', outputs)).toMatchObject({ id: 'output', name: '***' });
+    });
+  });
+
+  describe('surface routing', () => {
+    const surfaces = [
+      { id: 'a', outputId: 'left' },
+      { id: 'b', outputId: 'right' },
+      { id: 'c' },
+      { id: 'd', outputId: 'removed' }
+    ];
+
+    it('should resolve unknown and missing ids to the first output', () => {
+      expect(resolveOutput(outputs, 'right').id).toBe('right');
+      expect(resolveOutput(outputs, 'missing').id).toBe('left');
+      expect(getSurfaceOutputId({}, outputs)).toBe('left');
+    });
+
+    it('should list the surfaces of one output', () => {
+      expect(getOutputSurfaces(surfaces, outputs, 'left').map(surface => surface.id)).toEqual(['a', 'c', 'd']);
+      expect(getOutputSurfaces(surfaces, outputs, 'right').map(surface => surface.id)).toEqual(['b']);
+    });
+
+    it('should throw when there are no outputs', () => {
+      expect(() => resolveOutput([], 'left')).toThrow('At least one output is required');
+    });
+  });
+
+  it('should only add imported outputs with new ids when merging', () => {
+    const merged = mergeOutputs(outputs, [output('right', 640, 480), output('centre')]);
+
+    expect(merged.map(entry => entry.id)).toEqual(['left', 'right', 'centre']);
+    expect(merged[1]?.resolution.width).toBe(1280);
+  });
+});
@@ -0,0 +1,67 @@
+import type { Output, OutputResolution, Surface } from '../schemas';
+import { DEFAULT_OUTPUT_ID, DEFAULT_OUTPUT_RESOLUTION } from './constants';
+
+export const createDefaultOutputs = (
+  resolution: OutputResolution = DEFAULT_OUTPUT_RESOLUTION
+): Output[] => [
+  { id: DEFAULT_OUTPUT_ID, name: 'Main', resolution: { ...resolution } }
+];
+
+/**
+ * Lowercase, dash-separated id for an output name ("Left Wall" -> "left-wall")
+ */
+export const slugifyOutputName = (name: string): string =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * New output named `name`, with an id derived from it that no existing output uses
+ */
+export const createOutput = (
+  name: string,
+  existing: Pick<Output, 'id'>[],
+  resolution: OutputResolution = DEFAULT_OUTPUT_RESOLUTION
+): Output => {
+  const taken = new Set(existing.map(output => output.id));
+  const base = slugifyOutputName(name) || 'output';
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return { id, name: name.trim() || id, resolution: { ...resolution } };
+};
+
+/**
+ * Output with the given id, or the first output when there is none
+ */
+export const resolveOutput = (outputs: Output[], id: string | null | undefined): Output => {
+  const output = outputs.find(candidate => candidate.id === id) ?? outputs[0];
+  if (!output) {
+    throw new Error('At least one output is required');
+  }
+  return output;
+};
+
+export const getSurfaceOutputId = (surface: Pick<Surface, 'outputId'>, outputs: Output[]): string =>
+  resolveOutput(outputs, surface.outputId).id;
+
+/**
+ * Surfaces projected on an output, including those whose output no longer exists
+ * when it is the first one
+ */
+export const getOutputSurfaces = <T extends Pick<Surface, 'outputId'>>(
+  surfaces: T[],
+  outputs: Output[],
+  outputId: string
+): T[] => surfaces.filter(surface => getSurfaceOutputId(surface, outputs) === outputId);
+
+/**
+ * Existing outputs plus the imported ones whose ids are not taken yet,
+ * so merged surfaces keep pointing at a real output
+ */
+export const mergeOutputs = (existing: Output[], imported: Output[]): Output[] => {
+  const taken = new Set(existing.map(output => output.id));
+  return [...existing, ...imported.filter(output => !taken.has(output.id))];
+};
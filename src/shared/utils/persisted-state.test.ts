@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { z } from 'zod';
+import {
+  applyMigrations,
+  createPersistedEnvelope,
+  loadPersistedCollection,
+  migrateCollection,
+  readRecoveryReport,
+  savePersistedCollection
+} from './persisted-state';
+import type { Migration, PersistedCollectionConfig } from './persisted-state';
+
+const ItemSchema = z.object({ id: z.string(), size: z.number() });
+type Item = z.infer<typeof ItemSchema>;
+
+// v1 renamed `width` to `size`; v2 doubled every size
+const MIGRATIONS: Migration[] = [
+  {
+    version: 2,
+    description: 'Double sizes',
+    migrate: entry => ({ ...(entry as Item), size: (entry as Item).size * 2 })
+  },
+  {
+    version: 1,
+    description: 'Rename width to size',
+    migrate: entry => {
+      const { width, ...rest } = entry as { width: number };
+      return { ...rest, size: width };
+    }
+  }
+];
+
+const CONFIG: PersistedCollectionConfig<Item> = {
+  key: 'items',
+  backupKey: 'items_backup',
+  recoveryKey: 'items_recovery',
+  version: 2,
+  migrations: MIGRATIONS,
+  schema: ItemSchema
+};
+
+describe('persisted state', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('applyMigrations', () => {
+    it('should run only newer migrations, in version order', () => {
+      expect(applyMigrations({ id: 'a', width: 5 }, 0, MIGRATIONS)).toEqual({ id: 'a', size: 10 });
+      expect(applyMigrations({ id: 'a', size: 5 }, 1, MIGRATIONS)).toEqual({ id: 'a', size: 10 });
+      expect(applyMigrations({ id: 'a', size: 5 }, 2, MIGRATIONS)).toEqual({ id: 'a', size: 5 });
+    });
+  });
+
+  describe('migrateCollection', () => {
+    it('should treat a bare array as unversioned legacy data', () => {
+      const result = migrateCollection(JSON.stringify([{ id: 'a', width: 5 }]), CONFIG);
+
+      expect(result).toEqual({ entries: [{ id: 'a', size: 10 }], quarantined: [], fromVersion: 0, unreadable: false });
+    });
+
+    it('should migrate from the version recorded in the envelope', () => {
+      const raw = JSON.stringify(createPersistedEnvelope([{ id: 'a', size: 5 }], 1, 0));
+
+      expect(migrateCollection(raw, CONFIG).entries).toEqual([{ id: 'a', size: 10 }]);
+    });
+
+    it('should quarantine invalid entries and keep the rest', () => {
+      const raw = JSON.stringify(createPersistedEnvelope([{ id: 'a', size: 1 }, { id: 'b', size: 'big' }], 2, 0));
+
+      const result = migrateCollection(raw, CONFIG);
+
+      expect(result.entries).toEqual([{ id: 'a', size: 1 }]);
+      expect(result.quarantined).toEqual([
+        { index: 1, entry: { id: 'b', size: 'big' }, errors: [expect.stringMatching(/^size:/)] }
+      ]);
+    });
+
+    it('should quarantine entries whose migration throws', () => {
+      const result = migrateCollection(JSON.stringify([null]), CONFIG);
+
+      expect(result.entries).toEqual([]);
+      expect(result.quarantined[0]?.errors[0]).toMatch(/^Migration failed:/);
+    });
+
+    it('should flag stored values that cannot be read', () => {
+      expect(migrateCollection('not json{', CONFIG).unreadable).toBe(true);
+      expect(migrateCollection(JSON.stringify({ surfaces: [] }), CONFIG).unreadable).toBe(true);
+      expect(migrateCollection(null, CONFIG)).toEqual({ entries: [], quarantined: [], fromVersion: null, unreadable: false });
+    });
+  });
+
+  describe('loadPersistedCollection', () => {
+    it('should back up the raw value before a migration', () => {
+      const raw = JSON.stringify([{ id: 'a', width: 5 }]);
+      localStorage.setItem('items', raw);
+
+      expect(loadPersistedCollection(localStorage, CONFIG)).toEqual([{ id: 'a', size: 10 }]);
+      expect(localStorage.getItem('items_backup')).toBe(raw);
+      expect(readRecoveryReport(localStorage, 'items_recovery')).toBeNull();
+    });
+
+    it('should not back up data already at the current version', () => {
+      localStorage.setItem('items', JSON.stringify(createPersistedEnvelope([{ id: 'a', size: 1 }], 2, 0)));
+
+      loadPersistedCollection(localStorage, CONFIG);
+
+      expect(localStorage.getItem('items_backup')).toBeNull();
+    });
+
+    it('should record quarantined entries in a recovery report', () => {
+      localStorage.setItem('items', JSON.stringify([{ id: 'a', width: 5 }, { id: 'b' }]));
+
+      expect(loadPersistedCollection(localStorage, CONFIG, 1000)).toEqual([{ id: 'a', size: 10 }]);
+      expect(readRecoveryReport(localStorage, 'items_recovery')).toEqual({
+        createdAt: 1000,
+        fromVersion: 0,
+        unreadable: false,
+        quarantined: [{ index: 1, entry: { id: 'b' }, errors: expect.any(Array) }]
+      });
+    });
+
+    it('should keep an unreviewed backup when more entries are quarantined', () => {
+      const original = JSON.stringify([{ id: 'b' }]);
+      localStorage.setItem('items', original);
+      loadPersistedCollection(localStorage, CONFIG);
+
+      localStorage.setItem('items', 'not json{');
+      loadPersistedCollection(localStorage, CONFIG);
+
+      expect(localStorage.getItem('items_backup')).toBe(original);
+      const report = readRecoveryReport(localStorage, 'items_recovery');
+      expect(report?.quarantined).toHaveLength(1);
+      expect(report?.unreadable).toBe(true);
+    });
+  });
+
+  describe('savePersistedCollection', () => {
+    it('should write the current version envelope', () => {
+      savePersistedCollection(localStorage, CONFIG, [{ id: 'a', size: 1 }], 500);
+
+      expect(JSON.parse(localStorage.getItem('items') ?? '')).toEqual({
+        version: 2,
+        savedAt: 500,
+        data: [{ id: 'a', size: 1 }]
+      });
+      expect(loadPersistedCollection(localStorage, CONFIG)).toEqual([{ id: 'a', size: 1 }]);
+    });
+  });
+});
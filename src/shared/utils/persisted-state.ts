@@ -0,0 +1,164 @@
+import type { z } from 'zod';
+import { PersistedStateEnvelopeSchema, RecoveryReportSchema } from '../schemas';
+import type { PersistedStateEnvelope, QuarantinedEntry, RecoveryReport } from '../schemas';
+import { formatValidationIssues } from './validation';
+
+/**
+ * Upgrades one stored entry from `version - 1` to `version`.
+ * Migrations receive unvalidated data and must tolerate missing fields.
+ */
+export type Migration = {
+  version: number;
+  description: string;
+  migrate: (entry: unknown) => unknown;
+};
+
+export type PersistedCollectionConfig<T> = {
+  key: string;
+  backupKey: string;
+  recoveryKey: string;
+  version: number;
+  migrations: Migration[];
+  schema: z.ZodType<T>;
+};
+
+export type MigrationResult<T> = {
+  entries: T[];
+  quarantined: QuarantinedEntry[];
+  // Version the data was stored with (null when there was nothing readable)
+  fromVersion: number | null;
+  unreadable: boolean;
+};
+
+type StorageLike = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+
+// Unversioned arrays were written before the envelope existed
+const LEGACY_VERSION = 0;
+
+const EMPTY_RESULT = { entries: [], quarantined: [], fromVersion: null, unreadable: false };
+
+/**
+ * Run every migration newer than `fromVersion`, in order
+ */
+export const applyMigrations = (entry: unknown, fromVersion: number, migrations: Migration[]): unknown =>
+  migrations
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .reduce((migrated, migration) => migration.migrate(migrated), entry);
+
+export const createPersistedEnvelope = <T>(
+  data: T[],
+  version: number,
+  savedAt: number = Date.now()
+): PersistedStateEnvelope => ({ version, savedAt, data });
+
+/**
+ * Migrate and validate a stored collection entry by entry.
+ * Entries that fail are quarantined so one bad surface never costs the rest.
+ */
+export const migrateCollection = <T>(
+  raw: string | null,
+  { migrations, schema }: Pick<PersistedCollectionConfig<T>, 'migrations' | 'schema'>
+): MigrationResult<T> => {
+  if (raw === null) {
+    return EMPTY_RESULT;
+  }
+
+  let stored: unknown;
+  try {
+    stored = JSON.parse(raw);
+  } catch {
+    return { ...EMPTY_RESULT, unreadable: true };
+  }
+
+  const envelope = PersistedStateEnvelopeSchema.safeParse(stored);
+  const fromVersion = envelope.success ? envelope.data.version : LEGACY_VERSION;
+  const data = envelope.success ? envelope.data.data : stored;
+  if (!Array.isArray(data)) {
+    return { ...EMPTY_RESULT, unreadable: true };
+  }
+
+  const entries: T[] = [];
+  const quarantined: QuarantinedEntry[] = [];
+  data.forEach((entry: unknown, index) => {
+    let migrated: unknown;
+    try {
+      migrated = applyMigrations(entry, fromVersion, migrations);
+    } catch (error) {
+      quarantined.push({ index, entry, errors: [`Migration failed: ${String(error)}`] });
+      return;
+    }
+
+    const result = schema.safeParse(migrated);
+    if (result.success) {
+      entries.push(result.data);
+    } else {
+      quarantined.push({ index, entry, errors: formatValidationIssues(result.error) });
+    }
+  });
+
+  return { entries, quarantined, fromVersion, unreadable: false };
+};
+
+export const readRecoveryReport = (storage: StorageLike, recoveryKey: string): RecoveryReport | null => {
+  try {
+    const stored = storage.getItem(recoveryKey);
+    if (!stored) return null;
+    const result = RecoveryReportSchema.safeParse(JSON.parse(stored));
+    return result.success ? result.data : null;
+  } catch {
+    return null;
+  }
+};
+
+export const clearRecoveryReport = (storage: StorageLike, recoveryKey: string): void => {
+  storage.removeItem(recoveryKey);
+};
+
+/**
+ * Load a collection through the migration pipeline.
+ * The raw value is copied to the backup key before anything is rewritten; a
+ * backup the user has not reviewed yet is never overwritten.
+ */
+export const loadPersistedCollection = <T>(
+  storage: StorageLike,
+  config: PersistedCollectionConfig<T>,
+  now: number = Date.now()
+): T[] => {
+  const raw = storage.getItem(config.key);
+  const result = migrateCollection(raw, config);
+  const needsRecovery = result.unreadable || result.quarantined.length > 0;
+  const migrated = result.fromVersion !== null && result.fromVersion !== config.version;
+
+  if (raw !== null && (needsRecovery || migrated)) {
+    const pendingReport = readRecoveryReport(storage, config.recoveryKey);
+    if (!pendingReport) {
+      storage.setItem(config.backupKey, raw);
+    }
+
+    if (needsRecovery) {
+      const report: RecoveryReport = {
+        createdAt: now,
+        fromVersion: result.fromVersion,
+        unreadable: result.unreadable || Boolean(pendingReport?.unreadable),
+        quarantined: [...(pendingReport?.quarantined ?? []), ...result.quarantined]
+      };
+      storage.setItem(config.recoveryKey, JSON.stringify(report));
+      console.warn(
+        `Quarantined ${result.quarantined.length} invalid entr${result.quarantined.length === 1 ? 'y' : 'ies'} from localStorage key "${config.key}".`,
+        result.quarantined
+      );
+    }
+  }
+
+  return result.entries;
+};
+
+export const savePersistedCollection = <T>(
+  storage: StorageLike,
+  config: Pick<PersistedCollectionConfig<T>, 'key' | 'version'>,
+  entries: T[],
+  now: number = Date.now()
+): void => {
+  storage.setItem(config.key, JSON.stringify(createPersistedEnvelope(entries, config.version, now)));
+};
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import {
+  closestPointOnSegment,
+  getCornerPoints,
+  getCornerUvs,
+  getPolygonUvs,
+  getSignedArea,
+  insertCorner,
+  insertSurfaceCorner,
+  removeCorner,
+  removeSurfaceCorner,
+  toCorners,
+  triangulatePolygon
+} from './polygon';
+import { createQuadHomography } from './homography';
+import { createMeshWarp } from './mesh-warp';
+import type { CornerPoint } from '../schemas';
+
+const SQUARE = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+// L-shape with a reflex corner at (1, 1)
+const L_SHAPE = [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 0, y: 2 }];
+
+const triangleArea = (points: CornerPoint[], indices: number[]) => {
+  let area = 0;
+  for (let i = 0; i < indices.length; i += 3) {
+    const triangle = [indices[i], indices[i + 1], indices[i + 2]].map(index => points[index as number] as CornerPoint);
+    area += Math.abs(getSignedArea(triangle)) / 2;
+  }
+  return area;
+};
+
+describe('polygon', () => {
+  describe('corner order', () => {
+    it('should read corners in numeric key order', () => {
+      const corners = { point10: { x: 10, y: 0 }, point2: { x: 2, y: 0 }, point0: { x: 0, y: 0 } };
+
+      expect(getCornerPoints(corners).map(point => point.x)).toEqual([0, 2, 10]);
+    });
+
+    it('should rekey points from zero', () => {
+      expect(Object.keys(toCorners(SQUARE))).toEqual(['point0', 'point1', 'point2', 'point3']);
+    });
+  });
+
+  describe('triangulatePolygon', () => {
+    it('should cover a convex polygon with n - 2 triangles', () => {
+      const indices = triangulatePolygon(SQUARE);
+
+      expect(indices).toHaveLength(6);
+      expect(triangleArea(SQUARE, indices)).toBeCloseTo(1);
+    });
+
+    it('should not fill the notch of a concave polygon', () => {
+      const indices = triangulatePolygon(L_SHAPE);
+
+      expect(indices).toHaveLength(12);
+      expect(triangleArea(L_SHAPE, indices)).toBeCloseTo(3);
+    });
+
+    it('should handle points inserted on an edge', () => {
+      const points = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 2 }];
+      const indices = triangulatePolygon(points);
+
+      expect(indices).toHaveLength(6);
+      expect(triangleArea(points, indices)).toBeCloseTo(2);
+    });
+
+    it('should still return n - 2 triangles for self-intersecting outlines', () => {
+      const bowtie = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 0 }, { x: 0, y: 1 }];
+
+      expect(triangulatePolygon(bowtie)).toHaveLength(6);
+    });
+  });
+
+  describe('getPolygonUvs', () => {
+    it('should span the bounding box with v pointing up', () => {
+      expect(getPolygonUvs(SQUARE)).toEqual([{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 0 }, { x: 0, y: 0 }]);
+    });
+
+    it('should not move existing UVs when a point is inserted on an edge', () => {
+      const before = getPolygonUvs(SQUARE);
+      const after = getPolygonUvs(getCornerPoints(insertCorner(toCorners(SQUARE), 0, { x: 0.5, y: 0 })));
+
+      expect(after[0]).toEqual(before[0]);
+      expect(after[1]).toEqual({ x: 0.5, y: 1 });
+      expect(after[2]).toEqual(before[1]);
+    });
+  });
+
+  describe('editing', () => {
+    it('should project a click onto an edge', () => {
+      expect(closestPointOnSegment({ x: 0.3, y: 0.2 }, { x: 0, y: 0 }, { x: 1, y: 0 })).toEqual({ x: 0.3, y: 0 });
+      expect(closestPointOnSegment({ x: 2, y: 1 }, { x: 0, y: 0 }, { x: 1, y: 0 })).toEqual({ x: 1, y: 0 });
+    });
+
+    it('should insert after the edge start, including on the closing edge', () => {
+      const corners = insertCorner(toCorners(SQUARE), 3, { x: 0, y: 0.5 });
+
+      expect(getCornerPoints(corners)).toEqual([...SQUARE, { x: 0, y: 0.5 }]);
+    });
+
+    it('should remove a corner and keep at least three', () => {
+      const corners = removeCorner(toCorners(SQUARE), 1);
+
+      expect(getCornerPoints(corners)).toEqual([SQUARE[0], SQUARE[2], SQUARE[3]]);
+      expect(removeCorner(corners, 0)).toBe(corners);
+    });
+
+    it('should keep the content in place when a quad gains a point and loses it again', () => {
+      // A keystoned quad, where bounding-box UVs would shift the content
+      const quad = [{ x: 0.2, y: 0.1 }, { x: 0.9, y: 0.2 }, { x: 0.8, y: 0.9 }, { x: 0.1, y: 0.8 }];
+      const surface = { corners: toCorners(quad), meshWarp: createMeshWarp() };
+      const point = { x: 0.55, y: 0.15 };
+
+      const grown = insertSurfaceCorner(surface, 0, point);
+      const uvs = getCornerUvs(getCornerPoints(grown.corners), grown.cornerUvs);
+
+      expect(grown.cornerCount).toBe(5);
+      expect(grown.meshWarp).toBeUndefined();
+      // The original corners keep the quad's mapping and the new one shows what the quad showed there
+      expect([uvs[0], uvs[2], uvs[3], uvs[4]]).toEqual(getCornerUvs(quad));
+      const toOutput = createQuadHomography(getCornerUvs(quad).flatMap(({ x, y }) => [x, y]), quad.flatMap(({ x, y }) => [x, y]));
+      const [x, y] = toOutput(uvs[1]?.x ?? NaN, uvs[1]?.y ?? NaN);
+      expect(x).toBeCloseTo(point.x);
+      expect(y).toBeCloseTo(point.y);
+
+      const shrunk = removeSurfaceCorner({ ...surface, ...grown }, 1);
+
+      expect(shrunk).toEqual({ corners: surface.corners, cornerCount: 4, cornerUvs: undefined });
+      expect(removeSurfaceCorner({ corners: toCorners(quad.slice(0, 3)) }, 0)).toBeNull();
+    });
+
+    it('should interpolate along a polygon edge and drop the UV of a removed corner', () => {
+      const square = { corners: toCorners(SQUARE) };
+      const pentagon = insertSurfaceCorner(square, 0, { x: 0.5, y: 0 });
+      const hexagon = insertSurfaceCorner(pentagon, 0, { x: 0.25, y: 0 });
+
+      expect(hexagon.cornerUvs?.slice(0, 3)).toEqual([{ x: 0, y: 1 }, { x: 0.25, y: 1 }, { x: 0.5, y: 1 }]);
+      expect(removeSurfaceCorner(hexagon, 1)?.cornerUvs).toEqual(pentagon.cornerUvs);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import type { CornerPoint, Corners, Surface } from '../schemas';
+import { createQuadHomography } from './homography';
+
+const CORNER_KEY_PATTERN = /^point(\d+)$/;
+
+const getCornerIndex = (key: string): number => Number(CORNER_KEY_PATTERN.exec(key)?.[1] ?? Infinity);
+
+/**
+ * Corner points in outline order (point0, point1, ...)
+ */
+export const getCornerPoints = (corners: Corners): CornerPoint[] =>
+  Object.keys(corners)
+    .sort((a, b) => getCornerIndex(a) - getCornerIndex(b))
+    .flatMap(key => (corners[key] ? [corners[key]] : []));
+
+/**
+ * Corners keyed point0..pointN in the given order
+ */
+export const toCorners = (points: CornerPoint[]): Corners =>
+  Object.fromEntries(points.map((point, index) => [`point${index}`, point]));
+
+const cross = (a: CornerPoint, b: CornerPoint, c: CornerPoint): number =>
+  (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+
+/**
+ * Twice the signed area; the sign tells the winding direction
+ */
+export const getSignedArea = (points: CornerPoint[]): number =>
+  points.reduce((area, point, index) => {
+    const next = points[(index + 1) % points.length] ?? point;
+    return area + point.x * next.y - next.x * point.y;
+  }, 0);
+
+// Points on the triangle's edges count as inside, so a reflex corner touching a
+// candidate ear still blocks it
+const isInsideTriangle = (point: CornerPoint, a: CornerPoint, b: CornerPoint, c: CornerPoint, winding: number): boolean =>
+  [a, b, c].every(vertex => vertex.x !== point.x || vertex.y !== point.y)
+  && cross(a, b, point) * winding >= 0 && cross(b, c, point) * winding >= 0 && cross(c, a, point) * winding >= 0;
+
+/**
+ * Triangulate a simple polygon (convex or concave) by ear clipping.
+ * Returns vertex indices, three per triangle, always `points.length - 2`
+ * triangles. Outlines that cross themselves have no valid triangulation;
+ * what cannot be clipped is filled as a fan so the surface still renders.
+ */
+export const triangulatePolygon = (points: CornerPoint[]): number[] => {
+  if (points.length < 3) return [];
+
+  const winding = Math.sign(getSignedArea(points)) || 1;
+  const remaining = points.map((_, index) => index);
+  const triangles: number[] = [];
+
+  while (remaining.length > 3) {
+    const earIndex = remaining.findIndex((current, i) => {
+      const previous = remaining[(i + remaining.length - 1) % remaining.length] ?? current;
+      const next = remaining[(i + 1) % remaining.length] ?? current;
+      const a = points[previous];
+      const b = points[current];
+      const c = points[next];
+      if (!a || !b || !c || cross(a, b, c) * winding <= 0) return false;
+      return remaining.every(other =>
+        other === previous || other === current || other === next
+        || !isInsideTriangle(points[other] as CornerPoint, a, b, c, winding));
+    });
+    if (earIndex === -1) break;
+
+    const current = remaining[earIndex] as number;
+    triangles.push(
+      remaining[(earIndex + remaining.length - 1) % remaining.length] as number,
+      current,
+      remaining[(earIndex + 1) % remaining.length] as number
+    );
+    remaining.splice(earIndex, 1);
+  }
+
+  const [first, ...rest] = remaining;
+  for (let i = 0; i < rest.length - 1; i++) {
+    triangles.push(first as number, rest[i] as number, rest[i + 1] as number);
+  }
+  return triangles;
+};
+
+/**
+ * UVs spanning the outline's bounding box (v up, like texture space).
+ * Inserting a point on an edge leaves the box, and so the content, unchanged.
+ */
+export const getPolygonUvs = (points: CornerPoint[]): CornerPoint[] => {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX || 1;
+  const height = Math.max(...ys) - minY || 1;
+  return points.map(point => ({
+    x: (point.x - minX) / width,
+    y: 1 - (point.y - minY) / height
+  }));
+};
+
+// Texture coordinates a quad maps its corners point0..point3 to
+const QUAD_UVS: CornerPoint[] = [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 0 }, { x: 0, y: 0 }];
+
+/**
+ * Texture coordinate of each corner as the surface shows it: a quad's own
+ * mapping, the ones a polygon carries, or else the outline's bounding box
+ */
+export const getCornerUvs = (points: CornerPoint[], cornerUvs?: CornerPoint[]): CornerPoint[] => {
+  if (points.length === 4) return QUAD_UVS;
+  return cornerUvs?.length === points.length ? cornerUvs : getPolygonUvs(points);
+};
+
+// What the surface shows at a point on the edge from corner `edgeIndex` to the
+// next: quads are warped projectively, polygon triangles linearly
+const getEdgeUv = (points: CornerPoint[], uvs: CornerPoint[], edgeIndex: number, point: CornerPoint): CornerPoint => {
+  if (points.length === 4) {
+    const toUv = createQuadHomography(points.flatMap(({ x, y }) => [x, y]), QUAD_UVS.flatMap(({ x, y }) => [x, y]));
+    const [x, y] = toUv(point.x, point.y);
+    return { x, y };
+  }
+  const start = points[edgeIndex] ?? point;
+  const end = points[(edgeIndex + 1) % points.length] ?? point;
+  const startUv = uvs[edgeIndex] ?? { x: 0, y: 0 };
+  const endUv = uvs[(edgeIndex + 1) % uvs.length] ?? startUv;
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  const t = length === 0 ? 0 : Math.hypot(point.x - start.x, point.y - start.y) / length;
+  return { x: startUv.x + (endUv.x - startUv.x) * t, y: startUv.y + (endUv.y - startUv.y) * t };
+};
+
+export const closestPointOnSegment = (point: CornerPoint, start: CornerPoint, end: CornerPoint): CornerPoint => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.min(Math.max(((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared, 0), 1);
+  return { x: start.x + dx * t, y: start.y + dy * t };
+};
+
+/**
+ * Corners with `point` inserted on the edge that starts at corner `edgeIndex`
+ */
+export const insertCorner = (corners: Corners, edgeIndex: number, point: CornerPoint): Corners => {
+  const points = getCornerPoints(corners);
+  points.splice(edgeIndex + 1, 0, point);
+  return toCorners(points);
+};
+
+/**
+ * Corners without corner `index`; a triangle keeps all three
+ */
+export const removeCorner = (corners: Corners, index: number): Corners => {
+  const points = getCornerPoints(corners);
+  if (points.length <= 3) return corners;
+  points.splice(index, 1);
+  return toCorners(points);
+};
+
+type CornerEdit = Pick<Surface, 'corners' | 'cornerCount' | 'cornerUvs' | 'meshWarp'>;
+
+/**
+ * Surface updates adding `point` on the edge that starts at corner `edgeIndex`.
+ * The new corner keeps the texture coordinate shown there, so the content does
+ * not move; the mesh warp, which only bends quads, is dropped.
+ */
+export const insertSurfaceCorner = (
+  surface: Pick<Surface, 'corners' | 'cornerUvs'>,
+  edgeIndex: number,
+  point: CornerPoint
+): CornerEdit => {
+  const points = getCornerPoints(surface.corners);
+  const uvs = getCornerUvs(points, surface.cornerUvs);
+  const cornerUvs = [...uvs];
+  cornerUvs.splice(edgeIndex + 1, 0, getEdgeUv(points, uvs, edgeIndex, point));
+  return {
+    corners: insertCorner(surface.corners, edgeIndex, point),
+    cornerCount: points.length + 1,
+    cornerUvs,
+    meshWarp: undefined
+  };
+};
+
+/**
+ * Surface updates removing corner `index`, or null for a triangle.
+ * Back at four corners the quad's own mapping takes over again.
+ */
+export const removeSurfaceCorner = (
+  surface: Pick<Surface, 'corners' | 'cornerUvs'>,
+  index: number
+): Omit<CornerEdit, 'meshWarp'> | null => {
+  const corners = removeCorner(surface.corners, index);
+  if (corners === surface.corners) return null;
+  const points = getCornerPoints(surface.corners);
+  const cornerUvs = getCornerUvs(points, surface.cornerUvs).filter((_, i) => i !== index);
+  return {
+    corners,
+    cornerCount: points.length - 1,
+    cornerUvs: points.length - 1 === 4 ? undefined : cornerUvs
+  };
+};
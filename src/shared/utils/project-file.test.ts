@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createProjectFile,
+  importProjectAssets,
+  parseProjectFile,
+  resolveImportedSurfaces
+} from './project-file';
+import { createAssetStore, createMemoryBackend } from './asset-store';
+import type { AssetStore } from './asset-store';
+import { createDefaultSurface } from './surface-factory';
+import { DEFAULT_COLOR_CORRECTION } from './color-correction';
+import { createDefaultOutputs } from './outputs';
+import { createCue } from './cues';
+import { createTimeline, createTrack, setKeyframe } from './timeline';
+import { createOscMapping } from './osc-mapping';
+import { createMidiMapping } from './midi-mapping';
+import type { AppState, Surface } from '../schemas';
+
+const SETTINGS: AppState = { mode: 'calibration', isFullscreen: false, isSidebarVisible: true };
+
+const createSurface = (id: string, contentData?: Surface['contentData']): Surface => ({
+  ...createDefaultSurface({ id, name: `Surface ${id}` }),
+  contentData
+});
+
+describe('project file', () => {
+  let store: AssetStore;
+
+  beforeEach(() => {
+    store = createAssetStore(createMemoryBackend());
+  });
+
+  describe('export and parse', () => {
+    it('should round-trip surfaces, settings and referenced media', async () => {
+      const asset = await store.addBlob(new Blob(['pixels'], { type: 'image/png' }), 'logo.png');
+      await store.addBlob(new Blob(['unused'], { type: 'image/png' }), 'unused.png');
+      const surfaces = [
+        createSurface('surface-1', { assetId: asset.id }),
+        createSurface('surface-2', { shaderData: { vertexShader: 'v', fragmentShader: 'f' } })
+      ];
+
+      const project = await createProjectFile(store, surfaces, SETTINGS, new Date('2024-05-01T10:00:00Z'));
+      const result = parseProjectFile(JSON.stringify(project));
+
+      expect(result.success).toBe(true);
+      if (!result.success) return;
+      expect(result.project.exportedAt).toBe('2024-05-01T10:00:00.000Z');
+      expect(result.project.settings).toEqual(SETTINGS);
+      expect(result.project.surfaces).toEqual(surfaces);
+      expect(result.project.assets.map(embedded => embedded.name)).toEqual(['logo.png']);
+      expect(atob(result.project.assets[0]?.data ?? '')).toBe('pixels');
+    });
+
+    it('should embed LUTs referenced by surfaces and outputs', async () => {
+      const surfaceLut = await store.addBlob(new Blob(['LUT_3D_SIZE 2']), 'surface.cube');
+      const outputLut = await store.addBlob(new Blob(['LUT_3D_SIZE 3']), 'output.cube');
+      const surface = {
+        ...createSurface('surface-1'),
+        colorCorrection: { ...DEFAULT_COLOR_CORRECTION, lut: { assetId: surfaceLut.id, name: 'surface.cube' } }
+      };
+      const settings: AppState = {
+        ...SETTINGS,
+        outputs: [{
+          ...createDefaultOutputs({ width: 1920, height: 1080 })[0]!,
+          colorCorrection: { ...DEFAULT_COLOR_CORRECTION, lut: { assetId: outputLut.id, name: 'output.cube' } }
+        }]
+      };
+
+      const project = await createProjectFile(store, [surface], settings);
+
+      expect(project.assets.map(embedded => embedded.name).sort()).toEqual(['output.cube', 'surface.cube']);
+    });
+
+    it('should embed media referenced only by cues', async () => {
+      const asset = await store.addBlob(new Blob(['frames'], { type: 'video/mp4' }), 'finale.mp4');
+      const cue = createCue('Finale', [createSurface('surface-1', { assetId: asset.id })], []);
+
+      const project = await createProjectFile(store, [createSurface('surface-1')], { ...SETTINGS, cues: [cue] });
+
+      expect(project.assets.map(embedded => embedded.name)).toEqual(['finale.mp4']);
+      expect(parseProjectFile(JSON.stringify(project)).success).toBe(true);
+    });
+
+    it('should embed media referenced only by timeline keyframes', async () => {
+      const asset = await store.addBlob(new Blob(['frames'], { type: 'video/mp4' }), 'intro.mp4');
+      const track = setKeyframe(createTrack('surface-1', { property: 'content' }, []), 5, {
+        contentType: 'video',
+        contentData: { assetId: asset.id }
+      });
+      const timeline = { ...createTimeline(0), tracks: [track] };
+
+      const project = await createProjectFile(store, [createSurface('surface-1')], { ...SETTINGS, timeline });
+
+      expect(project.assets.map(embedded => embedded.name)).toEqual(['intro.mp4']);
+      expect(parseProjectFile(JSON.stringify(project)).success).toBe(true);
+    });
+
+    it('should skip referenced assets that are missing from the library', async () => {
+      const project = await createProjectFile(store, [createSurface('surface-1', { assetId: 'a'.repeat(64) })], SETTINGS);
+
+      expect(project.assets).toEqual([]);
+    });
+  });
+
+  describe('validation', () => {
+    it('should carry the OSC mapping table and reject malformed addresses', async () => {
+      const oscMappings = [
+        { ...createOscMapping({ kind: 'opacity', surfaceId: 'surface-1' }, [], '/surface/1/opacity'), inputMax: 127 }
+      ];
+      const project = await createProjectFile(store, [createSurface('surface-1')], { ...SETTINGS, oscMappings });
+
+      const result = parseProjectFile(JSON.stringify(project));
+      expect(result.success && result.project.settings.oscMappings).toEqual(oscMappings);
+
+      const broken = JSON.parse(JSON.stringify(project));
+      broken.settings.oscMappings[0].address = 'surface/1/opacity';
+      const brokenResult = parseProjectFile(JSON.stringify(broken));
+      expect(brokenResult.success).toBe(false);
+    });
+
+    it('should carry the MIDI mapping table and reject out-of-range controls', async () => {
+      const midiMappings = [
+        { ...createMidiMapping({ kind: 'cueGo' }, [], { type: 'note', channel: 10, number: 36 }), softTakeover: false }
+      ];
+      const project = await createProjectFile(store, [createSurface('surface-1')], { ...SETTINGS, midiMappings });
+
+      const result = parseProjectFile(JSON.stringify(project));
+      expect(result.success && result.project.settings.midiMappings).toEqual(midiMappings);
+
+      const broken = JSON.parse(JSON.stringify(project));
+      broken.settings.midiMappings[0].control.channel = 17;
+      const brokenResult = parseProjectFile(JSON.stringify(broken));
+      expect(brokenResult.success).toBe(false);
+    });
+
+    it('should reject text that is not JSON', () => {
+      expect(parseProjectFile('not json')).toEqual({ success: false, errors: ['File is not valid JSON'] });
+    });
+
+    it('should report the path of every failing field', async () => {
+      const project = await createProjectFile(store, [createSurface('surface-1')], SETTINGS);
+      const broken = JSON.parse(JSON.stringify(project));
+      broken.surfaces[0].corners.point0.x = 'left';
+      broken.surfaces[0].cornerCount = 2;
+      delete broken.settings.mode;
+
+      const result = parseProjectFile(JSON.stringify(broken));
+
+      expect(result.success).toBe(false);
+      if (result.success) return;
+      expect(result.errors).toHaveLength(3);
+      expect(result.errors.some(error => error.startsWith('surfaces[0].corners.point0.x:'))).toBe(true);
+      expect(result.errors.some(error => error.startsWith('surfaces[0].cornerCount:'))).toBe(true);
+      expect(result.errors.some(error => error.startsWith('settings.mode:'))).toBe(true);
+    });
+
+    it('should migrate surfaces from the schema version the file records', async () => {
+      const project = await createProjectFile(store, [createSurface('surface-1')], SETTINGS);
+      const legacy = JSON.parse(JSON.stringify(project));
+      legacy.surfacesVersion = 0;
+      delete legacy.surfaces[0].geometryType;
+
+      const result = parseProjectFile(JSON.stringify(legacy));
+
+      expect(result.success).toBe(true);
+      if (!result.success) return;
+      expect(result.project.surfaces[0]?.geometryType).toBe('polygon');
+    });
+
+    it('should reject files in another format', () => {
+      const result = parseProjectFile(JSON.stringify({ format: 'something-else' }));
+
+      expect(result.success).toBe(false);
+      if (result.success) return;
+      expect(result.errors.some(error => error.startsWith('format:'))).toBe(true);
+    });
+  });
+
+  describe('importProjectAssets', () => {
+    it('should add embedded media to the library', async () => {
+      const source = createAssetStore(createMemoryBackend());
+      const asset = await source.addBlob(new Blob(['pixels'], { type: 'image/png' }), 'logo.png');
+      const project = await createProjectFile(source, [createSurface('surface-1', { assetId: asset.id })], SETTINGS);
+
+      const surfaces = await importProjectAssets(store, project);
+
+      expect(surfaces[0]?.contentData?.assetId).toBe(asset.id);
+      expect((await store.get(asset.id))?.name).toBe('logo.png');
+    });
+
+    it('should repoint surfaces when embedded media does not match its declared id', async () => {
+      const project = await createProjectFile(store, [], SETTINGS);
+      const declaredId = 'b'.repeat(64);
+      project.assets.push({
+        id: declaredId,
+        name: 'logo.png',
+        mimeType: 'image/png',
+        size: 6,
+        createdAt: 0,
+        data: btoa('pixels')
+      });
+      project.surfaces.push(createSurface('surface-1', { assetId: declaredId }));
+
+      const surfaces = await importProjectAssets(store, project);
+
+      expect(surfaces[0]?.contentData?.assetId).not.toBe(declaredId);
+      expect(await store.get(surfaces[0]?.contentData?.assetId ?? '')).toBeDefined();
+    });
+  });
+
+  describe('resolveImportedSurfaces', () => {
+    const existing = [createSurface('surface-1'), createSurface('surface-2')];
+
+    it('should replace all surfaces in replace mode', () => {
+      const imported = [createSurface('surface-1')];
+
+      expect(resolveImportedSurfaces(existing, imported, 'replace')).toBe(imported);
+    });
+
+    it('should keep existing surfaces and renumber colliding ids in merge mode', () => {
+      const imported = [createSurface('surface-2'), createSurface('surface-9')];
+
+      const merged = resolveImportedSurfaces(existing, imported, 'merge');
+
+      expect(merged.map(surface => surface.id)).toEqual(['surface-1', 'surface-2', 'surface-10', 'surface-9']);
+      expect(merged[2]?.name).toBe('Surface surface-2');
+    });
+  });
+});
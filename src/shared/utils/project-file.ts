@@ -0,0 +1,169 @@
+import { PROJECT_FILE_FORMAT, ProjectFileSchema } from '../schemas';
+import type { AppState, ProjectAsset, ProjectFile, Surface } from '../schemas';
+import { getAssetUsage, readBlob } from './asset-store';
+import type { AssetStore } from './asset-store';
+import { getNextSurfaceNumber } from './surface-factory';
+import { formatValidationIssues } from './validation';
+import { applyMigrations } from './persisted-state';
+import { SURFACE_MIGRATIONS, SURFACES_SCHEMA_VERSION } from './surface-migrations';
+
+export type ProjectImportMode = 'replace' | 'merge';
+
+export type ProjectParseResult =
+  | { success: true; project: ProjectFile }
+  | { success: false; errors: string[] };
+
+// Surface schema version of project files that predate `surfacesVersion`
+const LEGACY_PROJECT_SURFACES_VERSION = 1;
+
+// Encode in chunks; spreading a whole video into fromCharCode overflows the stack
+const BASE64_CHUNK_SIZE = 0x8000;
+
+const blobToBase64 = async (blob: Blob): Promise<string> => {
+  const bytes = new Uint8Array(await readBlob(blob));
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+const base64ToBlob = (data: string, mimeType: string): Blob => {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+};
+
+export const createProjectFile = async (
+  store: AssetStore,
+  surfaces: Surface[],
+  settings: AppState,
+  exportedAt: Date = new Date()
+): Promise<ProjectFile> => {
+  // Surface media and LUTs, plus the outputs' LUTs and media only cues or timeline keyframes still show
+  const assetIds = new Set([
+    ...getAssetUsage(surfaces).keys(),
+    ...(settings.outputs ?? []).flatMap(output => output.colorCorrection?.lut?.assetId ?? []),
+    ...(settings.cues ?? []).flatMap(cue =>
+      Object.values(cue.surfaces).flatMap(state => state.contentData?.assetId ?? [])),
+    ...(settings.timeline?.tracks ?? []).flatMap(track => (track.property === 'content'
+      ? track.keyframes.flatMap(keyframe => keyframe.value.contentData?.assetId ?? [])
+      : []))
+  ]);
+  const assets = await Promise.all(
+    Array.from(assetIds).map(async (id): Promise<ProjectAsset | null> => {
+      const [metadata, blob] = await Promise.all([store.get(id), store.getBlob(id)]);
+      if (!metadata || !blob) {
+        console.warn(`Asset "${id}" is referenced but missing from the library; skipping it`);
+        return null;
+      }
+      return { ...metadata, data: await blobToBase64(blob) };
+    })
+  );
+
+  return {
+    format: PROJECT_FILE_FORMAT,
+    version: 1,
+    surfacesVersion: SURFACES_SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    settings,
+    surfaces,
+    assets: assets.filter((asset): asset is ProjectAsset => asset !== null)
+  };
+};
+
+// Bring surfaces exported by an older build up to the current schema before validating
+const migrateProjectSurfaces = (data: unknown): unknown => {
+  if (typeof data !== 'object' || data === null || !('surfaces' in data) || !Array.isArray(data.surfaces)) {
+    return data;
+  }
+
+  const fromVersion = 'surfacesVersion' in data && typeof data.surfacesVersion === 'number'
+    ? data.surfacesVersion
+    : LEGACY_PROJECT_SURFACES_VERSION;
+  try {
+    return {
+      ...data,
+      surfacesVersion: Math.max(fromVersion, SURFACES_SCHEMA_VERSION),
+      surfaces: data.surfaces.map((surface: unknown) => applyMigrations(surface, fromVersion, SURFACE_MIGRATIONS))
+    };
+  } catch (error) {
+    console.warn('Could not migrate project surfaces; validating them as stored', error);
+    return data;
+  }
+};
+
+export const parseProjectFile = (text: string): ProjectParseResult => {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { success: false, errors: ['File is not valid JSON'] };
+  }
+
+  const result = ProjectFileSchema.safeParse(migrateProjectSurfaces(data));
+  return result.success
+    ? { success: true, project: result.data }
+    : { success: false, errors: formatValidationIssues(result.error) };
+};
+
+/**
+ * Add the project's embedded media to the asset library.
+ * Resolves to the project's surfaces, pointing at the stored asset ids.
+ */
+export const importProjectAssets = async (
+  store: AssetStore,
+  project: ProjectFile
+): Promise<Surface[]> => {
+  const idMap = new Map<string, string>();
+  for (const asset of project.assets) {
+    const stored = await store.addBlob(base64ToBlob(asset.data, asset.mimeType), asset.name);
+    idMap.set(asset.id, stored.id);
+  }
+
+  return project.surfaces.map(surface => {
+    const assetId = surface.contentData?.assetId;
+    const storedId = assetId && idMap.get(assetId);
+    const lut = surface.colorCorrection?.lut;
+    const storedLutId = lut && idMap.get(lut.assetId);
+    return {
+      ...surface,
+      ...(storedId && storedId !== assetId && { contentData: { ...surface.contentData, assetId: storedId } }),
+      ...(surface.colorCorrection && lut && storedLutId && storedLutId !== lut.assetId && {
+        colorCorrection: { ...surface.colorCorrection, lut: { ...lut, assetId: storedLutId } }
+      })
+    };
+  });
+};
+
+/**
+ * Combine imported surfaces with the current ones.
+ * Merging keeps existing surfaces and renumbers imported ids that collide.
+ */
+export const resolveImportedSurfaces = (
+  existing: Surface[],
+  imported: Surface[],
+  mode: ProjectImportMode
+): Surface[] => {
+  if (mode === 'replace') {
+    return imported;
+  }
+
+  const usedIds = new Set(existing.map(surface => surface.id));
+  let nextNumber = getNextSurfaceNumber([...existing, ...imported]);
+
+  const renumbered = imported.map(surface => {
+    if (!usedIds.has(surface.id)) {
+      usedIds.add(surface.id);
+      return surface;
+    }
+    const id = `surface-${nextNumber++}`;
+    usedIds.add(id);
+    return { ...surface, id };
+  });
+
+  return [...existing, ...renumbered];
+};
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RelayTransport, resolveRelayUrl } from './relay-transport';
+import { RELAY_DEFAULTS } from './constants';
+import { ClockSyncMessages } from './clock-sync';
+
+class FakeWebSocket {
+  static readonly OPEN = 1;
+  static instances: FakeWebSocket[] = [];
+  readyState = 0;
+  sent: string[] = [];
+  onopen: (() => void) | null = null;
+  onmessage: ((event: { data: unknown }) => void) | null = null;
+  onclose: (() => void) | null = null;
+
+  constructor(public url: string) {
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data: string) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  // Test helpers standing in for the relay
+  accept() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  drop() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+}
+
+const latestSocket = (): FakeWebSocket => {
+  const socket = FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  if (!socket) throw new Error('No socket opened');
+  return socket;
+};
+
+describe('resolveRelayUrl', () => {
+  const page = { protocol: 'http:', host: 'laptop.local:3000' };
+
+  it('should use the host serving the app for an empty address', () => {
+    expect(resolveRelayUrl('', page)).toBe('ws://laptop.local:3000');
+    expect(resolveRelayUrl(' ', { protocol: 'https:', host: 'show.local' })).toBe('wss://show.local');
+  });
+
+  it('should add the default port to a bare host', () => {
+    expect(resolveRelayUrl('192.168.1.20', page)).toBe(`ws://192.168.1.20:${RELAY_DEFAULTS.PORT}`);
+    expect(resolveRelayUrl('192.168.1.20:9000', page)).toBe('ws://192.168.1.20:9000');
+  });
+
+  it('should keep WebSocket addresses and convert http ones', () => {
+    expect(resolveRelayUrl('ws://relay:1234', page)).toBe('ws://relay:1234');
+    expect(resolveRelayUrl('https://relay:1234', page)).toBe('wss://relay:1234');
+  });
+});
+
+describe('RelayTransport', () => {
+  let received: unknown[];
+  let connects: number;
+  let transport: RelayTransport;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    FakeWebSocket.instances = [];
+    received = [];
+    connects = 0;
+    transport = new RelayTransport(data => received.push(data), () => { connects += 1; });
+  });
+
+  afterEach(() => {
+    transport.disconnect();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('should report its status and pass messages both ways once connected', () => {
+    transport.connect('ws://relay:8787');
+    expect(transport.getStatus()).toBe('connecting');
+
+    transport.send({ type: 'DROPPED' });
+    latestSocket().accept();
+    transport.send({ type: 'SENT' });
+    latestSocket().onmessage?.({ data: '{"type":"RECEIVED"}' });
+
+    expect(transport.getStatus()).toBe('connected');
+    expect(connects).toBe(1);
+    // Connecting starts measuring the clock offset, before anything else goes out
+    expect(JSON.parse(latestSocket().sent[0]!).type).toBe(ClockSyncMessages.PING);
+    expect(latestSocket().sent.slice(1)).toEqual(['{"type":"SENT"}']);
+    expect(received).toEqual([{ type: 'RECEIVED' }]);
+  });
+
+  it('should measure its clock offset and move anchors from other machines into local time', () => {
+    vi.setSystemTime(10_000);
+    transport.connect('ws://relay:8787');
+    latestSocket().accept();
+    const { payload } = JSON.parse(latestSocket().sent[0]!);
+
+    // The relay's clock is 5 s ahead; the pong takes 40 ms round trip
+    vi.setSystemTime(10_040);
+    latestSocket().onmessage?.({
+      data: JSON.stringify({ type: ClockSyncMessages.PONG, payload: { sentAt: payload.sentAt, relayTime: 15_020 } })
+    });
+    expect(transport.getClockOffset()).toBe(5000);
+
+    // A machine 2 s ahead of the relay (offset -2000) sends a clock anchored at its 20 s
+    latestSocket().onmessage?.({
+      data: JSON.stringify({ type: 'CLOCK_CHANGED', payload: { anchorTime: 20_000, anchorPosition: 3 }, clockOffset: -2000 })
+    });
+    expect(received).toEqual([
+      { type: 'CLOCK_CHANGED', payload: { anchorTime: 13_000, anchorPosition: 3 }, clockOffset: -2000 }
+    ]);
+
+    transport.send({ type: 'SENT' });
+    expect(JSON.parse(latestSocket().sent[1]!)).toEqual({ type: 'SENT', clockOffset: 5000 });
+
+    vi.advanceTimersByTime(RELAY_DEFAULTS.CLOCK_SYNC_INTERVAL_MS);
+    expect(JSON.parse(latestSocket().sent[2]!).type).toBe(ClockSyncMessages.PING);
+  });
+
+  it('should reconnect with a growing delay after the connection drops', () => {
+    const listener = vi.fn();
+    transport.subscribe(listener);
+    transport.connect('ws://relay:8787');
+    latestSocket().accept();
+
+    latestSocket().drop();
+    expect(transport.getStatus()).toBe('offline');
+    vi.advanceTimersByTime(RELAY_DEFAULTS.RECONNECT_MIN_MS);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    latestSocket().drop();
+    vi.advanceTimersByTime(RELAY_DEFAULTS.RECONNECT_MIN_MS);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    vi.advanceTimersByTime(RELAY_DEFAULTS.RECONNECT_MIN_MS);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+
+    latestSocket().accept();
+    expect(transport.getStatus()).toBe('connected');
+    expect(connects).toBe(2);
+    expect(listener).toHaveBeenCalled();
+  });
+
+  it('should stop retrying once disconnected', () => {
+    transport.connect('ws://relay:8787');
+    latestSocket().drop();
+
+    transport.disconnect();
+    vi.advanceTimersByTime(RELAY_DEFAULTS.RECONNECT_MAX_MS);
+
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(transport.getStatus()).toBe('off');
+    expect(transport.getUrl()).toBeNull();
+  });
+});
@@ -0,0 +1,193 @@
+import { RELAY_DEFAULTS } from './constants';
+import { ClockSyncMessages, measureClockOffset, pickClockOffset, toLocalAnchors } from './clock-sync';
+import type { ClockSample } from './clock-sync';
+
+/**
+ * off: no relay configured; connecting: first attempt (or a retry) under way;
+ * connected: messages flow; offline: connection lost, retrying
+ */
+export type RelayStatus = 'off' | 'connecting' | 'connected' | 'offline';
+
+type Location = Pick<globalThis.Location, 'protocol' | 'host'>;
+
+/**
+ * WebSocket address of a relay from what a user typed or `?sync=` held:
+ * empty means the host serving the app, a bare host gets the default port,
+ * and http(s) addresses become ws(s)
+ */
+export const resolveRelayUrl = (value: string, location: Location): string => {
+  const secure = location.protocol === 'https:';
+  const trimmed = value.trim();
+  if (trimmed === '') {
+    return `${secure ? 'wss' : 'ws'}://${location.host}`;
+  }
+  if (/^wss?:\/\//i.test(trimmed)) {
+    return trimmed;
+  }
+  if (/^https?:\/\//i.test(trimmed)) {
+    return trimmed.replace(/^http/i, 'ws');
+  }
+  const address = /:\d+$/.test(trimmed) ? trimmed : `${trimmed}:${RELAY_DEFAULTS.PORT}`;
+  return `${secure ? 'wss' : 'ws'}://${address}`;
+};
+
+type RelayMessage = {
+  type?: unknown;
+  payload?: unknown;
+  // Sender's offset to the relay's clock, when it has measured one
+  clockOffset?: unknown;
+};
+
+/**
+ * Relay Transport
+ * Keeps one WebSocket to the sync relay open, reconnecting with a growing
+ * delay after it drops. Messages sent while disconnected are dropped; the
+ * receiving windows notice the gap in sequence numbers and resync.
+ * It also keeps measuring this machine's clock offset to the relay, so time
+ * anchors in messages from other machines arrive in local time.
+ */
+export class RelayTransport {
+  private socket: WebSocket | null = null;
+  private url: string | null = null;
+  private status: RelayStatus = 'off';
+  private retryDelay: number = RELAY_DEFAULTS.RECONNECT_MIN_MS;
+  private retryTimer: ReturnType<typeof setTimeout> | null = null;
+  private clockSyncTimer: ReturnType<typeof setInterval> | null = null;
+  private clockSamples: ClockSample[] = [];
+  private statusListeners: Set<() => void> = new Set();
+
+  constructor(
+    private readonly onMessage: (data: unknown) => void,
+    private readonly onConnect: () => void
+  ) {}
+
+  connect(url: string): void {
+    this.disconnect();
+    this.url = url;
+    this.open();
+  }
+
+  disconnect(): void {
+    this.url = null;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    this.stopClockSync();
+    this.clockSamples = [];
+    const socket = this.socket;
+    this.socket = null;
+    socket?.close();
+    this.retryDelay = RELAY_DEFAULTS.RECONNECT_MIN_MS;
+    this.setStatus('off');
+  }
+
+  send(message: object): void {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      const clockOffset = this.getClockOffset();
+      this.socket.send(JSON.stringify(clockOffset === null ? message : { ...message, clockOffset }));
+    }
+  }
+
+  /**
+   * Relay time minus local time in ms, or null before the first measurement
+   */
+  getClockOffset = (): number | null => pickClockOffset(this.clockSamples);
+
+  getStatus = (): RelayStatus => this.status;
+
+  getUrl = (): string | null => this.url;
+
+  subscribe = (listener: () => void): (() => void) => {
+    this.statusListeners.add(listener);
+    return () => {
+      this.statusListeners.delete(listener);
+    };
+  };
+
+  private setStatus(status: RelayStatus): void {
+    if (status === this.status) return;
+    this.status = status;
+    this.statusListeners.forEach(listener => listener());
+  }
+
+  private open(): void {
+    if (!this.url) return;
+    this.retryTimer = null;
+    if (this.status !== 'offline') {
+      this.setStatus('connecting');
+    }
+
+    let socket: WebSocket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      console.error(`Cannot connect to the sync relay at "${this.url}":`, error);
+      this.setStatus('offline');
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.retryDelay = RELAY_DEFAULTS.RECONNECT_MIN_MS;
+      // The pong comes back ahead of any answer to what onConnect sends
+      this.startClockSync();
+      this.setStatus('connected');
+      this.onConnect();
+    };
+    socket.onmessage = (event: MessageEvent) => {
+      if (typeof event.data !== 'string') return;
+      let message: RelayMessage;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.error('Error parsing relay message:', error);
+        return;
+      }
+      if (message?.type === ClockSyncMessages.PONG) {
+        this.addClockSample(message.payload);
+        return;
+      }
+      const senderOffset = typeof message?.clockOffset === 'number' ? message.clockOffset : null;
+      this.onMessage(senderOffset === null
+        ? message
+        : { ...message, payload: toLocalAnchors(message.payload, senderOffset, this.getClockOffset()) });
+    };
+    // A failed attempt also closes, so reconnecting is handled there
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.stopClockSync();
+      this.setStatus('offline');
+      this.scheduleReconnect();
+    };
+  }
+
+  private startClockSync(): void {
+    const ping = () => this.send({ type: ClockSyncMessages.PING, payload: { sentAt: Date.now() } });
+    ping();
+    this.clockSyncTimer = setInterval(ping, RELAY_DEFAULTS.CLOCK_SYNC_INTERVAL_MS);
+  }
+
+  private stopClockSync(): void {
+    if (this.clockSyncTimer) {
+      clearInterval(this.clockSyncTimer);
+      this.clockSyncTimer = null;
+    }
+  }
+
+  private addClockSample(payload: unknown): void {
+    const { sentAt, relayTime } = (payload ?? {}) as { sentAt?: unknown; relayTime?: unknown };
+    if (typeof sentAt !== 'number' || typeof relayTime !== 'number') return;
+    this.clockSamples = [
+      ...this.clockSamples,
+      measureClockOffset(sentAt, relayTime, Date.now())
+    ].slice(-RELAY_DEFAULTS.CLOCK_SYNC_SAMPLES);
+  }
+
+  private scheduleReconnect(): void {
+    this.retryTimer = setTimeout(() => this.open(), this.retryDelay);
+    this.retryDelay = Math.min(this.retryDelay * 2, RELAY_DEFAULTS.RECONNECT_MAX_MS);
+  }
+}
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { z } from 'zod';
+import { executeRemoteCommand } from './remote-control';
+import type { RemoteControlTarget } from './remote-control';
+import { createContentRegistry } from './content-registry';
+import { createDefaultSurface } from './surface-factory';
+import { createCue } from './cues';
+import { createDefaultOutputs } from './outputs';
+import { createTimeline } from './timeline';
+import { createMasterClock } from './master-clock';
+import type { AppMode, Cue, Surface } from '../schemas';
+
+const Material = () => null;
+
+describe('executeRemoteCommand', () => {
+  let surfaces: Surface[];
+  let cues: Cue[];
+  let mode: AppMode;
+  let blackout: boolean;
+  let target: RemoteControlTarget;
+
+  beforeEach(() => {
+    const registry = createContentRegistry();
+    registry.register({ id: 'checkerboard', label: 'Checkerboard', category: 'Test Patterns', material: Material });
+    registry.register({
+      id: 'plasma',
+      label: 'Plasma',
+      category: 'Shader Effects',
+      material: Material,
+      parameters: {
+        speed: { type: 'float', label: 'Speed', default: 1, min: 0, max: 5 },
+        mirror: { type: 'bool', label: 'Mirror', default: false }
+      }
+    });
+    registry.register({
+      id: 'image',
+      label: 'Image',
+      category: 'Media',
+      material: Material,
+      contentDataSchema: z.object({ assetId: z.string() })
+    });
+
+    surfaces = [
+      createDefaultSurface({ id: 'surface-1', name: 'Left wall' }),
+      { ...createDefaultSurface({ id: 'surface-2', name: 'Stage' }), contentType: 'plasma' }
+    ];
+    cues = [createCue('Intro', surfaces, []), createCue('Finale', surfaces, [{ id: 'cue-1' }])];
+    mode = 'playback';
+    blackout = false;
+
+    target = {
+      registry,
+      getSurfaces: () => surfaces,
+      updateSurface: vi.fn((id, updates) => {
+        surfaces = surfaces.map(surface => surface.id === id ? { ...surface, ...updates } : surface);
+      }),
+      getCues: () => cues,
+      fireCue: vi.fn(),
+      go: vi.fn(),
+      back: vi.fn(),
+      setMode: vi.fn((next) => { mode = next; }),
+      isBlackout: () => blackout,
+      setBlackout: vi.fn((enabled) => { blackout = enabled; }),
+      getState: () => ({
+        mode,
+        blackout,
+        surfaces,
+        outputs: createDefaultOutputs(),
+        cues,
+        currentCueId: null,
+        timeline: createTimeline(0),
+        clock: createMasterClock(0)
+      })
+    };
+  });
+
+  it('should reject input that is not a known command', () => {
+    expect(executeRemoteCommand({ command: 'explode' }, target)).toEqual({
+      ok: false,
+      error: expect.stringMatching(/^Invalid command:/)
+    });
+    expect(executeRemoteCommand('go', target).ok).toBe(false);
+  });
+
+  it('should fire cues by position, id or name and step through them', () => {
+    executeRemoteCommand({ command: 'selectCue', cue: 2 }, target);
+    executeRemoteCommand({ command: 'selectCue', cue: 'cue-1' }, target);
+    executeRemoteCommand({ command: 'selectCue', cue: 'Finale' }, target);
+    executeRemoteCommand({ command: 'go' }, target);
+    executeRemoteCommand({ command: 'back' }, target);
+
+    expect(vi.mocked(target.fireCue).mock.calls).toEqual([['cue-2'], ['cue-1'], ['cue-2']]);
+    expect(target.go).toHaveBeenCalledOnce();
+    expect(target.back).toHaveBeenCalledOnce();
+    expect(executeRemoteCommand({ command: 'selectCue', cue: 3 }, target)).toEqual({ ok: false, error: 'Unknown cue #3' });
+  });
+
+  it('should change a surface\'s content, found by name, validating its data', () => {
+    expect(executeRemoteCommand({ command: 'setContent', surface: 'Left wall', contentType: 'plasma' }, target)).toEqual({ ok: true });
+    expect(surfaces[0]?.contentType).toBe('plasma');
+
+    expect(executeRemoteCommand({ command: 'setContent', surface: 'surface-1', contentType: 'image', contentData: {} }, target))
+      .toEqual({ ok: false, error: expect.stringMatching(/^Invalid content data: assetId/) });
+    expect(executeRemoteCommand({ command: 'setContent', surface: 'surface-1', contentType: 'laser' }, target))
+      .toEqual({ ok: false, error: 'Unknown content type "laser"' });
+    expect(executeRemoteCommand({ command: 'setContent', surface: 'Ceiling', contentType: 'plasma' }, target))
+      .toEqual({ ok: false, error: 'Unknown surface "Ceiling"' });
+  });
+
+  it('should set parameters within their range and refuse the wrong type', () => {
+    expect(executeRemoteCommand({ command: 'setParameter', surface: 'Stage', param: 'speed', value: 9 }, target)).toEqual({ ok: true });
+    executeRemoteCommand({ command: 'setParameter', surface: 'Stage', param: 'mirror', value: true }, target);
+
+    expect(surfaces[1]?.contentData?.params).toEqual({ speed: 5, mirror: true });
+    expect(executeRemoteCommand({ command: 'setParameter', surface: 'Stage', param: 'speed', value: 'fast' }, target))
+      .toEqual({ ok: false, error: 'Parameter "speed" expects a number' });
+    expect(executeRemoteCommand({ command: 'setParameter', surface: 'Left wall', param: 'speed', value: 1 }, target))
+      .toEqual({ ok: false, error: 'Content type "checkerboard" has no parameter "speed"' });
+  });
+
+  it('should set or toggle visibility and blackout and switch modes', () => {
+    executeRemoteCommand({ command: 'setVisibility', surface: 'Stage' }, target);
+    expect(surfaces[1]?.visible).toBe(false);
+    executeRemoteCommand({ command: 'setVisibility', surface: 'Stage', visible: false }, target);
+    expect(surfaces[1]?.visible).toBe(false);
+
+    executeRemoteCommand({ command: 'blackout' }, target);
+    expect(blackout).toBe(true);
+    executeRemoteCommand({ command: 'blackout', enabled: true }, target);
+    expect(blackout).toBe(true);
+
+    executeRemoteCommand({ command: 'setMode', mode: 'calibration' }, target);
+    expect(mode).toBe('calibration');
+    expect(executeRemoteCommand({ command: 'setMode', mode: 'party' }, target).ok).toBe(false);
+  });
+
+  it('should return the current state, validated', () => {
+    const result = executeRemoteCommand({ command: 'getState' }, target);
+
+    expect(result).toMatchObject({ ok: true, state: { mode: 'playback', blackout: false, currentCueId: null } });
+    expect(result.ok && result.state?.surfaces).toHaveLength(2);
+
+    target.getState = () => ({ mode: 'playback' });
+    expect(executeRemoteCommand({ command: 'getState' }, target)).toEqual({
+      ok: false,
+      error: expect.stringMatching(/^Current state is invalid:/)
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { z } from 'zod';
+import { RemoteCommandSchema, RemoteStateSchema } from '../schemas';
+import type { AppMode, Cue, RemoteCommand, RemoteCommandResult, Surface } from '../schemas';
+import type { ContentRegistry } from './content-registry';
+import { coerceParameterValue } from './effect-parameters';
+import type { EffectParameterDefinition } from './effect-parameters';
+import { formatValidationIssues } from './validation';
+
+/**
+ * What remote commands act on: the editor's surfaces, cues and app state
+ */
+export type RemoteControlTarget = {
+  registry: Pick<ContentRegistry, 'get' | 'validateContentData'>;
+  getSurfaces: () => Surface[];
+  updateSurface: (id: string, updates: Partial<Surface>, label: string) => void;
+  getCues: () => Cue[];
+  fireCue: (id: string) => void;
+  go: () => void;
+  back: () => void;
+  setMode: (mode: AppMode) => void;
+  isBlackout: () => boolean;
+  setBlackout: (enabled: boolean) => void;
+  // Current state, checked against RemoteStateSchema before it is returned
+  getState: () => unknown;
+};
+
+/**
+ * The target as seen by several edits made in a row, such as every mapping
+ * bound to one OSC address: each edit sees the surfaces as the previous ones
+ * left them, where the editor's own getSurfaces only catches up on its next render
+ */
+export const trackSurfaceUpdates = <T extends Pick<RemoteControlTarget, 'getSurfaces' | 'updateSurface'>>(target: T): T => {
+  let surfaces: Surface[] | null = null;
+  return {
+    ...target,
+    getSurfaces: () => {
+      surfaces = surfaces ?? target.getSurfaces();
+      return surfaces;
+    },
+    updateSurface: (id, updates, label) => {
+      surfaces = (surfaces ?? target.getSurfaces())
+        .map(surface => (surface.id === id ? { ...surface, ...updates } : surface));
+      target.updateSurface(id, updates, label);
+    }
+  };
+};
+
+class RemoteCommandError extends Error {}
+
+const findSurface = (surfaces: Surface[], reference: string): Surface => {
+  const surface = surfaces.find(candidate => candidate.id === reference)
+    ?? surfaces.find(candidate => candidate.name === reference);
+  if (!surface) {
+    throw new RemoteCommandError(`Unknown surface "${reference}"`);
+  }
+  return surface;
+};
+
+const findCue = (cues: Cue[], reference: string | number): Cue => {
+  const cue = typeof reference === 'number'
+    ? cues[reference - 1]
+    : cues.find(candidate => candidate.id === reference) ?? cues.find(candidate => candidate.name === reference);
+  if (!cue) {
+    throw new RemoteCommandError(`Unknown cue ${typeof reference === 'number' ? `#${reference}` : `"${reference}"`}`);
+  }
+  return cue;
+};
+
+const PARAMETER_VALUE_TYPES: Record<EffectParameterDefinition['type'], string> = {
+  float: 'number',
+  int: 'number',
+  color: 'string',
+  bool: 'boolean'
+};
+
+const run = (command: RemoteCommand, target: RemoteControlTarget): RemoteCommandResult => {
+  switch (command.command) {
+    case 'selectCue':
+      target.fireCue(findCue(target.getCues(), command.cue).id);
+      return { ok: true };
+
+    case 'go':
+      target.go();
+      return { ok: true };
+
+    case 'back':
+      target.back();
+      return { ok: true };
+
+    case 'setContent': {
+      const surface = findSurface(target.getSurfaces(), command.surface);
+      const definition = target.registry.get(command.contentType);
+      if (!definition) {
+        throw new RemoteCommandError(`Unknown content type "${command.contentType}"`);
+      }
+      const validation = target.registry.validateContentData(
+        command.contentType,
+        command.contentData ?? definition.createContentData?.() ?? {}
+      );
+      if (!validation.success) {
+        throw new RemoteCommandError(validation.error instanceof z.ZodError
+          ? `Invalid content data: ${formatValidationIssues(validation.error).join('; ')}`
+          : validation.error.message);
+      }
+      target.updateSurface(surface.id, { contentType: command.contentType, contentData: validation.data }, 'Remote: change content');
+      return { ok: true };
+    }
+
+    case 'setParameter': {
+      const surface = findSurface(target.getSurfaces(), command.surface);
+      const definition = target.registry.get(surface.contentType)?.parameters?.[command.param];
+      if (!definition) {
+        throw new RemoteCommandError(`Content type "${surface.contentType}" has no parameter "${command.param}"`);
+      }
+      const expected = PARAMETER_VALUE_TYPES[definition.type];
+      if (typeof command.value !== expected) {
+        throw new RemoteCommandError(`Parameter "${command.param}" expects a ${expected}`);
+      }
+      const params = { ...surface.contentData?.params, [command.param]: coerceParameterValue(definition, command.value) };
+      target.updateSurface(surface.id, { contentData: { ...surface.contentData, params } }, `Remote: ${definition.label}`);
+      return { ok: true };
+    }
+
+    case 'setVisibility': {
+      const surface = findSurface(target.getSurfaces(), command.surface);
+      const visible = command.visible ?? !surface.visible;
+      target.updateSurface(surface.id, { visible }, visible ? 'Remote: show surface' : 'Remote: hide surface');
+      return { ok: true };
+    }
+
+    case 'setMode':
+      target.setMode(command.mode);
+      return { ok: true };
+
+    case 'blackout':
+      target.setBlackout(command.enabled ?? !target.isBlackout());
+      return { ok: true };
+
+    case 'getState': {
+      const state = RemoteStateSchema.safeParse(target.getState());
+      if (!state.success) {
+        throw new RemoteCommandError(`Current state is invalid: ${formatValidationIssues(state.error).join('; ')}`);
+      }
+      return { ok: true, state: state.data };
+    }
+  }
+};
+
+/**
+ * Validate a command received from a show controller and carry it out
+ * Never throws: problems come back as `{ ok: false, error }`
+ */
+export const executeRemoteCommand = (input: unknown, target: RemoteControlTarget): RemoteCommandResult => {
+  const parsed = RemoteCommandSchema.safeParse(input);
+  if (!parsed.success) {
+    return { ok: false, error: `Invalid command: ${formatValidationIssues(parsed.error).join('; ')}` };
+  }
+
+  try {
+    return run(parsed.data, target);
+  } catch (error) {
+    if (error instanceof RemoteCommandError) {
+      return { ok: false, error: error.message };
+    }
+    console.error('Error executing remote command:', error);
+    return { ok: false, error: 'Command failed' };
+  }
+};
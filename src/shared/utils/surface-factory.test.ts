@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { createDefaultSurface, createSurfaceWithCorners } from './surface-factory';
+import { createDefaultSurface, createSurfaceWithCorners, getNextSurfaceNumber } from './surface-factory';
 
 describe('Surface Factory', () => {
   describe('createDefaultSurface', () => {
@@ -101,4 +101,14 @@ describe('Surface Factory', () => {
       expect(surface.corners).toEqual(customCorners);
     });
   });
+
+  describe('getNextSurfaceNumber', () => {
+    it('should continue after the highest numbered surface id', () => {
+      expect(getNextSurfaceNumber([{ id: 'surface-2' }, { id: 'surface-7' }, { id: 'custom' }])).toBe(8);
+    });
+
+    it('should start at 1 without numbered surfaces', () => {
+      expect(getNextSurfaceNumber([])).toBe(1);
+    });
+  });
 });
@@ -1,4 +1,5 @@
 import type { Surface, ContentType, Corners } from '../schemas';
+import { GEOMETRY_TYPES, getDefaultCorners } from './constants';
 
 type CreateSurfaceOptions = {
   id: string;
@@ -14,22 +15,6 @@ type CreateSurfaceWithCornersOptions = CreateSurfaceOptions & {
   corners: Corners;
 };
 
-const getDefaultCorners = (cornerCount: number): Corners => {
-  const centerX = 400;
-  const centerY = 300;
-  const radius = 200;
-
-  const corners: Corners = {};
-  for (let i = 0; i < cornerCount; i++) {
-    const angle = (i / cornerCount) * Math.PI * 2 - Math.PI / 2;
-    corners[`point${i}`] = {
-      x: centerX + Math.cos(angle) * radius,
-      y: centerY + Math.sin(angle) * radius
-    };
-  }
-  return corners;
-};
-
 export const createDefaultSurface = (options: CreateSurfaceOptions): Surface => {
   const {
     id,
@@ -48,7 +33,7 @@ export const createDefaultSurface = (options: CreateSurfaceOptions): Surface =>
     contentData: undefined,
     geometryType: 'polygon',
     cornerCount,
-    corners: getDefaultCorners(cornerCount),
+    corners: getDefaultCorners(GEOMETRY_TYPES.POLYGON, cornerCount),
     visible,
     renderOrder,
     audioReactive
@@ -71,3 +56,11 @@ export const createSurfaceWithCorners = (
     corners
   };
 };
+
+const SURFACE_ID_PATTERN = /^surface-(\d+)$/;
+
+export const getNextSurfaceNumber = (surfaces: Pick<Surface, 'id'>[]): number =>
+  surfaces.reduce((next, surface) => {
+    const match = SURFACE_ID_PATTERN.exec(surface.id);
+    return match ? Math.max(next, Number(match[1]) + 1) : next;
+  }, 1);
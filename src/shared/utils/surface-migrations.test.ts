@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SURFACE_MIGRATIONS, SURFACES_SCHEMA_VERSION, SURFACE_STORAGE } from './surface-migrations';
+import { migrateCollection } from './persisted-state';
+import { createDefaultSurface } from './surface-factory';
+
+describe('surface migrations', () => {
+  const originalSize = { width: window.innerWidth, height: window.innerHeight };
+
+  const setWindowSize = (width: number, height: number) => {
+    Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+    Object.defineProperty(window, 'innerHeight', { value: height, configurable: true });
+  };
+
+  beforeEach(() => {
+    setWindowSize(1000, 500);
+  });
+
+  afterEach(() => {
+    setWindowSize(originalSize.width, originalSize.height);
+  });
+
+  it('should number migrations consecutively up to the current version', () => {
+    expect(SURFACE_MIGRATIONS.map(migration => migration.version))
+      .toEqual(Array.from({ length: SURFACES_SCHEMA_VERSION }, (_, i) => i + 1));
+  });
+
+  it('should fill in geometry fields missing from legacy saves', () => {
+    const legacy = {
+      id: 'surface-1',
+      name: 'Wall',
+      contentType: 'checkerboard',
+      corners: {},
+      visible: true,
+      renderOrder: 0
+    };
+
+    const result = migrateCollection(JSON.stringify([legacy]), SURFACE_STORAGE);
+
+    expect(result.quarantined).toEqual([]);
+    expect(result.entries[0]).toMatchObject({ id: 'surface-1', geometryType: 'polygon', cornerCount: 4 });
+    expect(Object.keys(result.entries[0]?.corners ?? {})).toHaveLength(4);
+  });
+
+  it('should convert window pixel corners to normalized output coordinates', () => {
+    const legacy = {
+      ...createDefaultSurface({ id: 'surface-1' }),
+      corners: { topLeft: { x: 100, y: 50 }, topRight: { x: 900, y: 50 }, bottomRight: { x: 900, y: 450 }, bottomLeft: { x: 100, y: 450 } }
+    };
+
+    const result = migrateCollection(JSON.stringify({ version: 1, savedAt: 0, data: [legacy] }), SURFACE_STORAGE);
+
+    expect(result.entries[0]?.corners).toEqual({
+      topLeft: { x: 0.1, y: 0.1 },
+      topRight: { x: 0.9, y: 0.1 },
+      bottomRight: { x: 0.9, y: 0.9 },
+      bottomLeft: { x: 0.1, y: 0.9 }
+    });
+  });
+
+  it('should centre default corners filled in for legacy saves', () => {
+    const legacy = { id: 'surface-1', name: 'Wall', contentType: 'checkerboard', corners: {}, visible: true, renderOrder: 0 };
+
+    const result = migrateCollection(JSON.stringify([legacy]), SURFACE_STORAGE);
+    const points = Object.values(result.entries[0]?.corners ?? {});
+
+    expect(points.reduce((sum, point) => sum + point.x, 0) / points.length).toBeCloseTo(0.5);
+    expect(points.reduce((sum, point) => sum + point.y, 0) / points.length).toBeCloseTo(0.5);
+  });
+
+  it('should derive the corner count from stored corners', () => {
+    const { cornerCount: _cornerCount, ...legacy } = createDefaultSurface({ id: 'surface-1', cornerCount: 5 });
+
+    const result = migrateCollection(JSON.stringify([legacy]), SURFACE_STORAGE);
+
+    expect(result.entries[0]?.cornerCount).toBe(5);
+  });
+
+  it('should keep valid surfaces when one fails validation', () => {
+    const valid = createDefaultSurface({ id: 'surface-1' });
+    const broken = { ...createDefaultSurface({ id: 'surface-2' }), visible: 'yes' };
+
+    const stored = { version: SURFACES_SCHEMA_VERSION, savedAt: 0, data: [valid, broken] };
+
+    const result = migrateCollection(JSON.stringify(stored), SURFACE_STORAGE);
+
+    expect(result.entries).toEqual([valid]);
+    expect(result.quarantined[0]?.errors).toEqual([expect.stringMatching(/^visible:/)]);
+  });
+});
@@ -0,0 +1,80 @@
+import { SurfaceSchema } from '../schemas';
+import type { Surface } from '../schemas';
+import { GEOMETRY_TYPES, STORAGE_KEYS, getDefaultCorners } from './constants';
+import { toViewportCorners } from './output-space';
+import type { Migration, PersistedCollectionConfig } from './persisted-state';
+
+type StoredEntry = Record<string, unknown>;
+
+const isObject = (value: unknown): value is StoredEntry =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const getWindowSize = () => ({ width: window.innerWidth, height: window.innerHeight });
+
+// Default corners in window pixels, the way surfaces were stored before version 2
+const getWindowPixelCorners = (cornerCount: number) => {
+  const size = getWindowSize();
+  return toViewportCorners(
+    getDefaultCorners(GEOMETRY_TYPES.POLYGON, cornerCount, size),
+    { x: 0, y: 0, ...size }
+  );
+};
+
+const isPoint = (value: unknown): value is { x: number; y: number } =>
+  isObject(value) && typeof value['x'] === 'number' && typeof value['y'] === 'number';
+
+/**
+ * Ordered upgrades for stored surfaces, one per schema version.
+ * Append a migration whenever a release changes the surface shape.
+ */
+export const SURFACE_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: 'Fill in geometry type, corner count and corners missing from early saves',
+    migrate: entry => {
+      if (!isObject(entry)) return entry;
+
+      const geometryType = entry['geometryType'] ?? GEOMETRY_TYPES.POLYGON;
+      const corners = isObject(entry['corners']) ? entry['corners'] : {};
+      const cornerCount = entry['cornerCount'] ?? (Object.keys(corners).length || 4);
+
+      return {
+        ...entry,
+        geometryType,
+        cornerCount,
+        corners: Object.keys(corners).length > 0
+          ? corners
+          : getWindowPixelCorners(typeof cornerCount === 'number' ? cornerCount : 4)
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Convert corners from window pixels to normalized output coordinates',
+    // Pixel corners were kept scaled to the window that saved them last; the
+    // current window is the closest record of that size
+    migrate: entry => {
+      if (!isObject(entry) || !isObject(entry['corners'])) return entry;
+
+      const { width, height } = getWindowSize();
+      const corners = Object.fromEntries(
+        Object.entries(entry['corners']).map(([key, point]) => [
+          key,
+          isPoint(point) ? { x: point.x / width, y: point.y / height } : point
+        ])
+      );
+      return { ...entry, corners };
+    }
+  }
+];
+
+export const SURFACES_SCHEMA_VERSION = SURFACE_MIGRATIONS.length;
+
+export const SURFACE_STORAGE: PersistedCollectionConfig<Surface> = {
+  key: STORAGE_KEYS.SURFACES,
+  backupKey: STORAGE_KEYS.SURFACES_BACKUP,
+  recoveryKey: STORAGE_KEYS.SURFACES_RECOVERY,
+  version: SURFACES_SCHEMA_VERSION,
+  migrations: SURFACE_MIGRATIONS,
+  schema: SurfaceSchema
+};
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyEasing,
+  applyTimeline,
+  createTimeline,
+  createTrack,
+  getTimelinePosition,
+  pauseTimeline,
+  playTimeline,
+  removeKeyframe,
+  sampleTrack,
+  seekTimeline,
+  setKeyframe,
+  setTimelineLoop
+} from './timeline';
+import { createDefaultSurface } from './surface-factory';
+import { TimelineSchema } from '../schemas';
+import type { Timeline, TimelineTrack } from '../schemas';
+
+const START = 1_000_000;
+
+const playing = (overrides: Partial<Timeline> = {}): Timeline => ({
+  ...playTimeline(createTimeline(START), START),
+  ...overrides
+});
+
+const keys = <V>(entries: [number, V][]) =>
+  entries.map(([time, value]) => ({ time, value, easing: 'linear' as const }));
+
+describe('timeline', () => {
+  it('should create a valid, disabled timeline', () => {
+    const timeline = createTimeline(START);
+
+    expect(TimelineSchema.safeParse(timeline).success).toBe(true);
+    expect(timeline.enabled).toBe(false);
+  });
+
+  describe('playback', () => {
+    it('should advance while playing and stop at the end', () => {
+      const timeline = playing({ duration: 10 });
+
+      expect(getTimelinePosition(timeline, START + 2500)).toBe(2.5);
+      expect(getTimelinePosition(timeline, START + 60_000)).toBe(10);
+    });
+
+    it('should keep its position across pause, seek and play', () => {
+      const paused = pauseTimeline(playing(), START + 3000);
+      const sought = seekTimeline(paused, 7, START + 5000);
+
+      expect(getTimelinePosition(paused, START + 9000)).toBe(3);
+      expect(getTimelinePosition(playTimeline(sought, START + 6000), START + 7000)).toBe(8);
+    });
+
+    it('should wrap inside the loop region once the playhead enters it', () => {
+      const timeline = setTimelineLoop(playing({ duration: 10 }), { enabled: true, start: 2, end: 4 }, START);
+
+      expect(getTimelinePosition(timeline, START + 3000)).toBe(3);
+      expect(getTimelinePosition(timeline, START + 5000)).toBe(3);
+      expect(getTimelinePosition(seekTimeline(timeline, 6, START), START + 1000)).toBe(7);
+    });
+
+    it('should keep the loop region inside the timeline', () => {
+      const { loop } = setTimelineLoop(createTimeline(START), { start: 40, end: 10 }, START);
+
+      expect(loop.start).toBeCloseTo(29.9);
+      expect(loop.end).toBe(30);
+    });
+  });
+
+  describe('easing', () => {
+    it('should start at 0 and end at 1', () => {
+      (['linear', 'ease-in', 'ease-out', 'ease-in-out'] as const).forEach(easing => {
+        expect(applyEasing(easing, 0)).toBe(0);
+        expect(applyEasing(easing, 1)).toBe(1);
+      });
+      expect(applyEasing('ease-in', 0.5)).toBeLessThan(0.5);
+      expect(applyEasing('ease-out', 0.5)).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('keyframes', () => {
+    it('should keep keyframes sorted with one per time', () => {
+      const opacity = [[4, 1], [0, 0], [4, 0.5]].reduce(
+        (current, [time = 0, value = 0]) => setKeyframe(current, time, value),
+        createTrack('surface-1', { property: 'opacity' }, [{ id: 'track-1' }])
+      );
+
+      expect(opacity.id).toBe('track-2');
+      expect(opacity.keyframes.map(keyframe => [keyframe.time, keyframe.value])).toEqual([[0, 0], [4, 0.5]]);
+      expect(removeKeyframe(opacity, 0).keyframes).toHaveLength(1);
+    });
+
+    it('should hold outside the keyframes and ease between them', () => {
+      const keyframes = [
+        { time: 1, value: 0, easing: 'linear' as const },
+        { time: 3, value: 1, easing: 'hold' as const },
+        { time: 5, value: 0, easing: 'linear' as const }
+      ];
+
+      expect(sampleTrack(keyframes, 0)).toBe(0);
+      expect(sampleTrack(keyframes, 2)).toBe(0.5);
+      expect(sampleTrack(keyframes, 4.9)).toBe(1);
+      expect(sampleTrack(keyframes, 9)).toBe(0);
+      expect(sampleTrack([], 1)).toBeUndefined();
+    });
+
+    it('should blend colours and hold booleans', () => {
+      expect(sampleTrack([
+        { time: 0, value: '#000000', easing: 'linear' },
+        { time: 2, value: '#ff8000', easing: 'linear' }
+      ], 1)).toBe('#804000');
+      expect(sampleTrack([
+        { time: 0, value: false, easing: 'linear' },
+        { time: 2, value: true, easing: 'linear' }
+      ], 1.9)).toBe(false);
+    });
+  });
+
+  describe('applyTimeline', () => {
+    const surface = createDefaultSurface({ id: 'surface-1' });
+    const other = createDefaultSurface({ id: 'surface-2' });
+    const moved = Object.fromEntries(Object.entries(surface.corners).map(([key, point]) => [key, { x: point.x + 1, y: point.y }]));
+
+    const timeline = (tracks: TimelineTrack[]): Timeline => ({ ...createTimeline(START), enabled: true, tracks });
+
+    it('should animate corners, opacity, parameters and content of the targeted surface', () => {
+      const tracks: TimelineTrack[] = [
+        { id: 'track-1', surfaceId: 'surface-1', property: 'corners', keyframes: keys([[0, surface.corners], [2, moved]]) },
+        { id: 'track-2', surfaceId: 'surface-1', property: 'opacity', keyframes: keys([[0, 1], [2, 0]]) },
+        { id: 'track-3', surfaceId: 'surface-1', property: 'param', param: 'speed', keyframes: keys([[0, 1], [2, 3]]) },
+        {
+          id: 'track-4',
+          surfaceId: 'surface-1',
+          property: 'content',
+          keyframes: keys([[0, { contentType: 'plasma', contentData: { params: { speed: 9 } } }]])
+        }
+      ];
+
+      const [animated, untouched] = applyTimeline([surface, other], timeline(tracks), 1);
+
+      expect(animated?.corners['point0']?.x).toBeCloseTo((surface.corners['point0']?.x ?? 0) + 0.5);
+      expect(animated?.opacity).toBe(0.5);
+      expect(animated?.contentType).toBe('plasma');
+      expect(animated?.contentData?.params).toEqual({ speed: 2 });
+      expect(untouched).toBe(other);
+    });
+
+    it('should leave surfaces alone while disabled', () => {
+      const tracks: TimelineTrack[] = [{ id: 'track-1', surfaceId: 'surface-1', property: 'opacity', keyframes: keys([[0, 0]]) }];
+      const surfaces = [surface];
+
+      expect(applyTimeline(surfaces, { ...timeline(tracks), enabled: false }, 1)).toBe(surfaces);
+    });
+  });
+});
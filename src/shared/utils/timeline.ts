@@ -0,0 +1,238 @@
+import type { Corners, Easing, Surface, Timeline, TimelineProperty, TimelineTrack } from '../schemas';
+import { TIMELINE_LIMITS } from './constants';
+
+type Keyframe<T> = { time: number; value: T; easing: Easing };
+
+const clamp = (value: number, min: number, max: number): number =>
+  Math.min(max, Math.max(min, value));
+
+export const createTimeline = (now: number = Date.now()): Timeline => ({
+  enabled: false,
+  duration: TIMELINE_LIMITS.DEFAULT_DURATION,
+  loop: { enabled: false, start: 0, end: TIMELINE_LIMITS.DEFAULT_DURATION },
+  playing: false,
+  anchorPosition: 0,
+  anchorTime: now,
+  tracks: []
+});
+
+/**
+ * Eased progress (0..1) between two keyframes
+ */
+export const applyEasing = (easing: Easing, t: number): number => {
+  switch (easing) {
+    case 'linear': return t;
+    case 'ease-in': return t * t * t;
+    case 'ease-out': return 1 - (1 - t) ** 3;
+    case 'ease-in-out': return t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2;
+    case 'hold': return 0;
+  }
+};
+
+// Playback
+
+/**
+ * Loop region clamped to the timeline, or null when looping is off
+ */
+const getLoopRange = (timeline: Timeline): { start: number; end: number } | null => {
+  if (!timeline.loop.enabled) return null;
+  const end = Math.min(timeline.loop.end, timeline.duration);
+  const start = Math.min(timeline.loop.start, end - TIMELINE_LIMITS.MIN_LOOP);
+  return end - start >= TIMELINE_LIMITS.MIN_LOOP ? { start: Math.max(start, 0), end } : null;
+};
+
+/**
+ * Playhead position in seconds. With looping on, the playhead wraps back to
+ * the loop start once it reaches the loop end (having entered the region);
+ * otherwise it stops at the end of the timeline.
+ */
+export const getTimelinePosition = (timeline: Timeline, now: number = Date.now()): number => {
+  const elapsed = timeline.playing ? Math.max(0, now - timeline.anchorTime) / 1000 : 0;
+  const position = timeline.anchorPosition + elapsed;
+  const loop = getLoopRange(timeline);
+
+  if (loop && timeline.anchorPosition < loop.end && position >= loop.end) {
+    return loop.start + ((position - loop.start) % (loop.end - loop.start));
+  }
+  return Math.min(position, timeline.duration);
+};
+
+export const isTimelineFinished = (timeline: Timeline, now: number = Date.now()): boolean =>
+  getTimelinePosition(timeline, now) >= timeline.duration;
+
+// Every change re-anchors at the current position so playback continues
+// seamlessly from where each window already is
+
+const reanchor = (timeline: Timeline, now: number): Timeline => ({
+  ...timeline,
+  anchorPosition: getTimelinePosition(timeline, now),
+  anchorTime: now
+});
+
+export const playTimeline = (timeline: Timeline, now: number = Date.now()): Timeline => {
+  if (isTimelineFinished(timeline, now)) {
+    return { ...timeline, playing: true, anchorPosition: 0, anchorTime: now };
+  }
+  return { ...reanchor(timeline, now), playing: true };
+};
+
+export const pauseTimeline = (timeline: Timeline, now: number = Date.now()): Timeline =>
+  ({ ...reanchor(timeline, now), playing: false });
+
+export const seekTimeline = (timeline: Timeline, position: number, now: number = Date.now()): Timeline =>
+  ({ ...timeline, anchorPosition: clamp(position, 0, timeline.duration), anchorTime: now });
+
+export const setTimelineDuration = (timeline: Timeline, duration: number, now: number = Date.now()): Timeline => {
+  const current = reanchor(timeline, now);
+  const nextDuration = clamp(duration, TIMELINE_LIMITS.MIN_DURATION, TIMELINE_LIMITS.MAX_DURATION);
+  return {
+    ...current,
+    duration: nextDuration,
+    anchorPosition: Math.min(current.anchorPosition, nextDuration)
+  };
+};
+
+export const setTimelineLoop = (
+  timeline: Timeline,
+  loop: Partial<Timeline['loop']>,
+  now: number = Date.now()
+): Timeline => {
+  const current = reanchor(timeline, now);
+  const next = { ...current.loop, ...loop };
+  const start = clamp(next.start, 0, current.duration - TIMELINE_LIMITS.MIN_LOOP);
+  const end = clamp(next.end, start + TIMELINE_LIMITS.MIN_LOOP, current.duration);
+  return { ...current, loop: { enabled: next.enabled, start, end } };
+};
+
+// Tracks and keyframes
+
+export type TrackTarget =
+  | { property: 'opacity' | 'corners' | 'content' }
+  | { property: 'param'; param: string };
+
+const TRACK_ID_PATTERN = /^track-(\d+)$/;
+
+/**
+ * Empty track for a surface property, with an id no existing track uses
+ */
+export const createTrack = (surfaceId: string, target: TrackTarget, existing: Pick<TimelineTrack, 'id'>[]): TimelineTrack => {
+  const highest = existing.reduce((max, track) => Math.max(max, Number(TRACK_ID_PATTERN.exec(track.id)?.[1] ?? 0)), 0);
+  const id = `track-${highest + 1}`;
+  return target.property === 'param'
+    ? { id, surfaceId, property: 'param', param: target.param, keyframes: [] }
+    : { id, surfaceId, property: target.property, keyframes: [] };
+};
+
+/**
+ * Same track with a keyframe at `time`, replacing one already there
+ */
+export const setKeyframe = <T extends TimelineTrack>(
+  track: T,
+  time: number,
+  value: T['keyframes'][number]['value'],
+  easing?: Easing
+): T => {
+  const existing = track.keyframes.find(keyframe => keyframe.time === time);
+  const keyframe = { time, value, easing: easing ?? existing?.easing ?? 'linear' };
+  const keyframes = [...track.keyframes.filter(candidate => candidate.time !== time), keyframe]
+    .sort((a, b) => a.time - b.time);
+  return { ...track, keyframes } as T;
+};
+
+export const removeKeyframe = <T extends TimelineTrack>(track: T, time: number): T =>
+  ({ ...track, keyframes: track.keyframes.filter(keyframe => keyframe.time !== time) }) as T;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const lerp = (from: number, to: number, t: number): number => from + (to - from) * t;
+
+const lerpColor = (from: string, to: string, t: number): string => {
+  const channel = (hex: string, index: number) => parseInt(hex.slice(1 + index * 2, 3 + index * 2), 16);
+  return `#${[0, 1, 2]
+    .map(index => Math.round(lerp(channel(from, index), channel(to, index), t)).toString(16).padStart(2, '0'))
+    .join('')}`;
+};
+
+const lerpCorners = (from: Corners, to: Corners, t: number): Corners | null => {
+  const keys = Object.keys(from);
+  if (keys.length !== Object.keys(to).length) return null;
+
+  const corners: Corners = {};
+  for (const key of keys) {
+    const a = from[key];
+    const b = to[key];
+    if (!a || !b) return null;
+    corners[key] = { x: lerp(a.x, b.x, t), y: lerp(a.y, b.y, t) };
+  }
+  return corners;
+};
+
+/**
+ * Blend two keyframe values. Numbers, hex colours and corners with the same
+ * points blend; anything else (booleans, text, content) holds the first value.
+ */
+const interpolate = (from: unknown, to: unknown, t: number): unknown => {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return lerp(from, to, t);
+  }
+  if (typeof from === 'string' && typeof to === 'string' && HEX_COLOR_PATTERN.test(from) && HEX_COLOR_PATTERN.test(to)) {
+    return lerpColor(from, to, t);
+  }
+  if (typeof from === 'object' && from !== null && typeof to === 'object' && to !== null && !('contentType' in from)) {
+    return lerpCorners(from as Corners, to as Corners, t) ?? from;
+  }
+  return from;
+};
+
+/**
+ * A track's value at a position: held before the first and after the last
+ * keyframe, eased between them. Undefined for a track without keyframes.
+ */
+export const sampleTrack = <T>(keyframes: Keyframe<T>[], position: number): T | undefined => {
+  const nextIndex = keyframes.findIndex(keyframe => keyframe.time > position);
+  if (nextIndex === -1) return keyframes[keyframes.length - 1]?.value;
+  const next = keyframes[nextIndex];
+  const previous = keyframes[nextIndex - 1];
+  if (!previous || !next) return next?.value;
+
+  const t = applyEasing(previous.easing, (position - previous.time) / (next.time - previous.time));
+  return interpolate(previous.value, next.value, t) as T;
+};
+
+// Content switches go first so parameter tracks apply to the content in place
+const PROPERTY_ORDER: TimelineProperty[] = ['content', 'corners', 'opacity', 'param'];
+
+const applyTrack = (surface: Surface, track: TimelineTrack, position: number): Surface => {
+  switch (track.property) {
+    case 'opacity': {
+      const opacity = sampleTrack(track.keyframes, position);
+      return opacity === undefined ? surface : { ...surface, opacity };
+    }
+    case 'corners': {
+      const corners = sampleTrack(track.keyframes, position);
+      return corners === undefined ? surface : { ...surface, corners };
+    }
+    case 'content': {
+      const content = sampleTrack(track.keyframes, position);
+      return content === undefined ? surface : { ...surface, ...content };
+    }
+    case 'param': {
+      const value = sampleTrack(track.keyframes, position);
+      return value === undefined ? surface : {
+        ...surface,
+        contentData: { ...surface.contentData, params: { ...surface.contentData?.params, [track.param]: value } }
+      };
+    }
+  }
+};
+
+/**
+ * Surfaces as the timeline shows them at a position (unchanged while it is disabled)
+ */
+export const applyTimeline = (surfaces: Surface[], timeline: Timeline, position: number): Surface[] => {
+  if (!timeline.enabled || timeline.tracks.length === 0) return surfaces;
+
+  const tracks = [...timeline.tracks].sort((a, b) => PROPERTY_ORDER.indexOf(a.property) - PROPERTY_ORDER.indexOf(b.property));
+  return surfaces.map(surface =>
+    tracks.reduce((animated, track) => (track.surfaceId === surface.id ? applyTrack(animated, track, position) : animated), surface));
+};
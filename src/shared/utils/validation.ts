@@ -0,0 +1,15 @@
+import type { z } from 'zod';
+
+const formatIssuePath = (path: PropertyKey[]): string =>
+  path.reduce<string>((formatted, key) => {
+    if (typeof key === 'number') {
+      return `${formatted}[${key}]`;
+    }
+    return formatted ? `${formatted}.${String(key)}` : String(key);
+  }, '') || '(root)';
+
+/**
+ * Describe each failing field as "path.to.field: message"
+ */
+export const formatValidationIssues = (error: z.ZodError): string[] =>
+  error.issues.map(issue => `${formatIssuePath(issue.path)}: ${issue.message}`);
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createVideoPlayback,
+  getPlaybackPosition,
+  isPlaybackFinished,
+  pauseVideo,
+  playVideo,
+  seekVideo,
+  setVideoLoop,
+  setVideoRange,
+  setVideoRate
+} from './video-playback';
+import { VideoPlaybackSchema } from '../schemas';
+
+const DURATION = 10;
+const START = 1_000_000;
+
+describe('video playback', () => {
+  describe('createVideoPlayback', () => {
+    it('should produce data that passes schema validation', () => {
+      expect(VideoPlaybackSchema.safeParse(createVideoPlayback(START)).success).toBe(true);
+    });
+  });
+
+  describe('schema', () => {
+    it('should reject an out point before the in point', () => {
+      const playback = { ...createVideoPlayback(START), inPoint: 5, outPoint: 2 };
+
+      expect(VideoPlaybackSchema.safeParse(playback).success).toBe(false);
+    });
+  });
+
+  describe('getPlaybackPosition', () => {
+    it('should advance with wall-clock time and playback rate', () => {
+      const playback = { ...createVideoPlayback(START), rate: 2 };
+
+      expect(getPlaybackPosition(playback, DURATION, START + 1500)).toBeCloseTo(3);
+    });
+
+    it('should stay put while paused', () => {
+      const playback = { ...createVideoPlayback(START), playing: false, anchorPosition: 4 };
+
+      expect(getPlaybackPosition(playback, DURATION, START + 5000)).toBe(4);
+    });
+
+    it('should wrap between in and out points when looping', () => {
+      const playback = { ...createVideoPlayback(START), inPoint: 2, outPoint: 6, anchorPosition: 2 };
+
+      expect(getPlaybackPosition(playback, DURATION, START + 5000)).toBeCloseTo(3);
+    });
+
+    it('should hold on the out point when not looping', () => {
+      const playback = { ...createVideoPlayback(START), loop: false, outPoint: 6 };
+
+      expect(getPlaybackPosition(playback, DURATION, START + 9000)).toBe(6);
+      expect(isPlaybackFinished(playback, DURATION, START + 9000)).toBe(true);
+    });
+
+    it('should not wrap while the duration is unknown', () => {
+      const playback = createVideoPlayback(START);
+
+      expect(getPlaybackPosition(playback, NaN, START + 20000)).toBeCloseTo(20);
+    });
+  });
+
+  describe('transport', () => {
+    it('should pause at the current position', () => {
+      const paused = pauseVideo(createVideoPlayback(START), DURATION, START + 2000);
+
+      expect(paused.playing).toBe(false);
+      expect(getPlaybackPosition(paused, DURATION, START + 8000)).toBeCloseTo(2);
+    });
+
+    it('should resume from the paused position', () => {
+      const paused = pauseVideo(createVideoPlayback(START), DURATION, START + 2000);
+      const resumed = playVideo(paused, DURATION, START + 8000);
+
+      expect(getPlaybackPosition(resumed, DURATION, START + 9000)).toBeCloseTo(3);
+    });
+
+    it('should restart from the in point when a finished video is played again', () => {
+      const finished = { ...createVideoPlayback(START), loop: false, inPoint: 1, anchorPosition: 1 };
+      const restarted = playVideo(finished, DURATION, START + 60000);
+
+      expect(getPlaybackPosition(restarted, DURATION, START + 60000)).toBe(1);
+    });
+
+    it('should clamp seeks to the playback range', () => {
+      const playback = { ...createVideoPlayback(START), outPoint: 8 };
+
+      expect(seekVideo(playback, 12, DURATION, START).anchorPosition).toBe(8);
+      expect(seekVideo(playback, -3, DURATION, START).anchorPosition).toBe(0);
+    });
+
+    it('should keep the position continuous when the rate changes', () => {
+      const faster = setVideoRate(createVideoPlayback(START), 2, DURATION, START + 3000);
+
+      expect(getPlaybackPosition(faster, DURATION, START + 3000)).toBeCloseTo(3);
+      expect(getPlaybackPosition(faster, DURATION, START + 4000)).toBeCloseTo(5);
+    });
+
+    it('should clamp the rate to the supported range', () => {
+      expect(setVideoRate(createVideoPlayback(START), 50, DURATION, START).rate).toBe(4);
+    });
+
+    it('should keep the position continuous when looping is turned off', () => {
+      const playback = { ...createVideoPlayback(START), outPoint: 4 };
+      const once = setVideoLoop(playback, false, DURATION, START + 5000);
+
+      expect(once.loop).toBe(false);
+      expect(getPlaybackPosition(once, DURATION, START + 5000)).toBeCloseTo(1);
+    });
+  });
+
+  describe('setVideoRange', () => {
+    it('should move the position inside a new range', () => {
+      const playback = seekVideo(createVideoPlayback(START), 1, DURATION, START);
+      const ranged = setVideoRange(playback, { inPoint: 3 }, DURATION, START);
+
+      expect(ranged.inPoint).toBe(3);
+      expect(ranged.anchorPosition).toBe(3);
+    });
+
+    it('should keep the out point after the in point', () => {
+      const ranged = setVideoRange(createVideoPlayback(START), { inPoint: 5, outPoint: 2 }, DURATION, START);
+
+      expect(ranged.outPoint).toBeGreaterThan(ranged.inPoint);
+      expect(VideoPlaybackSchema.safeParse(ranged).success).toBe(true);
+    });
+
+    it('should clear an out point at or beyond the end of the video', () => {
+      const ranged = setVideoRange(createVideoPlayback(START), { outPoint: 12 }, DURATION, START);
+
+      expect(ranged.outPoint).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import type { VideoPlayback } from '../schemas';
+import { VIDEO_PLAYBACK_LIMITS } from './constants';
+
+type PlaybackRange = { start: number; end: number };
+
+type RangeUpdate = { inPoint?: number; outPoint?: number | null };
+
+const clamp = (value: number, min: number, max: number): number =>
+  Math.min(max, Math.max(min, value));
+
+const isKnownDuration = (duration: number): boolean =>
+  Number.isFinite(duration) && duration > 0;
+
+export const createVideoPlayback = (now: number = Date.now()): VideoPlayback => ({
+  playing: true,
+  loop: true,
+  muted: false,
+  rate: 1,
+  inPoint: 0,
+  outPoint: null,
+  anchorPosition: 0,
+  anchorTime: now
+});
+
+export const getPlaybackRange = (playback: VideoPlayback, duration: number): PlaybackRange => {
+  const end = isKnownDuration(duration)
+    ? Math.min(playback.outPoint ?? duration, duration)
+    : playback.outPoint ?? Infinity;
+  return { start: Math.min(playback.inPoint, end), end };
+};
+
+export const getPlaybackPosition = (
+  playback: VideoPlayback,
+  duration: number,
+  now: number = Date.now()
+): number => {
+  const { start, end } = getPlaybackRange(playback, duration);
+  const elapsed = playback.playing ? Math.max(0, now - playback.anchorTime) / 1000 * playback.rate : 0;
+  const position = Math.max(start, playback.anchorPosition + elapsed);
+
+  if (position < end || !Number.isFinite(end)) {
+    return position;
+  }
+  if (playback.loop && end > start) {
+    return start + ((position - start) % (end - start));
+  }
+  return end;
+};
+
+export const isPlaybackFinished = (
+  playback: VideoPlayback,
+  duration: number,
+  now: number = Date.now()
+): boolean => {
+  if (playback.loop) {
+    return false;
+  }
+  const { end } = getPlaybackRange(playback, duration);
+  return getPlaybackPosition(playback, duration, now) >= end;
+};
+
+// Every change re-anchors at the current position so playback continues
+// seamlessly from where each window already is
+
+const reanchor = (
+  playback: VideoPlayback,
+  duration: number,
+  now: number
+): VideoPlayback => ({
+  ...playback,
+  anchorPosition: getPlaybackPosition(playback, duration, now),
+  anchorTime: now
+});
+
+export const playVideo = (
+  playback: VideoPlayback,
+  duration: number,
+  now: number = Date.now()
+): VideoPlayback => {
+  if (isPlaybackFinished(playback, duration, now)) {
+    return { ...playback, playing: true, anchorPosition: playback.inPoint, anchorTime: now };
+  }
+  return { ...reanchor(playback, duration, now), playing: true };
+};
+
+export const pauseVideo = (
+  playback: VideoPlayback,
+  duration: number,
+  now: number = Date.now()
+): VideoPlayback => ({ ...reanchor(playback, duration, now), playing: false });
+
+export const seekVideo = (
+  playback: VideoPlayback,
+  position: number,
+  duration: number,
+  now: number = Date.now()
+): VideoPlayback => {
+  const { start, end } = getPlaybackRange(playback, duration);
+  return { ...playback, anchorPosition: clamp(position, start, end), anchorTime: now };
+};
+
+export const setVideoRate = (
+  playback: VideoPlayback,
+  rate: number,
+  duration: number,
+  now: number = Date.now()
+): VideoPlayback => ({
+  ...reanchor(playback, duration, now),
+  rate: clamp(rate, VIDEO_PLAYBACK_LIMITS.MIN_RATE, VIDEO_PLAYBACK_LIMITS.MAX_RATE)
+});
+
+export const setVideoLoop = (
+  playback: VideoPlayback,
+  loop: boolean,
+  duration: number,
+  now: number = Date.now()
+): VideoPlayback => ({ ...reanchor(playback, duration, now), loop });
+
+export const setVideoRange = (
+  playback: VideoPlayback,
+  range: RangeUpdate,
+  duration: number,
+  now: number = Date.now()
+): VideoPlayback => {
+  const current = reanchor(playback, duration, now);
+  const maxPosition = isKnownDuration(duration) ? duration : Infinity;
+  const inPoint = clamp(range.inPoint ?? current.inPoint, 0, maxPosition);
+  const requestedOut = range.outPoint === undefined ? current.outPoint : range.outPoint;
+  const outPoint = requestedOut === null || requestedOut >= maxPosition
+    ? null
+    : Math.max(requestedOut, inPoint + 0.1);
+
+  const next = { ...current, inPoint, outPoint };
+  const { start, end } = getPlaybackRange(next, duration);
+  return { ...next, anchorPosition: clamp(current.anchorPosition, start, end) };
+};
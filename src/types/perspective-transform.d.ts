@@ -0,0 +1,11 @@
+declare module 'perspective-transform' {
+  interface PerspectiveTransform {
+    transform(x: number, y: number): [number, number];
+    transformInverse(x: number, y: number): [number, number];
+  }
+
+  /**
+   * Homography from four source to four destination corners, each flat [x0, y0, ..., x3, y3]
+   */
+  export default function PerspT(sourcePoints: number[], destinationPoints: number[]): PerspectiveTransform;
+}
@@ -1,11 +1,17 @@
 import React from 'react';
 import { Scene } from '../features/scene';
-import { SurfacePanel, StatusBar, Notification } from '../features/ui';
+import { SurfacePanel, StatusBar, Notification, RecoveryModal } from '../features/ui';
 import { SidebarToggle } from '../features/ui/components/SidebarToggle';
-import { CalibrationMode } from '../features/calibration';
+import { CalibrationMode, EdgeBlendEditor } from '../features/calibration';
 import { useApp } from '../shared/context/AppContext';
 import { useSurfaces } from '../features/surface-manager';
+import { useCues } from '../features/cues';
+import { TimelinePanel } from '../features/timeline';
+import { useRemoteControl } from '../features/remote-control';
+import { useMidiInput } from '../features/midi';
 import { useKeyboard } from '../shared/hooks/useKeyboard';
+import { useStateSync } from '../shared/hooks/useStateSync';
+import { useNetworkSync } from '../shared/hooks/useNetworkSync';
 import { KEYBOARD_SHORTCUTS } from '../shared/utils/constants';
 
 /**
@@ -13,15 +19,29 @@ import { KEYBOARD_SHORTCUTS } from '../shared/utils/constants';
  * Full editor interface with controls, preview, and calibration
  */
 export function EditView() {
-  const { toggleMode, toggleFullscreen, toggleSidebar } = useApp();
-  const { addSurface } = useSurfaces();
+  const { toggleMode, toggleFullscreen, toggleSidebar, isBlackout, setBlackout } = useApp();
+  const { addSurface, undo, redo } = useSurfaces();
+  const { go, back } = useCues();
+
+  // Sync with windows already open (here and, through the relay, on other
+  // machines), and bring windows that open later up to date
+  useNetworkSync();
+  useStateSync({ respond: true });
+  // Take commands from show controllers through the relay's remote-control API
+  useRemoteControl();
+  useMidiInput();
 
   // Set up keyboard shortcuts
   useKeyboard({
     [KEYBOARD_SHORTCUTS.TOGGLE_MODE]: toggleMode,
     [KEYBOARD_SHORTCUTS.TOGGLE_FULLSCREEN]: toggleFullscreen,
     [KEYBOARD_SHORTCUTS.ADD_SURFACE]: addSurface,
-    [KEYBOARD_SHORTCUTS.TOGGLE_SIDEBAR]: toggleSidebar
+    [KEYBOARD_SHORTCUTS.TOGGLE_SIDEBAR]: toggleSidebar,
+    [KEYBOARD_SHORTCUTS.UNDO]: undo,
+    [KEYBOARD_SHORTCUTS.REDO]: redo,
+    [KEYBOARD_SHORTCUTS.CUE_GO]: go,
+    [KEYBOARD_SHORTCUTS.CUE_BACK]: back,
+    [KEYBOARD_SHORTCUTS.BLACKOUT]: () => setBlackout(!isBlackout)
   });
 
   return (
@@ -34,9 +54,12 @@ export function EditView() {
       {/* UI Overlays */}
       <SurfacePanel />
       <SidebarToggle />
+      <TimelinePanel />
       <StatusBar />
       <CalibrationMode />
+      <EdgeBlendEditor />
       <Notification />
+      <RecoveryModal />
     </div>
   );
 }
@@ -1,18 +1,35 @@
 import React from 'react';
 import { Scene } from '../features/scene';
 import { Notification } from '../features/ui';
+import { useApp } from '../shared/context/AppContext';
+import { useStateSync } from '../shared/hooks/useStateSync';
+import { useNetworkSync } from '../shared/hooks/useNetworkSync';
 
 /**
  * Live View Component
  * Full-screen output view for projection mapping
  * Shows only the 3D scene without any controls
+ * `/live?output=<id>` picks the output to show; without it the first output is shown
+ * On opening it asks the editor for the full current state (mode, selection, clock, cues)
+ * `?sync[=<host:port>]` also connects it to a network sync relay, for outputs on another machine
  */
 export function LiveView() {
+  const { outputs, activeOutputId } = useApp();
+  useNetworkSync();
+  useStateSync();
+  const isUnknownOutput = !outputs.some(output => output.id === activeOutputId);
+
   return (
     <div className="w-screen h-screen overflow-hidden bg-black relative">
-      <div className="w-full h-full">
-        <Scene />
-      </div>
+      {isUnknownOutput ? (
+        <div className="w-full h-full flex items-center justify-center text-white/50 text-sm">
+          Output "{activeOutputId}" does not exist. Available: {outputs.map(output => output.id).join(', ')}
+        </div>
+      ) : (
+        <div className="w-full h-full">
+          <Scene />
+        </div>
+      )}
       <Notification />
     </div>
   );
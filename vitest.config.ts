@@ -4,15 +4,9 @@ import react from '@vitejs/plugin-react';
 export default defineConfig({
   plugins: [react()],
   test: {
-    // Use jsdom for DOM testing
-    environment: 'jsdom',
-
     // Global test utilities
     globals: true,
 
-    // Setup file for test configuration
-    setupFiles: './src/test/setup.ts',
-
     // Coverage configuration
     coverage: {
       provider: 'v8',
@@ -20,7 +14,7 @@ export default defineConfig({
       exclude: [
         'node_modules/',
         'src/test/',
-        '**/*.test.{ts,tsx}',
+        '**/*.test.{ts,tsx,js}',
         '**/*.spec.{ts,tsx}',
         'vite.config.ts',
         'vitest.config.ts'
@@ -35,8 +29,30 @@ export default defineConfig({
     },
 
     // Include and exclude patterns
-    include: ['src/**/*.{test,spec}.{ts,tsx}'],
     exclude: ['node_modules', 'dist', 'build'],
+
+    // The app runs in jsdom; the relay and OSC bridge (server/) run in Node
+    projects: [
+      {
+        extends: true,
+        test: {
+          name: 'app',
+          include: ['src/**/*.{test,spec}.{ts,tsx}'],
+          // Use jsdom for DOM testing
+          environment: 'jsdom',
+          // Setup file for test configuration
+          setupFiles: './src/test/setup.ts'
+        }
+      },
+      {
+        extends: true,
+        test: {
+          name: 'server',
+          include: ['server/**/*.test.js'],
+          environment: 'node'
+        }
+      }
+    ]
   },
   resolve: {
     alias: {